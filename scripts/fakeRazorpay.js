@@ -0,0 +1,178 @@
+// 🧪 LOCAL FAKE RAZORPAY
+// Enough of the Razorpay API for commission and trip payments, refunds,
+// webhooks and the reconciliation job to be exercised end to end without
+// the real gateway.
+//
+//   node scripts/fakeRazorpay.js
+//
+// Backend .env:
+//   RAZORPAY_API_BASE=http://localhost:5099
+//   RAZORPAY_KEY_ID=rzp_test_fake   RAZORPAY_KEY_SECRET=fake_secret
+//   RAZORPAY_WEBHOOK_SECRET=fake_webhook_secret
+//
+// Then: create an order from the app (POST /api/wallet/create-order, or
+// complete an Online trip) and
+//   curl -X POST localhost:5099/__fake/orders/<orderId>/pay -H 'content-type: application/json' \
+//        -d '{"status":"captured","webhook":true}'
+//
+// Body options for /pay:
+//   status     captured | failed | authorized      (default captured)
+//   amount     paise, defaults to the order amount (set it to test mismatches)
+//   webhook    send the signed webhook to the backend (default true)
+//   duplicate  send the same webhook twice with one event ID (idempotency)
+// Leave webhook off to simulate a lost webhook for the reconciliation job.
+
+import crypto from 'crypto';
+import express from 'express';
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const PORT = process.env.FAKE_RAZORPAY_PORT || 5099;
+const KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'fake_secret';
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || 'fake_webhook_secret';
+const WEBHOOK_URL = process.env.FAKE_RAZORPAY_WEBHOOK_URL || 'http://localhost:5002/api/webhook/razorpay';
+
+const orders = new Map();
+const payments = new Map();
+const refunds = [];
+
+const id = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+const app = express();
+app.use(express.json());
+
+app.use((req, _res, next) => {
+  console.log(`🧪 ${req.method} ${req.path}`);
+  next();
+});
+
+// ───────────── Razorpay API subset ─────────────
+app.post('/v1/orders', (req, res) => {
+  const order = {
+    id: id('order'),
+    entity: 'order',
+    amount: req.body.amount,
+    amount_paid: 0,
+    currency: req.body.currency || 'INR',
+    receipt: req.body.receipt,
+    notes: req.body.notes || {},
+    status: 'created',
+    created_at: now(),
+  };
+  orders.set(order.id, order);
+  res.json(order);
+});
+
+app.get('/v1/orders/:id', (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+  res.json(order);
+});
+
+app.get('/v1/orders/:id/payments', (req, res) => {
+  const items = [...payments.values()].filter((p) => p.order_id === req.params.id);
+  res.json({ entity: 'collection', count: items.length, items });
+});
+
+app.get('/v1/payments/:id', (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+  res.json(payment);
+});
+
+app.post('/v1/payments/:id/refund', (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+
+  const amount = req.body.amount ?? payment.amount - (payment.amount_refunded || 0);
+  if (payment.status !== 'captured' || amount + (payment.amount_refunded || 0) > payment.amount) {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The refund amount provided is greater than amount captured' } });
+  }
+
+  payment.amount_refunded = (payment.amount_refunded || 0) + amount;
+  const refund = {
+    id: id('rfnd'),
+    entity: 'refund',
+    amount,
+    payment_id: payment.id,
+    notes: req.body.notes || {},
+    status: 'processed',
+    created_at: now(),
+  };
+  refunds.push(refund);
+  res.json(refund);
+});
+
+// ───────────── Test controls ─────────────
+const sendWebhook = async (event, payload, eventId = id('evt')) => {
+  const body = JSON.stringify({ entity: 'event', event, payload, created_at: now() });
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+
+  const res = await axios.post(WEBHOOK_URL, body, {
+    headers: {
+      'content-type': 'application/json',
+      'x-razorpay-signature': signature,
+      'x-razorpay-event-id': eventId,
+    },
+    validateStatus: () => true,
+  });
+  console.log(`📤 Webhook ${event} (${eventId}) → ${res.status} ${JSON.stringify(res.data)}`);
+  return { event, eventId, status: res.status, response: res.data };
+};
+
+app.post('/__fake/orders/:id/pay', async (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) return res.status(404).json({ message: 'Unknown order' });
+
+  const { status = 'captured', amount = order.amount, method = 'upi', webhook = true, duplicate = false } = req.body;
+
+  const payment = {
+    id: id('pay'),
+    entity: 'payment',
+    amount,
+    currency: order.currency,
+    status,
+    order_id: order.id,
+    method,
+    captured: status === 'captured',
+    notes: order.notes,
+    error_description: status === 'failed' ? 'Payment was declined by the bank' : null,
+    created_at: now(),
+  };
+  payments.set(payment.id, payment);
+
+  if (status === 'captured') {
+    order.status = 'paid';
+    order.amount_paid = amount;
+  }
+
+  // What the checkout SDK hands the app for the verify endpoints
+  const checkoutSignature = crypto.createHmac('sha256', KEY_SECRET).update(`${order.id}|${payment.id}`).digest('hex');
+
+  const deliveries = [];
+  if (webhook) {
+    const event = status === 'failed' ? 'payment.failed' : status === 'captured' ? 'payment.captured' : null;
+    if (event) {
+      const eventId = id('evt');
+      deliveries.push(await sendWebhook(event, { payment: { entity: payment } }, eventId));
+      if (duplicate) deliveries.push(await sendWebhook(event, { payment: { entity: payment } }, eventId));
+    }
+    if (status === 'captured') {
+      deliveries.push(await sendWebhook('order.paid', { order: { entity: order }, payment: { entity: payment } }));
+    }
+  }
+
+  res.json({ payment, checkoutSignature, deliveries });
+});
+
+app.get('/__fake/state', (_req, res) => {
+  res.json({ orders: [...orders.values()], payments: [...payments.values()], refunds });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Fake Razorpay listening on http://localhost:${PORT}`);
+  console.log(`   Webhooks → ${WEBHOOK_URL}`);
+});
@@ -0,0 +1,238 @@
+// 🧪 PAYMENT RECONCILIATION CHECK
+// Drives scripts/fakeRazorpay.js through captured / failed / amount-mismatch /
+// duplicate-webhook payments for wallet top-ups and Online trip fares, and
+// checks the wallet and trip state the real webhook handler leaves behind.
+//
+//   TEST_MONGO_URI=mongodb://localhost:27017/go_india_test npm run test:payments
+//
+// ⚠️ Writes throwaway documents to TEST_MONGO_URI. Never point it at a real
+// database; the script refuses to run against MONGO_URI.
+
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const TEST_MONGO_URI = process.env.TEST_MONGO_URI;
+if (!TEST_MONGO_URI) {
+  console.error('❌ TEST_MONGO_URI is required (a disposable database)');
+  process.exit(1);
+}
+if (TEST_MONGO_URI === process.env.MONGO_URI) {
+  console.error('❌ TEST_MONGO_URI must not be the app database');
+  process.exit(1);
+}
+
+const FAKE_PORT = Number(process.env.FAKE_RAZORPAY_PORT || 5099);
+const WEBHOOK_PORT = Number(process.env.TEST_WEBHOOK_PORT || 5098);
+const FAKE_BASE = `http://localhost:${FAKE_PORT}`;
+
+// Before any app module is imported: paymentConfig reads these at load time
+Object.assign(process.env, {
+  RAZORPAY_API_BASE: FAKE_BASE,
+  RAZORPAY_KEY_ID: 'rzp_test_fake',
+  RAZORPAY_KEY_SECRET: 'fake_secret',
+  RAZORPAY_WEBHOOK_SECRET: 'fake_webhook_secret',
+});
+
+const { default: mongoose } = await import('mongoose');
+const { default: express } = await import('express');
+const { default: axios } = await import('axios');
+const { default: webhookRoutes } = await import('../src/routes/webhookRoutes.js');
+const { default: Trip } = await import('../src/models/Trip.js');
+const { default: Wallet } = await import('../src/models/Wallet.js');
+const { default: CustomerWallet } = await import('../src/models/CustomerWallet.js');
+const { default: CustomerWalletTransaction } = await import('../src/models/CustomerWalletTransaction.js');
+const { default: WebhookEvent } = await import('../src/models/WebhookEvent.js');
+const { createTopupOrder } = await import('../src/utils/customerWallet.js');
+const { createTripPaymentOrder } = await import('../src/utils/tripPayments.js');
+
+const { ObjectId } = mongoose.Types;
+
+// ───────────── Harness ─────────────
+const startFake = () =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [fileURLToPath(new URL('./fakeRazorpay.js', import.meta.url))], {
+      env: {
+        ...process.env,
+        FAKE_RAZORPAY_PORT: String(FAKE_PORT),
+        FAKE_RAZORPAY_WEBHOOK_URL: `http://localhost:${WEBHOOK_PORT}/api/webhook/razorpay`,
+      },
+      stdio: ['ignore', 'pipe', 'inherit'],
+    });
+    child.stdout.on('data', (chunk) => {
+      process.stdout.write(chunk);
+      if (chunk.toString().includes('listening')) resolve(child);
+    });
+    child.on('exit', (code) => reject(new Error(`fakeRazorpay exited with code ${code}`)));
+  });
+
+const startWebhookServer = () =>
+  new Promise((resolve) => {
+    const app = express();
+    app.use('/api/webhook', webhookRoutes);
+    const server = app.listen(WEBHOOK_PORT, () => resolve(server));
+  });
+
+const pay = async (orderId, body = {}) => {
+  const { data } = await axios.post(`${FAKE_BASE}/__fake/orders/${orderId}/pay`, body);
+  for (const delivery of data.deliveries) {
+    assert.equal(delivery.status, 200, `webhook ${delivery.event} answered ${delivery.status}`);
+  }
+  return data;
+};
+
+const customerBalance = async (customerId) =>
+  (await CustomerWallet.findOne({ customerId }).lean())?.balance || 0;
+
+const newTrip = (fare) =>
+  Trip.create({
+    customerId: new ObjectId(),
+    assignedDriver: new ObjectId(),
+    type: 'short',
+    vehicleType: 'bike',
+    status: 'completed',
+    paymentMethod: 'Online',
+    fare,
+    pickup: { type: 'Point', coordinates: [78.4937, 17.391], address: 'Test Pickup' },
+    drop: { type: 'Point', coordinates: [78.4938, 17.3912], address: 'Test Drop' },
+  });
+
+const driverCredits = async (trip) => {
+  const wallet = await Wallet.findOne({ driverId: trip.assignedDriver }).lean();
+  return (wallet?.transactions || []).filter((t) => String(t.tripId) === String(trip._id) && t.type === 'credit');
+};
+
+// ───────────── Cases ─────────────
+const cases = {
+  'top-up captured': async () => {
+    const customerId = new ObjectId();
+    const order = await createTopupOrder(customerId, 200);
+    const { payment } = await pay(order.orderId, { status: 'captured' });
+
+    const txn = await CustomerWalletTransaction.findOne({ razorpayOrderId: order.orderId }).lean();
+    assert.equal(txn.status, 'completed');
+    assert.equal(txn.razorpayPaymentId, payment.id);
+    assert.equal(await customerBalance(customerId), 200);
+  },
+
+  'top-up failed, then retried': async () => {
+    const customerId = new ObjectId();
+    const order = await createTopupOrder(customerId, 150);
+    await pay(order.orderId, { status: 'failed' });
+
+    let txn = await CustomerWalletTransaction.findOne({ razorpayOrderId: order.orderId }).lean();
+    assert.equal(txn.status, 'failed');
+    assert.match(txn.failureReason, /declined/);
+    assert.equal(await customerBalance(customerId), 0);
+
+    await pay(order.orderId, { status: 'captured' });
+    txn = await CustomerWalletTransaction.findOne({ razorpayOrderId: order.orderId }).lean();
+    assert.equal(txn.status, 'completed');
+    assert.equal(await customerBalance(customerId), 150);
+  },
+
+  'top-up amount mismatch': async () => {
+    const customerId = new ObjectId();
+    const order = await createTopupOrder(customerId, 300);
+    await pay(order.orderId, { status: 'captured', amount: 100 * 100 });
+
+    const txn = await CustomerWalletTransaction.findOne({ razorpayOrderId: order.orderId }).lean();
+    assert.equal(txn.status, 'pending');
+    assert.match(txn.flagReason, /^amount_mismatch/);
+    assert.equal(await customerBalance(customerId), 0);
+  },
+
+  'top-up duplicate webhook': async () => {
+    const customerId = new ObjectId();
+    const order = await createTopupOrder(customerId, 250);
+    const { deliveries } = await pay(order.orderId, { status: 'captured', duplicate: true });
+
+    assert.equal(deliveries[1].response.duplicate, true);
+    assert.equal(await WebhookEvent.countDocuments({ eventId: deliveries[0].eventId }), 1);
+    assert.equal(await customerBalance(customerId), 250);
+    assert.equal(await CustomerWalletTransaction.countDocuments({ customerId, status: 'completed' }), 1);
+  },
+
+  'trip captured': async () => {
+    const trip = await newTrip(120);
+    const order = await createTripPaymentOrder(trip);
+    const { payment } = await pay(order.orderId, { status: 'captured' });
+
+    const settled = await Trip.findById(trip._id).lean();
+    assert.equal(settled.paymentCollected, true);
+    assert.equal(settled.onlinePayment.status, 'captured');
+    assert.equal(settled.onlinePayment.paymentId, payment.id);
+    assert.equal((await driverCredits(trip)).length, 1);
+  },
+
+  'trip failed': async () => {
+    const trip = await newTrip(90);
+    const order = await createTripPaymentOrder(trip);
+    await pay(order.orderId, { status: 'failed' });
+
+    const failed = await Trip.findById(trip._id).lean();
+    assert.notEqual(failed.paymentCollected, true);
+    assert.equal(failed.onlinePayment.status, 'failed');
+    assert.match(failed.onlinePayment.failureReason, /declined/);
+    assert.equal((await driverCredits(trip)).length, 0);
+  },
+
+  'trip amount mismatch': async () => {
+    const trip = await newTrip(180);
+    const order = await createTripPaymentOrder(trip);
+    await pay(order.orderId, { status: 'captured', amount: 50 * 100 });
+
+    const flagged = await Trip.findById(trip._id).lean();
+    assert.notEqual(flagged.paymentCollected, true);
+    assert.match(flagged.onlinePayment.flagReason, /^amount_mismatch/);
+    assert.equal((await driverCredits(trip)).length, 0);
+  },
+
+  'trip duplicate webhook': async () => {
+    const trip = await newTrip(140);
+    const order = await createTripPaymentOrder(trip);
+    const { deliveries } = await pay(order.orderId, { status: 'captured', duplicate: true });
+
+    assert.equal(deliveries[1].response.duplicate, true);
+    const settled = await Trip.findById(trip._id).lean();
+    assert.equal(settled.paymentCollected, true);
+    assert.equal((await driverCredits(trip)).length, 1);
+  },
+};
+
+// ───────────── Run ─────────────
+let fake;
+let webhookServer;
+let passed = 0;
+let failures = 0;
+
+try {
+  await mongoose.connect(TEST_MONGO_URI);
+  fake = await startFake();
+  webhookServer = await startWebhookServer();
+
+  for (const [name, run] of Object.entries(cases)) {
+    try {
+      await run();
+      passed += 1;
+      console.log(`✅ ${name}`);
+    } catch (err) {
+      failures += 1;
+      console.error(`❌ ${name}: ${err.message}`);
+    }
+  }
+} catch (err) {
+  failures += 1;
+  console.error('🔥 Setup failed:', err.message);
+} finally {
+  fake?.removeAllListeners('exit');
+  fake?.kill();
+  webhookServer?.close();
+  await mongoose.disconnect();
+}
+
+console.log(`\n${passed} passed, ${failures} failed`);
+process.exit(failures ? 1 : 0);
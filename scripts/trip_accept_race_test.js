@@ -57,27 +57,29 @@ export default function () {
   // STEP 2 — DRIVER ACCEPTS
   // -----------------------
 
-  const drivers = [
-    "68d38a5cfd6c50b2b22abc16",
-    "68d399855c57b13a34d775ac",
-    "68d39bb65c57b13a34d77613",
-    "68e58441aae030a783d7e883",
-    "68e587ccaae030a783d7e931",
-    "68ee00bde37eee05dd7de4ef",
-    "68ee0700e37eee05dd7de574"
+  // 🔑 One Firebase ID token per test driver (accept uses the signed-in driver)
+  const driverTokens = [
+    "PASTE_DRIVER_1_JWT_TOKEN_HERE",
+    "PASTE_DRIVER_2_JWT_TOKEN_HERE",
+    "PASTE_DRIVER_3_JWT_TOKEN_HERE",
   ];
 
-  const driverId = drivers[Math.floor(Math.random() * drivers.length)];
+  const driver = Math.floor(Math.random() * driverTokens.length);
 
   console.log("\n=== DRIVER TRYING TO ACCEPT TRIP ===");
-  console.log("Driver:", driverId);
+  console.log("Driver #:", driver + 1);
   console.log("Trip:", tripId);
   console.log("====================================");
 
   const acceptRes = http.post(
     `${BASE}/api/trip/${tripId}/accept`,
-    JSON.stringify({ driverId, tripId }),
-    { headers: { "Content-Type": "application/json" } }
+    JSON.stringify({ tripId }),
+    {
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${driverTokens[driver]}`
+      }
+    }
   );
 
   console.log("STATUS:", acceptRes.status);
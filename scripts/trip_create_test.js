@@ -6,10 +6,25 @@ export const options = {
     duration: "30s",
 };
 
-const URL = "https://4260d5945323.ngrok-free.app/api/trip/short";
+const BASE = "https://4260d5945323.ngrok-free.app";
+const URL = `${BASE}/api/trip/short`;
 
 export default function () {
 
+    const params = {
+        headers: { "Content-Type": "application/json" }
+    };
+
+    // ✅ Trip creation needs a signed quote from the fare endpoint
+    const quoteRes = http.post(`${BASE}/api/fares/calc`, JSON.stringify({
+        state: "Telangana",
+        city: "Hyderabad",
+        vehicleType: "bike",
+        category: "short",
+        origin: { lat: 17.3850, lng: 78.4867 },
+        destination: { lat: 17.4500, lng: 78.4123 }
+    }), params);
+
     const payload = JSON.stringify({
         type: "short",
         customerId: "68e24aea3b861586df2d728e",
@@ -24,14 +39,10 @@ export default function () {
             address: "Kukatpally"
         },
 
-        fare: 50,  // required
+        quoteId: quoteRes.json("quoteId"),  // required
         vehicleType: "bike"   // ✅ NEW required field
     });
 
-    const params = {
-        headers: { "Content-Type": "application/json" }
-    };
-
     const res = http.post(URL, payload, params);
 
     console.log("STATUS:", res.status);
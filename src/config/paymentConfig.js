@@ -0,0 +1,34 @@
+// src/config/paymentConfig.js
+
+export const RAZORPAY = {
+  // Point the SDK at a local fake (scripts/fakeRazorpay.js) in development
+  API_BASE: process.env.RAZORPAY_API_BASE || null,
+  WEBHOOK_SECRET: process.env.RAZORPAY_WEBHOOK_SECRET || null,
+};
+
+export const RECONCILIATION = {
+  // Leave fresh orders alone; the app is probably still inside checkout
+  MIN_AGE_MIN: parseInt(process.env.RECONCILE_MIN_AGE_MIN) || 10,
+  // No captured payment after this long → the order is marked failed
+  ORDER_EXPIRY_HOURS: parseInt(process.env.RECONCILE_ORDER_EXPIRY_HOURS) || 24,
+  MAX_ORDERS_PER_RUN: 200,
+  AMOUNT_TOLERANCE: 0.01, // ₹
+};
+
+export const CUSTOMER_WALLET = {
+  MIN_TOPUP: 10, // ₹
+  MAX_TOPUP: 10000,
+  MAX_BALANCE: 20000,
+};
+
+export const DRIVER_PAYOUT = {
+  MIN_AMOUNT: parseInt(process.env.PAYOUT_MIN_AMOUNT) || 100, // ₹
+  MAX_AMOUNT: parseInt(process.env.PAYOUT_MAX_AMOUNT) || 25000,
+  DAILY_CAP: parseInt(process.env.PAYOUT_DAILY_CAP) || 50000,
+  // utils/payoutProviders — unset means payouts are unavailable (503).
+  // `fake` settles locally without moving money and is refused in production.
+  PROVIDER: process.env.PAYOUT_PROVIDER || null,
+  // Payouts still processing after this long are polled by the sync job
+  SYNC_MIN_AGE_MIN: parseInt(process.env.PAYOUT_SYNC_MIN_AGE_MIN) || 2,
+  MAX_PER_SYNC: 100,
+};
@@ -0,0 +1,40 @@
+// src/config/pricingConfig.js
+
+// Bump ENGINE_VERSION whenever calcFare's formula changes, so replays can tell
+// which code produced a stored fare.
+export const PRICING_ENGINE_VERSION = 'fare-engine-4';
+
+// Google durations are fetched for a car; scale them per vehicle
+export const VEHICLE_TIME_FACTOR = {
+  bike: 0.8, // faster
+  auto: 0.9,
+  car: 1.0,
+  premium: 1.05,
+  xl: 1.1,
+};
+
+// Discount policy used when a Rate document has no `discountPolicy` of its own.
+// All amounts are ₹ unless suffixed Percent.
+export const DEFAULT_DISCOUNT_POLICY = {
+  version: 'default-v1',
+  competitorPeakDiscount: 8,      // cheaper than competitor during peak
+  competitorOffPeakDiscount: 12,  // cheaper than competitor off-peak
+  shortTripExtraDiscount: 5,      // extra off for trips <= shortTripKm
+  shortTripKm: 3,
+  slowTrafficReduction: 3,        // less discount when > 5 min/km
+  minCompetitorDiscount: 5,
+  fallbackFlatDiscount: 12,       // no competitor fare given
+  fallbackPercent: 15,
+  shortTripBoostPercent: 5,
+  riderAdjustment: 20,            // flat amount added after discount
+};
+
+// Zone surge (see utils/surgeEngine.js)
+export const SURGE = {
+  GEOHASH_PRECISION: 5,          // ≈ 4.9 km cells
+  MAX_MULTIPLIER: 2.0,           // hard cap, overrides included
+  RATIO_THRESHOLD: 1.0,          // demand/supply at which surge starts
+  STEP_PER_RATIO: 0.25,          // +0.25x for every 1.0 of ratio above threshold
+  DEMAND_WINDOW_MIN: 15,         // only count trips requested this recently
+  ZONE_TTL_SECONDS: 120,         // recompute a zone on read if older than this
+};
@@ -0,0 +1,21 @@
+// src/config/realtimeConfig.js
+import os from 'os';
+
+// Identifies this process among the app's machines (Fly sets FLY_MACHINE_ID)
+export const INSTANCE_ID = process.env.FLY_MACHINE_ID || `${os.hostname()}-${process.pid}`;
+
+export const REALTIME = {
+  // memory: single instance / tests | mongo: MongoDB change streams | redis: pub/sub
+  ADAPTER: (process.env.SOCKET_ADAPTER || 'memory').toLowerCase(),
+  MONGO_COLLECTION: 'socket_io_adapter_events',
+  MONGO_COLLECTION_SIZE_BYTES: 10 * 1024 * 1024, // capped
+  REDIS_URL: process.env.REDIS_URL || 'redis://localhost:6379',
+
+  // Socket presence documents (models/SocketPresence.js)
+  PRESENCE_TTL_SEC: 90,            // entry dies if its instance stops renewing
+  PRESENCE_HEARTBEAT_SEC: 30,
+
+  // Interval jobs run on the lease holder only (utils/leaderElection.js)
+  LEADER_LEASE_SEC: 30,
+  LEADER_RENEW_SEC: 10,
+};
@@ -0,0 +1,11 @@
+// src/config/referralConfig.js
+
+// Bonus amounts live in RewardSettings (referralBonus / driverReferralBonus);
+// these are the code format and abuse guards.
+export const REFERRAL = {
+  CODE_PREFIX: 'GI',
+  CODE_LENGTH: 6,
+  CODE_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789', // no 0/O, 1/I
+  PHONE_PREFIX_LENGTH: 7,          // same first 7 digits → likely a SIM batch
+  MAX_REFERRALS_PER_DEVICE: 1,
+};
@@ -4,4 +4,151 @@ export const TRIP_LIMITS = {
   PARCEL: 5000,
   LONG_SAME_DAY: 20000,
   LONG_ADVANCE: 50000,
-};
\ No newline at end of file
+};
+
+// Signed fare quotes issued by POST /api/fares/calc
+export const FARE_QUOTE = {
+  TTL_SECONDS: Number(process.env.FARE_QUOTE_TTL_SECONDS) || 10 * 60,
+  LOCATION_TOLERANCE_M: 150, // pickup/drop may drift this far from the quoted points
+  // Google route unavailable: quotes use straight-line legs × ROAD_FACTOR at FALLBACK_SPEED_KMH
+  ROAD_FACTOR: 1.3,
+  FALLBACK_SPEED_KMH: 25,
+};
+
+// Advance-booked trips (see controllers/scheduledTripController.js, jobs/scheduledTripDispatcher.js)
+export const SCHEDULED_TRIPS = {
+  MIN_ADVANCE_MIN: 30,             // earliest bookable pickup from now
+  MAX_ADVANCE_DAYS: 7,
+  LEAD_TIME_MIN: {                 // pre-assign a driver this long before pickup
+    short: Number(process.env.SCHEDULE_LEAD_SHORT_MIN) || 20,
+    parcel: Number(process.env.SCHEDULE_LEAD_PARCEL_MIN) || 20,
+    long: Number(process.env.SCHEDULE_LEAD_LONG_MIN) || 60,
+  },
+  CONFIRM_TIMEOUT_MIN: 5,          // offered driver must confirm within this
+  STANDBY_QUEUE_SIZE: 5,
+  REMINDER_OFFSETS_MIN: [60, 15],  // customer reminders before pickup
+  NO_DRIVER_GRACE_MIN: 10,         // give up this long after pickup time
+};
+
+// Driver dispatch defaults; per city/vehicle overrides live in DispatchConfig
+export const DISPATCH = {
+  MODE: 'broadcast',               // broadcast | sequential | wave
+  WAVE_SIZE: 3,                    // drivers per wave in `wave` mode
+  OFFER_TIMEOUT_SEC: 15,
+  MAX_OFFERS: 10,                  // ranked candidates kept per trip
+  WEIGHTS: { distance: 0.4, rating: 0.2, idle: 0.2, acceptance: 0.2 },
+  IDLE_CAP_MIN: 30,                // idle time beyond this scores the same
+  DEFAULT_ACCEPTANCE_RATE: 0.8,    // drivers with no offer history
+};
+
+// Rolling driver acceptance / cancellation rates (see utils/offerLog.js)
+export const DRIVER_RATES = {
+  WINDOW_OFFERS: 100,              // most recent answered offers considered
+  WINDOW_DAYS: 30,
+  REJECT_REASON_MAX_LENGTH: 200,
+};
+
+// Two-way post-trip ratings (see controllers/ratingController.js)
+export const RATINGS = {
+  WINDOW_HOURS: Number(process.env.RATING_WINDOW_HOURS) || 72, // after trip completion
+  ROLLING_COUNT: 100,              // latest ratings averaged into User.rating
+  LOW_SCORE_THRESHOLD: 2,          // admin low-rated list default
+  MAX_COMMENT_LENGTH: 500,
+  MAX_TAGS: 5,
+  TAGS: {
+    // tags a customer can give a driver
+    driver: [
+      'polite', 'safe_driving', 'clean_vehicle', 'on_time', 'knows_route',
+      'rude', 'rash_driving', 'dirty_vehicle', 'late', 'wrong_route', 'asked_extra_cash',
+    ],
+    // tags a driver can give a customer
+    customer: [
+      'polite', 'on_time', 'clear_directions',
+      'rude', 'late', 'wrong_pickup', 'payment_issue', 'damaged_vehicle',
+    ],
+  },
+};
+
+// Per-trip audit timeline (see utils/tripTimeline.js)
+export const TRIP_TIMELINE = {
+  NEAR_PICKUP_M: 200,              // location milestone: driver close to pickup
+  NEAR_DROP_M: 500,                // location milestone: driver close to drop
+};
+
+// GPS breadcrumb trail (see utils/tripTrail.js)
+export const TRIP_TRAIL = {
+  CHUNK_SIZE: 500,                 // points per TripTrail document
+  MAX_ACCURACY_M: 50,              // drop fixes the phone itself calls inaccurate
+  MAX_SPEED_KMH: 150,              // faster than this since the last point = GPS jump
+  MAX_CLOCK_SKEW_SEC: 60,          // client timestamps further ahead are replaced by server time
+  MIN_DISTANCE_M: 5,               // closer points are skipped...
+  KEEPALIVE_SEC: 30,               // ...unless this long has passed (keeps idle time accurate)
+  IDLE_SPEED_KMH: 3,               // slower than this between two points counts as idle
+  SIMPLIFY_TOLERANCE_M: 5,         // Douglas-Peucker tolerance for receipts
+};
+
+// Final fare repricing at ride completion (see utils/fareAdjustment.js)
+export const FARE_ADJUSTMENT = {
+  TOLERANCE_PERCENT: Number(process.env.FARE_TOLERANCE_PERCENT) || 15, // actual km / min within ± this of the estimate keep the quote
+  MAX_INCREASE_PERCENT: 50,        // a repriced fare never exceeds the quote by more than this
+  MIN_TRAIL_POINTS: 10,            // fewer GPS points and the trail distance isn't trusted
+  MIN_TRAIL_COVERAGE: 0.9,         // trail km below this share of straight-line pickup→(stops→)drop = gaps, not trusted
+  OVERRIDE_REASON_MAX_LENGTH: 300,
+};
+
+// Pickup waiting charges and customer no-show (see utils/pickupWait.js).
+// Rate cards override the first four per city + vehicle type.
+export const PICKUP_WAIT = {
+  FREE_MIN: 3,                     // free waiting after the driver arrives
+  PER_MIN: 2,                      // ₹ per started minute after that
+  NO_SHOW_AFTER_MIN: 5,            // driver can report a no-show this long after arrival
+  NO_SHOW_FEE: 30,                 // ₹ charged to the customer
+  NO_SHOW_DRIVER_SHARE_PERCENT: 80, // of the no-show fee, credited to the driver
+  ARRIVAL_RADIUS_M: 200,           // driver must be this close to pickup to arrive / report a no-show
+};
+
+// Cancellation fees and driver strikes (see utils/cancellationPolicy.js);
+// per city / vehicle overrides live in CancellationPolicy
+export const CANCELLATION_POLICY = {
+  GRACE_SEC: 120,                  // free to cancel this long after accept...
+  MIN_DRIVER_TRAVEL_M: 500,        // ...unless the driver has already closed this much of the gap
+  CUSTOMER_BASE_FEE: 20,
+  CUSTOMER_PER_KM_FEE: 5,          // per km the driver travelled toward pickup
+  CUSTOMER_MAX_FEE: 60,
+  DRIVER_SHARE_PERCENT: 80,        // of the customer's fee, credited to the driver
+  DRIVER_PENALTY_FEE: 25,          // added to commission owed once the free strikes are used
+  FREE_STRIKES: 2,                 // driver strikes in the window before penalties start
+  STRIKE_WINDOW_DAYS: 7,
+  REASONS: {
+    customer: [
+      'changed_plans', 'booked_by_mistake', 'found_other_ride', 'wait_too_long',
+      'driver_not_moving', 'driver_asked_to_cancel', 'other',
+    ],
+    driver: [
+      'customer_asked_to_cancel', 'unsafe_pickup', 'pickup_unreachable',
+      'vehicle_issue', 'personal_emergency', 'other',
+    ],
+  },
+  // The other party caused the cancellation and trip data shows it: no fee / strike.
+  // driver_not_moving only counts while the driver is under MIN_DRIVER_TRAVEL_M.
+  EXCUSED_REASONS: {
+    customer: ['driver_not_moving'],
+    driver: [],
+  },
+  // Blame the other party but can't be checked: the fee / strike still
+  // applies and the decision is flagged needsReview for support.
+  REVIEW_REASONS: {
+    customer: ['driver_asked_to_cancel'],
+    driver: ['customer_asked_to_cancel', 'unsafe_pickup'],
+  },
+};
+
+// Intermediate stops on short trips (see utils/tripStops.js).
+// Rate cards override PER_STOP_FEE per city + vehicle type.
+export const TRIP_STOPS = {
+  MAX_STOPS: 3,                    // between pickup and drop
+  PER_STOP_FEE: 20,                // ₹ per stop, before surge / peak / night
+  ARRIVAL_RADIUS_M: 200,           // driver must be this close to mark a stop reached
+  COMPLETION_RADIUS_M: 500,        // ...and this close to the final stop to complete
+  ADDRESS_MAX_LENGTH: 300,
+};
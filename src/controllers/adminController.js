@@ -18,6 +18,8 @@ import { sendToDriver, sendToCustomer } from "../utils/fcmSender.js";
 
 import { verifyAdminToken } from "../middlewares/adminAuth.js";
 import { recomputeDriverDocumentStatus } from "./documentController.js";
+import { transitionTrip } from "../utils/tripStateMachine.js";
+import { generateOTP } from "../utils/otpGeneration.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -153,7 +155,8 @@ export const getAllDrivers = async (req, res) => {
   try {
     const drivers = await User.find({ isDriver: true })
       .select(
-        "name email phone vehicleType profilePhotoUrl photo profilePic driverPhoto avatar isBlocked"
+        "name email phone vehicleType profilePhotoUrl photo profilePic driverPhoto avatar isBlocked " +
+          "acceptanceRate cancellationRate rateSampleSize ratesUpdatedAt"
       );
 
     const baseUrl = `${req.protocol}://${req.get("host")}`;
@@ -185,6 +188,11 @@ export const getAllDrivers = async (req, res) => {
         vehicleType: d.vehicleType,
         profilePhotoUrl: finalPhotoUrl,
         isBlocked: d.isBlocked,
+        // Rolling rates from the trip offer log (null until the driver has answered offers)
+        acceptanceRate: d.acceptanceRate ?? null,
+        cancellationRate: d.cancellationRate ?? null,
+        rateSampleSize: d.rateSampleSize || 0,
+        ratesUpdatedAt: d.ratesUpdatedAt || null,
       };
     });
 
@@ -309,9 +317,38 @@ export const manualAssignDriver = async (req, res) => {
       return res.status(404).json({ message: "Driver not found or invalid" });
     }
 
-    trip.assignedDriver = driverId;
-    trip.status = "assigned";
-    await trip.save();
+    // Same reservation as a driver accepting: never double-book a driver
+    const reserved = await User.findOneAndUpdate(
+      {
+        _id: driverId,
+        isBusy: { $ne: true },
+        $or: [{ currentTripId: null }, { currentTripId: { $exists: false } }],
+      },
+      { $set: { isBusy: true, currentTripId: trip._id, canReceiveNewRequests: false } }
+    );
+    if (!reserved) {
+      return res.status(409).json({ message: "Driver is already on another trip" });
+    }
+
+    let assigned;
+    try {
+      assigned = await transitionTrip(trip._id, "driver_assigned", {
+        from: ["requested", "scheduled"],
+        set: { assignedDriver: driverId, otp: generateOTP() },
+        actor: "admin",
+        actorId: req.admin?.email,
+        reason: "manual_assign",
+      });
+    } catch (transitionError) {
+      await User.findByIdAndUpdate(driverId, {
+        $set: { isBusy: false, currentTripId: null, canReceiveNewRequests: false },
+      });
+      if (!transitionError.isTripStateError) throw transitionError;
+      return res.status(transitionError.statusCode).json({
+        message: transitionError.message,
+        errorCode: transitionError.errorCode,
+      });
+    }
 
     // 🔔 Send FCM notification to driver
     if (driver.fcmToken) {
@@ -332,7 +369,7 @@ export const manualAssignDriver = async (req, res) => {
       }
     }
 
-    res.status(200).json({ message: "Driver assigned successfully", trip });
+    res.status(200).json({ message: "Driver assigned successfully", trip: assigned.trip });
   } catch (err) {
     console.error("❌ Manual assign error:", err);
     res.status(500).json({ message: "Server error" });
@@ -342,14 +379,16 @@ export const manualAssignDriver = async (req, res) => {
 export const markTripCompleted = async (req, res) => {
   try {
     const { tripId } = req.params;
-    const trip = await Trip.findByIdAndUpdate(
-      tripId,
-      { status: "completed" },
-      { new: true }
-    );
-    if (!trip) return res.status(404).json({ message: "Trip not found" });
+    const { trip } = await transitionTrip(tripId, "completed", {
+      actor: "admin",
+      actorId: req.admin?.email,
+      reason: req.body?.reason || "marked_completed_by_admin",
+    });
     res.status(200).json({ message: "Trip marked as completed", trip });
   } catch (err) {
+    if (err.isTripStateError) {
+      return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+    }
     console.error("❌ Error marking trip completed:", err);
     res.status(500).json({ message: "Server error" });
   }
@@ -358,14 +397,18 @@ export const markTripCompleted = async (req, res) => {
 export const cancelTrip = async (req, res) => {
   try {
     const { tripId } = req.params;
-    const trip = await Trip.findByIdAndUpdate(
-      tripId,
-      { status: "cancelled" },
-      { new: true }
-    );
-    if (!trip) return res.status(404).json({ message: "Trip not found" });
+    const reason = req.body?.reason || "Cancelled by support";
+    const { trip } = await transitionTrip(tripId, "cancelled", {
+      set: { cancellationReason: reason },
+      actor: "admin",
+      actorId: req.admin?.email,
+      reason,
+    });
     res.status(200).json({ message: "Trip cancelled successfully", trip });
   } catch (err) {
+    if (err.isTripStateError) {
+      return res.status(err.statusCode).json({ message: err.message, errorCode: err.errorCode });
+    }
     console.error("❌ Error cancelling trip:", err);
     res.status(500).json({ message: "Server error" });
   }
@@ -4,11 +4,12 @@ import User from "../models/User.js";
 
 // ✅ Import for recomputing driver document status
 import { recomputeDriverDocumentStatus } from "./documentController.js";
+import { ensureReferralCode, attributeReferral } from "../utils/referrals.js";
 
 /* ────────────── Firebase Sync (New Endpoint) ────────────── */
 export const firebaseSync = async (req, res) => {
   try {
-    const { phone, firebaseUid, role } = req.body;
+    const { phone, firebaseUid, role, referralCode, deviceId } = req.body;
 
     if (!phone || !firebaseUid) {
       return res.status(400).json({
@@ -36,6 +37,7 @@ export const firebaseSync = async (req, res) => {
         role: role || "customer",
         isDriver: role === "driver",
         firebaseUid: firebaseUid,
+        signupDeviceId: deviceId || null,
         // For drivers, we start with null vehicleType until onboarding
         vehicleType: role === "driver" ? null : undefined,
         location: {
@@ -95,6 +97,21 @@ export const firebaseSync = async (req, res) => {
       );
     }
 
+    // ─────────────────────────────────────────────────────────
+    // 🤝 Referral code + signup attribution
+    // ─────────────────────────────────────────────────────────
+    let myReferralCode = user.referralCode || null;
+    let referral = null;
+    try {
+      myReferralCode = await ensureReferralCode(user);
+      if (isNewUser && referralCode) {
+        const result = await attributeReferral({ referee: user, code: referralCode, deviceId });
+        referral = { attributed: result.attributed, reason: result.reason || null };
+      }
+    } catch (referralErr) {
+      console.error("⚠️ Referral handling failed in firebaseSync:", referralErr.message);
+    }
+
     // ─────────────────────────────────────────────────────────
     // Generate Firebase Custom Token (for compatibility)
     // ─────────────────────────────────────────────────────────
@@ -129,7 +146,9 @@ export const firebaseSync = async (req, res) => {
         documentStatus: user.documentStatus,
         isVerified: user.isVerified,
         memberSince: formatMemberSince(user.createdAt),
+        referralCode: myReferralCode,
       },
+      referral: referral,
       firebaseToken: firebaseToken,
     });
   } catch (error) {
@@ -0,0 +1,172 @@
+// src/controllers/customerWalletController.js
+import crypto from 'crypto';
+import { CUSTOMER_WALLET } from '../config/paymentConfig.js';
+import { getRazorpay } from '../utils/razorpayClient.js';
+import {
+  getCustomerWallet,
+  createTopupOrder,
+  settleWalletTopup,
+  getWalletStatement,
+} from '../utils/customerWallet.js';
+
+/**
+ * Rider prepaid wallet (utils/customerWallet.js). The customer is always
+ * the authenticated user.
+ */
+
+const serviceUnavailable = (res) =>
+  res.status(503).json({
+    success: false,
+    message: 'Payment service temporarily unavailable',
+    errorCode: 'SERVICE_UNAVAILABLE'
+  });
+
+/**
+ * GET /api/customer-wallet
+ */
+export const getMyWallet = async (req, res) => {
+  try {
+    const wallet = await getCustomerWallet(req.user._id);
+    res.status(200).json({
+      success: true,
+      wallet: {
+        balance: Number(wallet.balance.toFixed(2)),
+        totalTopups: Number((wallet.totalTopups || 0).toFixed(2)),
+        totalSpent: Number((wallet.totalSpent || 0).toFixed(2)),
+        totalRefunded: Number((wallet.totalRefunded || 0).toFixed(2)),
+      },
+      limits: CUSTOMER_WALLET
+    });
+  } catch (err) {
+    console.error('🔥 getMyWallet error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/customer-wallet/topup/order
+ * Body → { amount } (₹)
+ */
+export const createTopup = async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    if (!Number.isFinite(amount) || amount < CUSTOMER_WALLET.MIN_TOPUP || amount > CUSTOMER_WALLET.MAX_TOPUP) {
+      return res.status(400).json({
+        success: false,
+        message: `Top-up amount must be between ₹${CUSTOMER_WALLET.MIN_TOPUP} and ₹${CUSTOMER_WALLET.MAX_TOPUP}`
+      });
+    }
+
+    const wallet = await getCustomerWallet(req.user._id);
+    if (wallet.balance + amount > CUSTOMER_WALLET.MAX_BALANCE) {
+      return res.status(400).json({
+        success: false,
+        message: `Wallet balance cannot exceed ₹${CUSTOMER_WALLET.MAX_BALANCE}`,
+        errorCode: 'MAX_BALANCE_EXCEEDED'
+      });
+    }
+
+    if (!getRazorpay()) return serviceUnavailable(res);
+
+    const order = await createTopupOrder(req.user._id, amount);
+    res.status(200).json({ success: true, ...order });
+  } catch (err) {
+    console.error('🔥 createTopup error:', err);
+    res.status(500).json({ success: false, message: err.error?.description || err.message });
+  }
+};
+
+/**
+ * POST /api/customer-wallet/topup/verify
+ * Body → { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ */
+export const verifyTopup = async (req, res) => {
+  try {
+    const {
+      razorpay_order_id: orderId,
+      razorpay_payment_id: paymentId,
+      razorpay_signature: signature
+    } = req.body;
+
+    if (!orderId || !paymentId || !signature) {
+      return res.status(400).json({ success: false, message: 'Missing payment verification data' });
+    }
+
+    const razorpay = getRazorpay();
+    if (!razorpay) return serviceUnavailable(res);
+
+    const expected = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+
+    if (expected !== signature) {
+      console.error(`❌ Wallet top-up ${orderId}: signature mismatch - possible fraud attempt`);
+      return res.status(400).json({
+        success: false,
+        message: 'Payment verification failed',
+        errorCode: 'SIGNATURE_MISMATCH'
+      });
+    }
+
+    const payment = await razorpay.payments.fetch(paymentId);
+    if (payment.order_id !== orderId || payment.notes?.customerId !== String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment does not belong to this wallet',
+        errorCode: 'PAYMENT_MISMATCH'
+      });
+    }
+
+    if (payment.status !== 'captured') {
+      return res.status(202).json({
+        success: true,
+        message: 'Payment is being confirmed',
+        paymentStatus: payment.status
+      });
+    }
+
+    const result = await settleWalletTopup({ payment, source: 'verify_api' });
+    if (result.status === 'mismatch') {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment could not be matched to this top-up. Our team will review it.',
+        errorCode: 'PAYMENT_MISMATCH'
+      });
+    }
+
+    const wallet = await getCustomerWallet(req.user._id);
+    res.status(200).json({
+      success: true,
+      message: result.status === 'settled' ? 'Wallet topped up' : 'Payment already processed',
+      balance: Number(wallet.balance.toFixed(2))
+    });
+  } catch (err) {
+    console.error('🔥 verifyTopup error:', err);
+    res.status(500).json({ success: false, message: err.error?.description || err.message });
+  }
+};
+
+/**
+ * GET /api/customer-wallet/statement?from=YYYY-MM-DD&to=YYYY-MM-DD&page=1&limit=20
+ */
+export const getStatement = async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({ success: false, message: 'from / to must be valid dates' });
+    }
+    // A bare date for `to` means the whole day
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) to.setUTCHours(23, 59, 59, 999);
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const statement = await getWalletStatement(req.user._id, { from, to, page, limit });
+    res.status(200).json({ success: true, ...statement });
+  } catch (err) {
+    console.error('🔥 getStatement error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -1,11 +1,33 @@
 import asyncHandler from "express-async-handler";
 import Rate from "../models/Rate.js";
+import Trip from "../models/Trip.js";
 import { calcFare } from "../utils/fareCalc.js";
 import { getGoogleRouteDuration } from "../utils/getGoogleRouteDuration.js";
+import { issueFareQuote } from "../utils/fareQuote.js";
+import { getZoneSurge } from "../utils/surgeEngine.js";
+import { VEHICLE_TIME_FACTOR } from "../config/pricingConfig.js";
+import { TRIP_STOPS, FARE_QUOTE } from "../config/tripConfig.js";
+import { getDistance } from "../utils/distanceCalculator.js";
+
+// Server-side route estimate when Google is unavailable: straight-line legs
+// through the stops, stretched to road distance. Quotes never sign client
+// distance / duration.
+const estimateRoute = (origin, destination, stops) => {
+  const points = [origin, ...stops, destination].map((p) => [Number(p.lat), Number(p.lng)]);
+  let straightKm = 0;
+  for (let i = 1; i < points.length; i++) {
+    straightKm += getDistance(...points[i - 1], ...points[i]);
+  }
+  const distanceKm = straightKm * FARE_QUOTE.ROAD_FACTOR;
+  return { distanceKm, durationSec: (distanceKm / FARE_QUOTE.FALLBACK_SPEED_KMH) * 3600 };
+};
 
 /**
  * POST /api/fares/calc
  * Calculates smart, time-based, competitive fares using shared Google Maps data.
+ * When origin + destination are given, also issues a signed quoteId that
+ * POST /api/trip/{short,parcel,long} require. Short trips may pass ordered
+ * `stops` ([{ lat, lng }]); the route and quote then cover every leg.
  */
 export const createFare = asyncHandler(async (req, res) => {
   const {
@@ -21,6 +43,7 @@ export const createFare = asyncHandler(async (req, res) => {
     returnTrip,
     surge,
     weight,
+    stops = [],
   } = req.body;
 
   const vType = vehicleType?.toLowerCase?.();
@@ -31,6 +54,20 @@ export const createFare = asyncHandler(async (req, res) => {
     });
   }
 
+  if (!Array.isArray(stops) || stops.some((s) => !Number.isFinite(Number(s?.lat)) || !Number.isFinite(Number(s?.lng)))) {
+    return res.status(400).json({ ok: false, message: "stops must be a list of { lat, lng }" });
+  }
+  const isPoint = (p) => Number.isFinite(Number(p?.lat)) && Number.isFinite(Number(p?.lng));
+  if ((origin && !isPoint(origin)) || (destination && !isPoint(destination))) {
+    return res.status(400).json({ ok: false, message: "origin and destination must be { lat, lng }" });
+  }
+  if (stops.length && (category !== "short" || !origin || !destination)) {
+    return res.status(400).json({ ok: false, message: "Stops are only supported on short trips with origin and destination" });
+  }
+  if (stops.length > TRIP_STOPS.MAX_STOPS) {
+    return res.status(400).json({ ok: false, message: `At most ${TRIP_STOPS.MAX_STOPS} stops are allowed` });
+  }
+
   /* ---------------------------------------------------------
    * 1️⃣ Fetch shared route data (only once for all vehicles)
    * --------------------------------------------------------- */
@@ -39,7 +76,7 @@ export const createFare = asyncHandler(async (req, res) => {
   const gStart = process.hrtime.bigint(); // ⏱ START Google timer
   try {
     console.log("📡 Fetching Google route (shared for all vehicles)...");
-    sharedRoute = await getGoogleRouteDuration(origin, destination, "car");
+    sharedRoute = await getGoogleRouteDuration(origin, destination, "car", stops);
 
     if (sharedRoute) {
       console.log(
@@ -57,9 +94,14 @@ export const createFare = asyncHandler(async (req, res) => {
     }
   }
 }
+  const usedGoogleData = !!sharedRoute;
+  if (origin && destination && !sharedRoute) {
+    sharedRoute = estimateRoute(origin, destination, stops);
+    console.warn(`⚠️ Google route unavailable — estimated ${sharedRoute.distanceKm.toFixed(2)} km from coordinates`);
+  }
 
 
-  // Use shared route for all vehicles
+  // Use shared route for all vehicles (client distance/duration only for bare estimates)
   let liveDistanceKm = sharedRoute?.distanceKm || distanceKm;
   let liveDurationMin = sharedRoute
     ? sharedRoute.durationSec / 60
@@ -98,13 +140,7 @@ if (req.__profile) {
   /* ---------------------------------------------------------
    * 3️⃣ Apply per-vehicle travel time adjustment
    * --------------------------------------------------------- */
-  const vehicleTimeFactor = {
-    bike: 0.8, // faster
-    auto: 0.9,
-    car: 1.0,
-    premium: 1.05,
-    xl: 1.1,
-  }[vType] || 1.0;
+  const vehicleTimeFactor = VEHICLE_TIME_FACTOR[vType] || 1.0;
 
   liveDurationMin *= vehicleTimeFactor;
 
@@ -120,7 +156,22 @@ if (req.__profile) {
   });
 
   /* ---------------------------------------------------------
-   * 4️⃣ Calculate fare
+   * 4️⃣ Zone surge (live supply vs demand at pickup)
+   * --------------------------------------------------------- */
+  let surgeZone = null;
+  if (origin && category !== "long") {
+    try {
+      surgeZone = await getZoneSurge({ lat: origin.lat, lng: origin.lng, city });
+      console.log(
+        `📈 Zone ${surgeZone.zoneId}: x${surgeZone.multiplier} (${surgeZone.source}, ${surgeZone.demand}/${surgeZone.supply})`
+      );
+    } catch (err) {
+      console.error("⚠️ Zone surge lookup failed:", err.message);
+    }
+  }
+
+  /* ---------------------------------------------------------
+   * 5️⃣ Calculate fare
    * --------------------------------------------------------- */
   let result;
   try {
@@ -130,8 +181,10 @@ if (req.__profile) {
       durationMin: liveDurationMin,
       tripDays,
       returnTrip,
-      surge,
+      // Quotable fares only take server-side surge; body surge is for bare estimates
+      surge: origin && destination ? surgeZone?.multiplier ?? 1 : surge,
       weight,
+      stops: stops.length,
       startTime,
       dropTime,
     });
@@ -141,12 +194,109 @@ if (req.__profile) {
   }
 
   /* ---------------------------------------------------------
-   * 5️⃣ Respond
+   * 6️⃣ Issue signed quote (binds route + vehicle + fare)
+   * --------------------------------------------------------- */
+  let quote = null;
+  if (origin && destination) {
+    quote = issueFareQuote({
+      category,
+      vehicleType: vType,
+      pickup: [Number(origin.lng), Number(origin.lat)],
+      drop: [Number(destination.lng), Number(destination.lat)],
+      fare: result,
+      extras: {
+        state,
+        city,
+        distanceKm: liveDistanceKm,
+        durationMin: liveDurationMin,
+        tripDays: result.pricing.inputs.tripDays,
+        returnTrip: result.pricing.inputs.returnTrip,
+        weight,
+        stops: stops.map((s) => [Number(s.lng), Number(s.lat)]),
+        surgeZoneId: surgeZone?.zoneId || null,
+        pricing: result.pricing,
+      },
+    });
+  }
+
+  /* ---------------------------------------------------------
+   * 7️⃣ Respond
    * --------------------------------------------------------- */
   res.json({
     ok: true,
     rateSource: dbRate ? "db" : "internal",
-    usedGoogleData: !!(origin && destination),
+    usedGoogleData,
+    quoteId: quote?.quoteId || null,
+    quoteExpiresAt: quote?.expiresAt || null,
+    surgeZone: surgeZone
+      ? { zoneId: surgeZone.zoneId, multiplier: surgeZone.multiplier, source: surgeZone.source }
+      : null,
     ...result,
   });
 });
+
+/**
+ * GET /api/fares/replay/:tripId   (admin)
+ * Recomputes a past trip's fare from the pricing inputs and rate snapshot
+ * stored when it was booked. ?useCurrentRate=true prices the same inputs
+ * against today's Rate document instead.
+ */
+export const replayTripFare = asyncHandler(async (req, res) => {
+  const { tripId } = req.params;
+
+  const trip = await Trip.findById(tripId)
+    .select("type vehicleType fare originalFare pricing createdAt")
+    .lean();
+
+  if (!trip) {
+    return res.status(404).json({ ok: false, message: "Trip not found" });
+  }
+  if (!trip.pricing?.inputs) {
+    return res.status(422).json({
+      ok: false,
+      message: "Trip has no stored pricing inputs (booked before quotes recorded them)",
+    });
+  }
+
+  let rate = trip.pricing.rate;
+  if (req.query.useCurrentRate === "true") {
+    const current = rate?.rateId ? await Rate.findById(rate.rateId) : null;
+    if (!current) {
+      return res.status(404).json({ ok: false, message: "Current rate document not found" });
+    }
+    rate = current;
+  }
+
+  let result;
+  try {
+    result = calcFare({ rate, ...trip.pricing.inputs });
+  } catch (err) {
+    console.error("❌ Fare replay error:", err);
+    return res.status(400).json({ ok: false, message: err.message });
+  }
+
+  const quotedTotal = trip.pricing.quotedTotal ?? trip.originalFare ?? trip.fare;
+
+  console.log(`🔁 Fare replay ${tripId}: stored ₹${quotedTotal} → replayed ₹${result.total}`);
+
+  res.json({
+    ok: true,
+    tripId,
+    bookedAt: trip.createdAt,
+    usedCurrentRate: req.query.useCurrentRate === "true",
+    stored: {
+      total: quotedTotal,
+      chargedFare: trip.fare,
+      ruleVersion: trip.pricing.ruleVersion,
+      engineVersion: trip.pricing.engineVersion,
+    },
+    replayed: {
+      total: result.total,
+      ruleVersion: result.pricing.ruleVersion,
+      engineVersion: result.pricing.engineVersion,
+      breakdown: result.breakdown,
+    },
+    matches: result.total === quotedTotal,
+    engineChanged: result.pricing.engineVersion !== trip.pricing.engineVersion,
+  });
+});
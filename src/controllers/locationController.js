@@ -2,6 +2,8 @@
 import User from '../models/User.js';
 import Trip from '../models/Trip.js';
 import { io } from '../server.js'; 
+import { userRoom } from '../socket/socketAuth.js';
+import { recordTrailPoint } from '../utils/tripTrail.js';
 
 /**
  * Resolve a user by MongoDB ObjectId or phone number
@@ -45,7 +47,8 @@ const updateDriverLocation = async (req, res) => {
       latitude, 
       longitude, 
       sequence,      // ✅ NEW: Sequence number from client
-      timestamp      // ✅ NEW: Client timestamp
+      timestamp,     // ✅ NEW: Client timestamp
+      accuracy       // GPS accuracy in metres (trip trail filtering)
     } = req.body;
 
     console.log('');
@@ -62,6 +65,11 @@ const updateDriverLocation = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Driver not found.' });
     }
 
+    // Signed-in callers may only move themselves
+    if (req.user && req.user._id.toString() !== user._id.toString()) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
     const coords = buildCoordinates(coordinates, latitude, longitude);
     if (!coords) {
       console.log('❌ Invalid coordinates');
@@ -102,7 +110,7 @@ const updateDriverLocation = async (req, res) => {
     const result = await User.findOneAndUpdate(
       updateQuery,
       updateData,
-      { new: true, select: 'locationSequence lastLocationUpdate location socketId' }
+      { new: true, select: 'locationSequence lastLocationUpdate location' }
     );
 
     // ❌ Sequence check failed - older update
@@ -129,31 +137,36 @@ const updateDriverLocation = async (req, res) => {
     // ✅ EMIT VIA SOCKET: Broadcast to customer of this trip
     if (tripId) {
       const trip = await Trip.findById(tripId).lean();
+      // Only authenticated points feed the trip trail (and its distance)
+      if (trip && req.user) {
+        await recordTrailPoint(trip, {
+          driverId: user._id,
+          latitude: coords[1],
+          longitude: coords[0],
+          timestamp,
+          accuracy,
+        });
+      }
       if (trip && trip.customerId) {
-        const customer = await User.findById(trip.customerId).select('socketId').lean();
-        if (customer?.socketId) {
-          // ✅ Calculate distance to destination
-          const dropLat = trip.drop.coordinates[1];
-          const dropLng = trip.drop.coordinates[0];
-          const distance = calculateDistance(coords[1], coords[0], dropLat, dropLng);
-          const distanceInMeters = distance * 1000;
-
-          const payload = {
-            tripId,
-            driverId: user._id.toString(),
-            latitude: coords[1],
-            longitude: coords[0],
-            distanceToDestination: Math.round(distanceInMeters),
-            sequence: result.locationSequence,
-            timestamp: result.lastLocationUpdate || new Date()
-          };
-
-          io.to(customer.socketId).emit('driver:locationUpdate', payload);
-          console.log(`📡 Emitted driver location to customer socket: ${customer.socketId}`);
-          console.log(`   Distance to destination: ${Math.round(distanceInMeters)}m`);
-        } else {
-          console.log(`⚠️ Customer socket not found for trip ${tripId}`);
-        }
+        // ✅ Calculate distance to destination
+        const dropLat = trip.drop.coordinates[1];
+        const dropLng = trip.drop.coordinates[0];
+        const distance = calculateDistance(coords[1], coords[0], dropLat, dropLng);
+        const distanceInMeters = distance * 1000;
+
+        const payload = {
+          tripId,
+          driverId: user._id.toString(),
+          latitude: coords[1],
+          longitude: coords[0],
+          distanceToDestination: Math.round(distanceInMeters),
+          sequence: result.locationSequence,
+          timestamp: result.lastLocationUpdate || new Date()
+        };
+
+        io.to(userRoom(trip.customerId)).emit('driver:locationUpdate', payload);
+        console.log(`📡 Emitted driver location to customer ${trip.customerId}`);
+        console.log(`   Distance to destination: ${Math.round(distanceInMeters)}m`);
       } else {
         console.log(`⚠️ Trip ${tripId} not found or has no customer`);
       }
@@ -288,22 +301,17 @@ const updateCustomerLocation = async (req, res) => {
     if (tripId) {
       const trip = await Trip.findById(tripId).lean();
       if (trip && trip.assignedDriver) {
-        const driver = await User.findById(trip.assignedDriver).select('socketId').lean();
-        if (driver?.socketId) {
-          const payload = {
-            tripId,
-            customerId: user._id.toString(),
-            latitude: coords[1],
-            longitude: coords[0],
-            sequence: result.locationSequence,
-            timestamp: result.lastLocationUpdate || new Date()
-          };
-
-          io.to(driver.socketId).emit('location:update_customer', payload);
-          console.log(`📡 Sent customer location to driver socket: ${driver.socketId}`);
-        } else {
-          console.warn(`⚠️ No active socket found for driver ${trip.assignedDriver}`);
-        }
+        const payload = {
+          tripId,
+          customerId: user._id.toString(),
+          latitude: coords[1],
+          longitude: coords[0],
+          sequence: result.locationSequence,
+          timestamp: result.lastLocationUpdate || new Date()
+        };
+
+        io.to(userRoom(trip.assignedDriver)).emit('location:update_customer', payload);
+        console.log(`📡 Sent customer location to driver ${trip.assignedDriver}`);
       }
     }
 
@@ -0,0 +1,294 @@
+// src/controllers/payoutController.js
+import mongoose from 'mongoose';
+import Payout from '../models/Payout.js';
+import PayoutMethod from '../models/PayoutMethod.js';
+import {
+  maskMethod,
+  payoutView,
+  verifyPayoutMethod,
+  getPayoutEligibility,
+  requestPayout,
+  cancelPayout,
+} from '../utils/payouts.js';
+
+/**
+ * Driver side of payouts (utils/payouts.js). The driver is always the
+ * authenticated user.
+ */
+
+const MAX_METHODS = 5;
+
+const requireDriver = (req, res) => {
+  if (!req.user?.isDriver) {
+    res.status(403).json({ success: false, message: 'Only drivers can use payouts' });
+    return false;
+  }
+  return true;
+};
+
+const sendError = (res, err, label) => {
+  if (!err.statusCode) console.error(`🔥 ${label} error:`, err);
+  res.status(err.statusCode || 500).json({
+    success: false,
+    message: err.message,
+    ...(err.errorCode && { errorCode: err.errorCode })
+  });
+};
+
+const methodView = (method) => ({
+  methodId: method._id,
+  ...maskMethod(method),
+  status: method.status,
+  isDefault: method.isDefault,
+  nameAtBank: method.verification?.nameAtBank || null,
+  failureReason: method.verification?.failureReason || null,
+  verifiedAt: method.verification?.verifiedAt || null,
+});
+
+/**
+ * GET /api/payouts/methods
+ */
+export const getPayoutMethods = async (req, res) => {
+  try {
+    if (!requireDriver(req, res)) return;
+
+    const methods = await PayoutMethod.find({ driverId: req.user._id, removedAt: null })
+      .sort({ isDefault: -1, createdAt: -1 })
+      .lean();
+
+    res.status(200).json({ success: true, methods: methods.map(methodView) });
+  } catch (err) {
+    sendError(res, err, 'getPayoutMethods');
+  }
+};
+
+/**
+ * POST /api/payouts/methods
+ * Body → { type: 'bank', accountHolderName, accountNumber, ifsc }
+ *      | { type: 'upi', accountHolderName, upiId }
+ * Verified straight away through the payout provider.
+ */
+export const addPayoutMethod = async (req, res) => {
+  try {
+    if (!requireDriver(req, res)) return;
+
+    const { type, accountHolderName, accountNumber, ifsc, upiId } = req.body;
+
+    if (!['bank', 'upi'].includes(type) || !accountHolderName?.trim()) {
+      return res.status(400).json({ success: false, message: 'type (bank | upi) and accountHolderName are required' });
+    }
+    if (type === 'bank' && (!accountNumber || !ifsc)) {
+      return res.status(400).json({ success: false, message: 'accountNumber and ifsc are required for bank accounts' });
+    }
+    if (type === 'upi' && !upiId) {
+      return res.status(400).json({ success: false, message: 'upiId is required for UPI' });
+    }
+
+    const existing = await PayoutMethod.countDocuments({ driverId: req.user._id, removedAt: null });
+    if (existing >= MAX_METHODS) {
+      return res.status(400).json({ success: false, message: `You can save up to ${MAX_METHODS} payout methods` });
+    }
+
+    const cleanAccount = type === 'bank' ? String(accountNumber).replace(/\s/g, '') : null;
+    const method = await PayoutMethod.create({
+      driverId: req.user._id,
+      type,
+      accountHolderName: accountHolderName.trim(),
+      accountNumber: cleanAccount,
+      accountNumberLast4: cleanAccount ? cleanAccount.slice(-4) : null,
+      ifsc: type === 'bank' ? ifsc : null,
+      upiId: type === 'upi' ? upiId : null,
+      isDefault: existing === 0,
+    });
+
+    const verified = await verifyPayoutMethod(method._id);
+    console.log(`🏦 Payout method ${method._id} added by driver ${req.user._id}: ${verified.status}`);
+
+    res.status(201).json({ success: true, method: methodView(verified) });
+  } catch (err) {
+    sendError(res, err, 'addPayoutMethod');
+  }
+};
+
+const loadOwnMethod = async (req, res) => {
+  const { methodId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(methodId)) {
+    res.status(400).json({ success: false, message: 'Invalid methodId' });
+    return null;
+  }
+  const method = await PayoutMethod.findOne({ _id: methodId, driverId: req.user._id, removedAt: null });
+  if (!method) {
+    res.status(404).json({ success: false, message: 'Payout method not found' });
+    return null;
+  }
+  return method;
+};
+
+/**
+ * POST /api/payouts/methods/:methodId/verify - retry verification
+ */
+export const reverifyPayoutMethod = async (req, res) => {
+  try {
+    if (!requireDriver(req, res)) return;
+    const method = await loadOwnMethod(req, res);
+    if (!method) return;
+
+    if (method.status === 'verified') {
+      return res.status(200).json({ success: true, method: methodView(method) });
+    }
+
+    const verified = await verifyPayoutMethod(method._id);
+    res.status(200).json({ success: true, method: methodView(verified) });
+  } catch (err) {
+    sendError(res, err, 'reverifyPayoutMethod');
+  }
+};
+
+/**
+ * PUT /api/payouts/methods/:methodId/default
+ */
+export const setDefaultPayoutMethod = async (req, res) => {
+  try {
+    if (!requireDriver(req, res)) return;
+    const method = await loadOwnMethod(req, res);
+    if (!method) return;
+
+    if (method.status !== 'verified') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only a verified method can be the default',
+        errorCode: 'METHOD_NOT_VERIFIED'
+      });
+    }
+
+    await PayoutMethod.updateMany({ driverId: req.user._id, _id: { $ne: method._id } }, { $set: { isDefault: false } });
+    method.isDefault = true;
+    await method.save();
+
+    res.status(200).json({ success: true, method: methodView(method) });
+  } catch (err) {
+    sendError(res, err, 'setDefaultPayoutMethod');
+  }
+};
+
+/**
+ * DELETE /api/payouts/methods/:methodId
+ */
+export const removePayoutMethod = async (req, res) => {
+  try {
+    if (!requireDriver(req, res)) return;
+    const method = await loadOwnMethod(req, res);
+    if (!method) return;
+
+    const inUse = await Payout.exists({ payoutMethodId: method._id, open: true });
+    if (inUse) {
+      return res.status(409).json({
+        success: false,
+        message: 'This method has a payout in progress',
+        errorCode: 'PAYOUT_IN_PROGRESS'
+      });
+    }
+
+    method.removedAt = new Date();
+    method.isDefault = false;
+    await method.save();
+
+    res.status(200).json({ success: true, message: 'Payout method removed' });
+  } catch (err) {
+    sendError(res, err, 'removePayoutMethod');
+  }
+};
+
+/**
+ * GET /api/payouts/balance - withdrawable amount, limits and today's usage
+ */
+export const getPayoutBalance = async (req, res) => {
+  try {
+    if (!requireDriver(req, res)) return;
+    const eligibility = await getPayoutEligibility(req.user._id);
+    res.status(200).json({ success: true, ...eligibility });
+  } catch (err) {
+    sendError(res, err, 'getPayoutBalance');
+  }
+};
+
+/**
+ * POST /api/payouts
+ * Body → { amount, payoutMethodId? } (default method if omitted)
+ */
+export const createPayoutRequest = async (req, res) => {
+  try {
+    if (!requireDriver(req, res)) return;
+
+    const { payoutMethodId } = req.body;
+    if (payoutMethodId && !mongoose.Types.ObjectId.isValid(payoutMethodId)) {
+      return res.status(400).json({ success: false, message: 'Invalid payoutMethodId' });
+    }
+
+    const payout = await requestPayout({
+      driverId: req.user._id,
+      amount: Number(req.body.amount),
+      payoutMethodId: payoutMethodId || null,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout requested. It will be sent once approved.',
+      payout: payoutView(payout)
+    });
+  } catch (err) {
+    sendError(res, err, 'createPayoutRequest');
+  }
+};
+
+/**
+ * GET /api/payouts?page=1&limit=20
+ */
+export const getMyPayouts = async (req, res) => {
+  try {
+    if (!requireDriver(req, res)) return;
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const query = { driverId: req.user._id };
+
+    const [total, payouts] = await Promise.all([
+      Payout.countDocuments(query),
+      Payout.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      payouts: payouts.map(payoutView),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    sendError(res, err, 'getMyPayouts');
+  }
+};
+
+/**
+ * POST /api/payouts/:payoutId/cancel - only while waiting for approval
+ */
+export const cancelMyPayout = async (req, res) => {
+  try {
+    if (!requireDriver(req, res)) return;
+
+    const { payoutId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(payoutId)) {
+      return res.status(400).json({ success: false, message: 'Invalid payoutId' });
+    }
+
+    const payout = await cancelPayout({ driverId: req.user._id, payoutId });
+    if (!payout) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only a payout waiting for approval can be cancelled'
+      });
+    }
+
+    res.status(200).json({ success: true, message: 'Payout cancelled', payout: payoutView(payout) });
+  } catch (err) {
+    sendError(res, err, 'cancelMyPayout');
+  }
+};
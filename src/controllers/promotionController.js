@@ -1,6 +1,153 @@
 // controllers/promotionController.js
+import mongoose from 'mongoose';
 import Promotion from '../models/Promotion.js';
+import PromotionEvent from '../models/PromotionEvent.js';
+import Coupon from '../models/Coupon.js';
+import Trip from '../models/Trip.js';
 import cloudinary from '../utils/cloudinary.js'; // ✅ Use your existing cloudinary
+import { normalizeCouponCode } from '../utils/coupons.js';
+
+// =====================================================
+// 🧩 Campaign helpers
+// =====================================================
+
+// Multipart uploads send nested fields as JSON strings
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Pick and validate scheduling / targeting / action fields from a request body.
+ * @returns {Promise<{ fields?: Object, error?: string }>}
+ */
+const buildCampaignFields = async (body) => {
+  const fields = {};
+
+  for (const key of ['startAt', 'endAt']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === '') {
+      fields[key] = null;
+      continue;
+    }
+    const date = new Date(body[key]);
+    if (Number.isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+    fields[key] = date;
+  }
+  if (fields.startAt && fields.endAt && fields.startAt >= fields.endAt) {
+    return { error: 'startAt must be before endAt' };
+  }
+
+  if (body.targeting !== undefined) {
+    const targeting = parseJsonField(body.targeting) || {};
+    const roles = targeting.roles || [];
+    const audience = targeting.audience || 'all';
+
+    if (roles.some((r) => !['customer', 'driver'].includes(r))) {
+      return { error: 'targeting.roles may only contain customer and driver' };
+    }
+    if (!['all', 'new', 'returning'].includes(audience)) {
+      return { error: 'targeting.audience must be all, new or returning' };
+    }
+
+    fields.targeting = {
+      cities: (targeting.cities || []).map((c) => String(c).trim().toLowerCase()),
+      roles,
+      audience,
+    };
+  }
+
+  if (body.action !== undefined) {
+    const action = parseJsonField(body.action) || {};
+    const type = action.type || 'none';
+
+    if (!['none', 'deeplink', 'open_screen', 'apply_coupon'].includes(type)) {
+      return { error: 'action.type must be none, deeplink, open_screen or apply_coupon' };
+    }
+    if (type !== 'none' && !action.value) {
+      return { error: 'action.value is required for this action type' };
+    }
+
+    let value = type === 'none' ? null : String(action.value);
+    if (type === 'apply_coupon') {
+      value = normalizeCouponCode(value);
+      if (!(await Coupon.exists({ code: value }))) {
+        return { error: `Coupon ${value} does not exist` };
+      }
+    }
+
+    fields.action = { type, value, params: action.params || null };
+  }
+
+  return { fields };
+};
+
+// Signed-in user ID, else the device ID the app sends
+const viewerKeyOf = (req) =>
+  req.user?._id?.toString() ||
+  req.get('x-device-id') ||
+  req.query.deviceId ||
+  req.body?.deviceId ||
+  null;
+
+const utcDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Record one impression/click per viewer per day; the banner counters only
+ * move on the first one.
+ */
+const recordPromotionEvents = async (promotionIds, req, type) => {
+  const viewerKey = viewerKeyOf(req);
+  if (!viewerKey || !promotionIds.length) return 0;
+
+  const now = new Date();
+  const day = utcDay(now);
+
+  let upsertedIds;
+  try {
+    const result = await PromotionEvent.bulkWrite(
+      promotionIds.map((promotionId) => ({
+        updateOne: {
+          filter: { promotionId, viewerKey, type, day },
+          update: {
+            $setOnInsert: { userId: req.user?._id || null, firstAt: now },
+            $set: { lastAt: now },
+            $inc: { hits: 1 },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    upsertedIds = result.upsertedIds;
+  } catch (err) {
+    // Two parallel first hits race on the unique index; the other one counted
+    // that promotion, but the rest of the unordered batch still went through
+    if (err.code !== 11000) {
+      console.error(`❌ Error recording promotion ${type}s:`, err.message);
+      return 0;
+    }
+    upsertedIds = err.result?.upsertedIds;
+  }
+
+  const fresh = Object.keys(upsertedIds || {}).map((i) => promotionIds[i]);
+  try {
+    if (fresh.length) {
+      await Promotion.updateMany(
+        { _id: { $in: fresh } },
+        { $inc: { [type === 'view' ? 'viewCount' : 'clickCount']: 1 } }
+      );
+    }
+  } catch (err) {
+    console.error(`❌ Error counting promotion ${type}s:`, err.message);
+    return 0;
+  }
+  return fresh.length;
+};
 
 /**
  * Upload new promotion to Cloudinary
@@ -26,6 +173,15 @@ export const uploadPromotion = async (req, res) => {
       return res.status(400).json({ message: 'Title is required' });
     }
 
+    // Optional campaign settings (targeting / action come as JSON strings)
+    const { fields: campaign, error: campaignError } = await buildCampaignFields(req.body);
+    if (campaignError) {
+      if (req.file.filename) {
+        await cloudinary.uploader.destroy(req.file.filename);
+      }
+      return res.status(400).json({ message: campaignError });
+    }
+
     // ✅ Cloudinary automatically provides the permanent URL
     const imageUrl = req.file.path; // Full Cloudinary URL (permanent!)
     const cloudinaryId = req.file.filename; // Cloudinary public_id for deletion
@@ -43,6 +199,7 @@ export const uploadPromotion = async (req, res) => {
       imagePath: cloudinaryId, // Store Cloudinary ID for deletion
       order,
       isActive: true,
+      ...campaign,
     });
 
     console.log('✅ Promotion created:', promotion._id);
@@ -95,25 +252,42 @@ export const getAllPromotions = async (req, res) => {
 };
 
 /**
- * Get active promotions (Customer App)
- * GET /api/promotions/active
+ * Get active promotions (Customer / Driver App)
+ * GET /api/promotions/active?city=&role=&deviceId=
+ * Only campaigns running now and targeted at this viewer; each banner
+ * counts at most one impression per viewer per day.
  */
 export const getActivePromotions = async (req, res) => {
   try {
-    console.log('📱 Customer app fetching active promotions');
-    
-    const promotions = await Promotion.find({ isActive: true })
+    console.log('📱 App fetching active promotions');
+
+    const now = new Date();
+    const city = (req.query.city || req.user?.city || '').toString().trim().toLowerCase() || null;
+    const role = req.user ? (req.user.isDriver ? 'driver' : 'customer') : req.query.role || null;
+
+    // new = no completed trip yet; signed-out viewers only see `all` campaigns
+    let audience = null;
+    if (req.user) {
+      const field = req.user.isDriver ? 'assignedDriver' : 'customerId';
+      audience = (await Trip.exists({ [field]: req.user._id, status: 'completed' })) ? 'returning' : 'new';
+    }
+
+    const promotions = await Promotion.find({
+      isActive: true,
+      $and: [
+        { $or: [{ startAt: null }, { startAt: { $lte: now } }] },
+        { $or: [{ endAt: null }, { endAt: { $gt: now } }] },
+        { $or: [{ 'targeting.cities.0': { $exists: false } }, ...(city ? [{ 'targeting.cities': city }] : [])] },
+        { $or: [{ 'targeting.roles.0': { $exists: false } }, ...(role ? [{ 'targeting.roles': role }] : [])] },
+        { 'targeting.audience': { $in: [null, 'all', ...(audience ? [audience] : [])] } },
+      ],
+    })
       .sort({ order: 1 })
-      .select('title imageUrl order');
+      .select('title imageUrl order action');
 
-    console.log(`✅ Returning ${promotions.length} active promotions`);
+    console.log(`✅ Returning ${promotions.length} active promotions (city=${city}, role=${role}, audience=${audience})`);
 
-    // Increment view count for each promotion
-    const promotionIds = promotions.map(p => p._id);
-    await Promotion.updateMany(
-      { _id: { $in: promotionIds } },
-      { $inc: { viewCount: 1 } }
-    );
+    await recordPromotionEvents(promotions.map((p) => p._id), req, 'view');
 
     res.status(200).json({
       message: 'Active promotions fetched successfully',
@@ -125,6 +299,100 @@ export const getActivePromotions = async (req, res) => {
   }
 };
 
+/**
+ * Update scheduling, targeting and action of a promotion
+ * PUT /api/admin/promotions/:id/campaign
+ * Body → { startAt?, endAt?, targeting?: { cities, roles, audience }, action?: { type, value, params } }
+ */
+export const updatePromotionCampaign = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid promotion id' });
+    }
+
+    const { fields, error } = await buildCampaignFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const promotion = await Promotion.findByIdAndUpdate(id, { $set: fields }, { new: true, runValidators: true });
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    console.log(`📅 Promotion ${id} campaign updated`);
+    res.status(200).json({ message: 'Promotion campaign updated successfully', promotion });
+  } catch (err) {
+    console.error('❌ Error updating promotion campaign:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Daily unique impressions, clicks and CTR
+ * GET /api/admin/promotions/:id/stats?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+export const getPromotionStats = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid promotion id' });
+    }
+
+    const promotion = await Promotion.findById(id).select('title startAt endAt viewCount clickCount').lean();
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    const to = req.query.to || utcDay();
+    const from = req.query.from || utcDay(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000));
+
+    const rows = await PromotionEvent.aggregate([
+      { $match: { promotionId: promotion._id, day: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: { day: '$day', type: '$type' },
+          unique: { $sum: 1 },
+          hits: { $sum: '$hits' },
+        },
+      },
+    ]);
+
+    const ctr = (clicks, views) => (views ? Math.round((clicks / views) * 10000) / 100 : 0);
+    const byDay = {};
+    for (const row of rows) {
+      const day = (byDay[row._id.day] ||= { day: row._id.day, views: 0, clicks: 0, rawViews: 0, rawClicks: 0 });
+      if (row._id.type === 'view') {
+        day.views = row.unique;
+        day.rawViews = row.hits;
+      } else {
+        day.clicks = row.unique;
+        day.rawClicks = row.hits;
+      }
+    }
+
+    const daily = Object.values(byDay)
+      .sort((a, b) => a.day.localeCompare(b.day))
+      .map((d) => ({ ...d, ctr: ctr(d.clicks, d.views) }));
+
+    const views = daily.reduce((sum, d) => sum + d.views, 0);
+    const clicks = daily.reduce((sum, d) => sum + d.clicks, 0);
+
+    res.status(200).json({
+      message: 'Promotion stats fetched successfully',
+      promotion,
+      from,
+      to,
+      totals: { views, clicks, ctr: ctr(clicks, views) },
+      daily,
+    });
+  } catch (err) {
+    console.error('❌ Error fetching promotion stats:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 /**
  * Toggle promotion active status
  * PUT /api/admin/promotions/:id/toggle
@@ -239,20 +507,25 @@ export const updatePromotionOrder = async (req, res) => {
 };
 
 /**
- * Track promotion click
+ * Track promotion click (one per viewer per day) and return the banner action
  * POST /api/promotions/:id/click
  */
 export const trackPromotionClick = async (req, res) => {
   try {
     const { id } = req.params;
-    
-    console.log(`👆 Click tracked for promotion ${id}`);
-    
-    await Promotion.findByIdAndUpdate(id, {
-      $inc: { clickCount: 1 }
-    });
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid promotion id' });
+    }
+
+    const promotion = await Promotion.findById(id).select('action').lean();
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    const counted = await recordPromotionEvents([promotion._id], req, 'click');
+    console.log(`👆 Click on promotion ${id} (${counted ? 'new' : 'repeat'})`);
 
-    res.status(200).json({ message: 'Click tracked' });
+    res.status(200).json({ message: 'Click tracked', action: promotion.action || { type: 'none' } });
   } catch (err) {
     console.error('❌ Error tracking click:', err);
     res.status(500).json({ message: 'Server error' });
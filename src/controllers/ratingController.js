@@ -0,0 +1,282 @@
+// src/controllers/ratingController.js
+import mongoose from 'mongoose';
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import TripRating from '../models/TripRating.js';
+import { RATINGS } from '../config/tripConfig.js';
+
+/**
+ * Two-way post-trip ratings.
+ * Once a trip is completed the customer and the driver each get one rating
+ * of the other side, until the rating window closes. Every new rating
+ * refreshes the ratee's rolling average in User.rating.
+ */
+
+export const ratingWindowClosesAt = (trip) => {
+  const completedAt = trip.completedAt || trip.endTime;
+  if (!completedAt) return null;
+  return new Date(new Date(completedAt).getTime() + RATINGS.WINDOW_HOURS * 60 * 60 * 1000);
+};
+
+// Which side of the trip is this user on?
+const roleInTrip = (trip, userId) => {
+  const id = String(userId);
+  if (String(trip.customerId) === id) return 'customer';
+  if (trip.assignedDriver && String(trip.assignedDriver) === id) return 'driver';
+  return null;
+};
+
+// Hidden comments are never shown to the person being rated
+const ratingView = (rating, { forAdmin = false } = {}) => ({
+  id: rating._id,
+  tripId: rating.tripId,
+  raterRole: rating.raterRole,
+  rateeRole: rating.rateeRole,
+  score: rating.score,
+  tags: rating.tags,
+  comment: rating.commentHidden && !forAdmin ? null : rating.comment,
+  commentHidden: rating.commentHidden,
+  createdAt: rating.createdAt,
+  ...(forAdmin && {
+    raterId: rating.raterId,
+    rateeId: rating.rateeId,
+    hiddenReason: rating.hiddenReason,
+    hiddenBy: rating.hiddenBy,
+    hiddenAt: rating.hiddenAt,
+  }),
+});
+
+/**
+ * Recompute the rolling average of the latest ROLLING_COUNT ratings received.
+ */
+export const refreshUserRating = async (userId) => {
+  const [stats] = await TripRating.aggregate([
+    { $match: { rateeId: new mongoose.Types.ObjectId(String(userId)) } },
+    { $sort: { createdAt: -1 } },
+    { $limit: RATINGS.ROLLING_COUNT },
+    { $group: { _id: null, average: { $avg: '$score' }, count: { $sum: 1 } } },
+  ]);
+  if (!stats) return null;
+
+  const rating = Math.round(stats.average * 100) / 100;
+  const ratingCount = await TripRating.countDocuments({ rateeId: userId });
+  await User.updateOne({ _id: userId }, { $set: { rating, ratingCount } });
+  return { rating, ratingCount };
+};
+
+/**
+ * POST /api/ratings/trip/:tripId
+ * Body → { score, tags?, comment? } (rater comes from the auth token)
+ */
+export const submitRating = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { score, tags = [], comment } = req.body;
+    const raterId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: 'Invalid tripId' });
+    }
+
+    const value = Number(score);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      return res.status(400).json({ success: false, message: 'score must be a whole number from 1 to 5' });
+    }
+
+    const trip = await Trip.findById(tripId).select('customerId assignedDriver status completedAt endTime').lean();
+    if (!trip) {
+      return res.status(404).json({ success: false, message: 'Trip not found' });
+    }
+
+    const raterRole = roleInTrip(trip, raterId);
+    if (!raterRole) {
+      return res.status(403).json({ success: false, message: 'Not authorized to rate this trip' });
+    }
+
+    if (trip.status !== 'completed') {
+      return res.status(400).json({ success: false, message: 'Only completed trips can be rated' });
+    }
+
+    const closesAt = ratingWindowClosesAt(trip);
+    if (!closesAt || closesAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The rating window for this trip has closed',
+        errorCode: 'RATING_WINDOW_CLOSED',
+      });
+    }
+
+    const rateeRole = raterRole === 'customer' ? 'driver' : 'customer';
+    const allowedTags = RATINGS.TAGS[rateeRole];
+    const cleanTags = [...new Set(Array.isArray(tags) ? tags : [])];
+    const unknown = cleanTags.filter((t) => !allowedTags.includes(t));
+    if (unknown.length || cleanTags.length > RATINGS.MAX_TAGS) {
+      return res.status(400).json({
+        success: false,
+        message: unknown.length
+          ? `Unknown tags: ${unknown.join(', ')}`
+          : `At most ${RATINGS.MAX_TAGS} tags allowed`,
+        allowedTags,
+      });
+    }
+
+    if (comment && String(comment).length > RATINGS.MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Comment must be at most ${RATINGS.MAX_COMMENT_LENGTH} characters`,
+      });
+    }
+
+    let rating;
+    try {
+      rating = await TripRating.create({
+        tripId,
+        raterId,
+        raterRole,
+        rateeId: raterRole === 'customer' ? trip.assignedDriver : trip.customerId,
+        rateeRole,
+        score: value,
+        tags: cleanTags,
+        comment: comment ? String(comment).trim() : null,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ success: false, message: 'You have already rated this trip' });
+      }
+      throw err;
+    }
+
+    const updated = await refreshUserRating(rating.rateeId);
+    console.log(`⭐ ${raterRole} rated trip ${tripId}: ${value}/5 → ${rateeRole} avg ${updated?.rating}`);
+
+    res.status(201).json({ success: true, message: 'Rating submitted', rating: ratingView(rating) });
+  } catch (err) {
+    console.error('🔥 submitRating error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * GET /api/ratings/trip/:tripId
+ * Caller's rating status for a trip: can they still rate, what they gave,
+ * and what they received.
+ */
+export const getTripRatingStatus = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: 'Invalid tripId' });
+    }
+
+    const trip = await Trip.findById(tripId).select('customerId assignedDriver status completedAt endTime').lean();
+    if (!trip) {
+      return res.status(404).json({ success: false, message: 'Trip not found' });
+    }
+
+    const role = roleInTrip(trip, req.user._id);
+    if (!role) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    const ratings = await TripRating.find({ tripId }).lean();
+    const given = ratings.find((r) => r.raterRole === role);
+    const received = ratings.find((r) => r.rateeRole === role);
+    const closesAt = ratingWindowClosesAt(trip);
+    const rateeRole = role === 'customer' ? 'driver' : 'customer';
+
+    res.status(200).json({
+      success: true,
+      role,
+      windowClosesAt: closesAt,
+      canRate: trip.status === 'completed' && !given && !!closesAt && closesAt > new Date(),
+      allowedTags: RATINGS.TAGS[rateeRole],
+      given: given ? ratingView(given) : null,
+      received: received ? ratingView(received) : null,
+    });
+  } catch (err) {
+    console.error('🔥 getTripRatingStatus error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * GET /api/admin/ratings/low?maxScore=2&rateeRole=driver&page=1&limit=20
+ */
+export const getLowRatedTrips = async (req, res) => {
+  try {
+    const maxScore = Number(req.query.maxScore) || RATINGS.LOW_SCORE_THRESHOLD;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const query = { score: { $lte: maxScore } };
+    if (['customer', 'driver'].includes(req.query.rateeRole)) query.rateeRole = req.query.rateeRole;
+
+    const [ratings, total] = await Promise.all([
+      TripRating.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('raterId', 'name phone')
+        .populate('rateeId', 'name phone rating ratingCount')
+        .populate('tripId', 'type vehicleType fare completedAt')
+        .lean(),
+      TripRating.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      maxScore,
+      page,
+      total,
+      ratings: ratings.map((r) => ({
+        ...ratingView(r, { forAdmin: true }),
+        rater: r.raterId,
+        ratee: r.rateeId,
+        trip: r.tripId,
+      })),
+    });
+  } catch (err) {
+    console.error('🔥 getLowRatedTrips error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * PATCH /api/admin/ratings/:ratingId/comment
+ * Body → { hidden: true|false, reason? }
+ */
+export const setRatingCommentVisibility = async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+    const { hidden = true, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(ratingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid ratingId' });
+    }
+
+    const rating = await TripRating.findByIdAndUpdate(
+      ratingId,
+      {
+        $set: hidden
+          ? {
+              commentHidden: true,
+              hiddenReason: reason || 'abusive',
+              hiddenBy: req.admin?.email || 'admin',
+              hiddenAt: new Date(),
+            }
+          : { commentHidden: false, hiddenReason: null, hiddenBy: null, hiddenAt: null },
+      },
+      { new: true }
+    ).lean();
+
+    if (!rating) {
+      return res.status(404).json({ success: false, message: 'Rating not found' });
+    }
+
+    console.log(`🙈 Rating ${ratingId} comment ${hidden ? 'hidden' : 'restored'} by ${req.admin?.email}`);
+    res.status(200).json({ success: true, rating: ratingView(rating, { forAdmin: true }) });
+  } catch (err) {
+    console.error('🔥 setRatingCommentVisibility error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,52 @@
+// src/controllers/referralController.js
+import Referral from '../models/Referral.js';
+import RewardSettings from '../models/RewardSettings.js';
+import { ensureReferralCode } from '../utils/referrals.js';
+
+/**
+ * GET /api/referrals/me
+ * Caller's referral code, bonus amounts and the people they referred.
+ */
+export const getMyReferral = async (req, res) => {
+  try {
+    const user = req.user;
+    const [code, settings, referrals] = await Promise.all([
+      ensureReferralCode(user),
+      RewardSettings.findOne().lean(),
+      Referral.find({ referrerId: user._id })
+        .sort({ createdAt: -1 })
+        .populate('refereeId', 'name')
+        .lean(),
+    ]);
+
+    const count = (status) => referrals.filter((r) => r.status === status).length;
+
+    res.status(200).json({
+      success: true,
+      referralCode: code,
+      bonus: {
+        customer: { coins: settings?.referralBonus ?? 50 },
+        ...(user.isDriver && { driver: { amount: settings?.driverReferralBonus ?? 100 } }),
+      },
+      summary: {
+        pending: count('pending'),
+        paid: count('paid'),
+        rejected: count('rejected'),
+        earned: referrals.reduce((sum, r) => sum + (r.status === 'paid' ? r.bonus || 0 : 0), 0),
+      },
+      referrals: referrals.map((r) => ({
+        id: r._id,
+        type: r.type,
+        refereeName: r.refereeId?.name || null,
+        status: r.status,
+        rejectReason: r.rejectReason,
+        bonus: r.bonus,
+        paidAt: r.paidAt,
+        createdAt: r.createdAt,
+      })),
+    });
+  } catch (err) {
+    console.error('🔥 getMyReferral error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
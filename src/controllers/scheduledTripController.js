@@ -0,0 +1,524 @@
+// src/controllers/scheduledTripController.js
+import mongoose from 'mongoose';
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import ReassignmentLog from '../models/ReassignmentLog.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { SCHEDULED_TRIPS } from '../config/tripConfig.js';
+import { verifyFareQuote, parcelWeightKg } from '../utils/fareQuote.js';
+import { generateOTP } from '../utils/otpGeneration.js';
+import { sendToCustomer } from '../utils/fcmSender.js';
+import { cleanupStandbyQueue, promoteNextStandby } from './standbyController.js';
+import { logOfferEvent, closeOpenOffers } from '../utils/offerLog.js';
+import { normalizeCoordinates } from './tripController.js';
+import { transitionTrip, tryTransitionTrip } from '../utils/tripStateMachine.js';
+import { recordTripEvent } from '../utils/tripTimeline.js';
+
+/**
+ * Advance-booked trips.
+ * A trip is created in `scheduled` status; jobs/scheduledTripDispatcher.js
+ * offers it to a driver `leadTimeMin` before pickup, and the standby queue
+ * takes over when that driver declines or does not confirm in time.
+ * Every route is behind `protect`: the customer or driver is always the
+ * signed-in user, never an ID (or phone) from the request.
+ */
+
+const TRIP_TYPES = ['short', 'parcel', 'long'];
+
+// ✅ Validate a requested pickup time against the booking window
+const validateScheduledAt = (value) => {
+  const scheduledAt = new Date(value);
+  if (!value || Number.isNaN(scheduledAt.getTime())) {
+    return { error: 'scheduledAt must be a valid date' };
+  }
+
+  const minutesAhead = (scheduledAt.getTime() - Date.now()) / 60000;
+  if (minutesAhead < SCHEDULED_TRIPS.MIN_ADVANCE_MIN) {
+    return { error: `Scheduled trips must be booked at least ${SCHEDULED_TRIPS.MIN_ADVANCE_MIN} minutes ahead` };
+  }
+  if (minutesAhead > SCHEDULED_TRIPS.MAX_ADVANCE_DAYS * 24 * 60) {
+    return { error: `Scheduled trips can be booked at most ${SCHEDULED_TRIPS.MAX_ADVANCE_DAYS} days ahead` };
+  }
+  return { scheduledAt, minutesAhead };
+};
+
+// Reminders whose offset has already passed at booking time are not sent
+const remindersAlreadyDue = (minutesAhead) =>
+  SCHEDULED_TRIPS.REMINDER_OFFSETS_MIN.filter((offset) => minutesAhead <= offset);
+
+const loadOwnedTrip = async (tripId, customerId) => {
+  const trip = mongoose.isValidObjectId(tripId) ? await Trip.findById(tripId) : null;
+  if (!trip) return { status: 404, message: 'Trip not found' };
+  if (trip.customerId.toString() !== customerId) {
+    return { status: 403, message: 'This trip belongs to another customer' };
+  }
+  return { trip };
+};
+
+// ✅ Pull back an outstanding driver offer (time or route changed)
+const withdrawOffer = async (trip) => {
+  const driverId = trip.scheduling?.offeredDriver;
+  if (driverId) {
+    io.to(userRoom(driverId)).emit('trip:scheduled_offer_withdrawn', {
+      tripId: trip._id.toString(),
+      message: 'The customer changed this booking',
+    });
+    trip.scheduling.offeredDriver = null;
+    trip.scheduling.offerExpiresAt = null;
+  }
+  trip.pendingDrivers = [];
+  await cleanupStandbyQueue(trip._id);
+  await closeOpenOffers(trip._id, 'withdrawn');
+};
+
+/**
+ * POST /api/trip/scheduled
+ * Body → { type, pickup, drop, vehicleType, quoteId, scheduledAt, parcelDetails?, isSameDay? }
+ */
+export const bookScheduledTrip = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const {
+      type = 'short',
+      pickup,
+      drop,
+      vehicleType,
+      quoteId,
+      scheduledAt: scheduledAtRaw,
+      parcelDetails,
+      isSameDay,
+    } = req.body;
+
+    console.log('');
+    console.log('='.repeat(70));
+    console.log('📅 BOOK SCHEDULED TRIP');
+    console.log('='.repeat(70));
+
+    if (!TRIP_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `type must be one of ${TRIP_TYPES.join(', ')}` });
+    }
+    if (!pickup?.coordinates || !drop?.coordinates || !vehicleType) {
+      return res.status(400).json({ success: false, message: 'pickup, drop and vehicleType are required' });
+    }
+
+    const { scheduledAt, minutesAhead, error } = validateScheduledAt(scheduledAtRaw);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    pickup.coordinates = normalizeCoordinates(pickup.coordinates);
+    drop.coordinates = normalizeCoordinates(drop.coordinates);
+    const sanitizedVehicleType = vehicleType.toString().trim().toLowerCase();
+
+    // ✅ Fare is locked at booking time from the signed quote
+    const check = verifyFareQuote(quoteId, {
+      category: type,
+      vehicleType: sanitizedVehicleType,
+      pickup: pickup.coordinates,
+      drop: drop.coordinates,
+      weight: parcelDetails?.weight,
+    });
+    if (!check.valid) {
+      return res.status(400).json({ success: false, message: check.message, errorCode: check.errorCode });
+    }
+    const { quote } = check;
+
+    const trip = await Trip.create({
+      customerId,
+      pickup,
+      drop,
+      vehicleType: sanitizedVehicleType,
+      type,
+      status: 'scheduled',
+      tripTime: scheduledAt,
+      expiresAt: null, // scheduled trips must not hit the TTL index
+      scheduling: {
+        leadTimeMin: SCHEDULED_TRIPS.LEAD_TIME_MIN[type],
+        remindersSent: remindersAlreadyDue(minutesAhead),
+      },
+      ...(type === 'parcel' && { parcelDetails: { ...parcelDetails, weight: String(parcelWeightKg(quote.weight)) } }),
+      ...(type === 'long' && {
+        isSameDay: !!isSameDay,
+        tripDays: quote.tripDays,
+        returnTrip: quote.returnTrip,
+      }),
+      distance: quote.distanceKm,
+      duration: quote.durationMin,
+      fareQuoteId: quote.qid,
+      fareBreakdown: quote.breakdown,
+      pricing: { ...quote.pricing, quotedTotal: quote.total },
+      fare: quote.total,
+    });
+
+    await recordTripEvent(trip._id, 'scheduled', {
+      actor: 'customer',
+      actorId: customerId,
+      payload: { type, vehicleType: trip.vehicleType, fare: trip.fare, scheduledAt },
+      at: trip.createdAt,
+    });
+
+    console.log(`✅ Scheduled trip ${trip._id} for ${scheduledAt.toISOString()} (₹${trip.fare})`);
+    console.log('='.repeat(70));
+
+    res.status(201).json({
+      success: true,
+      message: 'Trip scheduled',
+      tripId: trip._id,
+      status: trip.status,
+      scheduledAt: trip.tripTime,
+      fare: trip.fare,
+    });
+  } catch (err) {
+    console.error('🔥 Error in bookScheduledTrip:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * PATCH /api/trip/scheduled/:tripId
+ * Body → { scheduledAt?, pickup?, drop?, quoteId? }
+ * Changing pickup/drop needs a fresh quoteId.
+ */
+export const modifyScheduledTrip = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { scheduledAt: scheduledAtRaw, pickup, drop, quoteId } = req.body;
+
+    const owned = await loadOwnedTrip(tripId, req.user._id.toString());
+    if (!owned.trip) {
+      return res.status(owned.status).json({ success: false, message: owned.message });
+    }
+    const { trip } = owned;
+
+    if (trip.status !== 'scheduled') {
+      return res.status(409).json({
+        success: false,
+        message: trip.status === 'driver_assigned'
+          ? 'A driver has already confirmed this trip. Cancel and book again to change it.'
+          : `Trip cannot be modified in status '${trip.status}'`,
+      });
+    }
+
+    if (!scheduledAtRaw && !pickup && !drop) {
+      return res.status(400).json({ success: false, message: 'Nothing to update' });
+    }
+
+    if (scheduledAtRaw) {
+      const { scheduledAt, minutesAhead, error } = validateScheduledAt(scheduledAtRaw);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      trip.tripTime = scheduledAt;
+      trip.scheduling.remindersSent = remindersAlreadyDue(minutesAhead);
+    }
+
+    if (pickup || drop) {
+      const newPickup = pickup
+        ? { ...pickup, coordinates: normalizeCoordinates(pickup.coordinates) }
+        : trip.pickup;
+      const newDrop = drop
+        ? { ...drop, coordinates: normalizeCoordinates(drop.coordinates) }
+        : trip.drop;
+
+      const check = verifyFareQuote(quoteId, {
+        category: trip.type,
+        vehicleType: trip.vehicleType,
+        pickup: newPickup.coordinates,
+        drop: newDrop.coordinates,
+        weight: trip.parcelDetails?.weight,
+      });
+      if (!check.valid) {
+        return res.status(400).json({ success: false, message: check.message, errorCode: check.errorCode });
+      }
+      const { quote } = check;
+
+      trip.pickup = newPickup;
+      trip.drop = newDrop;
+      trip.distance = quote.distanceKm;
+      trip.duration = quote.durationMin;
+      trip.fareQuoteId = quote.qid;
+      trip.fareBreakdown = quote.breakdown;
+      trip.pricing = { ...quote.pricing, quotedTotal: quote.total };
+      trip.fare = quote.total;
+    }
+
+    await withdrawOffer(trip);
+    trip.scheduling.declinedDrivers = [];
+    trip.scheduling.modifiedAt = new Date();
+    await trip.save();
+
+    console.log(`✏️ Scheduled trip ${trip._id} modified → ${trip.tripTime.toISOString()}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled trip updated',
+      tripId: trip._id,
+      scheduledAt: trip.tripTime,
+      fare: trip.fare,
+    });
+  } catch (err) {
+    console.error('🔥 Error in modifyScheduledTrip:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/trip/scheduled/:tripId/cancel
+ * Body → { reason? }
+ */
+export const cancelScheduledTrip = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { reason } = req.body;
+    const customerId = req.user._id;
+
+    const owned = await loadOwnedTrip(tripId, customerId.toString());
+    if (!owned.trip) {
+      return res.status(owned.status).json({ success: false, message: owned.message });
+    }
+    const { trip } = owned;
+
+    const preAssigned = trip.status === 'driver_assigned' && trip.tripTime && !trip.rideStartTime;
+    if (trip.status !== 'scheduled' && !preAssigned) {
+      return res.status(409).json({
+        success: false,
+        message: `Trip cannot be cancelled here in status '${trip.status}'`,
+      });
+    }
+
+    const driverId = trip.assignedDriver || trip.scheduling?.offeredDriver;
+    const cancellationReason = reason || 'Cancelled by customer';
+    await transitionTrip(trip._id, 'cancelled', {
+      from: trip.status,
+      set: {
+        'scheduling.offeredDriver': null,
+        'scheduling.offerExpiresAt': null,
+        pendingDrivers: [],
+        cancelledBy: customerId,
+        cancellationReason,
+      },
+      actor: 'customer',
+      actorId: customerId,
+      reason: cancellationReason,
+    });
+    await cleanupStandbyQueue(trip._id);
+
+    if (trip.assignedDriver) {
+      await User.findOneAndUpdate(
+        { _id: trip.assignedDriver, currentTripId: trip._id },
+        { $set: { isBusy: false, currentTripId: null, canReceiveNewRequests: true } }
+      );
+    }
+
+    if (driverId) {
+      io.to(userRoom(driverId)).emit('trip:cancelled', {
+        tripId: trip._id.toString(),
+        cancelledBy: 'customer',
+        reason: cancellationReason,
+      });
+    }
+
+    console.log(`🚫 Scheduled trip ${trip._id} cancelled by customer`);
+
+    res.status(200).json({ success: true, message: 'Scheduled trip cancelled', tripId: trip._id });
+  } catch (err) {
+    console.error('🔥 Error in cancelScheduledTrip:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message,
+      ...(err.errorCode && { errorCode: err.errorCode }),
+    });
+  }
+};
+
+/**
+ * GET /api/trip/scheduled/customer/:customerId
+ * Upcoming advance bookings (scheduled or already pre-assigned) of the
+ * signed-in customer; `:customerId` must be their own ID.
+ */
+export const getScheduledTrips = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    if (req.params.customerId !== customerId.toString()) {
+      return res.status(403).json({ success: false, message: 'You can only view your own scheduled trips' });
+    }
+
+    const trips = await Trip.find({
+      customerId,
+      tripTime: { $gte: new Date(Date.now() - SCHEDULED_TRIPS.NO_DRIVER_GRACE_MIN * 60 * 1000) },
+      status: { $in: ['scheduled', 'driver_assigned'] },
+    })
+      .sort({ tripTime: 1 })
+      .select('type vehicleType status tripTime pickup drop fare assignedDriver scheduling.driverConfirmed')
+      .populate('assignedDriver', 'name phone vehicleNumber rating')
+      .lean();
+
+    res.status(200).json({ success: true, count: trips.length, trips });
+  } catch (err) {
+    console.error('🔥 Error in getScheduledTrips:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/trip/scheduled/:tripId/confirm
+ * The signed-in driver, if they hold the current offer, confirms it.
+ */
+export const confirmScheduledTrip = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const driverId = req.user._id.toString();
+
+    if (!mongoose.isValidObjectId(tripId)) {
+      return res.status(400).json({ success: false, message: 'Invalid tripId' });
+    }
+
+    // ✅ ATOMIC STEP 1: Reserve driver
+    const driver = await User.findOneAndUpdate(
+      {
+        _id: driverId,
+        isBusy: { $ne: true },
+        $or: [{ currentTripId: null }, { currentTripId: { $exists: false } }],
+      },
+      {
+        $set: {
+          isBusy: true,
+          currentTripId: tripId,
+          canReceiveNewRequests: false,
+          lastTripAcceptedAt: new Date(),
+        },
+      },
+      { new: true, select: 'name phone photoUrl rating vehicleBrand vehicleNumber' }
+    ).lean();
+
+    if (!driver) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on another trip or cannot confirm this trip',
+        reason: 'driver_busy',
+      });
+    }
+
+    // ✅ ATOMIC STEP 2: Only the driver holding a live offer can confirm
+    const rideCode = generateOTP();
+    const confirmed = await tryTransitionTrip(tripId, 'driver_assigned', {
+      from: 'scheduled',
+      where: {
+        'scheduling.offeredDriver': driverId,
+        'scheduling.offerExpiresAt': { $gt: new Date() },
+      },
+      set: {
+        assignedDriver: driverId,
+        otp: rideCode,
+        'scheduling.driverConfirmed': true,
+        'scheduling.confirmedAt': new Date(),
+        pendingDrivers: [],
+      },
+      actor: 'driver',
+      actorId: driverId,
+    });
+    const trip = confirmed?.trip;
+
+    if (!trip) {
+      await User.findByIdAndUpdate(driverId, {
+        $set: { isBusy: false, currentTripId: null, canReceiveNewRequests: false },
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'This offer is no longer available (expired, reassigned or cancelled)',
+        reason: 'offer_unavailable',
+      });
+    }
+
+    await cleanupStandbyQueue(trip._id);
+    await logOfferEvent(trip._id, driverId, 'accepted');
+
+    const customer = await User.findById(trip.customerId).select('fcmToken').lean();
+    const payload = {
+      tripId: trip._id.toString(),
+      rideCode,
+      scheduledAt: trip.tripTime,
+      driver: {
+        id: driver._id.toString(),
+        name: driver.name || 'N/A',
+        phone: driver.phone || 'N/A',
+        photoUrl: driver.photoUrl || null,
+        rating: driver.rating || 4.8,
+        vehicleBrand: driver.vehicleBrand || 'N/A',
+        vehicleNumber: driver.vehicleNumber || 'N/A',
+      },
+    };
+    io.to(userRoom(trip.customerId)).emit('trip:scheduled_confirmed', payload);
+    if (customer?.fcmToken) {
+      await sendToCustomer(
+        customer.fcmToken,
+        'Driver confirmed',
+        `${driver.name || 'Your driver'} will pick you up at your scheduled time.`,
+        { tripId: trip._id.toString(), event: 'trip:scheduled_confirmed' }
+      );
+    }
+
+    console.log(`✅ Scheduled trip ${tripId} confirmed by driver ${driverId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled trip confirmed',
+      data: { tripId: trip._id, otp: rideCode, scheduledAt: trip.tripTime },
+    });
+  } catch (err) {
+    console.error('🔥 Error in confirmScheduledTrip:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/trip/scheduled/:tripId/decline
+ * Body → { reason? } — the signed-in driver passes the offer to the next standby driver.
+ */
+export const declineScheduledTrip = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { reason } = req.body;
+    const driverId = req.user._id.toString();
+
+    if (!mongoose.isValidObjectId(tripId)) {
+      return res.status(400).json({ success: false, message: 'Invalid tripId' });
+    }
+
+    const trip = await Trip.findOneAndUpdate(
+      { _id: tripId, status: 'scheduled', 'scheduling.offeredDriver': driverId },
+      {
+        $set: { 'scheduling.offeredDriver': null, 'scheduling.offerExpiresAt': null },
+        $addToSet: { 'scheduling.declinedDrivers': driverId },
+        $pull: { pendingDrivers: String(driverId) },
+      },
+      { new: true }
+    );
+
+    if (!trip) {
+      return res.status(404).json({ success: false, message: 'No open offer for this driver' });
+    }
+
+    console.log(`↩️ Driver ${driverId} declined scheduled trip ${tripId}`);
+    await logOfferEvent(trip._id, driverId, 'rejected', { reason });
+    const nextDriver = await promoteNextStandby(trip._id);
+    if (nextDriver) {
+      await ReassignmentLog.create({
+        tripId: trip._id,
+        previousDriver: driverId,
+        newDriver: nextDriver,
+        reason: 'rejected',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer declined',
+      reassigned: !!nextDriver,
+    });
+  } catch (err) {
+    console.error('🔥 Error in declineScheduledTrip:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -4,7 +4,10 @@ import Standby from '../models/standby.js';
 import Trip from '../models/Trip.js';
 import User from '../models/User.js';
 import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
 import { sendToDriver } from '../utils/fcmSender.js';
+import { SCHEDULED_TRIPS } from '../config/tripConfig.js';
+import { logOffered, getDeclinedDriverIds } from '../utils/offerLog.js';
 
 /**
  * ➕ Add standby drivers for a trip
@@ -51,10 +54,11 @@ export const promoteNextStandby = async (tripId) => {
       return;
     }
     
-    if (trip.status !== 'requested') {
-      console.log(`⛔ No standby promotion: Trip status is '${trip.status}' but expected 'requested'`);
+    if (!['requested', 'scheduled'].includes(trip.status)) {
+      console.log(`⛔ No standby promotion: Trip status is '${trip.status}' but expected 'requested' or 'scheduled'`);
       return;
     }
+    const isScheduled = trip.status === 'scheduled';
 
     // 🚫 If already assigned, no need to promote
     if (trip.assignedDriver) {
@@ -62,68 +66,99 @@ export const promoteNextStandby = async (tripId) => {
       return;
     }
 
-    const nextDriverId = standby.driverQueue[standby.currentIndex];
-    console.log(`🔍 [DEBUG] Next driver in queue: ${nextDriverId} (index: ${standby.currentIndex})`);
-    
-    if (!nextDriverId) {
-      console.log(`⚠️ No more drivers in standby queue for trip ${tripId}`);
-      return;
+    // ⏭️ Walk the queue until a driver who can still take the trip turns up
+    // (scheduled trips keep their own list, reset when the booking changes)
+    const declined = (
+      isScheduled ? trip.scheduling?.declinedDrivers || [] : await getDeclinedDriverIds(trip._id)
+    ).map(String);
+    let driver = null;
+    while (standby.currentIndex < standby.driverQueue.length) {
+      const nextDriverId = standby.driverQueue[standby.currentIndex];
+      standby.currentIndex += 1;
+      console.log(`🔍 [DEBUG] Next driver in queue: ${nextDriverId} (index: ${standby.currentIndex - 1})`);
+
+      if (declined.includes(String(nextDriverId))) {
+        console.log(`⏭️ Driver ${nextDriverId} already declined trip ${tripId}`);
+        continue;
+      }
+
+      const candidate = await User.findById(nextDriverId);
+      if (!candidate) {
+        console.log(`❌ Driver not found: ${nextDriverId}`);
+        continue;
+      }
+      if (candidate.isBusy || candidate.currentTripId) {
+        console.log(`⏭️ Driver ${nextDriverId} is busy`);
+        continue;
+      }
+
+      // 🚫 Avoid duplicate pending requests
+      if (trip.pendingDrivers?.includes(candidate._id.toString())) {
+        console.log(`⚠️ Driver ${candidate._id} already has a pending request for trip ${tripId}`);
+        continue;
+      }
+
+      driver = candidate;
+      break;
     }
+    await standby.save();
 
-    const driver = await User.findById(nextDriverId);
-    console.log(`🔍 [DEBUG] Driver lookup: ${driver ? 'Found' : 'Not found'}`);
-    
     if (!driver) {
-      console.log(`❌ Driver not found: ${nextDriverId}`);
-      return;
-    }
-
-    // 🚫 Avoid duplicate pending requests
-    const isPending = trip.pendingDrivers?.includes(driver._id.toString());
-    console.log(`🔍 [DEBUG] Driver pending status: ${isPending ? 'Already pending' : 'Not pending'}`);
-    
-    if (isPending) {
-      console.log(`⚠️ Driver ${driver._id} already has a pending request for trip ${tripId}`);
+      console.log(`⚠️ No more drivers in standby queue for trip ${tripId}`);
       return;
     }
 
+    const offerExpiresAt = new Date(Date.now() + SCHEDULED_TRIPS.CONFIRM_TIMEOUT_MIN * 60 * 1000);
     const payload = {
       tripId: trip._id.toString(),
       pickup: trip.pickup || trip.pickupLocation,
       drop: trip.drop || trip.dropLocation,
       vehicleType: trip.vehicleType,
       type: trip.type,
+      fare: trip.fare,
+      ...(isScheduled && {
+        scheduledAt: trip.tripTime,
+        confirmBy: offerExpiresAt,
+      }),
     };
+    const event = isScheduled ? 'trip:scheduled_offer' : 'trip:request';
 
     console.log(`🔍 [DEBUG] Preparing to send request to driver ${driver._id}`);
     console.log(`🔍 [DEBUG] Driver socket: ${driver.socketId}, FCM token: ${driver.fcmToken ? 'Yes' : 'No'}`);
 
-    // ✅ Send ride request to driver via socket or FCM
-    if (driver.socketId) {
-      io.to(driver.socketId).emit('trip:request', payload);
-      console.log(`📡 Sent ride request to standby driver ${driver._id} via socket`);
-    } else if (driver.fcmToken) {
-      await sendToDriver(
-        driver.fcmToken,
-        'New Ride Request',
-        'You have been promoted from standby queue.',
-        payload
-      );
-      console.log(`📲 Sent ride request to standby driver ${driver._id} via FCM`);
-    } else {
-      console.log(`⚠️ Driver ${driver._id} has no socket or FCM token`);
+    // ✅ Send ride request to the driver's room; FCM when no socket is connected
+    io.to(userRoom(driver._id)).emit(event, payload);
+    console.log(`📡 Sent ${event} to standby driver ${driver._id} via socket`);
+    if (!driver.socketId && driver.fcmToken) {
+      await sendToDriver(driver.fcmToken, {
+        notification: {
+          title: isScheduled ? 'Scheduled Ride Offer' : 'New Ride Request',
+          body: isScheduled
+            ? 'Confirm this advance booking before the offer expires.'
+            : 'You have been promoted from standby queue.',
+        },
+        data: Object.fromEntries(
+          Object.entries({ ...payload, event }).map(([k, v]) => [
+            k,
+            typeof v === 'string' ? v : JSON.stringify(v ?? ''),
+          ])
+        ),
+      });
+      console.log(`📲 Sent ${event} to standby driver ${driver._id} via FCM`);
     }
 
+    await logOffered(trip._id, [driver._id], 'standby');
+
     // 📌 Mark driver as pending for this trip
     if (!trip.pendingDrivers) trip.pendingDrivers = [];
     trip.pendingDrivers.push(driver._id.toString());
+    if (isScheduled) {
+      trip.scheduling.offeredDriver = driver._id;
+      trip.scheduling.offeredAt = new Date();
+      trip.scheduling.offerExpiresAt = offerExpiresAt;
+    }
     await trip.save();
     console.log(`✅ Added driver ${driver._id} to pending drivers list`);
-
-    // ⏳ Increment index for next promotion
-    standby.currentIndex += 1;
-    await standby.save();
-
     console.log(`✅ Updated standby index to ${standby.currentIndex} for trip ${tripId}`);
     return driver._id; // Return the promoted driver ID for tracking
   } catch (err) {
@@ -4,9 +4,35 @@ import User from '../models/User.js';
 import mongoose from 'mongoose';
 
 import { io } from '../socket/socketHandler.js';
-import { broadcastToDrivers } from '../utils/tripBroadcaster.js';
-import { TRIP_LIMITS } from '../config/tripConfig.js';
+import { userRoom } from '../socket/socketAuth.js';
+import {
+  dispatchTrip,
+  acceptGuard,
+  settleOffersOnAccept,
+  recordOfferOutcome,
+  isRankedDispatch,
+} from '../utils/tripDispatcher.js';
+import { logOfferEvent } from '../utils/offerLog.js';
+import { ratingWindowClosesAt } from './ratingController.js';
+import { processReferralPayouts } from '../utils/referrals.js';
+import { evaluateCoupon, redeemCoupon, releaseCoupon } from '../utils/coupons.js';
+import { prepareTripPayment } from '../utils/tripPayments.js';
+import { checkWalletBalance, collectWalletFare } from '../utils/customerWallet.js';
+import { TRIP_LIMITS, CANCELLATION_POLICY, TRIP_STOPS } from '../config/tripConfig.js';
 import { generateOTP } from '../utils/otpGeneration.js';
+import { transitionTrip, tryTransitionTrip } from '../utils/tripStateMachine.js';
+import { recordTripEvent } from '../utils/tripTimeline.js';
+import { computeFareAdjustment, notifyFareAdjusted } from '../utils/fareAdjustment.js';
+import { endPickupWait, emitWaitingStatus, waitingStatus, waitingTerms, assertAtPickup } from '../utils/pickupWait.js';
+import { applyCancellationFee, applyOutstandingFees, feeView, notifyCancellationFee } from '../utils/cancellationFees.js';
+import {
+  isCancellationReason,
+  evaluateCancellation,
+  applyCancellationDecision,
+  decisionView,
+} from '../utils/cancellationPolicy.js';
+import { verifyFareQuote, parcelWeightKg } from '../utils/fareQuote.js';
+import { normalizeStops, stopCoordinates, stopsView, finalStop, closeStops } from '../utils/tripStops.js';
 import { processCashCollection } from './walletController.js';
 import RideHistory from '../models/RideHistory.js';
 
@@ -250,9 +276,8 @@ async function awardCoinsToCustomer(customerId, tripId, distance) {
     console.log('');
 
     // ✅ Emit socket event to notify customer
-    const customerUser = await User.findById(customerId).select('socketId').lean();
-    if (customerUser?.socketId && io) {
-      io.to(customerUser.socketId).emit('coins:awarded', {
+    if (io) {
+      io.to(userRoom(customerId)).emit('coins:awarded', {
         coins: coinsToAward,
         totalCoins: customer.coins || 0,
         message: `You earned ${coinsToAward} coins! 🎉`,
@@ -299,6 +324,21 @@ const findUserByIdOrPhone = async (idOrPhone) => {
   return await User.findOne({ phone: idOrPhone });
 };
 
+// ✅ Verify the signed fare quote; sends the 400 and returns null when invalid
+const checkFareQuote = (res, quoteId, binding) => {
+  const result = verifyFareQuote(quoteId, binding);
+  if (!result.valid) {
+    console.log(`❌ REJECTED: ${result.errorCode} - ${result.message}`);
+    res.status(400).json({
+      success: false,
+      message: result.message,
+      errorCode: result.errorCode
+    });
+    return null;
+  }
+  return result.quote;
+};
+
 // ✅ NEW: Helper function to calculate distance from coordinates (for discount tier)
 function calculateDistanceFromCoords(lat1, lon1, lat2, lon2) {
   const R = 6371; // Earth's radius in km
@@ -312,14 +352,32 @@ function calculateDistanceFromCoords(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
+// 🧾 First timeline entry of a new trip (socket requests reuse these controllers)
+const recordTripRequested = (req, trip) =>
+  recordTripEvent(trip._id, 'requested', {
+    actor: 'customer',
+    actorId: trip.customerId,
+    source: req.source || 'rest',
+    payload: {
+      type: trip.type,
+      vehicleType: trip.vehicleType,
+      fare: trip.fare,
+      paymentMethod: trip.paymentMethod,
+      pickup: trip.pickup?.address || null,
+      drop: trip.drop?.address || null,
+    },
+    at: trip.createdAt,
+  });
+
 // ✅ UPDATED: createShortTrip with atomic discount application and socket notification
 const createShortTrip = async (req, res) => {
   // ✅ Declare these at the top for rollback access
   let coinsDeducted = 0;
   let discountCustomerId = null;
+  let couponRedemption = null;
 
   try {
-    const { customerId, pickup, drop, vehicleType, fare } = req.body;
+    const { customerId, pickup, drop, vehicleType, quoteId, couponCode, paymentMethod = 'Cash' } = req.body;
 
     console.log('');
     console.log('='.repeat(70));
@@ -328,20 +386,20 @@ const createShortTrip = async (req, res) => {
     console.log('📋 Request Body:', JSON.stringify(req.body, null, 2));
     console.log('='.repeat(70));
 
-    // Validate fare
-    if (!fare || fare <= 0) {
-      console.log('❌ REJECTED: Fare is invalid');
+    // Validate vehicle type
+    if (!vehicleType || typeof vehicleType !== 'string' || vehicleType.trim() === '') {
       return res.status(400).json({
         success: false,
-        message: `A valid trip fare greater than zero is required. Received: ${fare}`
+        message: 'Vehicle type is required and must be a non-empty string.'
       });
     }
 
-    // Validate vehicle type
-    if (!vehicleType || typeof vehicleType !== 'string' || vehicleType.trim() === '') {
+    // Cash (collected by the driver), Online (Razorpay order at completion)
+    // or Wallet (customer wallet debited at completion)
+    if (!['Cash', 'Online', 'Wallet'].includes(paymentMethod)) {
       return res.status(400).json({
         success: false,
-        message: 'Vehicle type is required and must be a non-empty string.'
+        message: 'paymentMethod must be Cash, Online or Wallet'
       });
     }
 
@@ -349,14 +407,72 @@ const createShortTrip = async (req, res) => {
     pickup.coordinates = normalizeCoordinates(pickup.coordinates);
     drop.coordinates = normalizeCoordinates(drop.coordinates);
 
+    // Optional ordered stops between pickup and drop
+    let stops;
+    try {
+      stops = normalizeStops(req.body.stops);
+    } catch (stopErr) {
+      return res.status(stopErr.statusCode || 400).json({
+        success: false,
+        message: stopErr.message,
+        errorCode: stopErr.errorCode
+      });
+    }
+
     const sanitizedVehicleType = vehicleType.trim().toLowerCase();
 
+    // ✅ Fare comes from the signed quote, never from the client
+    const quote = checkFareQuote(res, quoteId, {
+      category: 'short',
+      vehicleType: sanitizedVehicleType,
+      pickup: pickup.coordinates,
+      drop: drop.coordinates,
+      stops: stopCoordinates(stops)
+    });
+    if (!quote) return;
+    const fare = quote.total;
+
     // Find customer (from User collection)
     const customer = await findUserByIdOrPhone(customerId);
     if (!customer) {
       return res.status(404).json({ success: false, message: 'Customer not found' });
     }
 
+    // ✅ STEP 0: Coupon code (validated against the quoted fare, claimed before coins)
+    const newTripId = new mongoose.Types.ObjectId();
+    let couponDiscount = 0;
+
+    if (couponCode) {
+      const check = await evaluateCoupon({
+        code: couponCode,
+        customerId: customer._id,
+        fare,
+        city: quote.city,
+        vehicleType: sanitizedVehicleType
+      });
+      const claim = check.valid
+        ? await redeemCoupon({
+            coupon: check.coupon,
+            customerId: customer._id,
+            tripId: newTripId,
+            fare,
+            discount: check.discount
+          })
+        : check;
+
+      if (!claim.valid) {
+        console.log(`❌ Coupon ${couponCode} rejected: ${claim.errorCode}`);
+        return res.status(400).json({
+          success: false,
+          message: claim.message,
+          errorCode: claim.errorCode
+        });
+      }
+
+      couponRedemption = claim.redemption;
+      couponDiscount = check.discount;
+    }
+
     // ✅ STEP 1: Check discount eligibility and apply atomically
     let finalFare = fare;
     let discountApplied = 0;
@@ -439,9 +555,8 @@ const createShortTrip = async (req, res) => {
               });
 
               // ✅ NEW: Emit socket event to notify customer of coin deduction
-              const customerUser = await User.findById(customerId).select('socketId').lean();
-              if (customerUser?.socketId && io) {
-                io.to(customerUser.socketId).emit('coins:redeemed', {
+              if (io) {
+                io.to(userRoom(customerId)).emit('coins:redeemed', {
                   coinsUsed: coinsDeducted,
                   discountAmount: discountAmount,
                   remainingCoins: updatedCustomer.coins || 0,
@@ -475,6 +590,38 @@ const createShortTrip = async (req, res) => {
       console.log(`⚠️ Discount check failed (non-critical): ${discountError.message}`);
     }
 
+    // ✅ Coupon discount stacks on top of the coin discount
+    if (couponRedemption) {
+      finalFare = Math.max(0, finalFare - couponDiscount);
+      discountApplied += couponDiscount;
+      discountDetails = {
+        ...(discountDetails || { originalFare: fare, discountAmount: 0, coinsDeducted: 0 }),
+        finalFare,
+        coupon: {
+          couponId: couponRedemption.couponId,
+          code: couponRedemption.code,
+          discountAmount: couponDiscount
+        }
+      };
+      console.log(`🎟️ Coupon ${couponRedemption.code}: -₹${couponDiscount} → final fare ₹${finalFare}`);
+    }
+
+    // ✅ STEP 2: Wallet-paid bookings must be covered by the balance
+    // (thrown so the coupon / coin rollback below runs)
+    if (paymentMethod === 'Wallet') {
+      const balanceCheck = await checkWalletBalance(customer._id, finalFare);
+      if (!balanceCheck.sufficient) {
+        throw Object.assign(
+          new Error(`Insufficient wallet balance: ₹${balanceCheck.balance} available, ₹${balanceCheck.required} needed`),
+          {
+            statusCode: 400,
+            errorCode: 'INSUFFICIENT_WALLET_BALANCE',
+            details: { balance: balanceCheck.balance, required: balanceCheck.required, shortfall: balanceCheck.shortfall }
+          }
+        );
+      }
+    }
+
     // ✅ FIXED: Simplified and explicit driver availability query
     const nearbyDrivers = await User.find({
       isDriver: true,
@@ -498,7 +645,7 @@ const createShortTrip = async (req, res) => {
         },
       },
     })
-    .select('name phone vehicleType location isOnline socketId fcmToken currentTripId isBusy')
+    .select('name phone vehicleType location isOnline socketId fcmToken currentTripId isBusy rating acceptanceRate lastTripCompletedAt lastTripAcceptedAt')
     .lean();
 
     console.log(`🔍 Found ${nearbyDrivers.length} available '${sanitizedVehicleType}' drivers`);
@@ -513,18 +660,28 @@ const createShortTrip = async (req, res) => {
 
     // ✅ Create trip with FINAL FARE (after discount)
     const trip = await Trip.create({
+      _id: newTripId,
       customerId: customer._id,
       pickup,
       drop,
+      stops,
       vehicleType: sanitizedVehicleType,
       type: 'short',
       status: 'requested',
+      city: quote.city?.toLowerCase() || null,
+      distance: quote.distanceKm,
+      duration: quote.durationMin,
+      fareQuoteId: quote.qid,
+      fareBreakdown: quote.breakdown,
+      pricing: { ...quote.pricing, quotedTotal: quote.total },
       fare: finalFare,              // ✅ Using discounted fare
       originalFare: fare,           // ✅ Store original for reference
       discountApplied,              // ✅ Store discount amount
       coinsUsed: coinsDeducted,     // ✅ Store coins used
-      discountDetails               // ✅ Store full discount details
+      discountDetails,              // ✅ Store full discount details
+      paymentMethod
     });
+    await recordTripRequested(req, trip);
 
     console.log('✅ Trip created in database:');
     console.log(`   Trip ID: ${trip._id}`);
@@ -548,6 +705,7 @@ const createShortTrip = async (req, res) => {
         lng: drop.coordinates[0],
         address: drop.address || "Drop Location",
       },
+      stops: stopsView(trip),
       fare: trip.fare,  // ✅ Drivers see final fare
       discountApplied: discountApplied > 0,
     };
@@ -563,13 +721,14 @@ const createShortTrip = async (req, res) => {
           discountApplied,
           finalFare,
           coinsUsed: coinsDeducted,
-          remainingCoins: discountDetails?.remainingCoins || null
+          remainingCoins: discountDetails?.remainingCoins || null,
+          coupon: discountDetails?.coupon || null
         }
       });
     }
 
-    // Broadcast to available drivers
-    broadcastToDrivers(nearbyDrivers, payload);
+    // Offer to available drivers (broadcast or ranked, per city/vehicle config)
+    await dispatchTrip(trip, nearbyDrivers, payload, { maxDistanceM: TRIP_LIMITS.SHORT });
     
     console.log(`✅ Short Trip ${trip._id} created with fare ₹${trip.fare}`);
     console.log(`   Found ${nearbyDrivers.length} '${sanitizedVehicleType}' drivers`);
@@ -584,13 +743,23 @@ const createShortTrip = async (req, res) => {
         discountApplied,
         finalFare,
         coinsUsed: coinsDeducted,
-        remainingCoins: discountDetails?.remainingCoins || null
+        remainingCoins: discountDetails?.remainingCoins || null,
+        coupon: discountDetails?.coupon || null
       }
     });
 
   } catch (err) {
     console.error('🔥 createShortTrip error:', err);
 
+    // ✅ ROLLBACK: Give the coupon use back
+    if (couponRedemption) {
+      try {
+        await releaseCoupon(couponRedemption.tripId, 'creation_failed');
+      } catch (rollbackErr) {
+        console.error('❌ Failed to release coupon:', rollbackErr);
+      }
+    }
+
     // ✅ ROLLBACK: If trip creation fails, restore coins
     if (discountCustomerId && coinsDeducted > 0) {
       try {
@@ -613,22 +782,19 @@ const createShortTrip = async (req, res) => {
       }
     }
 
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message,
+      ...(err.errorCode && { errorCode: err.errorCode }),
+      ...err.details
+    });
   }
 };
 
 const createParcelTrip = async (req, res) => {
   try {
-    const { customerId, pickup, drop, vehicleType, parcelDetails, fare } = req.body;
+    const { customerId, pickup, drop, vehicleType, parcelDetails, quoteId } = req.body;
 
-    // ✅ **FIX**: Validate that a positive fare is provided
-    if (!fare || fare <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'A valid trip fare greater than zero is required.'
-      });
-    }
-    
     const sanitizedVehicleType = (vehicleType || 'bike').toString().trim().toLowerCase();
 
     if (!pickup?.coordinates || !drop?.coordinates) {
@@ -638,6 +804,15 @@ const createParcelTrip = async (req, res) => {
     pickup.coordinates = normalizeCoordinates(pickup.coordinates);
     drop.coordinates = normalizeCoordinates(drop.coordinates);
 
+    const quote = checkFareQuote(res, quoteId, {
+      category: 'parcel',
+      vehicleType: sanitizedVehicleType,
+      pickup: pickup.coordinates,
+      drop: drop.coordinates,
+      weight: parcelDetails?.weight
+    });
+    if (!quote) return;
+
     const customer = await findUserByIdOrPhone(customerId);
     if (!customer) {
       return res.status(404).json({ success: false, message: 'Customer not found' });
@@ -658,7 +833,7 @@ const createParcelTrip = async (req, res) => {
           $maxDistance: TRIP_LIMITS.PARCEL || 10000,
         },
       },
-    }).select('name phone vehicleType location isOnline socketId fcmToken').lean();
+    }).select('name phone vehicleType location isOnline socketId fcmToken rating acceptanceRate lastTripCompletedAt lastTripAcceptedAt').lean();
 
     const trip = await Trip.create({
       customerId: customer._id,
@@ -666,10 +841,17 @@ const createParcelTrip = async (req, res) => {
       drop,
       vehicleType: sanitizedVehicleType,
       type: 'parcel',
-      parcelDetails,
+      parcelDetails: { ...parcelDetails, weight: String(parcelWeightKg(quote.weight)) },
       status: 'requested',
-      fare: fare,
+      city: quote.city?.toLowerCase() || null,
+      distance: quote.distanceKm,
+      duration: quote.durationMin,
+      fareQuoteId: quote.qid,
+      fareBreakdown: quote.breakdown,
+      pricing: { ...quote.pricing, quotedTotal: quote.total },
+      fare: quote.total,
     });
+    await recordTripRequested(req, trip);
 
     const payload = {
       tripId: trip._id.toString(),
@@ -695,7 +877,7 @@ const createParcelTrip = async (req, res) => {
       return res.status(200).json({ success: true, tripId: trip._id, drivers: 0 });
     }
 
-    broadcastToDrivers(nearbyDrivers, payload);
+    await dispatchTrip(trip, nearbyDrivers, payload, { maxDistanceM: TRIP_LIMITS.PARCEL });
     console.log(`📦 Parcel Trip created: ${trip._id}. Found ${nearbyDrivers.length} drivers.`);
     res.status(200).json({ success: true, tripId: trip._id, drivers: nearbyDrivers.length });
   } catch (err) {
@@ -706,19 +888,23 @@ const createParcelTrip = async (req, res) => {
 
 const createLongTrip = async (req, res) => {
   try {
-    const { customerId, pickup, drop, vehicleType, isSameDay, tripDays, returnTrip, fare } = req.body;
-
-    // ✅ **FIX**: Validate that a positive fare is provided
-    if (!fare || fare <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'A valid trip fare greater than zero is required.'
-        });
-    }
+    const { customerId, pickup, drop, vehicleType, isSameDay, quoteId } = req.body;
 
     pickup.coordinates = normalizeCoordinates(pickup.coordinates);
     drop.coordinates = normalizeCoordinates(drop.coordinates);
 
+    const quote = checkFareQuote(res, quoteId, {
+      category: 'long',
+      vehicleType: vehicleType?.toString().trim().toLowerCase(),
+      pickup: pickup.coordinates,
+      drop: drop.coordinates
+    });
+    if (!quote) return;
+
+    // ✅ Days / return leg are part of the quoted price
+    const tripDays = quote.tripDays;
+    const returnTrip = quote.returnTrip;
+
     const customer = await findUserByIdOrPhone(customerId);
     if (!customer) {
       return res.status(404).json({ success: false, message: 'Customer not found' });
@@ -752,11 +938,18 @@ const createLongTrip = async (req, res) => {
       vehicleType,
       type: 'long',
       status: 'requested',
+      city: quote.city?.toLowerCase() || null,
       isSameDay,
       returnTrip,
       tripDays,
-      fare: fare
+      distance: quote.distanceKm,
+      duration: quote.durationMin,
+      fareQuoteId: quote.qid,
+      fareBreakdown: quote.breakdown,
+      pricing: { ...quote.pricing, quotedTotal: quote.total },
+      fare: quote.total
     });
+    await recordTripRequested(req, trip);
 
     const payload = {
       tripId: trip._id.toString(),
@@ -781,7 +974,7 @@ const createLongTrip = async (req, res) => {
       return res.status(200).json({ success: true, tripId: trip._id, drivers: 0 });
     }
 
-    broadcastToDrivers(drivers, payload);
+    await dispatchTrip(trip, drivers, payload, { maxDistanceM: radius });
     console.log(`Long Trip created: ${trip._id}. Found ${drivers.length} drivers.`);
     res.status(200).json({ success: true, tripId: trip._id, drivers: drivers.length });
   } catch (err) {
@@ -792,18 +985,26 @@ const createLongTrip = async (req, res) => {
 
 // ✅ ENHANCED FIX: Atomic driver + trip reservation with cancellation check
 const acceptTrip = async (req, res) => {
+  const driverId = req.user._id.toString();
+  const tripId = req.body.tripId || req.params.id;
   try {
-    const { driverId, tripId } = req.body;
+    if (!req.user.isDriver) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only drivers can accept trips',
+        reason: 'not_a_driver'
+      });
+    }
 
     console.log('');
     console.log('='.repeat(70));
     console.log(`🎯 Driver ${driverId} attempting to accept trip ${tripId}`);
     console.log('='.repeat(70));
 
-    if (!driverId || !tripId) {
+    if (!tripId) {
       return res.status(400).json({
         success: false,
-        message: 'driverId and tripId are required'
+        message: 'tripId is required'
       });
     }
 
@@ -813,6 +1014,7 @@ const acceptTrip = async (req, res) => {
     const driver = await User.findOneAndUpdate(
       {
         _id: driverId,
+        isDriver: true,
         // ✅ CRITICAL: Only update if driver is truly available
         $and: [
           {
@@ -858,10 +1060,9 @@ const acceptTrip = async (req, res) => {
     console.log(`   - currentTripId: ${tripId}`);
 
     // ✅ ATOMIC STEP 2: Reserve trip (check status + cancellation + assign driver in ONE operation)
-    const trip = await Trip.findOneAndUpdate(
-      { 
-        _id: tripId, 
-        status: 'requested',
+    const accepted = await tryTransitionTrip(tripId, 'driver_assigned', {
+      from: 'requested',
+      where: {
         // ✅ ENHANCED: Ensure no cancellation in progress
         $and: [
           {
@@ -875,19 +1076,16 @@ const acceptTrip = async (req, res) => {
               { cancelledBy: { $exists: false } },
               { cancelledBy: null }
             ]
-          }
+          },
+          // ✅ Ranked dispatch: only drivers holding a live offer
+          acceptGuard(driverId)
         ]
       },
-      {
-        $set: {
-          assignedDriver: driverId,
-          status: 'driver_assigned',
-          acceptedAt: new Date(),
-          otp: rideCode
-        }
-      },
-      { new: true }
-    ).lean();
+      set: { assignedDriver: driverId, otp: rideCode },
+      actor: 'driver',
+      actorId: driverId,
+    });
+    const trip = accepted?.trip;
 
     // ❌ Trip already taken, cancelled, or not found - ROLLBACK DRIVER
     if (!trip) {
@@ -920,7 +1118,7 @@ const acceptTrip = async (req, res) => {
       .select('socketId fcmToken name')
       .lean();
 
-    if (customer?.socketId) {
+    if (customer) {
       const payload = {
         tripId: trip._id.toString(),
         rideCode: rideCode,
@@ -935,6 +1133,7 @@ const acceptTrip = async (req, res) => {
             lng: trip.drop.coordinates[0], 
             address: trip.drop.address 
           },
+          stops: stopsView(trip),
           fare: trip.fare || 0,
           originalFare: trip.originalFare || null,
           discountApplied: trip.discountApplied || 0,
@@ -955,27 +1154,26 @@ const acceptTrip = async (req, res) => {
         }
       };
       
-      io.to(customer.socketId).emit('trip:accepted', payload);
+      io.to(userRoom(customer._id)).emit('trip:accepted', payload);
       console.log(`✅ Customer ${customer.name} notified via socket`);
     }
 
-    // ✅ STEP 4: Notify ALL other drivers that this trip is taken
+    // ✅ STEP 4: Notify other drivers that this trip is taken
+    // (ranked dispatch: only drivers still holding an offer)
+    const offeredDriverIds = await settleOffersOnAccept(trip, driverId);
     const otherDrivers = await User.find({
       isDriver: true,
       isOnline: true,
-      _id: { $ne: driverId },
-      socketId: { $exists: true, $ne: null }
-    }).select('socketId name').lean();
+      _id: offeredDriverIds ? { $in: offeredDriverIds } : { $ne: driverId }
+    }).select('name').lean();
 
     console.log(`📡 Notifying ${otherDrivers.length} other drivers that trip is taken`);
 
     otherDrivers.forEach(otherDriver => {
-      if (otherDriver.socketId) {
-        io.to(otherDriver.socketId).emit('trip:taken', {
-          tripId: tripId,
-          acceptedBy: driver.name || 'Another driver',
-        });
-      }
+      io.to(userRoom(otherDriver._id)).emit('trip:taken', {
+        tripId: tripId,
+        acceptedBy: driver.name || 'Another driver',
+      });
     });
 
     console.log('='.repeat(70));
@@ -999,18 +1197,17 @@ const acceptTrip = async (req, res) => {
     
     // ✅ CRITICAL: Rollback on any error
     try {
-      if (req.body?.driverId && req.body?.tripId) {
-        const { driverId, tripId } = req.body;
-        
+      if (tripId) {
         // Rollback driver
         await User.findByIdAndUpdate(driverId, {
           $set: { isBusy: false, currentTripId: null, canReceiveNewRequests: false }
         });
         
         // Rollback trip
-        await Trip.findByIdAndUpdate(tripId, {
-          $unset: { assignedDriver: 1, otp: 1 },
-          $set: { status: 'requested', acceptedAt: null }
+        await tryTransitionTrip(tripId, 'requested', {
+          from: 'driver_assigned',
+          where: { assignedDriver: driverId },
+          reason: 'accept_failed',
         });
         
         console.log(`✅ Emergency rollback completed for driver ${driverId} and trip ${tripId}`);
@@ -1029,11 +1226,30 @@ const acceptTrip = async (req, res) => {
 
 const rejectTrip = async (req, res) => {
   try {
-    const { tripId } = req.body;
+    const { reason } = req.body;
+    const driverId = req.user._id.toString();
+    const tripId = req.body.tripId || req.params.id;
+    if (!tripId || !mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: 'Invalid tripId' });
+    }
+
     const trip = await Trip.findById(tripId);
     if (!trip || trip.status !== 'requested') {
       return res.status(400).json({ success: false, message: 'Trip not valid' });
     }
+
+    // ✅ Store the rejection in the offer log (also feeds driver acceptance rate)
+    const recorded = await logOfferEvent(tripId, driverId, 'rejected', { reason });
+    if (!recorded) {
+      return res.status(409).json({ success: false, message: 'Offer already answered' });
+    }
+    console.log(`🙅 Driver ${driverId} rejected trip ${tripId}${reason ? ` (${reason})` : ''}`);
+
+    // ✅ Ranked dispatch: pass the offer on to the next driver
+    if (isRankedDispatch(trip)) {
+      await recordOfferOutcome(tripId, driverId, 'rejected');
+    }
+
     res.status(200).json({ success: true, message: 'Rejection recorded' });
   } catch (err) {
     console.error('🔥 rejectTrip error:', err);
@@ -1041,6 +1257,23 @@ const rejectTrip = async (req, res) => {
   }
 };
 
+// ✅ Driver app opened the offer card
+const markOfferSeen = async (req, res) => {
+  try {
+    const { id: tripId } = req.params;
+    const driverId = req.user._id.toString();
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: 'Invalid tripId' });
+    }
+
+    const recorded = await logOfferEvent(tripId, driverId, 'seen');
+    res.status(200).json({ success: true, recorded });
+  } catch (err) {
+    console.error('🔥 markOfferSeen error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
 const completeTrip = async (req, res) => {
   try {
     const { tripId, userId } = req.body;
@@ -1049,36 +1282,46 @@ const completeTrip = async (req, res) => {
     if (trip.assignedDriver?.toString() !== userId && trip.customerId?.toString() !== userId) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
-    trip.status = 'completed';
-    await trip.save();
+    const { trip: completed } = await transitionTrip(trip._id, 'completed', {
+      set: { ...computeFareAdjustment(trip), ...closeStops(trip) },
+      actor: trip.customerId?.toString() === userId ? 'customer' : 'driver',
+      actorId: userId,
+    });
+    await notifyFareAdjusted(await applyOutstandingFees(completed));
     res.status(200).json({ success: true, message: 'Trip completed' });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message,
+      ...(err.errorCode && { errorCode: err.errorCode })
+    });
   }
 };
 
 // ✅ UPDATED: cancelTrip with coin refund functionality and socket notification
 const cancelTrip = async (req, res) => {
   try {
-    const { tripId, cancelledBy, reason } = req.body;
+    const { tripId, reason = 'other' } = req.body;
+    // The canceller is whoever is signed in; their role on the trip decides the policy
+    const cancelledBy = req.user._id.toString();
     
     console.log('');
     console.log('='.repeat(70));
     console.log('🚫 CANCEL TRIP REQUEST WITH COIN REFUND');
     console.log(`   Trip ID: ${tripId}`);
     console.log(`   Cancelled By: ${cancelledBy}`);
-    console.log(`   Reason: ${reason || 'No reason provided'}`);
+    console.log(`   Reason: ${reason}`);
     console.log('='.repeat(70));
 
-    if (!tripId || !cancelledBy) {
+    if (!tripId) {
       return res.status(400).json({ 
         success: false, 
-        message: 'tripId and cancelledBy are required' 
+        message: 'tripId is required' 
       });
     }
 
     // ✅ Populate to get full data for history
-    const trip = await Trip.findById(tripId)
+    let trip = await Trip.findById(tripId)
       .populate('customerId', 'phone name socketId')
       .populate('assignedDriver', 'name phone vehicleNumber socketId');
       
@@ -1113,6 +1356,53 @@ const cancelTrip = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
+    const by = isCustomer ? 'customer' : 'driver';
+    if (!isCancellationReason(by, reason)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cancellation reason',
+        errorCode: 'INVALID_CANCEL_REASON',
+        reasons: CANCELLATION_POLICY.REASONS[by]
+      });
+    }
+
+    // ✅ Fee / strike is judged on the trip as it was before the cancel
+    const decision = await evaluateCancellation(trip, { by, reason });
+
+    // ✅ Cancel first: refunds only happen for the request that actually
+    // cancelled the trip (the state machine also withdraws open offers and
+    // releases the coupon so the customer can use it again)
+    let cancellation;
+    try {
+      cancellation = await transitionTrip(trip._id, 'cancelled', {
+        from: trip.status,
+        set: { cancelledBy, cancellationReason: reason },
+        actor: isCustomer ? 'customer' : 'driver',
+        actorId: cancelledBy,
+        reason,
+        populate: [
+          { path: 'customerId', select: 'phone name socketId' },
+          { path: 'assignedDriver', select: 'name phone vehicleNumber socketId' },
+        ],
+      });
+    } catch (transitionError) {
+      if (!transitionError.isTripStateError) throw transitionError;
+      console.log(`⚠️ Cannot cancel: ${transitionError.message}`);
+      return res.status(transitionError.statusCode).json({
+        success: false,
+        message: transitionError.message,
+        errorCode: transitionError.errorCode
+      });
+    }
+    trip = cancellation.trip;
+    const couponReleased = cancellation.couponReleased ? cancellation.couponReleased.code : null;
+
+    console.log('✅ Trip marked as cancelled in database');
+
+    // ✅ Cancellation policy: customer fee (wallet or next fare) or driver strike
+    const { fee } = await applyCancellationDecision(trip, decision);
+    console.log(`🧾 Cancellation policy: ${decision.outcome}${decision.waivedBecause ? ` (${decision.waivedBecause})` : ''}`);
+
     // ✅ REFUND COINS if discount was applied and trip is cancelled
     let coinsRefunded = 0;
     let newBalance = null;
@@ -1145,9 +1435,8 @@ const cancelTrip = async (req, res) => {
           });
 
           // ✅ NEW: Emit socket event for coin refund
-          const customerUser = await User.findById(customerId).select('socketId').lean();
-          if (customerUser?.socketId && io) {
-            io.to(customerUser.socketId).emit('coins:refunded', {
+          if (io) {
+            io.to(userRoom(customerId)).emit('coins:refunded', {
               coinsRefunded: coinsRefunded,
               newBalance: newBalance,
               message: `${coinsRefunded} coins refunded due to trip cancellation`,
@@ -1164,14 +1453,10 @@ const cancelTrip = async (req, res) => {
       }
     }
 
-    // Update trip status
-    trip.status = 'cancelled';
-    trip.cancelledBy = cancelledBy;
-    trip.cancelledAt = new Date();
-    trip.cancellationReason = reason;
-    await trip.save();
-
-    console.log('✅ Trip marked as cancelled in database');
+    // ✅ Offer log: driver backing out counts against cancellation rate
+    if (isDriver) {
+      await logOfferEvent(trip._id, cancelledBy, 'cancelled', { reason });
+    }
 
     // ✅ SAVE TO RIDE HISTORY (cancelled trips)
     await saveToRideHistory(trip, 'Cancelled');
@@ -1194,14 +1479,16 @@ const cancelTrip = async (req, res) => {
 
       // Notify driver
       const driver = trip.assignedDriver;
-      if (driver?.socketId && io) {
-        io.to(driver.socketId).emit('trip:cancelled', {
+      if (driver && io) {
+        io.to(userRoom(driver._id)).emit('trip:cancelled', {
           tripId: tripId,
           message: isCustomer ? 'Customer cancelled the trip' : 'Trip cancelled',
           cancelledBy: isCustomer ? 'customer' : 'driver',
           timestamp: new Date().toISOString(),
           shouldClearTrip: true,
-          coinsRefunded
+          coinsRefunded,
+          cancellation: decisionView(decision),
+          fee: feeView(fee)
         });
         console.log(`📢 Notified driver via socket`);
       }
@@ -1209,18 +1496,22 @@ const cancelTrip = async (req, res) => {
 
     // Notify customer
     const customer = trip.customerId;
-    if (customer?.socketId && io) {
-      io.to(customer.socketId).emit('trip:cancelled', {
+    if (customer && io) {
+      io.to(userRoom(customer._id)).emit('trip:cancelled', {
         tripId: tripId,
         message: isDriver ? 'Driver cancelled the trip' : 'Trip cancelled',
         cancelledBy: isDriver ? 'driver' : 'customer',
         timestamp: new Date().toISOString(),
         shouldClearTrip: true,
         coinsRefunded,
-        newBalance
+        newBalance,
+        couponReleased,
+        cancellation: decisionView(decision),
+        fee: feeView(fee)
       });
       console.log(`📢 Notified customer via socket`);
     }
+    notifyCancellationFee(trip, fee);
 
     console.log('='.repeat(70));
     console.log('✅ Trip cancellation complete');
@@ -1237,7 +1528,10 @@ const cancelTrip = async (req, res) => {
       cancelledBy: isCustomer ? 'customer' : 'driver',
       driverFreed: !!trip.assignedDriver,
       coinsRefunded,
-      newBalance
+      newBalance,
+      couponReleased,
+      cancellation: decisionView(decision),
+      fee: feeView(fee)
     });
 
   } catch (err) {
@@ -1250,6 +1544,55 @@ const cancelTrip = async (req, res) => {
   }
 };
 
+// ✅ What cancelling now would cost (shown before the user confirms)
+const getCancellationPreview = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { reason = 'other' } = req.query;
+    const cancelledBy = req.user._id.toString();
+
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: 'Valid tripId is required' });
+    }
+
+    const trip = await Trip.findById(tripId)
+      .select('status acceptedAt pickup city vehicleType customerId assignedDriver')
+      .lean();
+    if (!trip) {
+      return res.status(404).json({ success: false, message: 'Trip not found' });
+    }
+
+    const isCustomer = trip.customerId?.toString() === cancelledBy;
+    const isDriver = trip.assignedDriver?.toString() === cancelledBy;
+    if (!isCustomer && !isDriver) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    const by = isCustomer ? 'customer' : 'driver';
+    if (!isCancellationReason(by, reason)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cancellation reason',
+        errorCode: 'INVALID_CANCEL_REASON',
+        reasons: CANCELLATION_POLICY.REASONS[by]
+      });
+    }
+
+    const decision = await evaluateCancellation(trip, { by, reason });
+
+    res.status(200).json({
+      success: true,
+      tripId,
+      status: trip.status,
+      reasons: CANCELLATION_POLICY.REASONS[by],
+      cancellation: decisionView(decision),
+    });
+  } catch (err) {
+    console.error('🔥 getCancellationPreview error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
 const getTripById = async (req, res) => {
   try {
     const trip = await Trip.findById(req.params.id).populate('assignedDriver customerId');
@@ -1365,7 +1708,7 @@ const getDriverActiveTrip = async (req, res) => {
         rideCode: trip.otp,
         status: trip.status,
         ridePhase: ridePhase,
-        fare: trip.fare || trip.finalFare || 0,
+        fare: trip.finalFare || trip.fare || 0,
         originalFare: trip.originalFare || null,
         discountApplied: trip.discountApplied || 0,
         coinsUsed: trip.coinsUsed || 0,
@@ -1379,7 +1722,8 @@ const getDriverActiveTrip = async (req, res) => {
           lat: trip.drop.coordinates[1],
           lng: trip.drop.coordinates[0],
           address: trip.drop.address
-        }
+        },
+        stops: stopsView(trip)
       },
       customer: trip.customerId ? {
         id: trip.customerId._id.toString(),
@@ -1407,7 +1751,8 @@ const getDriverActiveTrip = async (req, res) => {
 
 const goingToPickup = async (req, res) => {
   try {
-    const { tripId, driverId } = req.body;
+    const { tripId, driverLat, driverLng } = req.body;
+    const driverId = req.user._id.toString();
 
     const trip = await Trip.findById(tripId);
     if (!trip) {
@@ -1418,23 +1763,148 @@ const goingToPickup = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
-    trip.rideStatus = 'arrived_at_pickup';
-    await trip.save();
+    let arrived = trip;
+    if (trip.status !== 'driver_at_pickup') {
+      assertAtPickup(trip, { driverLat, driverLng });
+      ({ trip: arrived } = await transitionTrip(trip._id, 'driver_at_pickup', {
+        where: { assignedDriver: trip.assignedDriver },
+        actor: 'driver',
+        actorId: driverId,
+      }));
+    }
 
     const customer = await User.findById(trip.customerId);
-    if (customer?.socketId) {
-      io.to(customer.socketId).emit('trip:driver_arrived', {
+    if (customer) {
+      io.to(userRoom(customer._id)).emit('trip:driver_arrived', {
         tripId: trip._id.toString(),
+        arrivedAt: arrived.arrivedAt,
       });
     }
+    emitWaitingStatus(arrived);
 
     res.status(200).json({
       success: true,
       message: 'Status updated to arrived.',
+      waiting: waitingStatus(arrived),
     });
   } catch (err) {
     console.error('🔥 goingToPickup error:', err);
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message,
+      ...(err.errorCode && { errorCode: err.errorCode }),
+      ...(err.distanceM != null && { distanceM: err.distanceM })
+    });
+  }
+};
+
+// ✅ Driver waited past the no-show threshold: cancel with a fee
+const markCustomerNoShow = async (req, res) => {
+  try {
+    const { tripId, driverLat, driverLng } = req.body;
+    const driverId = req.user._id.toString();
+
+    if (!tripId) {
+      return res.status(400).json({ success: false, message: 'tripId is required' });
+    }
+
+    const trip = await Trip.findById(tripId);
+    if (!trip) {
+      return res.status(404).json({ success: false, message: 'Trip not found' });
+    }
+
+    if (trip.assignedDriver?.toString() !== driverId) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    if (trip.status !== 'driver_at_pickup') {
+      return res.status(409).json({
+        success: false,
+        message: 'Mark arrival at pickup before reporting a no-show',
+        errorCode: 'NOT_AT_PICKUP'
+      });
+    }
+
+    const waiting = waitingStatus(trip);
+    if (!waiting.canReportNoShow) {
+      return res.status(409).json({
+        success: false,
+        message: 'No-show can be reported after the waiting period',
+        errorCode: 'NO_SHOW_TOO_EARLY',
+        noShowAvailableAt: waiting.noShowAvailableAt
+      });
+    }
+
+    assertAtPickup(trip, { driverLat, driverLng });
+
+    const { trip: cancelled } = await transitionTrip(trip._id, 'cancelled', {
+      from: 'driver_at_pickup',
+      where: { assignedDriver: trip.assignedDriver },
+      set: { cancelledBy: driverId, cancellationReason: 'customer_no_show', ...endPickupWait(trip) },
+      actor: 'driver',
+      actorId: driverId,
+      reason: 'customer_no_show',
+      populate: [
+        { path: 'customerId', select: 'phone name socketId' },
+        { path: 'assignedDriver', select: 'name phone vehicleNumber socketId' },
+      ],
+    });
+
+    const terms = waitingTerms(cancelled);
+    const fee = await applyCancellationFee(cancelled, {
+      amount: terms.noShowFee,
+      reason: 'customer_no_show',
+      driverCompensation: terms.noShowDriverShare,
+    });
+
+    await User.findByIdAndUpdate(driverId, {
+      $set: {
+        currentTripId: null,
+        isBusy: false,
+        canReceiveNewRequests: false,
+        awaitingCashCollection: false,
+        lastTripCancelledAt: new Date()
+      }
+    });
+
+    await saveToRideHistory(cancelled, 'Cancelled');
+
+    const payload = {
+      tripId: cancelled._id.toString(),
+      cancelledBy: 'driver',
+      reason: 'customer_no_show',
+      timestamp: new Date().toISOString(),
+      shouldClearTrip: true,
+      fee: feeView(fee),
+    };
+    if (io) {
+      io.to(userRoom(cancelled.customerId._id)).emit('trip:cancelled', {
+        ...payload,
+        message: 'Trip cancelled: driver could not find you at pickup',
+      });
+      io.to(userRoom(driverId)).emit('trip:cancelled', {
+        ...payload,
+        message: 'Trip cancelled: customer no-show',
+      });
+    }
+    notifyCancellationFee(cancelled, fee);
+
+    console.log(`🚷 Trip ${tripId}: customer no-show reported by driver ${driverId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Trip cancelled as customer no-show',
+      tripId: cancelled._id.toString(),
+      fee: feeView(fee),
+    });
+  } catch (err) {
+    console.error('🔥 markCustomerNoShow error:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message,
+      ...(err.errorCode && { errorCode: err.errorCode }),
+      ...(err.distanceM != null && { distanceM: err.distanceM })
+    });
   }
 };
 
@@ -1444,7 +1914,7 @@ const startRide = async (req, res) => {
 
     console.log(`🎯 Driver ${driverId} attempting to start ride ${tripId} with OTP: ${otp}`);
 
-    const trip = await Trip.findById(tripId);
+    let trip = await Trip.findById(tripId);
     if (!trip) {
       return res.status(404).json({ success: false, message: 'Trip not found' });
     }
@@ -1453,6 +1923,11 @@ const startRide = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
+    await recordTripEvent(trip._id, 'otp_attempt', {
+      actor: 'driver',
+      actorId: driverId,
+      payload: { success: trip.otp === otp },
+    });
     if (trip.otp !== otp) {
       return res.status(400).json({
         success: false,
@@ -1472,22 +1947,24 @@ const startRide = async (req, res) => {
       });
     }
 
-    trip.rideStatus = 'ride_started';
-    trip.status = 'ride_started';
-    trip.startTime = new Date();
-    
-    await trip.save();
+    ({ trip } = await transitionTrip(trip._id, 'ride_started', {
+      where: { assignedDriver: trip.assignedDriver, otp },
+      set: endPickupWait(trip),
+      actor: 'driver',
+      actorId: driverId,
+    }));
     console.log(`✅ Ride started for trip ${tripId}`);
 
     const customer = await User.findById(trip.customerId);
-    if (customer?.socketId) {
-      io.to(customer.socketId).emit('trip:ride_started', {
+    if (customer) {
+      io.to(userRoom(customer._id)).emit('trip:ride_started', {
         tripId: trip._id.toString(),
         startTime: trip.startTime,
         fare: trip.fare,
         originalFare: trip.originalFare || null,
         discountApplied: trip.discountApplied || 0,
-        coinsUsed: trip.coinsUsed || 0
+        coinsUsed: trip.coinsUsed || 0,
+        pickupWait: trip.pickupWait || null
       });
       console.log(`📢 trip:ride_started emitted to customer ${customer._id}`);
     }
@@ -1495,11 +1972,16 @@ const startRide = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Ride started successfully',
-      startTime: trip.startTime
+      startTime: trip.startTime,
+      pickupWait: trip.pickupWait || null
     });
   } catch (err) {
     console.error('🔥 startRide error:', err);
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message,
+      ...(err.errorCode && { errorCode: err.errorCode })
+    });
   }
 };
 
@@ -1515,7 +1997,7 @@ const completeRideWithVerification = async (req, res) => {
     console.log(`   Driver ID: ${driverId}`);
     console.log('='.repeat(70));
 
-    const trip = await Trip.findById(tripId)
+    let trip = await Trip.findById(tripId)
       .populate('customerId', 'phone name socketId')
       .populate('assignedDriver', 'name phone vehicleNumber');
       
@@ -1529,7 +2011,7 @@ const completeRideWithVerification = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
-    if (trip.status !== 'ride_started' && trip.rideStatus !== 'ride_started') {
+    if (!['ride_started', 'in_progress'].includes(trip.status)) {
       console.log(`❌ Invalid trip status: ${trip.status} / ${trip.rideStatus}`);
       return res.status(400).json({
         success: false,
@@ -1537,29 +2019,38 @@ const completeRideWithVerification = async (req, res) => {
       });
     }
 
-    const dropLat = trip.drop.coordinates[1];
-    const dropLng = trip.drop.coordinates[0];
-    const distance = calculateDistance(driverLat, driverLng, dropLat, dropLng);
+    // Geofence on the final stop (the drop; intermediate stops don't end a trip)
+    const [endLng, endLat] = finalStop(trip).coordinates;
+    const distance = calculateDistance(driverLat, driverLng, endLat, endLng);
 
-    console.log(`📍 Distance to drop: ${(distance * 1000).toFixed(0)}m`);
+    console.log(`📍 Distance to final stop: ${(distance * 1000).toFixed(0)}m`);
 
-    if (distance > 0.5) {
+    if (distance * 1000 > TRIP_STOPS.COMPLETION_RADIUS_M) {
       return res.status(400).json({
         success: false,
-        message: `You are ${(distance * 1000).toFixed(0)}m away from drop location. Please reach destination first.`,
+        message: `You are ${(distance * 1000).toFixed(0)}m away from ${trip.stops?.length ? 'the final stop' : 'drop location'}. Please reach destination first.`,
         distance: distance
       });
     }
 
-    trip.status = 'completed';
-    trip.rideStatus = 'completed';
-    trip.endTime = new Date();
-    trip.finalFare = trip.fare || 0;
-    trip.completedAt = new Date();
-    trip.paymentCollected = false;
-    trip.paymentCollectedAt = null;
-    
-    await trip.save();
+    const { finalFare, fareAdjustment } = computeFareAdjustment(trip);
+
+    ({ trip } = await transitionTrip(trip._id, 'completed', {
+      where: { assignedDriver: trip.assignedDriver._id },
+      set: {
+        finalFare,
+        fareAdjustment,
+        ...closeStops(trip),
+        paymentCollected: false,
+        paymentCollectedAt: null,
+      },
+      actor: 'driver',
+      actorId: driverId,
+      populate: [
+        { path: 'customerId', select: 'phone name socketId' },
+        { path: 'assignedDriver', select: 'name phone vehicleNumber' },
+      ],
+    }));
 
     console.log(`✅ Trip ${tripId} marked as completed`);
     console.log(`   Final Fare: ₹${trip.finalFare}`);
@@ -1568,30 +2059,52 @@ const completeRideWithVerification = async (req, res) => {
     console.log(`   Coins Used: ${trip.coinsUsed || 0}`);
 
     await saveToRideHistory(trip, 'Completed');
+    await applyOutstandingFees(trip);
+    await notifyFareAdjusted(trip);
+
+    // ✅ Wallet trips are charged now; Online trips get a Razorpay order.
+    // Either way the customer pays the platform and the driver moves on.
+    const walletPayment = trip.paymentMethod === 'Wallet' ? await collectWalletFare(trip) : null;
+    if (walletPayment?.fallback) trip.paymentMethod = walletPayment.fallback;
+    const isPrepaid = trip.paymentMethod !== 'Cash';
+    const payment = await prepareTripPayment(trip);
 
     await User.findByIdAndUpdate(driverId, {
-      $set: { 
-        currentTripId: tripId,
-        isBusy: true,
-        canReceiveNewRequests: false,
-        awaitingCashCollection: true,
-        lastTripCompletedAt: new Date()
-      }
+      $set: isPrepaid
+        ? {
+            currentTripId: null,
+            isBusy: false,
+            canReceiveNewRequests: false,
+            awaitingCashCollection: false,
+            lastTripCompletedAt: new Date()
+          }
+        : {
+            currentTripId: tripId,
+            isBusy: true,
+            canReceiveNewRequests: false,
+            awaitingCashCollection: true,
+            lastTripCompletedAt: new Date()
+          }
     });
     
-    console.log(`✅ Driver ${driverId} status: awaiting cash collection`);
+    console.log(`✅ Driver ${driverId} status: ${isPrepaid ? `free (${trip.paymentMethod} payment)` : 'awaiting cash collection'}`);
 
     // ✅ UPDATED: Include discount info in trip:completed event
     const customer = trip.customerId;
-    if (customer?.socketId) {
-      io.to(customer.socketId).emit('trip:completed', {
+    if (customer) {
+      io.to(userRoom(customer._id)).emit('trip:completed', {
         tripId: tripId,
         endTime: trip.endTime,
         fare: trip.finalFare,
+        estimatedFare: trip.fare,
         originalFare: trip.originalFare || null,
         discountApplied: trip.discountApplied || 0,
         coinsUsed: trip.coinsUsed || 0,
-        awaitingPayment: true
+        awaitingPayment: !walletPayment?.charged,
+        paymentMethod: trip.paymentMethod,
+        payment,
+        walletPayment,
+        ratingWindowClosesAt: ratingWindowClosesAt(trip)
       });
       console.log(`📢 Emitted trip:completed to customer with discount info`);
     }
@@ -1601,19 +2114,31 @@ const completeRideWithVerification = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Ride completed. Please collect cash from customer.',
+      message: trip.paymentMethod === 'Wallet'
+        ? 'Ride completed. Fare paid from customer wallet.'
+        : trip.paymentMethod === 'Online'
+          ? 'Ride completed. Customer will pay online.'
+          : 'Ride completed. Please collect cash from customer.',
       fare: trip.finalFare,
+      estimatedFare: trip.fare,
+      fareAdjustment: trip.fareAdjustment,
       originalFare: trip.originalFare || null,
       discountApplied: trip.discountApplied || 0,
       coinsUsed: trip.coinsUsed || 0,
       duration: Math.round((trip.endTime - trip.startTime) / 60000),
-      awaitingCashCollection: true,
-      paymentCollected: false
+      paymentMethod: trip.paymentMethod,
+      awaitingCashCollection: !isPrepaid,
+      paymentCollected: !!walletPayment?.charged,
+      ratingWindowClosesAt: ratingWindowClosesAt(trip)
     });
 
   } catch (err) {
     console.error('🔥 completeRideWithVerification error:', err);
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message,
+      ...(err.errorCode && { errorCode: err.errorCode })
+    });
   }
 };
 
@@ -1654,6 +2179,7 @@ const getTripByIdWithPayment = async (req, res) => {
         otp: trip.otp,
         pickup: trip.pickup,
         drop: trip.drop,
+        stops: stopsView(trip),
         assignedDriver: trip.assignedDriver,
         customerId: trip.customerId,
         createdAt: trip.createdAt,
@@ -1826,6 +2352,19 @@ const confirmCashCollection = async (req, res) => {
       console.error('⚠️ Coin award failed (non-critical):', coinError.message);
     }
 
+    // ============================================================
+    // STEP 3: Referral payouts (referee's first paid trip)
+    // ============================================================
+    let referralPayouts = [];
+    try {
+      referralPayouts = await processReferralPayouts(tripId);
+      if (referralPayouts.length) {
+        console.log(`✅ STEP 3 COMPLETE: ${referralPayouts.length} referral payout(s)`);
+      }
+    } catch (referralError) {
+      console.error('⚠️ Referral payout failed (non-critical):', referralError.message);
+    }
+
     console.log('');
     console.log('✅ ═══════════════════════════════════════════════════════════════');
     console.log('✅ CASH COLLECTION COMPLETE');
@@ -1845,6 +2384,7 @@ const confirmCashCollection = async (req, res) => {
         commissionPercentage: fareBreakdown.commissionPercentage || 15,
         driverEarning: Number((fareBreakdown.driverEarning || 0).toFixed(2))
       },
+      ratingWindowClosesAt: ratingWindowClosesAt(trip),
       wallet: {
         totalEarnings: Number((walletData.totalEarnings || 0).toFixed(2)),
         totalCommission: Number((walletData.totalCommission || 0).toFixed(2)),
@@ -1856,7 +2396,8 @@ const confirmCashCollection = async (req, res) => {
         coinsAwarded: coinReward.coinsAwarded,
         totalCoins: coinReward.totalCoins,
         tier: coinReward.tier
-      } : null
+      } : null,
+      referralPayouts
     });
 
   } catch (err) {
@@ -1929,7 +2470,8 @@ const getActiveRide = async (req, res) => {
           lng: trip.drop.coordinates[0],
           address: trip.drop.address
         },
-        fare: trip.fare || trip.finalFare || 0,
+        stops: stopsView(trip),
+        fare: trip.finalFare || trip.fare || 0,
         originalFare: trip.originalFare || null,
         discountApplied: trip.discountApplied || 0,
         coinsUsed: trip.coinsUsed || 0,
@@ -1968,10 +2510,13 @@ export {
   createLongTrip,
   acceptTrip,
   rejectTrip,
+  markOfferSeen,
   completeTrip,
   cancelTrip,
+  getCancellationPreview,
   getTripById,
   goingToPickup,
+  markCustomerNoShow,
   startRide,
   completeRideWithVerification,
   confirmCashCollection,
@@ -1980,4 +2525,7 @@ export {
   getActiveRide,
   // ✅ NEW EXPORT:
   awardCoinsToCustomer,
+  // Shared with scheduledTripController
+  normalizeCoordinates,
+  findUserByIdOrPhone,
 };
\ No newline at end of file
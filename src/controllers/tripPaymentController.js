@@ -0,0 +1,201 @@
+// src/controllers/tripPaymentController.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Trip from '../models/Trip.js';
+import { getRazorpay } from '../utils/razorpayClient.js';
+import { createTripPaymentOrder, settleTripPayment, tripPayableAmount } from '../utils/tripPayments.js';
+
+/**
+ * Customer side of online trip payments (utils/tripPayments.js).
+ * The app opens Razorpay checkout with the order from trip:completed (or
+ * from POST .../payment/order) and sends the checkout result to verify.
+ */
+
+const loadCustomerTrip = async (req, res) => {
+  const { tripId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(tripId)) {
+    res.status(400).json({ success: false, message: 'Invalid tripId' });
+    return null;
+  }
+
+  const trip = await Trip.findById(tripId).lean();
+  if (!trip) {
+    res.status(404).json({ success: false, message: 'Trip not found' });
+    return null;
+  }
+
+  if (String(trip.customerId) !== String(req.user._id)) {
+    res.status(403).json({ success: false, message: 'Not authorized' });
+    return null;
+  }
+  return trip;
+};
+
+const paymentView = (trip) => ({
+  tripId: trip._id,
+  paymentMethod: trip.paymentMethod,
+  paymentCollected: !!trip.paymentCollected,
+  paymentCollectedAt: trip.paymentCollectedAt || null,
+  amount: tripPayableAmount(trip),
+  online: trip.onlinePayment
+    ? {
+        orderId: trip.onlinePayment.orderId,
+        status: trip.onlinePayment.status,
+        paymentId: trip.onlinePayment.paymentId,
+        method: trip.onlinePayment.method,
+        failureReason: trip.onlinePayment.failureReason,
+        refundedAmount: trip.onlinePayment.refundedAmount || 0,
+        refunds: (trip.onlinePayment.refunds || []).map((r) => ({
+          refundId: r.refundId,
+          amount: r.amount,
+          reason: r.reason,
+          status: r.status,
+          createdAt: r.createdAt,
+        })),
+      }
+    : null,
+});
+
+/**
+ * POST /api/trip/:tripId/payment/order
+ * Order for a completed, unpaid trip (also switches a Cash trip to Online).
+ */
+export const createTripOrder = async (req, res) => {
+  try {
+    const trip = await loadCustomerTrip(req, res);
+    if (!trip) return;
+
+    if (trip.status !== 'completed') {
+      return res.status(400).json({ success: false, message: 'Trip must be completed before payment' });
+    }
+
+    if (trip.paymentCollected) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment already collected for this trip',
+        errorCode: 'ALREADY_PAID'
+      });
+    }
+
+    if (!getRazorpay()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Payment service temporarily unavailable',
+        errorCode: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const order = await createTripPaymentOrder(trip);
+    res.status(200).json({ success: true, ...order });
+  } catch (err) {
+    console.error('🔥 createTripOrder error:', err);
+    res.status(500).json({ success: false, message: err.error?.description || err.message });
+  }
+};
+
+/**
+ * POST /api/trip/:tripId/payment/verify
+ * Body → { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ */
+export const verifyTripPayment = async (req, res) => {
+  try {
+    const trip = await loadCustomerTrip(req, res);
+    if (!trip) return;
+
+    const {
+      razorpay_order_id: orderId,
+      razorpay_payment_id: paymentId,
+      razorpay_signature: signature
+    } = req.body;
+
+    if (!orderId || !paymentId || !signature) {
+      return res.status(400).json({ success: false, message: 'Missing payment verification data' });
+    }
+
+    const razorpay = getRazorpay();
+    if (!razorpay) {
+      return res.status(503).json({
+        success: false,
+        message: 'Payment service temporarily unavailable',
+        errorCode: 'SERVICE_UNAVAILABLE'
+      });
+    }
+
+    const expected = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+
+    if (expected !== signature) {
+      console.error(`❌ Trip ${trip._id}: payment signature mismatch - possible fraud attempt`);
+      return res.status(400).json({
+        success: false,
+        message: 'Payment verification failed',
+        errorCode: 'SIGNATURE_MISMATCH'
+      });
+    }
+
+    const payment = await razorpay.payments.fetch(paymentId);
+    if (payment.order_id !== orderId || payment.notes?.tripId !== String(trip._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment does not belong to this trip',
+        errorCode: 'PAYMENT_MISMATCH'
+      });
+    }
+
+    // Auto-capture still running: the webhook or reconciliation will book it
+    if (payment.status !== 'captured') {
+      return res.status(202).json({
+        success: true,
+        message: 'Payment is being confirmed',
+        paymentStatus: payment.status
+      });
+    }
+
+    const result = await settleTripPayment({ tripId: trip._id, payment, source: 'verify_api' });
+
+    if (result.status === 'mismatch') {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment amount does not match the trip fare. Our team will review it.',
+        errorCode: 'PAYMENT_MISMATCH'
+      });
+    }
+
+    if (result.status === 'refunded') {
+      return res.status(409).json({
+        success: false,
+        message: 'This trip was already paid. Your payment will be refunded.',
+        errorCode: 'ALREADY_PAID'
+      });
+    }
+
+    const updated = await Trip.findById(trip._id).lean();
+    res.status(200).json({
+      success: true,
+      message: result.status === 'settled' ? 'Payment successful' : 'Payment already processed',
+      payment: paymentView(updated),
+      coinReward: result.coinReward || null,
+      referralPayouts: result.referralPayouts || []
+    });
+  } catch (err) {
+    console.error('🔥 verifyTripPayment error:', err);
+    res.status(500).json({ success: false, message: err.error?.description || err.message });
+  }
+};
+
+/**
+ * GET /api/trip/:tripId/payment
+ */
+export const getTripPaymentStatus = async (req, res) => {
+  try {
+    const trip = await loadCustomerTrip(req, res);
+    if (!trip) return;
+
+    res.status(200).json({ success: true, payment: paymentView(trip) });
+  } catch (err) {
+    console.error('🔥 getTripPaymentStatus error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
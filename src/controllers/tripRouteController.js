@@ -0,0 +1,54 @@
+// src/controllers/tripRouteController.js
+import mongoose from 'mongoose';
+import Trip from '../models/Trip.js';
+import { getTripRoute, routeToGeoJSON, routeToPolyline } from '../utils/tripTrail.js';
+
+/**
+ * Driven route of a trip for the ride receipt (utils/tripTrail.js).
+ * Customers and drivers only get the ride leg, simplified; the pickup leg
+ * and raw points are admin-only (admin.trips.routes.js).
+ */
+
+const loadParticipantTrip = async (req, res) => {
+  const { tripId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(tripId)) {
+    res.status(400).json({ success: false, message: 'Invalid tripId' });
+    return null;
+  }
+
+  const trip = await Trip.findById(tripId).select('customerId assignedDriver status trail').lean();
+  if (!trip) {
+    res.status(404).json({ success: false, message: 'Trip not found' });
+    return null;
+  }
+
+  const userId = String(req.user._id);
+  if (String(trip.customerId) !== userId && String(trip.assignedDriver) !== userId) {
+    res.status(403).json({ success: false, message: 'Not authorized' });
+    return null;
+  }
+  return trip;
+};
+
+/**
+ * GET /api/trip/:tripId/route?format=geojson|polyline
+ */
+export const getTripRouteForReceipt = async (req, res) => {
+  try {
+    const trip = await loadParticipantTrip(req, res);
+    if (!trip) return;
+
+    const format = req.query.format === 'polyline' ? 'polyline' : 'geojson';
+    const route = await getTripRoute(trip, { phases: ['ride'], simplify: true });
+
+    res.status(200).json({
+      success: true,
+      status: trip.status,
+      format,
+      route: format === 'polyline' ? routeToPolyline(route) : routeToGeoJSON(route),
+    });
+  } catch (err) {
+    console.error('🔥 getTripRouteForReceipt error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
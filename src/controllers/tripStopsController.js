@@ -0,0 +1,100 @@
+// src/controllers/tripStopsController.js
+import { updateTripStops, markStopArrived, markStopDeparted, stopsView } from '../utils/tripStops.js';
+
+/**
+ * Intermediate stops on a trip (utils/tripStops.js): rider edits, driver
+ * arrival / departure. All routes sit behind `protect`; the signed-in user
+ * is the customer or driver.
+ */
+
+const sendError = (res, label, err) => {
+  if (!err.statusCode) console.error(`🔥 ${label} error:`, err);
+  res.status(err.statusCode || 500).json({
+    success: false,
+    message: err.message,
+    ...(err.errorCode && { errorCode: err.errorCode }),
+    ...(err.distanceM != null && { distanceM: err.distanceM }),
+  });
+};
+
+const stopsResponse = (trip, extra = {}) => ({
+  success: true,
+  tripId: String(trip._id),
+  stops: stopsView(trip),
+  fare: trip.fare,
+  ...extra,
+});
+
+/**
+ * POST /api/trip/:tripId/stops
+ * body: { stop: { coordinates: [lng, lat] | lat, lng, address }, position? }
+ */
+export const addTripStop = async (req, res) => {
+  try {
+    const { stop, position } = req.body;
+    const customerId = req.user._id;
+    if (!stop) {
+      return res.status(400).json({ success: false, message: 'stop is required' });
+    }
+
+    const { trip, change, previousFare } = await updateTripStops(req.params.tripId, { customerId, add: stop, position });
+    res.status(200).json(stopsResponse(trip, { change, previousFare }));
+  } catch (err) {
+    sendError(res, 'addTripStop', err);
+  }
+};
+
+/**
+ * DELETE /api/trip/:tripId/stops/:stopId
+ */
+export const removeTripStop = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+
+    const { trip, change, previousFare } = await updateTripStops(req.params.tripId, {
+      customerId,
+      removeStopId: req.params.stopId,
+    });
+    res.status(200).json(stopsResponse(trip, { change, previousFare }));
+  } catch (err) {
+    sendError(res, 'removeTripStop', err);
+  }
+};
+
+/**
+ * POST /api/trip/stop-arrived
+ * body: { tripId, stopId, driverLat, driverLng }
+ */
+export const arriveAtStop = async (req, res) => {
+  try {
+    const { tripId, stopId, driverLat, driverLng } = req.body;
+    const driverId = req.user._id;
+    if (!tripId || !stopId) {
+      return res.status(400).json({ success: false, message: 'tripId and stopId are required' });
+    }
+
+    const { trip, stop } = await markStopArrived(tripId, { driverId, stopId, driverLat, driverLng });
+    res.status(200).json(stopsResponse(trip, { stop }));
+  } catch (err) {
+    sendError(res, 'arriveAtStop', err);
+  }
+};
+
+/**
+ * POST /api/trip/stop-departed
+ * body: { tripId, stopId }
+ */
+export const departFromStop = async (req, res) => {
+  try {
+    const { tripId, stopId } = req.body;
+    const driverId = req.user._id;
+    if (!tripId || !stopId) {
+      return res.status(400).json({ success: false, message: 'tripId and stopId are required' });
+    }
+
+    const { trip, stop } = await markStopDeparted(tripId, { driverId, stopId });
+    res.status(200).json(stopsResponse(trip, { stop }));
+  } catch (err) {
+    sendError(res, 'departFromStop', err);
+  }
+};
@@ -8,39 +8,16 @@ import User from '../models/User.js';
 // ❌ REMOVED: import Reward from '../models/Reward.js';
 // ❌ REMOVED: import RewardSettings from '../models/RewardSettings.js';
 import { io } from '../socket/socketHandler.js';
-import Razorpay from 'razorpay';
+import { userRoom } from '../socket/socketAuth.js';
+import { getRazorpay } from '../utils/razorpayClient.js';
+import { settleCommissionPayment } from '../utils/commissionPayments.js';
+import { postCashTripEntry, getDriverLedgerBalances } from '../utils/ledger.js';
+import { recordTripPayment } from '../utils/tripTimeline.js';
+import { awardRideIncentive } from '../utils/rideIncentives.js';
 import crypto from 'crypto';
-import axios from 'axios';
 
-// ✅ Initialize Razorpay with enhanced security
-const initializeRazorpay = () => {
-  const keyId = process.env.RAZORPAY_KEY_ID;
-  const keySecret = process.env.RAZORPAY_KEY_SECRET;
-
-  if (!keyId || !keySecret) {
-    console.error('🔥 RAZORPAY CREDENTIALS MISSING');
-    console.error('Please set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET in .env');
-    throw new Error('Razorpay credentials not configured');
-  }
-
-  if (!keyId.startsWith('rzp_test_') && !keyId.startsWith('rzp_live_')) {
-    console.warn('⚠️  Warning: Razorpay Key ID format incorrect');
-  }
-
-  console.log('✅ Razorpay initialized:', keyId.substring(0, 12) + '...');
-
-  return new Razorpay({
-    key_id: keyId,
-    key_secret: keySecret,
-  });
-};
-
-let razorpay;
-try {
-  razorpay = initializeRazorpay();
-} catch (error) {
-  console.error('Failed to initialize Razorpay:', error.message);
-}
+// ✅ Shared Razorpay client (null when credentials are missing)
+const razorpay = getRazorpay();
 
 // Configuration
 const COMMISSION_PERCENTAGE = 15;
@@ -53,9 +30,12 @@ const toRupees = (paisa) => paisa / PAISA_MULTIPLIER;
 
 const paymentProcessing = new Map();
 
-const calculateFareBreakdown = (tripFare) => {
+// `platformOnly`: part of the fare that is all platform's (earlier unpaid fees carried onto this ride)
+const calculateFareBreakdown = (tripFare, platformOnly = 0) => {
   const tripFareInPaisa = toPaisa(tripFare);
-  const commissionInPaisa = Math.round((tripFareInPaisa * COMMISSION_PERCENTAGE) / 100);
+  const platformOnlyInPaisa = Math.min(toPaisa(platformOnly), tripFareInPaisa);
+  const commissionInPaisa =
+    Math.round(((tripFareInPaisa - platformOnlyInPaisa) * COMMISSION_PERCENTAGE) / 100) + platformOnlyInPaisa;
   const driverEarningInPaisa = tripFareInPaisa - commissionInPaisa;
 
   return {
@@ -66,34 +46,6 @@ const calculateFareBreakdown = (tripFare) => {
   };
 };
 
-const calculateWalletBalance = (transactions) => {
-  let totalEarnings = 0;
-  let totalCommission = 0;
-  let pendingAmount = 0;
-  let availableBalance = 0;
-
-  transactions.forEach(t => {
-    if (t.status !== 'completed') return;
-
-    if (t.type === 'credit') {
-      totalEarnings += t.amount;
-      availableBalance += t.amount;
-    } else if (t.type === 'commission') {
-      totalCommission += t.amount;
-      pendingAmount += t.amount;
-    } else if (t.type === 'debit') {
-      pendingAmount -= t.amount;
-    }
-  });
-
-  return {
-    totalEarnings: Number(totalEarnings.toFixed(2)),
-    totalCommission: Number(totalCommission.toFixed(2)),
-    pendingAmount: Math.max(0, Number(pendingAmount.toFixed(2))),
-    availableBalance: Number(availableBalance.toFixed(2))
-  };
-};
-
 const getOrCreateWallet = async (driverId, session = null) => {
   const wallet = await Wallet.findOneAndUpdate(
     { driverId },
@@ -119,41 +71,14 @@ const getOrCreateWallet = async (driverId, session = null) => {
 
 const addRideIncentive = async (userId, tripId) => {
   try {
-    const baseUrl = process.env.API_BASE_URL || 'https://4dd0f9dd1db1.ngrok-free.app';
-    
-    console.log('📞 Calling incentive API:', {
-      url: `${baseUrl}/api/incentives/add-ride-incentive`,
-      userId,
-      tripId
-    });
-    
-    const response = await axios.post(
-      `${baseUrl}/api/incentives/add-ride-incentive`, 
-      {
-        userId,
-        tripId
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 5000
-      }
-    );
-
-    if (response.data.success) {
-      console.log('✅ Ride incentive added:', response.data.data);
-      return response.data.data;
-    } else {
-      console.error('❌ Incentive API returned error:', response.data);
-      return null;
-    }
+    const data = await awardRideIncentive(userId, tripId);
+    console.log('✅ Ride incentive added:', data);
+    return data;
   } catch (error) {
     console.error('❌ Error adding ride incentive:', {
       message: error.message,
-      response: error.response?.data,
-      status: error.response?.status,
-      url: error.config?.url
+      errorCode: error.errorCode,
+      tripId
     });
     return null;
   }
@@ -299,8 +224,6 @@ const createRazorpayOrder = async (req, res) => {
 };
 
 const verifyRazorpayPayment = async (req, res) => {
-  let session = null;
-
   try {
     if (!razorpay) {
       return res.status(503).json({
@@ -382,72 +305,34 @@ const verifyRazorpayPayment = async (req, res) => {
 
     const amount = toRupees(payment.amount);
 
-    const existingTransaction = await Wallet.findOne({
+    // ✅ Same settlement path as the webhook and reconciliation job (idempotent)
+    const settlement = await settleCommissionPayment({
       driverId,
-      'transactions.razorpayPaymentId': paymentId
+      orderId,
+      payment,
+      source: 'verify_api'
     });
 
-    if (existingTransaction) {
-      const existingTxn = existingTransaction.transactions.find(
-        t => t.razorpayPaymentId === paymentId && t.status === 'completed'
-      );
-      
-      if (existingTxn) {
-        paymentProcessing.delete(processingKey);
-        
-        const balances = calculateWalletBalance(existingTransaction.transactions);
-        
-        return res.status(200).json({
-          success: true,
-          message: 'Payment already processed',
-          wallet: balances
-        });
-      }
-    }
-
-    session = await mongoose.startSession();
-    session.startTransaction();
+    paymentProcessing.delete(processingKey);
 
-    const wallet = await Wallet.findOne({ driverId }).session(session);
-    
-    if (!wallet) {
-      throw new Error('Wallet not found');
+    if (settlement.status === 'already_settled') {
+      return res.status(200).json({
+        success: true,
+        message: 'Payment already processed',
+        wallet: await getDriverLedgerBalances(driverId)
+      });
     }
 
-    if (amount > wallet.pendingAmount + 0.01) {
-      throw new Error(`Amount (₹${amount}) exceeds pending commission (₹${wallet.pendingAmount.toFixed(2)})`);
+    if (settlement.status === 'mismatch') {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment received but could not be matched to your pending commission. Our team will review it.',
+        errorCode: 'PAYMENT_MISMATCH',
+        reason: settlement.reason
+      });
     }
 
-    const updatedWallet = await Wallet.findOneAndUpdate(
-      { driverId },
-      {
-        $inc: { 
-          pendingAmount: -amount 
-        },
-        $push: {
-          transactions: {
-            type: 'debit',
-            amount: Number(amount.toFixed(2)),
-            description: `Commission paid via ${payment.method?.toUpperCase() || 'Razorpay'} (${paymentId.substring(0, 15)}...)`,
-            razorpayPaymentId: paymentId,
-            razorpayOrderId: orderId,
-            status: 'completed',
-            paymentMethod: payment.method || 'unknown',
-            createdAt: new Date()
-          }
-        },
-        $set: {
-          lastUpdated: new Date()
-        }
-      },
-      { new: true, session }
-    );
-
-    await session.commitTransaction();
-
-    paymentProcessing.delete(processingKey);
-
-    const balances = calculateWalletBalance(updatedWallet.transactions);
+    const balances = await getDriverLedgerBalances(driverId);
 
     console.log('');
     console.log('='.repeat(70));
@@ -457,14 +342,11 @@ const verifyRazorpayPayment = async (req, res) => {
     console.log(`   Amount: ₹${amount}`);
     console.log('='.repeat(70));
 
-    const driver = await User.findById(driverId).select('socketId').lean();
-    if (driver?.socketId) {
-      io.to(driver.socketId).emit('wallet:updated', {
-        wallet: balances,
-        message: 'Commission payment successful',
-        paymentId: paymentId
-      });
-    }
+    io.to(userRoom(driverId)).emit('wallet:updated', {
+      wallet: balances,
+      message: 'Commission payment successful',
+      paymentId: paymentId
+    });
 
     res.status(200).json({
       success: true,
@@ -479,10 +361,6 @@ const verifyRazorpayPayment = async (req, res) => {
     });
 
   } catch (err) {
-    if (session && session.inTransaction()) {
-      await session.abortTransaction();
-    }
-
     if (req.body.driverId && req.body.paymentId) {
       paymentProcessing.delete(`${req.body.driverId}-${req.body.paymentId}`);
     }
@@ -497,10 +375,6 @@ const verifyRazorpayPayment = async (req, res) => {
         errorCode: 'VERIFICATION_FAILED'
       });
     }
-  } finally {
-    if (session) {
-      session.endSession();
-    }
   }
 };
 
@@ -517,7 +391,8 @@ const getWalletByDriverId = async (req, res) => {
 
     const wallet = await getOrCreateWallet(driverId);
 
-    const balances = calculateWalletBalance(wallet.transactions);
+    // ✅ Balances come from the ledger; the counters on Wallet are only a cache
+    const balances = await getDriverLedgerBalances(driverId);
 
     const recentTransactions = wallet.transactions
       .filter(t => !t.status || t.status === 'completed')
@@ -642,7 +517,7 @@ const processCashCollection = async (req, res) => {
       });
     }
 
-    const tripFare = trip.fare || trip.finalFare || 0;
+    const tripFare = trip.finalFare || trip.fare || 0;
 
     if (tripFare <= 0) {
       await session.abortTransaction();
@@ -652,10 +527,10 @@ const processCashCollection = async (req, res) => {
       });
     }
 
-    const fareBreakdown = calculateFareBreakdown(tripFare);
+    const fareBreakdown = calculateFareBreakdown(tripFare, trip.carriedFees?.amount);
 
     // Update driver wallet
-    const wallet = await Wallet.findOneAndUpdate(
+    await Wallet.findOneAndUpdate(
       { driverId },
       {
         $inc: {
@@ -716,6 +591,9 @@ const processCashCollection = async (req, res) => {
 
     await session.commitTransaction();
 
+    await postCashTripEntry(trip, fareBreakdown);
+    await recordTripPayment(trip, { method: 'cash', status: 'collected', amount: tripFare, collectedBy: driverId });
+
     console.log('');
     console.log('✅ WALLET TRANSACTION COMPLETE');
     console.log(`   Fare: ₹${tripFare}`);
@@ -737,28 +615,22 @@ const processCashCollection = async (req, res) => {
         console.error('⚠️ Error adding driver incentive:', err);
       });
 
-    // Recalculate accurate balances
-    const balances = calculateWalletBalance(wallet.transactions);
+    const balances = await getDriverLedgerBalances(driverId);
 
     // Socket notifications
-    const driver = await User.findById(driverId).select('socketId').lean();
-    const customer = trip.customerId;
-
-    if (driver?.socketId) {
-      io.to(driver.socketId).emit('wallet:updated', {
-        fareBreakdown: {
-          tripFare: Number(fareBreakdown.tripFare.toFixed(2)),
-          commission: Number(fareBreakdown.commission.toFixed(2)),
-          commissionPercentage: fareBreakdown.commissionPercentage,
-          driverEarning: Number(fareBreakdown.driverEarning.toFixed(2))
-        },
-        wallet: balances,
-        message: 'Cash collected successfully',
-      });
-    }
+    io.to(userRoom(driverId)).emit('wallet:updated', {
+      fareBreakdown: {
+        tripFare: Number(fareBreakdown.tripFare.toFixed(2)),
+        commission: Number(fareBreakdown.commission.toFixed(2)),
+        commissionPercentage: fareBreakdown.commissionPercentage,
+        driverEarning: Number(fareBreakdown.driverEarning.toFixed(2))
+      },
+      wallet: balances,
+      message: 'Cash collected successfully',
+    });
 
-    if (customer?.socketId) {
-      io.to(customer.socketId).emit('trip:cash_collected', {
+    if (trip.customerId?._id) {
+      io.to(userRoom(trip.customerId._id)).emit('trip:cash_collected', {
         tripId: tripId.toString(),
         message: 'Payment confirmed. Thank you for riding with us!',
         timestamp: new Date().toISOString()
@@ -903,4 +775,7 @@ export {
   verifyRazorpayPayment,
   getPaymentProofs,
   getOrCreateWallet,
+  // Shared with utils/tripPayments.js (online trip fares)
+  calculateFareBreakdown,
+  addRideIncentive,
 };
\ No newline at end of file
@@ -1,217 +1,234 @@
-// webhookController.js - RAZORPAY WEBHOOK HANDLER (OPTIONAL BUT RECOMMENDED)
+// webhookController.js - RAZORPAY WEBHOOK HANDLER
 import crypto from 'crypto';
-import Wallet from '../models/Wallet.js';
+import WebhookEvent from '../models/WebhookEvent.js';
 import User from '../models/User.js';
 import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { RAZORPAY } from '../config/paymentConfig.js';
+import { verifyWebhookSignature } from '../utils/razorpayClient.js';
+import { settleCommissionPayment, failCommissionOrder } from '../utils/commissionPayments.js';
+import { settleTripPayment, markTripPaymentFailed } from '../utils/tripPayments.js';
+import { settleWalletTopup, failWalletTopup } from '../utils/customerWallet.js';
 
 /**
- * 🔐 WEBHOOK SIGNATURE VERIFICATION
- * This adds an extra layer of security by handling server-to-server notifications
+ * 🔒 Claim an event ID for processing.
+ * @returns {Promise<Object|null>} the event doc, or null if it was already processed
  */
-const verifyWebhookSignature = (webhookBody, webhookSignature, webhookSecret) => {
-  const expectedSignature = crypto
-    .createHmac('sha256', webhookSecret)
-    .update(JSON.stringify(webhookBody))
-    .digest('hex');
-  
-  return expectedSignature === webhookSignature;
+const claimWebhookEvent = async (eventId, event, payload) => {
+  try {
+    return await WebhookEvent.create({ eventId, event, payload });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  // Seen before: only a failed (or crashed mid-way) delivery is retried
+  return WebhookEvent.findOneAndUpdate(
+    {
+      provider: 'razorpay',
+      eventId,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - 5 * 60 * 1000) } },
+      ],
+    },
+    { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+    { new: true }
+  );
 };
 
 /**
  * 🎯 RAZORPAY WEBHOOK HANDLER
  * POST /api/webhook/razorpay
- * 
- * This endpoint receives server-to-server notifications from Razorpay
- * for additional payment verification and reconciliation
+ *
+ * Mounted before express.json(): req.rawBody holds the exact bytes Razorpay
+ * signed. Each event ID is processed once; a failure answers 500 so
+ * Razorpay retries it.
  */
 const handleRazorpayWebhook = async (req, res) => {
-  try {
-    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-    const webhookSignature = req.headers['x-razorpay-signature'];
-    const webhookBody = req.body;
-
-    // Step 1: Verify webhook signature
-    if (!webhookSecret) {
-      console.error('⚠️  Razorpay webhook secret not configured');
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Webhook not configured' 
-      });
-    }
+  const webhookSecret = RAZORPAY.WEBHOOK_SECRET;
+  const webhookSignature = req.headers['x-razorpay-signature'];
 
-    if (!webhookSignature) {
-      console.error('❌ Missing webhook signature');
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Missing signature' 
-      });
-    }
+  // Step 1: Verify webhook signature against the raw body
+  if (!webhookSecret) {
+    console.error('⚠️  Razorpay webhook secret not configured');
+    return res.status(500).json({ success: false, message: 'Webhook not configured' });
+  }
 
-    const isValid = verifyWebhookSignature(
-      webhookBody, 
-      webhookSignature, 
-      webhookSecret
-    );
+  if (!webhookSignature) {
+    console.error('❌ Missing webhook signature');
+    return res.status(400).json({ success: false, message: 'Missing signature' });
+  }
 
-    if (!isValid) {
-      console.error('❌ Invalid webhook signature - possible fraud attempt');
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid signature' 
-      });
-    }
+  if (!verifyWebhookSignature(req.rawBody, webhookSignature, webhookSecret)) {
+    console.error('❌ Invalid webhook signature - possible fraud attempt');
+    return res.status(400).json({ success: false, message: 'Invalid signature' });
+  }
 
-    console.log('✅ Webhook signature verified');
+  let body;
+  try {
+    body = JSON.parse(req.rawBody.toString('utf8'));
+  } catch {
+    return res.status(400).json({ success: false, message: 'Invalid JSON body' });
+  }
 
-    // Step 2: Process webhook event
-    const event = webhookBody.event;
-    const payload = webhookBody.payload;
+  const { event, payload } = body;
+  const eventId =
+    req.headers['x-razorpay-event-id'] ||
+    crypto.createHash('sha256').update(req.rawBody).digest('hex');
 
-    console.log('📥 Webhook event received:', event);
+  console.log(`📥 Webhook event received: ${event} (${eventId})`);
 
+  // Step 2: Idempotency by event ID
+  const record = await claimWebhookEvent(eventId, event, payload);
+  if (!record) {
+    console.log(`ℹ️  Webhook ${eventId} already handled - skipping`);
+    return res.status(200).json({ success: true, received: true, duplicate: true });
+  }
+
+  // Step 3: Process
+  try {
+    let result;
     switch (event) {
       case 'payment.captured':
-        await handlePaymentCaptured(payload.payment.entity);
+        result = await handlePaymentCaptured(payload.payment.entity);
         break;
 
       case 'payment.failed':
-        await handlePaymentFailed(payload.payment.entity);
+        result = await handlePaymentFailed(payload.payment.entity);
         break;
 
       case 'order.paid':
-        await handleOrderPaid(payload.order.entity, payload.payment.entity);
+        result = await handleOrderPaid(payload.order.entity, payload.payment.entity);
         break;
 
       default:
         console.log('ℹ️  Unhandled webhook event:', event);
+        result = { status: 'ignored' };
     }
 
-    // Always return 200 OK to acknowledge receipt
-    res.status(200).json({ success: true, received: true });
+    await WebhookEvent.updateOne(
+      { _id: record._id },
+      { $set: { status: 'processed', result, processedAt: new Date() } }
+    );
 
+    res.status(200).json({ success: true, received: true });
   } catch (err) {
     console.error('🔥 Webhook handler error:', err);
-    // Still return 200 to prevent Razorpay from retrying
-    res.status(200).json({ success: false, error: err.message });
+    await WebhookEvent.updateOne({ _id: record._id }, { $set: { status: 'failed', error: err.message } });
+    res.status(500).json({ success: false, message: 'Webhook processing failed' });
   }
 };
 
+const isCommissionPayment = (notes) => notes?.driverId && (!notes.purpose || notes.purpose === 'commission_payment');
+const isTripPayment = (notes) => notes?.purpose === 'trip_fare' && !!notes.tripId;
+const isWalletTopup = (notes) => notes?.purpose === 'wallet_topup';
+
 /**
  * Handle payment.captured event
  */
 const handlePaymentCaptured = async (payment) => {
-  try {
-    console.log('💳 Payment captured:', payment.id);
-    console.log('   Amount:', payment.amount / 100, 'INR');
-    console.log('   Status:', payment.status);
-    console.log('   Method:', payment.method);
-
-    // Extract driver ID from order notes
-    const driverId = payment.notes?.driverId;
-    
-    if (!driverId) {
-      console.log('⚠️  No driver ID in payment notes');
-      return;
-    }
+  console.log('💳 Payment captured:', payment.id);
+  console.log('   Amount:', payment.amount / 100, 'INR');
+  console.log('   Method:', payment.method);
+
+  if (isTripPayment(payment.notes)) {
+    const result = await settleTripPayment({ tripId: payment.notes.tripId, payment, source: 'webhook' });
+    console.log(`📊 Trip payment ${payment.id}: ${result.status}`);
+    return { status: result.status, reason: result.reason || null };
+  }
 
-    // Check if payment already processed
-    const wallet = await Wallet.findOne({
-      driverId,
-      'transactions.razorpayPaymentId': payment.id
-    });
+  if (isWalletTopup(payment.notes)) {
+    const result = await settleWalletTopup({ payment, source: 'webhook' });
+    console.log(`📊 Wallet top-up ${payment.id}: ${result.status}`);
+    return { status: result.status, reason: result.reason || null };
+  }
 
-    if (wallet) {
-      const existingTxn = wallet.transactions.find(
-        t => t.razorpayPaymentId === payment.id && t.status === 'completed'
-      );
-      
-      if (existingTxn) {
-        console.log('ℹ️  Payment already processed via API');
-        return;
-      }
-    }
+  if (!isCommissionPayment(payment.notes)) {
+    console.log('⚠️  Not a driver commission payment - skipping');
+    return { status: 'ignored' };
+  }
 
-    console.log('ℹ️  Webhook confirms payment, already processed via verify API');
-    
-    // Optionally: Send notification to driver
-    const driver = await User.findById(driverId).select('socketId').lean();
-    if (driver?.socketId) {
-      io.to(driver.socketId).emit('payment:confirmed', {
-        paymentId: payment.id,
-        amount: payment.amount / 100,
-        message: 'Payment confirmed by payment gateway'
-      });
-    }
+  const result = await settleCommissionPayment({
+    driverId: payment.notes.driverId,
+    orderId: payment.order_id,
+    payment,
+    source: 'webhook',
+  });
 
-  } catch (err) {
-    console.error('Error handling payment captured:', err);
-  }
+  console.log(`📊 Settlement for ${payment.id}: ${result.status}`);
+  return { status: result.status, reason: result.reason || null };
 };
 
 /**
  * Handle payment.failed event
  */
 const handlePaymentFailed = async (payment) => {
-  try {
-    console.log('❌ Payment failed:', payment.id);
-    console.log('   Error:', payment.error_description);
-
-    const driverId = payment.notes?.driverId;
-    
-    if (!driverId) return;
-
-    // Update transaction status to failed
-    await Wallet.findOneAndUpdate(
-      { 
-        driverId,
-        'transactions.razorpayOrderId': payment.order_id 
-      },
-      {
-        $set: {
-          'transactions.$.status': 'failed',
-          'transactions.$.description': `Payment failed: ${payment.error_description}`
-        }
-      }
-    );
+  console.log('❌ Payment failed:', payment.id);
+  console.log('   Error:', payment.error_description);
+
+  if (isTripPayment(payment.notes)) {
+    const updated = await markTripPaymentFailed({ tripId: payment.notes.tripId, payment, source: 'webhook' });
+    return { status: updated ? 'failed' : 'no_open_order' };
+  }
+
+  if (isWalletTopup(payment.notes)) {
+    const updated = await failWalletTopup({ payment, source: 'webhook' });
+    return { status: updated ? 'failed' : 'no_pending_topup' };
+  }
 
-    // Notify driver
-    const driver = await User.findById(driverId).select('socketId').lean();
-    if (driver?.socketId) {
-      io.to(driver.socketId).emit('payment:failed', {
+  if (!isCommissionPayment(payment.notes)) return { status: 'ignored' };
+  const driverId = payment.notes.driverId;
+
+  // Only the still-pending order entry; a later successful retry may already have settled it
+  const updated = await failCommissionOrder({
+    driverId,
+    orderId: payment.order_id,
+    reason: payment.error_description || 'unknown error',
+    source: 'webhook',
+  });
+
+  if (updated) {
+    const driver = await User.findById(driverId).select('_id').lean();
+    if (driver) {
+      io.to(userRoom(driver._id)).emit('payment:failed', {
         paymentId: payment.id,
         orderId: payment.order_id,
         error: payment.error_description,
         message: 'Payment failed. Please try again.'
       });
+      console.log('📢 Driver notified of failed payment');
     }
-
-    console.log('📢 Driver notified of failed payment');
-
-  } catch (err) {
-    console.error('Error handling payment failed:', err);
   }
+
+  return { status: updated ? 'failed' : 'no_pending_order' };
 };
 
 /**
  * Handle order.paid event
  */
 const handleOrderPaid = async (order, payment) => {
-  try {
-    console.log('✅ Order paid:', order.id);
-    console.log('   Amount:', order.amount / 100, 'INR');
-    console.log('   Payment:', payment.id);
-
-    // This is a confirmation that order is fully paid
-    // Usually already handled by payment.captured, but good for reconciliation
-    
-    const driverId = order.notes?.driverId;
-    if (driverId) {
-      console.log('📊 Order payment confirmed for driver:', driverId);
-    }
-
-  } catch (err) {
-    console.error('Error handling order paid:', err);
+  console.log('✅ Order paid:', order.id);
+  console.log('   Amount:', order.amount / 100, 'INR');
+  console.log('   Payment:', payment.id);
+
+  const notes = { ...(order.notes || {}), ...(payment.notes || {}) };
+  if (isTripPayment(notes)) {
+    const result = await settleTripPayment({ tripId: notes.tripId, payment, source: 'webhook' });
+    return { status: result.status, reason: result.reason || null };
+  }
+  if (isWalletTopup(notes)) {
+    const result = await settleWalletTopup({ payment, source: 'webhook' });
+    return { status: result.status, reason: result.reason || null };
   }
+  if (!isCommissionPayment(notes)) return { status: 'ignored' };
+
+  const result = await settleCommissionPayment({
+    driverId: notes.driverId,
+    orderId: order.id,
+    payment,
+    source: 'webhook',
+  });
+  return { status: result.status, reason: result.reason || null };
 };
 
 /**
@@ -222,7 +239,7 @@ const testWebhook = async (req, res) => {
   try {
     console.log('🧪 Test webhook called');
     console.log('Headers:', req.headers);
-    console.log('Body:', req.body);
+    console.log('Body:', req.rawBody?.toString('utf8'));
 
     res.status(200).json({
       success: true,
@@ -238,4 +255,4 @@ const testWebhook = async (req, res) => {
 export {
   handleRazorpayWebhook,
   testWebhook
-};
\ No newline at end of file
+};
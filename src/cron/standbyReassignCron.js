@@ -3,9 +3,11 @@
 import Trip from '../models/Trip.js';
 import { promoteNextStandby } from '../controllers/standbyController.js';
 import ReassignmentLog from '../models/ReassignmentLog.js';
+import { logOfferEvent } from '../utils/offerLog.js';
 
 /**
- * Cron Job: Auto-promotes standby drivers for long trips
+ * Cron Job: Auto-promotes standby drivers for scheduled trips whose
+ * pre-assigned driver did not confirm before the offer expired.
  * Runs every 2 minutes (called from server.js)
  */
 const standbyReassignCron = async () => {
@@ -13,10 +15,10 @@ const standbyReassignCron = async () => {
     const now = new Date();
 
     const trips = await Trip.find({
-      trip: 'long',
-      scheduledTime: { $lte: new Date(now.getTime() + 15 * 60 * 1000) },
-      status: 'pending',
-      mainDriverStatus: { $ne: 'confirmed' },
+      status: 'scheduled',
+      'scheduling.driverConfirmed': false,
+      'scheduling.offeredDriver': { $ne: null },
+      'scheduling.offerExpiresAt': { $lte: now },
     });
 
     if (trips.length === 0) return; // 🔇 Skip logs if nothing to do
@@ -26,11 +28,21 @@ const standbyReassignCron = async () => {
     for (const trip of trips) {
       try {
         console.log(`🟡 Checking standby for Trip ID: ${trip._id}`);
-        const previousDriver = trip.driver;
+        const previousDriver = trip.scheduling.offeredDriver;
+
+        // ⏰ Unconfirmed offer counts as a decline
+        trip.scheduling.declinedDrivers.push(previousDriver);
+        trip.scheduling.offeredDriver = null;
+        trip.scheduling.offerExpiresAt = null;
+        trip.pendingDrivers = (trip.pendingDrivers || []).filter(
+          (id) => id !== previousDriver.toString()
+        );
+        await trip.save();
+        await logOfferEvent(trip._id, previousDriver, 'timed_out');
 
         const newDriver = await promoteNextStandby(trip._id);
 
-        if (newDriver && newDriver !== previousDriver) {
+        if (newDriver) {
           await ReassignmentLog.create({
             tripId: trip._id,
             previousDriver,
@@ -40,7 +52,7 @@ const standbyReassignCron = async () => {
 
           console.log(`✅ Driver reassigned for Trip ${trip._id}`);
         } else {
-          console.log(`🔕 No reassignment needed for Trip ${trip._id}`);
+          console.log(`🔕 Standby queue exhausted for Trip ${trip._id}, dispatcher will search again`);
         }
       } catch (innerErr) {
         console.error(`❌ Error handling trip ${trip._id}:`, innerErr.message);
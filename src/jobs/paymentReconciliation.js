@@ -0,0 +1,210 @@
+// src/jobs/paymentReconciliation.js
+import Wallet from '../models/Wallet.js';
+import Trip from '../models/Trip.js';
+import CustomerWalletTransaction from '../models/CustomerWalletTransaction.js';
+import { RECONCILIATION } from '../config/paymentConfig.js';
+import { getRazorpay } from '../utils/razorpayClient.js';
+import { settleCommissionPayment, failCommissionOrder } from '../utils/commissionPayments.js';
+import { settleTripPayment } from '../utils/tripPayments.js';
+import { settleWalletTopup } from '../utils/customerWallet.js';
+
+/**
+ * 🧾 Online trip fares whose order is still open (or last failed): settle
+ * the ones Razorpay captured, expire the abandoned ones so an admin can
+ * chase the fare.
+ */
+const reconcileTripPayments = async (razorpay) => {
+  const summary = { checked: 0, settled: 0, expired: 0, flagged: 0, stillPending: 0, errors: 0 };
+  const now = Date.now();
+
+  const trips = await Trip.find({
+    paymentCollected: { $ne: true },
+    'onlinePayment.status': { $in: ['created', 'failed'] },
+    'onlinePayment.flagReason': null,
+    'onlinePayment.createdAt': { $lte: new Date(now - RECONCILIATION.MIN_AGE_MIN * 60 * 1000) },
+  })
+    .sort({ 'onlinePayment.createdAt': 1 })
+    .limit(RECONCILIATION.MAX_ORDERS_PER_RUN)
+    .select('onlinePayment')
+    .lean();
+
+  for (const trip of trips) {
+    summary.checked += 1;
+    const { orderId } = trip.onlinePayment;
+
+    try {
+      const { items = [] } = await razorpay.orders.fetchPayments(orderId);
+      const captured = items.find((p) => p.status === 'captured');
+
+      if (captured) {
+        const result = await settleTripPayment({ tripId: trip._id, payment: captured, source: 'reconciliation' });
+        if (result.status === 'mismatch') summary.flagged += 1;
+        else summary.settled += 1;
+        continue;
+      }
+
+      const inFlight = items.some((p) => ['created', 'authorized'].includes(p.status));
+      const ageHours = (now - new Date(trip.onlinePayment.createdAt).getTime()) / (60 * 60 * 1000);
+
+      if (!inFlight && ageHours >= RECONCILIATION.ORDER_EXPIRY_HOURS) {
+        await Trip.updateOne(
+          { _id: trip._id, paymentCollected: { $ne: true }, 'onlinePayment.orderId': orderId },
+          {
+            $set: {
+              'onlinePayment.status': 'expired',
+              'onlinePayment.failureReason':
+                trip.onlinePayment.failureReason || `no captured payment after ${RECONCILIATION.ORDER_EXPIRY_HOURS}h`,
+              'onlinePayment.source': 'reconciliation',
+            },
+          }
+        );
+        summary.expired += 1;
+      } else {
+        summary.stillPending += 1;
+      }
+    } catch (err) {
+      summary.errors += 1;
+      console.error(`❌ Reconciliation failed for trip order ${orderId}:`, err.error?.description || err.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * 🧾 Rider wallet top-ups still waiting for a payment (a failed attempt may
+ * still be followed by a successful retry until the order expires).
+ */
+const reconcileWalletTopups = async (razorpay) => {
+  const summary = { checked: 0, settled: 0, expired: 0, flagged: 0, stillPending: 0, errors: 0 };
+  const now = Date.now();
+  const expiryCutoff = new Date(now - RECONCILIATION.ORDER_EXPIRY_HOURS * 60 * 60 * 1000);
+
+  const topups = await CustomerWalletTransaction.find({
+    category: 'topup',
+    razorpayPaymentId: null,
+    flagReason: null,
+    createdAt: { $lte: new Date(now - RECONCILIATION.MIN_AGE_MIN * 60 * 1000) },
+    $or: [{ status: 'pending' }, { status: 'failed', createdAt: { $gt: expiryCutoff } }],
+  })
+    .sort({ createdAt: 1 })
+    .limit(RECONCILIATION.MAX_ORDERS_PER_RUN)
+    .lean();
+
+  for (const topup of topups) {
+    summary.checked += 1;
+    const orderId = topup.razorpayOrderId;
+
+    try {
+      const { items = [] } = await razorpay.orders.fetchPayments(orderId);
+      const captured = items.find((p) => p.status === 'captured');
+
+      if (captured) {
+        const result = await settleWalletTopup({ payment: captured, source: 'reconciliation' });
+        if (result.status === 'mismatch') summary.flagged += 1;
+        else summary.settled += 1;
+        continue;
+      }
+
+      const inFlight = items.some((p) => ['created', 'authorized'].includes(p.status));
+      if (!inFlight && topup.createdAt <= expiryCutoff) {
+        await CustomerWalletTransaction.updateOne(
+          { _id: topup._id, status: 'pending', razorpayPaymentId: null },
+          { $set: { status: 'failed', failureReason: `no captured payment after ${RECONCILIATION.ORDER_EXPIRY_HOURS}h` } }
+        );
+        summary.expired += 1;
+      } else {
+        summary.stillPending += 1;
+      }
+    } catch (err) {
+      summary.errors += 1;
+      console.error(`❌ Reconciliation failed for top-up order ${orderId}:`, err.error?.description || err.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * 🧾 Compare pending commission orders in Wallet.transactions with what
+ * Razorpay actually captured: settle the ones that were paid (verify call and
+ * webhook both missed), fail the abandoned ones, flag anything that doesn't
+ * add up. Open online trip orders and wallet top-ups get the same treatment.
+ */
+export const reconcilePendingPayments = async () => {
+  const summary = { checked: 0, settled: 0, failed: 0, flagged: 0, stillPending: 0, errors: 0, trips: null, topups: null };
+
+  const razorpay = getRazorpay();
+  if (!razorpay) {
+    console.warn('⚠️ Payment reconciliation skipped: Razorpay not configured');
+    return summary;
+  }
+
+  const now = Date.now();
+  const pending = await Wallet.aggregate([
+    { $unwind: '$transactions' },
+    {
+      $match: {
+        'transactions.status': 'pending',
+        'transactions.razorpayOrderId': { $ne: null },
+        'transactions.reconciliation.flagged': { $ne: true },
+        'transactions.createdAt': { $lte: new Date(now - RECONCILIATION.MIN_AGE_MIN * 60 * 1000) },
+      },
+    },
+    { $sort: { 'transactions.createdAt': 1 } },
+    { $limit: RECONCILIATION.MAX_ORDERS_PER_RUN },
+    { $project: { driverId: 1, txn: '$transactions' } },
+  ]);
+
+  if (pending.length) console.log(`🧾 Reconciling ${pending.length} pending Razorpay order(s)...`);
+
+  for (const { driverId, txn } of pending) {
+    summary.checked += 1;
+    const orderId = txn.razorpayOrderId;
+
+    try {
+      const { items = [] } = await razorpay.orders.fetchPayments(orderId);
+      const captured = items.find((p) => p.status === 'captured');
+
+      if (captured) {
+        const result = await settleCommissionPayment({
+          driverId,
+          orderId,
+          payment: captured,
+          source: 'reconciliation',
+        });
+        if (result.status === 'mismatch') summary.flagged += 1;
+        else summary.settled += 1;
+        continue;
+      }
+
+      // Authorized but not yet captured: Razorpay auto-capture is still running
+      const inFlight = items.some((p) => ['created', 'authorized'].includes(p.status));
+      const ageHours = (now - new Date(txn.createdAt).getTime()) / (60 * 60 * 1000);
+
+      if (!inFlight && ageHours >= RECONCILIATION.ORDER_EXPIRY_HOURS) {
+        const lastError = items.find((p) => p.status === 'failed')?.error_description;
+        await failCommissionOrder({
+          driverId,
+          orderId,
+          reason: lastError || `no captured payment after ${RECONCILIATION.ORDER_EXPIRY_HOURS}h`,
+          source: 'reconciliation',
+        });
+        summary.failed += 1;
+      } else {
+        summary.stillPending += 1;
+      }
+    } catch (err) {
+      summary.errors += 1;
+      console.error(`❌ Reconciliation failed for order ${orderId}:`, err.error?.description || err.message);
+    }
+  }
+
+  summary.trips = await reconcileTripPayments(razorpay);
+  summary.topups = await reconcileWalletTopups(razorpay);
+
+  if (summary.checked || summary.trips.checked || summary.topups.checked) {
+    console.log('🧾 Payment reconciliation done:', JSON.stringify(summary));
+  }
+  return summary;
+};
@@ -0,0 +1,48 @@
+// src/jobs/payoutSync.js
+import Payout from '../models/Payout.js';
+import { DRIVER_PAYOUT } from '../config/paymentConfig.js';
+import { getPayoutProvider } from '../utils/payoutProviders/index.js';
+import { dispatchPayout, applyProviderResult } from '../utils/payouts.js';
+
+/**
+ * 🏦 Ask the payout provider about payouts still on their way: mark them
+ * paid or failed (failed ones are reversed to the driver's balance), and
+ * re-send the ones that never got a provider ID.
+ */
+export const syncPayouts = async () => {
+  const summary = { checked: 0, paid: 0, failed: 0, stillProcessing: 0, errors: 0 };
+
+  const provider = getPayoutProvider();
+  if (!provider) {
+    console.warn('⚠️ Payout sync skipped: no payout provider');
+    return summary;
+  }
+
+  const payouts = await Payout.find({
+    status: { $in: ['approved', 'processing'] },
+    updatedAt: { $lte: new Date(Date.now() - DRIVER_PAYOUT.SYNC_MIN_AGE_MIN * 60 * 1000) },
+  })
+    .sort({ updatedAt: 1 })
+    .limit(DRIVER_PAYOUT.MAX_PER_SYNC);
+
+  if (payouts.length) console.log(`🏦 Syncing ${payouts.length} payout(s) with ${provider.name}...`);
+
+  for (const payout of payouts) {
+    summary.checked += 1;
+    try {
+      const updated = payout.providerPayoutId
+        ? await applyProviderResult(payout, await provider.getPayoutStatus(payout.providerPayoutId), 'sync')
+        : await dispatchPayout(payout, 'sync');
+
+      if (updated.status === 'paid') summary.paid += 1;
+      else if (updated.status === 'failed') summary.failed += 1;
+      else summary.stillProcessing += 1;
+    } catch (err) {
+      summary.errors += 1;
+      console.error(`❌ Payout sync ${payout._id} failed:`, err.message);
+    }
+  }
+
+  if (summary.checked) console.log('🏦 Payout sync summary:', summary);
+  return summary;
+};
@@ -0,0 +1,182 @@
+// src/jobs/scheduledTripDispatcher.js
+
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { SCHEDULED_TRIPS, TRIP_LIMITS } from '../config/tripConfig.js';
+import { sendToCustomer, sendToDriver } from '../utils/fcmSender.js';
+import {
+  addToStandby,
+  promoteNextStandby,
+  cleanupStandbyQueue,
+} from '../controllers/standbyController.js';
+import { tryTransitionTrip } from '../utils/tripStateMachine.js';
+
+const SEARCH_RADIUS = {
+  short: TRIP_LIMITS.SHORT,
+  parcel: TRIP_LIMITS.PARCEL,
+  long: TRIP_LIMITS.LONG_SAME_DAY,
+};
+
+const minutesUntil = (date) => (new Date(date).getTime() - Date.now()) / 60000;
+
+/**
+ * 🔔 Remind customer (and confirmed driver) ahead of pickup
+ */
+export const sendScheduledTripReminders = async () => {
+  const maxOffset = Math.max(...SCHEDULED_TRIPS.REMINDER_OFFSETS_MIN);
+  const trips = await Trip.find({
+    status: { $in: ['scheduled', 'driver_assigned'] },
+    tripTime: { $gt: new Date(), $lte: new Date(Date.now() + maxOffset * 60 * 1000) },
+  }).select('customerId assignedDriver tripTime scheduling pickup');
+
+  for (const trip of trips) {
+    if (!trip.scheduling) continue;
+
+    const left = minutesUntil(trip.tripTime);
+    const due = SCHEDULED_TRIPS.REMINDER_OFFSETS_MIN.filter(
+      (offset) => left <= offset && !trip.scheduling.remindersSent.includes(offset)
+    );
+    if (!due.length) continue;
+
+    const minutes = Math.max(1, Math.round(left));
+    const message = `Your ride is scheduled in ${minutes} min.`;
+    const data = {
+      tripId: trip._id.toString(),
+      scheduledAt: trip.tripTime.toISOString(),
+      minutesLeft: minutes,
+    };
+
+    io.to(userRoom(trip.customerId)).emit('trip:scheduled_reminder', { ...data, message });
+    const customer = await User.findById(trip.customerId).select('fcmToken').lean();
+    if (customer?.fcmToken) {
+      await sendToCustomer(customer.fcmToken, 'Upcoming ride', message, {
+        ...data,
+        minutesLeft: String(minutes),
+        event: 'trip:scheduled_reminder',
+      });
+    }
+
+    if (trip.assignedDriver) {
+      io.to(userRoom(trip.assignedDriver)).emit('trip:scheduled_reminder', {
+        ...data,
+        message: `Scheduled pickup in ${minutes} min.`,
+      });
+      const driver = await User.findById(trip.assignedDriver).select('socketId fcmToken').lean();
+      if (!driver?.socketId && driver?.fcmToken) {
+        await sendToDriver(driver.fcmToken, {
+          notification: { title: 'Upcoming pickup', body: `Scheduled pickup in ${minutes} min.` },
+          data: { ...data, minutesLeft: String(minutes), event: 'trip:scheduled_reminder' },
+        });
+      }
+    }
+
+    await Trip.updateOne(
+      { _id: trip._id },
+      { $addToSet: { 'scheduling.remindersSent': { $each: due } } }
+    );
+    console.log(`🔔 Reminder sent for scheduled trip ${trip._id} (${minutes} min left)`);
+  }
+};
+
+/**
+ * 🎯 Offer trips entering their lead-time window to the nearest drivers;
+ * the rest of the shortlist becomes the standby queue.
+ */
+export const preAssignScheduledTrips = async () => {
+  const maxLead = Math.max(...Object.values(SCHEDULED_TRIPS.LEAD_TIME_MIN));
+  const trips = await Trip.find({
+    status: 'scheduled',
+    'scheduling.offeredDriver': null,
+    'scheduling.driverConfirmed': false,
+    tripTime: { $lte: new Date(Date.now() + maxLead * 60 * 1000) },
+  });
+
+  for (const trip of trips) {
+    const leadTime = trip.scheduling.leadTimeMin ?? SCHEDULED_TRIPS.LEAD_TIME_MIN[trip.type];
+    if (minutesUntil(trip.tripTime) > leadTime) continue;
+
+    const drivers = await User.find({
+      isDriver: true,
+      isOnline: true,
+      vehicleType: trip.vehicleType,
+      isBusy: { $ne: true },
+      $or: [{ currentTripId: null }, { currentTripId: { $exists: false } }],
+      _id: { $nin: trip.scheduling.declinedDrivers },
+      location: {
+        $near: {
+          $geometry: { type: 'Point', coordinates: trip.pickup.coordinates },
+          $maxDistance: SEARCH_RADIUS[trip.type] || TRIP_LIMITS.SHORT,
+        },
+      },
+    })
+      .limit(SCHEDULED_TRIPS.STANDBY_QUEUE_SIZE)
+      .select('_id')
+      .lean();
+
+    if (!drivers.length) {
+      console.log(`🔍 No drivers yet for scheduled trip ${trip._id}, retrying next run`);
+      continue;
+    }
+
+    await addToStandby(trip._id, drivers.map((d) => d._id));
+    const offered = await promoteNextStandby(trip._id);
+    if (offered) {
+      console.log(`📅 Scheduled trip ${trip._id} offered to driver ${offered}`);
+    }
+  }
+};
+
+/**
+ * ⌛ Give up on trips still without a confirmed driver well past pickup time
+ */
+export const expireUnassignedScheduledTrips = async () => {
+  const cutoff = new Date(Date.now() - SCHEDULED_TRIPS.NO_DRIVER_GRACE_MIN * 60 * 1000);
+  const trips = await Trip.find({ status: 'scheduled', tripTime: { $lt: cutoff } })
+    .select('customerId')
+    .lean();
+
+  for (const trip of trips) {
+    const updated = await tryTransitionTrip(trip._id, 'timeout', {
+      from: 'scheduled',
+      set: {
+        'scheduling.offeredDriver': null,
+        'scheduling.offerExpiresAt': null,
+        pendingDrivers: [],
+      },
+      reason: 'scheduled_no_driver',
+    });
+    if (!updated) continue;
+
+    await cleanupStandbyQueue(trip._id);
+
+    const customer = await User.findById(trip.customerId).select('fcmToken').lean();
+    const message = 'We could not find a driver for your scheduled ride.';
+    io.to(userRoom(trip.customerId)).emit('trip:timeout', {
+      tripId: trip._id.toString(),
+      message,
+      reason: 'scheduled_no_driver',
+    });
+    if (customer?.fcmToken) {
+      await sendToCustomer(customer.fcmToken, 'Scheduled ride', message, {
+        tripId: trip._id.toString(),
+        event: 'trip:timeout',
+      });
+    }
+    console.log(`⌛ Scheduled trip ${trip._id} timed out without a driver`);
+  }
+};
+
+/**
+ * Runs every minute (called from server.js)
+ */
+export const runScheduledTripDispatcher = async () => {
+  try {
+    await sendScheduledTripReminders();
+    await preAssignScheduledTrips();
+    await expireUnassignedScheduledTrips();
+  } catch (error) {
+    console.error('❌ Scheduled trip dispatcher error:', error);
+  }
+};
@@ -2,6 +2,37 @@
 import admin from "../utils/firebase.js";
 import User from "../models/User.js";
 
+// =====================================================
+// 🔐 Firebase ID token → MongoDB user
+// Shared by `protect` and the Socket.IO handshake (socket/socketAuth.js)
+// =====================================================
+export const resolveFirebaseUser = async (token) => {
+  const decodedToken = await admin.auth().verifyIdToken(token);
+
+  // ✅ Check for the standard claim first, then fall back to custom claim
+  const phoneInToken =
+    decodedToken.phone_number ||
+    (decodedToken.phone ? `+91${decodedToken.phone}` : null);
+
+  if (!phoneInToken) {
+    return { decodedToken, user: null, error: "Phone number not found in token" };
+  }
+
+  console.log("🔐 Token verified for:", phoneInToken);
+
+  // Normalize phone number (last 10 digits)
+  const phone = phoneInToken.replace("+91", "").slice(-10);
+
+  const user = await User.findOne({ phone });
+
+  if (!user) {
+    console.log(`❌ User not found in DB for phone: ${phone}`);
+    return { decodedToken, user: null, error: "User not found in DB" };
+  }
+
+  return { decodedToken, user, error: null };
+};
+
 // =====================================================
 // 🔐 Protect normal users (Driver / Customer)
 // =====================================================
@@ -20,32 +51,12 @@ export const protect = async (req, res, next) => {
 
     console.log("🔐 Verifying Firebase token...");
 
-    const decodedToken = await admin.auth().verifyIdToken(token);
-
-    // ✅ Check for the standard claim first, then fall back to custom claim
-    const phoneInToken =
-      decodedToken.phone_number ||
-      (decodedToken.phone ? `+91${decodedToken.phone}` : null);
+    const { decodedToken, user, error } = await resolveFirebaseUser(token);
 
-    if (!phoneInToken) {
+    if (error) {
       return res.status(401).json({
         success: false,
-        message: "Phone number not found in token",
-      });
-    }
-
-    console.log("🔐 Token verified for:", phoneInToken);
-
-    // Normalize phone number (last 10 digits)
-    const phone = phoneInToken.replace("+91", "").slice(-10);
-
-    const user = await User.findOne({ phone });
-
-    if (!user) {
-      console.log(`❌ User not found in DB for phone: ${phone}`);
-      return res.status(401).json({
-        success: false,
-        message: "User not found in DB",
+        message: error,
       });
     }
 
@@ -84,6 +95,32 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// =====================================================
+// 🔓 Optional auth: attach req.user when a valid token is sent,
+// carry on anonymously otherwise (public endpoints)
+// =====================================================
+export const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return next();
+
+  try {
+    const { user } = await resolveFirebaseUser(authHeader.split(" ")[1]);
+    if (user) {
+      req.user = {
+        _id: user._id,
+        id: user._id,
+        phone: user.phone,
+        role: user.role,
+        isDriver: user.isDriver,
+        city: user.city || null,
+      };
+    }
+  } catch (error) {
+    console.warn("⚠️ optionalAuth: ignoring invalid token:", error.message);
+  }
+  next();
+};
+
 // =====================================================
 // 🔐 Verify Firebase Token (raw, no DB lookup)
 // =====================================================
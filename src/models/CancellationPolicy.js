@@ -0,0 +1,34 @@
+// src/models/CancellationPolicy.js
+import mongoose from 'mongoose';
+
+/**
+ * Cancellation fee / strike terms for one city + vehicle type.
+ * `city` or `vehicleType` null = applies to all; the most specific match wins
+ * and anything unset falls back to CANCELLATION_POLICY in config/tripConfig.js.
+ */
+const cancellationPolicySchema = new mongoose.Schema(
+  {
+    city: { type: String, default: null, lowercase: true, trim: true },
+    vehicleType: {
+      type: String,
+      default: null,
+      enum: [null, 'bike', 'auto', 'car', 'premium', 'xl'],
+    },
+    graceSec: { type: Number, min: 0 },
+    minDriverTravelM: { type: Number, min: 0 },
+    customerBaseFee: { type: Number, min: 0 },
+    customerPerKmFee: { type: Number, min: 0 },
+    customerMaxFee: { type: Number, min: 0 },
+    driverSharePercent: { type: Number, min: 0, max: 100 },
+    driverPenaltyFee: { type: Number, min: 0 },
+    freeStrikes: { type: Number, min: 0 },
+    strikeWindowDays: { type: Number, min: 1 },
+    isActive: { type: Boolean, default: true },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+cancellationPolicySchema.index({ city: 1, vehicleType: 1 }, { unique: true });
+
+export default mongoose.model('CancellationPolicy', cancellationPolicySchema);
@@ -0,0 +1,39 @@
+// src/models/Coupon.js
+import mongoose from 'mongoose';
+
+/**
+ * Marketing promo code, applied at trip creation against the quoted fare.
+ * Empty `cities` / `vehicleTypes` = valid everywhere; null limits = unlimited.
+ * `usedCount` counts live (non-released) redemptions.
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String, default: '' },
+
+    discountType: { type: String, enum: ['flat', 'percent'], required: true },
+    discountValue: { type: Number, required: true, min: 0 }, // ₹ or %
+    maxDiscount: { type: Number, default: null, min: 0 }, // cap for percent coupons
+    minFare: { type: Number, default: 0, min: 0 },
+
+    cities: { type: [String], default: [] },
+    vehicleTypes: { type: [String], default: [] },
+
+    validFrom: { type: Date, default: null },
+    validUntil: { type: Date, default: null },
+
+    perUserLimit: { type: Number, default: 1, min: 1 },
+    usageLimit: { type: Number, default: null, min: 1 },
+    usedCount: { type: Number, default: 0, min: 0 },
+    firstRideOnly: { type: Boolean, default: false },
+
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: String, default: null },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+export default mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,26 @@
+// src/models/CouponRedemption.js
+import mongoose from 'mongoose';
+
+/**
+ * One coupon use on one trip. `released` when the trip was cancelled or
+ * timed out, which gives the use back to the customer and the global limit.
+ */
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+    code: { type: String, required: true },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', required: true, unique: true },
+    originalFare: { type: Number, required: true },
+    discountAmount: { type: Number, required: true },
+    status: { type: String, enum: ['applied', 'released'], default: 'applied' },
+    releasedAt: { type: Date, default: null },
+    releaseReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ couponId: 1, status: 1 });
+couponRedemptionSchema.index({ couponId: 1, customerId: 1, status: 1 });
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,20 @@
+// src/models/CustomerWallet.js
+import mongoose from 'mongoose';
+
+/**
+ * Prepaid balance of a rider. Every change goes through
+ * utils/customerWallet.js, which writes a CustomerWalletTransaction with the
+ * balance after it.
+ */
+const customerWalletSchema = new mongoose.Schema(
+  {
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    balance: { type: Number, default: 0, min: 0 }, // ₹
+    totalTopups: { type: Number, default: 0 },
+    totalSpent: { type: Number, default: 0 },
+    totalRefunded: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('CustomerWallet', customerWalletSchema);
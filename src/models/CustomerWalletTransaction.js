@@ -0,0 +1,36 @@
+// src/models/CustomerWalletTransaction.js
+import mongoose from 'mongoose';
+
+/**
+ * One line of a rider's wallet statement.
+ * `reference` is unique per movement (topup:<orderId>, ride:<tripId>,
+ * refund:<tripId>:<n>, fee:<tripId>) so a retried top-up, debit or refund is booked once.
+ * Top-ups start `pending` until Razorpay captures the payment.
+ */
+const customerWalletTransactionSchema = new mongoose.Schema(
+  {
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: ['credit', 'debit'], required: true },
+    category: { type: String, enum: ['topup', 'ride_payment', 'refund', 'cancellation_fee', 'adjustment'], required: true },
+    amount: { type: Number, required: true, min: 0 }, // ₹
+    balanceAfter: { type: Number, default: null },
+    status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'completed' },
+    reference: { type: String, required: true, unique: true },
+    description: { type: String, default: '' },
+    tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null },
+    razorpayOrderId: { type: String, default: null },
+    razorpayPaymentId: { type: String, default: null },
+    failureReason: { type: String, default: null },
+    flagReason: { type: String, default: null },
+    createdBy: { type: String, default: null }, // admin email for refunds / adjustments
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+customerWalletTransactionSchema.index({ customerId: 1, createdAt: -1 });
+customerWalletTransactionSchema.index({ tripId: 1, category: 1 });
+customerWalletTransactionSchema.index({ razorpayOrderId: 1 }, { sparse: true });
+customerWalletTransactionSchema.index({ category: 1, status: 1, createdAt: 1 });
+
+export default mongoose.model('CustomerWalletTransaction', customerWalletTransactionSchema);
@@ -0,0 +1,39 @@
+// src/models/DispatchConfig.js
+import mongoose from 'mongoose';
+
+/**
+ * Dispatch mode for one city + vehicle type.
+ * `city` or `vehicleType` null = applies to all; the most specific match wins
+ * and anything unset falls back to DISPATCH in config/tripConfig.js.
+ */
+const dispatchConfigSchema = new mongoose.Schema(
+  {
+    city: { type: String, default: null, lowercase: true, trim: true },
+    vehicleType: {
+      type: String,
+      default: null,
+      enum: [null, 'bike', 'auto', 'car', 'premium', 'xl'],
+    },
+    mode: {
+      type: String,
+      enum: ['broadcast', 'sequential', 'wave'],
+      required: true,
+    },
+    waveSize: { type: Number, min: 1 },
+    offerTimeoutSec: { type: Number, min: 5 },
+    maxOffers: { type: Number, min: 1 },
+    weights: {
+      distance: Number,
+      rating: Number,
+      idle: Number,
+      acceptance: Number,
+    },
+    isActive: { type: Boolean, default: true },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+dispatchConfigSchema.index({ city: 1, vehicleType: 1 }, { unique: true });
+
+export default mongoose.model('DispatchConfig', dispatchConfigSchema);
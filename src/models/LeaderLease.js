@@ -0,0 +1,14 @@
+// src/models/LeaderLease.js
+import mongoose from 'mongoose';
+
+/**
+ * Named lease held by one instance at a time (utils/leaderElection.js).
+ */
+const leaderLeaseSchema = new mongoose.Schema({
+  _id: { type: String }, // lease name
+  holder: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  renewedAt: { type: Date, default: Date.now },
+});
+
+export default mongoose.model('LeaderLease', leaderLeaseSchema);
@@ -0,0 +1,82 @@
+// src/models/LedgerEntry.js
+import mongoose from 'mongoose';
+
+/**
+ * Append-only double-entry journal for driver money (utils/ledger.js).
+ * One entry = one business event; its lines always balance
+ * (Σ debit = Σ credit). Amounts are integer paise so sums are exact.
+ * Entries are never edited or deleted — a correction is a new entry.
+ */
+const ledgerLineSchema = new mongoose.Schema({
+  account: { type: String, required: true },
+  driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  debit: { type: Number, default: 0, min: 0 },
+  credit: { type: Number, default: 0, min: 0 },
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    // One entry per business event: trip:<id>:cash, commission_payment:<paymentId>, ...
+    reference: { type: String, required: true, unique: true },
+    type: {
+      type: String,
+      enum: [
+        'opening_balance',
+        'trip_cash',
+        'trip_prepaid',
+        'commission_payment',
+        'incentive',
+        'referral_bonus',
+        'coin_conversion',
+        'cancellation_compensation',
+        'cancellation_penalty',
+        'payout',
+        'payout_reversal',
+        'adjustment',
+      ],
+      required: true,
+    },
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null },
+    description: { type: String, default: '' },
+    lines: [ledgerLineSchema],
+    source: { type: String, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ledgerEntrySchema.index({ driverId: 1, createdAt: -1 });
+ledgerEntrySchema.index({ 'lines.driverId': 1, 'lines.account': 1 });
+ledgerEntrySchema.index({ type: 1, createdAt: -1 });
+
+ledgerEntrySchema.pre('validate', function (next) {
+  const debit = this.lines.reduce((sum, l) => sum + l.debit, 0);
+  const credit = this.lines.reduce((sum, l) => sum + l.credit, 0);
+
+  // Only an opening entry for a wallet with nothing to carry over may be empty
+  if (!this.lines.length && this.type !== 'opening_balance') {
+    return next(new Error(`Ledger entry ${this.reference} has no lines`));
+  }
+  if (this.lines.some((l) => !Number.isInteger(l.debit) || !Number.isInteger(l.credit))) {
+    return next(new Error('Ledger amounts must be whole paise'));
+  }
+  if (debit !== credit) {
+    return next(new Error(`Unbalanced ledger entry ${this.reference}: debit ${debit} ≠ credit ${credit}`));
+  }
+  next();
+});
+
+// Append-only
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Ledger entries are append-only'));
+  next();
+});
+
+const rejectWrite = function (next) {
+  next(new Error('Ledger entries are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(
+  (op) => ledgerEntrySchema.pre(op, rejectWrite)
+);
+
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
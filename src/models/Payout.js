@@ -0,0 +1,63 @@
+// src/models/Payout.js
+import mongoose from 'mongoose';
+
+/**
+ * A driver withdrawal to bank / UPI (utils/payouts.js).
+ *   requested → approved → processing → paid
+ *        ↘ cancelled / rejected      ↘ failed
+ * The amount is held in the ledger from the moment it's requested and
+ * reversed back to the driver if the payout doesn't reach `paid`.
+ */
+export const PAYOUT_STATUSES = ['requested', 'approved', 'processing', 'paid', 'failed', 'rejected', 'cancelled'];
+export const OPEN_PAYOUT_STATUSES = ['requested', 'approved', 'processing'];
+
+const payoutHistorySchema = new mongoose.Schema({
+  status: { type: String, enum: PAYOUT_STATUSES, required: true },
+  at: { type: Date, default: Date.now },
+  by: { type: String, default: null }, // driver | admin email | provider | sync
+  note: { type: String, default: null },
+}, { _id: false });
+
+// Masked copy so history survives the method being removed
+const payoutMethodSnapshotSchema = new mongoose.Schema({
+  type: { type: String, enum: ['bank', 'upi'] },
+  label: { type: String },
+  accountHolderName: { type: String },
+}, { _id: false });
+
+const payoutSchema = new mongoose.Schema(
+  {
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    payoutMethodId: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutMethod', required: true },
+    method: payoutMethodSnapshotSchema,
+    amount: { type: Number, required: true, min: 1 },
+    status: { type: String, enum: PAYOUT_STATUSES, default: 'requested' },
+    // true while requested / approved / processing — one open payout per driver
+    open: { type: Boolean, default: true },
+
+    // Idempotency key sent to the provider
+    reference: { type: String, required: true, unique: true },
+    provider: { type: String, default: null },
+    providerPayoutId: { type: String, default: null },
+    utr: { type: String, default: null },
+    failureReason: { type: String, default: null },
+
+    reviewedBy: { type: String, default: null },
+    reviewedAt: { type: Date, default: null },
+    rejectionReason: { type: String, default: null },
+
+    processingAt: { type: Date, default: null },
+    paidAt: { type: Date, default: null },
+    failedAt: { type: Date, default: null },
+    reversedAt: { type: Date, default: null },
+    history: [payoutHistorySchema],
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index({ driverId: 1, open: 1 }, { unique: true, partialFilterExpression: { open: true } });
+payoutSchema.index({ driverId: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: 1 });
+payoutSchema.index({ providerPayoutId: 1 }, { sparse: true });
+
+export default mongoose.model('Payout', payoutSchema);
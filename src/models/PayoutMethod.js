@@ -0,0 +1,39 @@
+// src/models/PayoutMethod.js
+import mongoose from 'mongoose';
+
+/**
+ * Where a driver's payouts go: a bank account or a UPI ID. Only `verified`
+ * methods can receive payouts; verification runs through the configured
+ * payout provider (utils/payoutProviders).
+ */
+const payoutMethodSchema = new mongoose.Schema(
+  {
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    type: { type: String, enum: ['bank', 'upi'], required: true },
+    accountHolderName: { type: String, required: true, trim: true },
+
+    // Bank
+    accountNumber: { type: String, default: null, select: false },
+    accountNumberLast4: { type: String, default: null },
+    ifsc: { type: String, default: null, uppercase: true, trim: true },
+
+    // UPI
+    upiId: { type: String, default: null, lowercase: true, trim: true },
+
+    status: { type: String, enum: ['pending', 'verified', 'failed'], default: 'pending' },
+    verification: {
+      provider: { type: String, default: null },
+      reference: { type: String, default: null },
+      nameAtBank: { type: String, default: null },
+      failureReason: { type: String, default: null },
+      verifiedAt: { type: Date, default: null },
+    },
+    isDefault: { type: Boolean, default: false },
+    removedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+payoutMethodSchema.index({ driverId: 1, removedAt: 1, isDefault: -1 });
+
+export default mongoose.model('PayoutMethod', payoutMethodSchema);
@@ -31,12 +31,40 @@ const promotionSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+
+  // ============================================================
+  // 📅 Campaign scheduling, targeting & action
+  // ============================================================
+  startAt: {
+    type: Date,
+    default: null,
+  },
+  endAt: {
+    type: Date,
+    default: null,
+  },
+  targeting: {
+    cities: { type: [String], default: [] }, // empty = every city
+    roles: { type: [String], enum: ['customer', 'driver'], default: [] }, // empty = both
+    audience: { type: String, enum: ['all', 'new', 'returning'], default: 'all' },
+  },
+  // What tapping the banner does in the app
+  action: {
+    type: {
+      type: String,
+      enum: ['none', 'deeplink', 'open_screen', 'apply_coupon'],
+      default: 'none',
+    },
+    value: { type: String, default: null }, // URL, screen name or coupon code
+    params: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
 }, {
   timestamps: true,
 });
 
 // Index for faster queries
 promotionSchema.index({ isActive: 1, order: 1 });
+promotionSchema.index({ isActive: 1, startAt: 1, endAt: 1 });
 
 const Promotion = mongoose.model('Promotion', promotionSchema);
 
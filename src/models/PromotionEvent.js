@@ -0,0 +1,26 @@
+// src/models/PromotionEvent.js
+import mongoose from 'mongoose';
+
+/**
+ * Deduplicated banner impressions and clicks: one document per
+ * promotion + viewer + type + day. `hits` keeps the raw repeat count.
+ * `viewerKey` is the user ID, or the device ID for signed-out viewers.
+ */
+const promotionEventSchema = new mongoose.Schema(
+  {
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', required: true },
+    viewerKey: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    type: { type: String, enum: ['view', 'click'], required: true },
+    day: { type: String, required: true }, // YYYY-MM-DD (UTC)
+    hits: { type: Number, default: 1 },
+    firstAt: { type: Date, default: Date.now },
+    lastAt: { type: Date, default: Date.now },
+  },
+  { timestamps: false }
+);
+
+promotionEventSchema.index({ promotionId: 1, viewerKey: 1, type: 1, day: 1 }, { unique: true });
+promotionEventSchema.index({ promotionId: 1, day: 1, type: 1 });
+
+export default mongoose.model('PromotionEvent', promotionEventSchema);
@@ -30,6 +30,33 @@ const rateSchema = new mongoose.Schema(
     minFare            : Number,
     platformFeePercent : Number,
     gstPercent         : Number,
+    peakMultiplier     : Number,
+    nightMultiplier    : Number,
+    manualSurge        : Number,
+
+    /* ───────── Pickup waiting (falls back to PICKUP_WAIT in config/tripConfig.js) ───────── */
+    freeWaitingMin     : Number,
+    waitingPerMin      : Number,
+    noShowAfterMin     : Number,
+    noShowFee          : Number,
+
+    /* ───────── Multi-stop (falls back to TRIP_STOPS in config/tripConfig.js) ───────── */
+    perStopFee         : Number,
+
+    /* ───────── Discount policy (falls back to config/pricingConfig.js) ───────── */
+    discountPolicy : {
+      version                   : String,   // recorded on every fare it produces
+      competitorPeakDiscount    : Number,
+      competitorOffPeakDiscount : Number,
+      shortTripExtraDiscount    : Number,
+      shortTripKm               : Number,
+      slowTrafficReduction      : Number,
+      minCompetitorDiscount     : Number,
+      fallbackFlatDiscount      : Number,
+      fallbackPercent           : Number,
+      shortTripBoostPercent     : Number,
+      riderAdjustment           : Number
+    },
 
     /* ───────── Long‑trip fields ───────── */
     fuelPerKm              : Number,
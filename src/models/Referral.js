@@ -0,0 +1,29 @@
+// src/models/Referral.js
+import mongoose from 'mongoose';
+
+/**
+ * Signup attribution: who referred whom and whether the bonus was paid.
+ * `customer` referrals pay coins (Reward ledger); `driver` referrals pay
+ * ₹ into the referring driver's Wallet.
+ */
+const referralSchema = new mongoose.Schema(
+  {
+    referrerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refereeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    code: { type: String, required: true },
+    type: { type: String, enum: ['customer', 'driver'], required: true },
+    status: { type: String, enum: ['pending', 'paid', 'rejected'], default: 'pending' },
+    rejectReason: { type: String, default: null }, // self_referral | same_device | same_phone_prefix | ...
+    refereeDeviceId: { type: String, default: null, index: true },
+
+    // Payout
+    bonus: { type: Number, default: 0 }, // coins (customer) or ₹ (driver)
+    qualifyingTripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null },
+    paidAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+referralSchema.index({ referrerId: 1, status: 1 });
+
+export default mongoose.model('Referral', referralSchema);
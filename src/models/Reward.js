@@ -12,6 +12,10 @@ const rewardSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Trip',
   },
+  referralId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral',
+  },
   coins: {
     type: Number,
     required: true,
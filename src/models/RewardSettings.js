@@ -54,7 +54,11 @@ const rewardSettingsSchema = new mongoose.Schema({
   },
   referralBonus: {
     type: Number,
-    default: 50,
+    default: 50, // coins to the referrer after the referee's first paid trip
+  },
+  driverReferralBonus: {
+    type: Number,
+    default: 100, // ₹ into the referring driver's wallet
   },
   updatedAt: {
     type: Date,
@@ -0,0 +1,23 @@
+// src/models/SocketPresence.js
+import mongoose from 'mongoose';
+
+/**
+ * One document per connected socket, shared by all instances.
+ * The owning instance renews `expiresAt`; if it dies the TTL index
+ * removes its sockets.
+ */
+const socketPresenceSchema = new mongoose.Schema(
+  {
+    socketId: { type: String, required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    role: { type: String, enum: ['driver', 'customer', null], default: null },
+    instanceId: { type: String, required: true, index: true },
+    connectedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+socketPresenceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('SocketPresence', socketPresenceSchema);
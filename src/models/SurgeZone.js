@@ -0,0 +1,42 @@
+// src/models/SurgeZone.js
+import mongoose from 'mongoose';
+
+/**
+ * One document = one geohash cell's latest surge reading.
+ * `multiplier` is computed from demand/supply; an active `override` set by
+ * an admin takes precedence until it expires.
+ */
+const surgeZoneSchema = new mongoose.Schema(
+  {
+    zoneId: { type: String, required: true, unique: true }, // geohash
+    city: { type: String, default: null },
+
+    demand: { type: Number, default: 0 },   // open `requested` trips
+    supply: { type: Number, default: 0 },   // online, non-busy drivers
+    multiplier: { type: Number, default: 1 },
+    computedAt: { type: Date, default: null },
+
+    override: {
+      multiplier: { type: Number, default: null },
+      reason: { type: String, default: null },
+      setBy: { type: String, default: null },
+      expiresAt: { type: Date, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+surgeZoneSchema.index({ city: 1, multiplier: -1 });
+
+surgeZoneSchema.methods.hasActiveOverride = function () {
+  return (
+    this.override?.multiplier != null &&
+    (!this.override.expiresAt || this.override.expiresAt > new Date())
+  );
+};
+
+surgeZoneSchema.methods.effectiveMultiplier = function () {
+  return this.hasActiveOverride() ? this.override.multiplier : this.multiplier;
+};
+
+export default mongoose.model('SurgeZone', surgeZoneSchema);
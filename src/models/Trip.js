@@ -1,6 +1,206 @@
 // src/models/Trip.js
 import mongoose from 'mongoose';
 
+// Advance-booking state for `scheduled` trips
+const schedulingSchema = new mongoose.Schema({
+  leadTimeMin: Number,
+  offeredDriver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  offeredAt: Date,
+  offerExpiresAt: Date,
+  driverConfirmed: {
+    type: Boolean,
+    default: false,
+  },
+  confirmedAt: Date,
+  declinedDrivers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  remindersSent: [Number], // REMINDER_OFFSETS_MIN already sent
+  modifiedAt: Date,
+}, { _id: false });
+
+// One driver offer in ranked (sequential / wave) dispatch
+const dispatchOfferSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  wave: Number,
+  rank: Number,
+  score: Number,
+  distanceM: Number,
+  offeredAt: Date,
+  expiresAt: Date,
+  outcome: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'timeout', 'withdrawn'],
+    default: 'pending',
+  },
+  respondedAt: Date,
+}, { _id: false });
+
+const dispatchSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['broadcast', 'sequential', 'wave'],
+    default: 'broadcast',
+  },
+  waveSize: Number,
+  offerTimeoutSec: Number,
+  weights: mongoose.Schema.Types.Mixed,
+  // Ranked candidates, best first; nextIndex points at the next one to offer
+  queue: [{
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    score: Number,
+    distanceM: Number,
+    _id: false,
+  }],
+  nextIndex: { type: Number, default: 0 },
+  wave: { type: Number, default: 0 },
+  offers: [dispatchOfferSchema],
+  exhaustedAt: { type: Date, default: null },
+}, { _id: false });
+
+// Refund of (part of) an online trip payment
+const tripRefundSchema = new mongoose.Schema({
+  refundId: String,
+  paymentId: String,
+  amount: Number, // ₹
+  reason: String, // duplicate_payment | cancellation_fee_waived | admin | ...
+  status: String, // Razorpay refund status
+  source: String,
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Razorpay order / payment for `Online` trips (utils/tripPayments.js)
+const onlinePaymentSchema = new mongoose.Schema({
+  orderId: String,
+  amount: Number, // ₹, what the order was created for
+  status: {
+    type: String,
+    enum: ['created', 'captured', 'failed', 'expired', 'refunded', 'partially_refunded'],
+    default: 'created',
+  },
+  paymentId: { type: String, default: null },
+  method: { type: String, default: null },
+  capturedAt: { type: Date, default: null },
+  source: { type: String, default: null }, // verify_api | webhook | reconciliation
+  failureReason: { type: String, default: null },
+  flagReason: { type: String, default: null },
+  refundedAmount: { type: Number, default: 0 },
+  refunds: [tripRefundSchema],
+  createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// GPS breadcrumb summary (utils/tripTrail.js); the points live in TripTrail
+const trailPointSchema = new mongoose.Schema({
+  lng: Number,
+  lat: Number,
+  at: Date,
+  phase: { type: String, enum: ['pickup', 'ride'] },
+}, { _id: false });
+
+const trailSchema = new mongoose.Schema({
+  lastPoint: { type: trailPointSchema, default: null },
+  points: { type: Number, default: 0 },
+  rejected: { type: Number, default: 0 },
+  // Ride phase only (pickup → drop)
+  distanceM: { type: Number, default: 0 },
+  idleSec: { type: Number, default: 0 },
+  maxSpeedKmh: { type: Number, default: 0 },
+}, { _id: false });
+
+// Estimated vs actual fare at completion (utils/fareAdjustment.js)
+const fareOverrideSchema = new mongoose.Schema({
+  fare: Number,
+  previousFare: Number,
+  reason: String,
+  by: String,
+  at: Date,
+}, { _id: false });
+
+const fareAdjustmentSchema = new mongoose.Schema({
+  status: { type: String, enum: ['unchanged', 'repriced', 'skipped', 'overridden'] },
+  reason: { type: String, default: null }, // why it was skipped
+  estimated: {
+    distanceKm: Number,
+    durationMin: Number,
+    fare: Number, // trip.fare, after discounts
+  },
+  actual: {
+    distanceKm: Number,
+    durationMin: Number,
+    distanceSource: { type: String, enum: ['trail', 'estimate'] },
+  },
+  perKm: Number,
+  perMin: Number,
+  multiplier: Number, // surge × peak / night the quote was priced with
+  tolerancePercent: Number,
+  distanceCharge: { type: Number, default: 0 },
+  timeCharge: { type: Number, default: 0 },
+  waitingCharge: { type: Number, default: 0 }, // pickupWait.charge
+  computedFare: Number, // repricing result, kept when an admin overrides it
+  computedAt: Date,
+  override: { type: fareOverrideSchema, default: null },
+}, { _id: false });
+
+// Waiting at pickup, settled when the ride starts (utils/pickupWait.js)
+const pickupWaitSchema = new mongoose.Schema({
+  waitedSec: Number,
+  freeMin: Number,
+  perMin: Number,
+  chargeableMin: Number,
+  charge: Number,
+  endedAt: Date,
+}, { _id: false });
+
+// No-show / cancellation fee (utils/cancellationFees.js)
+const cancellationFeeSchema = new mongoose.Schema({
+  amount: Number,
+  reason: String,
+  driverCompensation: { type: Number, default: 0 },
+  // pending → charged_wallet | carried (to the next ride) → collected
+  status: { type: String, enum: ['pending', 'charged_wallet', 'carried', 'collected', 'waived'] },
+  collectedOnTrip: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null },
+  at: Date,
+}, { _id: false });
+
+// Intermediate stop between pickup and drop (utils/tripStops.js)
+const tripStopSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], default: 'Point' },
+  coordinates: { type: [Number], required: true }, // [lng, lat]
+  address: String,
+  // pending → arrived → departed; left unvisited at completion = skipped
+  status: { type: String, enum: ['pending', 'arrived', 'departed', 'skipped'], default: 'pending' },
+  arrivedAt: { type: Date, default: null },
+  departedAt: { type: Date, default: null },
+  addedAt: { type: Date, default: Date.now },
+}, { _id: true });
+
+// How the cancellation policy judged a cancel (utils/cancellationPolicy.js)
+const cancellationDecisionSchema = new mongoose.Schema({
+  by: { type: String, enum: ['customer', 'driver'] },
+  reason: String,
+  outcome: { type: String, enum: ['free', 'customer_fee', 'driver_strike'] },
+  waivedBecause: { type: String, default: null }, // not_accepted | on_trip | grace_period | excused_reason | no_fee
+  sinceAcceptSec: Number,
+  driverTravelM: Number,
+  driverTravelSource: String, // trail | none
+  fee: { type: Number, default: 0 },
+  driverCompensation: { type: Number, default: 0 },
+  driverPenalty: { type: Number, default: 0 },
+  strikesInWindow: { type: Number, default: 0 },
+  policyId: { type: mongoose.Schema.Types.ObjectId, ref: 'CancellationPolicy', default: null },
+  needsReview: { type: Boolean, default: false }, // reason blames the other party but can't be checked
+}, { _id: false });
+
 const tripSchema = new mongoose.Schema({
   customerId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -33,6 +233,7 @@ const tripSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: [
+      'scheduled',
       'requested',
       'driver_assigned',
       'driver_going_to_pickup',
@@ -78,6 +279,13 @@ const tripSchema = new mongoose.Schema({
     address: String,
   },
 
+  // Ordered stops between pickup and drop; `drop` stays the final stop
+  stops: {
+    type: [tripStopSchema],
+    default: [],
+  },
+  stopsVersion: { type: Number, default: 0 }, // bumped on every rider edit
+
   // Legacy/compat fields (optional)
   pickupLocation: {
     lat: Number,
@@ -92,7 +300,21 @@ const tripSchema = new mongoose.Schema({
 
   distance: Number, // in km
   duration: Number, // in mins
-  tripTime: Date, // for scheduled trips (long)
+  tripTime: Date, // pickup time for scheduled trips
+  city: {
+    type: String,
+    default: null,
+  },
+  dispatch: {
+    type: dispatchSchema,
+    default: null,
+  },
+  scheduling: {
+    type: schedulingSchema,
+    default: null,
+  },
+  // Drivers with an outstanding standby offer (see standbyController)
+  pendingDrivers: [String],
   
   // ✅ FIXED: Make fare conditionally required
   fare: {
@@ -112,6 +334,25 @@ const tripSchema = new mongoose.Schema({
     default: null,
     min: 0,
   },
+  fareAdjustment: {
+    type: fareAdjustmentSchema,
+    default: null,
+  },
+
+  // ✅ Signed fare quote the trip was booked with (see utils/fareQuote.js)
+  fareQuoteId: {
+    type: String,
+    default: null,
+  },
+  fareBreakdown: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // calcFare rule version + inputs + rate snapshot, used by GET /api/fares/replay/:tripId
+  pricing: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
 
   // ============================================================
   // ✅ NEW: Discount tracking fields
@@ -173,6 +414,15 @@ const tripSchema = new mongoose.Schema({
     type: Date,
     default: null,
   },
+  // Driver reached pickup (driver_at_pickup); waiting is counted from here
+  arrivedAt: {
+    type: Date,
+    default: null,
+  },
+  pickupWait: {
+    type: pickupWaitSchema,
+    default: null,
+  },
   rideStartTime: {
     type: Date,
     default: null,
@@ -191,11 +441,25 @@ const tripSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Per-ride driver incentive paid (utils/rideIncentives.js), once per trip
+  incentiveAwardedAt: {
+    type: Date,
+    default: null
+  },
   paymentMethod: {
     type: String,
     enum: ['Cash', 'Online', 'Wallet'],
     default: 'Cash',
   },
+  onlinePayment: {
+    type: onlinePaymentSchema,
+    default: null,
+  },
+
+  trail: {
+    type: trailSchema,
+    default: () => ({}),
+  },
   
   // Parcel fields (for parcel trips)
   parcelDetails: {
@@ -232,6 +496,19 @@ const tripSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  cancellationFee: {
+    type: cancellationFeeSchema,
+    default: null,
+  },
+  cancellationDecision: {
+    type: cancellationDecisionSchema,
+    default: null,
+  },
+  // Unpaid fees of earlier trips added to this one's fare
+  carriedFees: {
+    amount: { type: Number, default: 0 },
+    tripIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Trip' }],
+  },
   
   // Notification tracking (for retry system)
   customerNotified: {
@@ -295,6 +572,10 @@ tripSchema.index({ assignedDriver: 1 });
 tripSchema.index({ customerId: 1, status: 1 });
 tripSchema.index({ assignedDriver: 1, status: 1 });
 tripSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+tripSchema.index({ status: 1, tripTime: 1 });
+tripSchema.index({ status: 1, 'dispatch.offers.outcome': 1, 'dispatch.offers.expiresAt': 1 });
+tripSchema.index({ 'onlinePayment.status': 1, 'onlinePayment.createdAt': 1 });
+tripSchema.index({ 'onlinePayment.orderId': 1 }, { sparse: true });
 
 // ✅ NEW: Index for discount-related queries
 tripSchema.index({ discountApplied: 1 });
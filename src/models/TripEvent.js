@@ -0,0 +1,75 @@
+// src/models/TripEvent.js
+import mongoose from 'mongoose';
+
+/**
+ * Append-only audit trail of everything that happened to a trip
+ * (utils/tripTimeline.js). Support reads it to reconstruct disputed rides.
+ */
+export const TRIP_EVENT_TYPES = [
+  'requested',
+  'scheduled',
+  'broadcast',
+  'offered',
+  'offer_seen',
+  'rejected',
+  'offer_timed_out',
+  'accepted',
+  'assigned',
+  'released',
+  'going_to_pickup',
+  'arrived',
+  'otp_attempt',
+  'started',
+  'location_milestone',
+  'stops_updated',
+  'stop_arrived',
+  'stop_departed',
+  'completed',
+  'fare_adjusted',
+  'payment',
+  'cancelled',
+  'cancellation_assessed',
+  'timed_out',
+];
+
+const tripEventSchema = new mongoose.Schema(
+  {
+    tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', required: true },
+    type: { type: String, enum: TRIP_EVENT_TYPES, required: true },
+    actor: {
+      type: String,
+      enum: ['customer', 'driver', 'admin', 'system'],
+      default: 'system',
+    },
+    // User id, or the admin's email
+    actorId: { type: String, default: null },
+    // Where it came from, when known
+    source: { type: String, enum: ['rest', 'socket', 'job', 'webhook', null], default: null },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Set for events that may only happen once per trip (e.g. a location milestone)
+    key: { type: String, default: undefined },
+    at: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+tripEventSchema.index({ tripId: 1, at: 1 });
+tripEventSchema.index(
+  { tripId: 1, key: 1 },
+  { unique: true, partialFilterExpression: { key: { $type: 'string' } } }
+);
+
+// Append-only
+tripEventSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Trip events are append-only'));
+  next();
+});
+
+const rejectWrite = function (next) {
+  next(new Error('Trip events are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(
+  (op) => tripEventSchema.pre(op, rejectWrite)
+);
+
+export default mongoose.model('TripEvent', tripEventSchema);
@@ -0,0 +1,42 @@
+// src/models/TripOffer.js
+import mongoose from 'mongoose';
+
+/**
+ * Offer log: one document per (trip, driver) the trip was offered to.
+ * `events` is the full history; `status` is the latest outcome.
+ * Rolling driver rates are computed from this collection (utils/offerLog.js).
+ */
+const offerEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['offered', 'seen', 'rejected', 'timed_out', 'accepted', 'withdrawn', 'cancelled'],
+    required: true,
+  },
+  at: { type: Date, default: Date.now },
+  reason: { type: String, default: null },
+}, { _id: false });
+
+const tripOfferSchema = new mongoose.Schema(
+  {
+    tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', required: true },
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    mode: { type: String, default: 'broadcast' }, // broadcast | sequential | wave | standby
+    status: {
+      type: String,
+      enum: ['offered', 'seen', 'rejected', 'timed_out', 'accepted', 'withdrawn', 'cancelled'],
+      default: 'offered',
+    },
+    offeredAt: { type: Date, default: Date.now },
+    seenAt: { type: Date, default: null },
+    respondedAt: { type: Date, default: null },
+    rejectReason: { type: String, default: null },
+    events: [offerEventSchema],
+  },
+  { timestamps: true }
+);
+
+tripOfferSchema.index({ tripId: 1, driverId: 1 }, { unique: true });
+tripOfferSchema.index({ driverId: 1, offeredAt: -1 });
+tripOfferSchema.index({ tripId: 1, status: 1 });
+
+export default mongoose.model('TripOffer', tripOfferSchema);
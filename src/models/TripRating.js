@@ -0,0 +1,33 @@
+// src/models/TripRating.js
+import mongoose from 'mongoose';
+
+/**
+ * One rating per trip per side: the customer rates the driver and the
+ * driver rates the customer.
+ */
+const tripRatingSchema = new mongoose.Schema(
+  {
+    tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', required: true },
+    raterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    raterRole: { type: String, enum: ['customer', 'driver'], required: true },
+    rateeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    rateeRole: { type: String, enum: ['customer', 'driver'], required: true },
+
+    score: { type: Number, required: true, min: 1, max: 5 },
+    tags: [{ type: String }],
+    comment: { type: String, default: null, trim: true },
+
+    // Moderation (comment hidden from the ratee; score still counts)
+    commentHidden: { type: Boolean, default: false },
+    hiddenReason: { type: String, default: null },
+    hiddenBy: { type: String, default: null }, // admin email
+    hiddenAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+tripRatingSchema.index({ tripId: 1, raterRole: 1 }, { unique: true });
+tripRatingSchema.index({ rateeId: 1, createdAt: -1 });
+tripRatingSchema.index({ score: 1, createdAt: -1 });
+
+export default mongoose.model('TripRating', tripRatingSchema);
@@ -0,0 +1,27 @@
+// src/models/TripTrail.js
+import mongoose from 'mongoose';
+
+/**
+ * GPS breadcrumbs of a trip, in chunks of TRIP_TRAIL.CHUNK_SIZE points
+ * (utils/tripTrail.js). Points are compact [lng, lat, epochMs] triples.
+ * `pickup` = driver on the way to the customer, `ride` = pickup → drop.
+ */
+const tripTrailSchema = new mongoose.Schema(
+  {
+    tripId: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', required: true },
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    phase: { type: String, enum: ['pickup', 'ride'], required: true },
+    count: { type: Number, default: 0 },
+    points: { type: [[Number]], default: [] },
+    // Set with $min / $max as points arrive
+    firstAt: Date,
+    lastAt: Date,
+  },
+  { versionKey: false }
+);
+
+// Finding the open chunk
+tripTrailSchema.index({ tripId: 1, phase: 1, count: 1 });
+tripTrailSchema.index({ tripId: 1, firstAt: 1 });
+
+export default mongoose.model('TripTrail', tripTrailSchema);
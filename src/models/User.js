@@ -60,6 +60,18 @@ const userSchema = new mongoose.Schema(
       min: 0,
     },
 
+    // Fees the wallet couldn't cover (no-show, cancellation); added to the
+    // next completed ride (utils/cancellationFees.js)
+    outstandingFees: [
+      {
+        _id: false,
+        tripId: { type: mongoose.Schema.Types.ObjectId, ref: "Trip" },
+        amount: Number,
+        reason: String,
+        at: Date,
+      },
+    ],
+
     // =====================================================
     // 🚗 DRIVER-SPECIFIC FIELDS
     // =====================================================
@@ -161,6 +173,23 @@ const userSchema = new mongoose.Schema(
       min: 0,
       max: 5,
     },
+    // Ratings received (rolling average lives in `rating`)
+    ratingCount: { type: Number, default: 0 },
+    // Rolling rates from the trip offer log (null = no history yet)
+    acceptanceRate: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 1,
+    },
+    cancellationRate: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 1,
+    },
+    rateSampleSize: { type: Number, default: 0 },
+    ratesUpdatedAt: { type: Date, default: null },
     vehicleBrand: {
       type: String,
       default: null,
@@ -195,6 +224,24 @@ const userSchema = new mongoose.Schema(
       sparse: true, // Allows null but ensures uniqueness for non-null
     },
 
+    // =====================================================
+    // 🤝 REFERRALS
+    // =====================================================
+    referralCode: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    signupDeviceId: {
+      type: String,
+      default: null,
+    },
+
     // =====================================================
     // 🔔 NOTIFICATIONS
     // =====================================================
@@ -217,6 +264,16 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Cancellations that broke the policy (utils/cancellationPolicy.js)
+    cancellationStrikes: [
+      {
+        _id: false,
+        tripId: { type: mongoose.Schema.Types.ObjectId, ref: "Trip" },
+        reason: String,
+        penalty: { type: Number, default: 0 },
+        at: Date,
+      },
+    ],
     lastCashCollectedAt: {
       type: Date,
       default: null,
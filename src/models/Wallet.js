@@ -38,9 +38,17 @@ const transactionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    // superseded = order placeholder whose payment was booked as a separate entry
+    enum: ['pending', 'completed', 'failed', 'refunded', 'superseded'],
     default: 'completed'
   },
+  // ✅ Set by webhook / reconciliation when the gateway disagrees with the ledger
+  reconciliation: {
+    flagged: { type: Boolean, default: false },
+    reason: { type: String, default: null },
+    source: { type: String, default: null }, // verify_api | webhook | reconciliation
+    checkedAt: { type: Date, default: null }
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -85,6 +93,12 @@ const walletSchema = new mongoose.Schema({
     min: 0
   },
   transactions: [transactionSchema],
+  // ✅ Last ledger comparison (utils/ledger.js checkWalletIntegrity)
+  integrity: {
+    flagged: { type: Boolean, default: false },
+    diffs: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    checkedAt: { type: Date, default: null }
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -100,6 +114,8 @@ walletSchema.index({ 'transactions.razorpayPaymentId': 1 });
 walletSchema.index({ 'transactions.razorpayOrderId': 1 });
 walletSchema.index({ 'transactions.createdAt': -1 });
 walletSchema.index({ 'transactions.status': 1 });
+walletSchema.index({ 'transactions.reconciliation.flagged': 1 });
+walletSchema.index({ 'integrity.flagged': 1 });
 
 // Update lastUpdated on save
 walletSchema.pre('save', function(next) {
@@ -0,0 +1,26 @@
+// src/models/WebhookEvent.js
+import mongoose from 'mongoose';
+
+/**
+ * Every gateway webhook we accepted, keyed by the provider's event ID so
+ * retries and duplicate deliveries are processed only once.
+ */
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, default: 'razorpay' },
+    eventId: { type: String, required: true },
+    event: { type: String, required: true },
+    status: { type: String, enum: ['processing', 'processed', 'failed'], default: 'processing' },
+    attempts: { type: Number, default: 1 },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    error: { type: String, default: null },
+    payload: { type: mongoose.Schema.Types.Mixed, default: null },
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,119 @@
+// src/routes/admin.cancellations.routes.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyAdminToken } from '../middlewares/adminAuth.js';
+import CancellationPolicy from '../models/CancellationPolicy.js';
+import User from '../models/User.js';
+import { CANCELLATION_POLICY } from '../config/tripConfig.js';
+import { resolveCancellationPolicy } from '../utils/cancellationPolicy.js';
+
+const router = express.Router();
+
+const NUMERIC_FIELDS = [
+  'graceSec', 'minDriverTravelM', 'customerBaseFee', 'customerPerKmFee', 'customerMaxFee',
+  'driverSharePercent', 'driverPenaltyFee', 'freeStrikes', 'strikeWindowDays',
+];
+
+// GET - All cancellation policies + built-in defaults
+router.get('/cancellation/policies', verifyAdminToken, async (req, res) => {
+  try {
+    const policies = await CancellationPolicy.find().sort({ city: 1, vehicleType: 1 }).lean();
+    res.json({ success: true, defaults: CANCELLATION_POLICY, policies });
+  } catch (error) {
+    console.error('❌ Error fetching cancellation policies:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// GET - Effective policy for a city / vehicle (what cancellations will use)
+router.get('/cancellation/effective', verifyAdminToken, async (req, res) => {
+  try {
+    const { city, vehicleType } = req.query;
+    const policy = await resolveCancellationPolicy(city, vehicleType);
+    res.json({ success: true, city: city || null, vehicleType: vehicleType || null, policy });
+  } catch (error) {
+    console.error('❌ Error resolving cancellation policy:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// PUT - Create or update the policy for a city / vehicle pair (unset fields use the defaults)
+router.put('/cancellation/policies', verifyAdminToken, async (req, res) => {
+  try {
+    const { city = null, vehicleType = null, isActive } = req.body;
+
+    const fields = {};
+    for (const key of NUMERIC_FIELDS) {
+      if (req.body[key] === undefined || req.body[key] === null) continue;
+      if (typeof req.body[key] !== 'number' || req.body[key] < 0) {
+        return res.status(400).json({ success: false, message: `${key} must be a non-negative number` });
+      }
+      fields[key] = req.body[key];
+    }
+
+    const policy = await CancellationPolicy.findOneAndUpdate(
+      { city: city ? city.toLowerCase() : null, vehicleType: vehicleType || null },
+      {
+        $set: {
+          ...fields,
+          isActive: isActive !== undefined ? !!isActive : true,
+          updatedBy: req.admin?.email || 'admin',
+        },
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`🧾 Cancellation policy saved: ${policy.city || '*'} / ${policy.vehicleType || '*'}`);
+    res.json({ success: true, message: 'Cancellation policy saved', policy });
+  } catch (error) {
+    console.error('❌ Error saving cancellation policy:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// DELETE - Remove a policy (falls back to the next most specific one)
+router.delete('/cancellation/policies/:id', verifyAdminToken, async (req, res) => {
+  try {
+    const deleted = await CancellationPolicy.findByIdAndDelete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Cancellation policy not found' });
+    }
+    res.json({ success: true, message: 'Cancellation policy deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting cancellation policy:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// GET - A driver's cancellation strikes, newest first
+router.get('/cancellation/drivers/:driverId/strikes', verifyAdminToken, async (req, res) => {
+  try {
+    const { driverId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(driverId)) {
+      return res.status(400).json({ success: false, message: 'Invalid driverId' });
+    }
+
+    const driver = await User.findById(driverId).select('name phone city vehicleType cancellationStrikes').lean();
+    if (!driver) {
+      return res.status(404).json({ success: false, message: 'Driver not found' });
+    }
+
+    const policy = await resolveCancellationPolicy(driver.city, driver.vehicleType);
+    const since = new Date(Date.now() - policy.strikeWindowDays * 24 * 60 * 60 * 1000);
+    const strikes = [...(driver.cancellationStrikes || [])].sort((a, b) => new Date(b.at) - new Date(a.at));
+
+    res.json({
+      success: true,
+      driver: { _id: driver._id, name: driver.name, phone: driver.phone },
+      strikesInWindow: strikes.filter((s) => new Date(s.at) >= since).length,
+      freeStrikes: policy.freeStrikes,
+      strikeWindowDays: policy.strikeWindowDays,
+      strikes,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching cancellation strikes:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,207 @@
+// src/routes/admin.coupons.routes.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyAdminToken } from '../middlewares/adminAuth.js';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { normalizeCouponCode } from '../utils/coupons.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minFare',
+  'cities',
+  'vehicleTypes',
+  'validFrom',
+  'validUntil',
+  'perUserLimit',
+  'usageLimit',
+  'firstRideOnly',
+  'isActive',
+];
+
+// Pick editable fields and normalise scope lists; returns an error message when invalid
+const buildCouponUpdate = (body) => {
+  const update = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) update[field] = body[field];
+  }
+
+  if (update.discountType && !['flat', 'percent'].includes(update.discountType)) {
+    return { error: 'discountType must be flat or percent' };
+  }
+  if (update.discountValue !== undefined && !(Number(update.discountValue) > 0)) {
+    return { error: 'discountValue must be greater than 0' };
+  }
+  if (update.discountType === 'percent' && Number(update.discountValue) > 100) {
+    return { error: 'A percent discount cannot exceed 100' };
+  }
+  if (update.validFrom && update.validUntil && new Date(update.validFrom) >= new Date(update.validUntil)) {
+    return { error: 'validFrom must be before validUntil' };
+  }
+  if (update.cities) update.cities = update.cities.map((c) => String(c).trim().toLowerCase());
+  if (update.vehicleTypes) update.vehicleTypes = update.vehicleTypes.map((v) => String(v).trim().toLowerCase());
+
+  return { update };
+};
+
+// GET - All coupons (optionally only active ones)
+router.get('/coupons', verifyAdminToken, async (req, res) => {
+  try {
+    const query = req.query.active === 'true' ? { isActive: true } : {};
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, coupons });
+  } catch (error) {
+    console.error('❌ Error fetching coupons:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// POST - Create a coupon
+router.post('/coupons', verifyAdminToken, async (req, res) => {
+  try {
+    const code = normalizeCouponCode(req.body.code);
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'code is required' });
+    }
+    if (!req.body.discountType || req.body.discountValue === undefined) {
+      return res.status(400).json({ success: false, message: 'discountType and discountValue are required' });
+    }
+
+    const { update, error } = buildCouponUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const coupon = await Coupon.create({ ...update, code, createdBy: req.admin?.email || 'admin' });
+    console.log(`🎟️ Coupon ${code} created by ${req.admin?.email}`);
+    res.status(201).json({ success: true, message: 'Coupon created', coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    console.error('❌ Error creating coupon:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// PUT - Update a coupon (code and usedCount are not editable)
+router.put('/coupons/:id', verifyAdminToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon id' });
+    }
+
+    const { update, error } = buildCouponUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params.id,
+      { $set: { ...update, updatedBy: req.admin?.email || 'admin' } },
+      { new: true, runValidators: true }
+    );
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    console.log(`🎟️ Coupon ${coupon.code} updated by ${req.admin?.email}`);
+    res.json({ success: true, message: 'Coupon updated', coupon });
+  } catch (error) {
+    console.error('❌ Error updating coupon:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// DELETE - Remove a coupon; once redeemed it is only deactivated, to keep its history
+router.delete('/coupons/:id', verifyAdminToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon id' });
+    }
+
+    if (await CouponRedemption.exists({ couponId: req.params.id })) {
+      const coupon = await Coupon.findByIdAndUpdate(
+        req.params.id,
+        { $set: { isActive: false, updatedBy: req.admin?.email || 'admin' } },
+        { new: true }
+      );
+      if (!coupon) {
+        return res.status(404).json({ success: false, message: 'Coupon not found' });
+      }
+      return res.json({ success: true, message: 'Coupon has redemptions and was deactivated', coupon });
+    }
+
+    const deleted = await Coupon.findByIdAndDelete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+    res.json({ success: true, message: 'Coupon deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting coupon:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// GET - Redemption stats for one coupon
+router.get('/coupons/:id/stats', verifyAdminToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon id' });
+    }
+
+    const coupon = await Coupon.findById(req.params.id).lean();
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    const couponId = coupon._id;
+    const [byStatus, uniqueCustomers, recent] = await Promise.all([
+      CouponRedemption.aggregate([
+        { $match: { couponId } },
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 },
+            discountTotal: { $sum: '$discountAmount' },
+            fareTotal: { $sum: '$originalFare' },
+          },
+        },
+      ]),
+      CouponRedemption.distinct('customerId', { couponId, status: 'applied' }),
+      CouponRedemption.find({ couponId })
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .populate('customerId', 'name phone')
+        .populate('tripId', 'status fare')
+        .lean(),
+    ]);
+
+    const applied = byStatus.find((s) => s._id === 'applied');
+    const released = byStatus.find((s) => s._id === 'released');
+
+    res.json({
+      success: true,
+      coupon,
+      stats: {
+        redemptions: applied?.count || 0,
+        released: released?.count || 0,
+        uniqueCustomers: uniqueCustomers.length,
+        totalDiscount: applied?.discountTotal || 0,
+        totalOriginalFare: applied?.fareTotal || 0,
+        remaining: coupon.usageLimit != null ? Math.max(0, coupon.usageLimit - coupon.usedCount) : null,
+      },
+      recent,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching coupon stats:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
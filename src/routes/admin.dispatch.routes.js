@@ -0,0 +1,111 @@
+// src/routes/admin.dispatch.routes.js
+import express from 'express';
+import { verifyAdminToken } from '../middlewares/adminAuth.js';
+import DispatchConfig from '../models/DispatchConfig.js';
+import Trip from '../models/Trip.js';
+import { DISPATCH } from '../config/tripConfig.js';
+import { resolveDispatchConfig } from '../utils/tripDispatcher.js';
+
+const router = express.Router();
+
+// GET - All dispatch configs + built-in defaults
+router.get('/dispatch/configs', verifyAdminToken, async (req, res) => {
+  try {
+    const configs = await DispatchConfig.find().sort({ city: 1, vehicleType: 1 }).lean();
+    res.json({ success: true, defaults: DISPATCH, configs });
+  } catch (error) {
+    console.error('❌ Error fetching dispatch configs:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// GET - Effective config for a city / vehicle (what new trips will use)
+router.get('/dispatch/effective', verifyAdminToken, async (req, res) => {
+  try {
+    const { city, vehicleType } = req.query;
+    const config = await resolveDispatchConfig(city, vehicleType);
+    res.json({ success: true, city: city || null, vehicleType: vehicleType || null, config });
+  } catch (error) {
+    console.error('❌ Error resolving dispatch config:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// PUT - Create or update the config for a city / vehicle pair
+router.put('/dispatch/configs', verifyAdminToken, async (req, res) => {
+  try {
+    const { city = null, vehicleType = null, mode, waveSize, offerTimeoutSec, maxOffers, weights, isActive } = req.body;
+
+    if (!['broadcast', 'sequential', 'wave'].includes(mode)) {
+      return res.status(400).json({ success: false, message: 'mode must be broadcast, sequential or wave' });
+    }
+    if (weights && Object.values(weights).some((w) => typeof w !== 'number' || w < 0)) {
+      return res.status(400).json({ success: false, message: 'weights must be non-negative numbers' });
+    }
+
+    const config = await DispatchConfig.findOneAndUpdate(
+      { city: city ? city.toLowerCase() : null, vehicleType: vehicleType || null },
+      {
+        $set: {
+          mode,
+          waveSize,
+          offerTimeoutSec,
+          maxOffers,
+          weights,
+          isActive: isActive !== undefined ? !!isActive : true,
+          updatedBy: req.admin?.email || 'admin',
+        },
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`🎯 Dispatch config saved: ${config.city || '*'} / ${config.vehicleType || '*'} → ${config.mode}`);
+    res.json({ success: true, message: 'Dispatch config saved', config });
+  } catch (error) {
+    console.error('❌ Error saving dispatch config:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// DELETE - Remove a config (falls back to the next most specific one)
+router.delete('/dispatch/configs/:id', verifyAdminToken, async (req, res) => {
+  try {
+    const deleted = await DispatchConfig.findByIdAndDelete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Dispatch config not found' });
+    }
+    res.json({ success: true, message: 'Dispatch config deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting dispatch config:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// GET - Offers made for one trip (ranking tuning)
+router.get('/dispatch/trips/:tripId/offers', verifyAdminToken, async (req, res) => {
+  try {
+    const trip = await Trip.findById(req.params.tripId)
+      .select('status city vehicleType dispatch assignedDriver')
+      .populate('dispatch.offers.driverId', 'name phone rating acceptanceRate')
+      .lean();
+
+    if (!trip) {
+      return res.status(404).json({ success: false, message: 'Trip not found' });
+    }
+
+    res.json({
+      success: true,
+      tripId: trip._id,
+      status: trip.status,
+      city: trip.city,
+      vehicleType: trip.vehicleType,
+      assignedDriver: trip.assignedDriver,
+      dispatch: trip.dispatch,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching trip offers:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,98 @@
+// src/routes/admin.ledger.routes.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyAdminToken } from '../middlewares/adminAuth.js';
+import Wallet from '../models/Wallet.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { checkWalletIntegrity, openDriverLedger, getDriverLedgerBalances } from '../utils/ledger.js';
+
+const router = express.Router();
+
+// GET - Compare wallet counters with the ledger and flag the ones that drift (?driverId= for one wallet)
+router.get('/ledger/integrity', verifyAdminToken, async (req, res) => {
+  try {
+    const { driverId } = req.query;
+    if (driverId && !mongoose.Types.ObjectId.isValid(driverId)) {
+      return res.status(400).json({ success: false, message: 'Invalid driverId' });
+    }
+
+    console.log(`📒 Ledger integrity check by ${req.admin?.email}${driverId ? ` (driver ${driverId})` : ''}`);
+    const result = await checkWalletIntegrity({ driverId: driverId || null });
+
+    res.json({
+      success: true,
+      checked: result.checked,
+      flaggedCount: result.flagged.length,
+      flagged: result.flagged,
+      unbalancedEntries: result.unbalancedEntries,
+    });
+  } catch (error) {
+    console.error('❌ Error checking ledger integrity:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// POST - Open the ledger for every wallet that doesn't have one yet
+router.post('/ledger/backfill', verifyAdminToken, async (req, res) => {
+  try {
+    console.log(`📒 Ledger backfill by ${req.admin?.email}`);
+
+    let opened = 0;
+    let scanned = 0;
+    for await (const wallet of Wallet.find().select('driverId').lean().cursor()) {
+      scanned++;
+      if (await openDriverLedger(wallet.driverId)) opened++;
+    }
+
+    res.json({ success: true, scanned, opened });
+  } catch (error) {
+    console.error('❌ Error backfilling ledger:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// GET - A driver's journal with ledger and cached balances side by side
+router.get('/ledger/drivers/:driverId', verifyAdminToken, async (req, res) => {
+  try {
+    const { driverId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(driverId)) {
+      return res.status(400).json({ success: false, message: 'Invalid driverId' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const query = { 'lines.driverId': new mongoose.Types.ObjectId(driverId) };
+
+    const [balances, wallet, total, entries] = await Promise.all([
+      getDriverLedgerBalances(driverId),
+      Wallet.findOne({ driverId }).select('availableBalance totalEarnings totalCommission pendingAmount integrity').lean(),
+      LedgerEntry.countDocuments(query),
+      LedgerEntry.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({
+      success: true,
+      balances,
+      cached: wallet
+        ? {
+            availableBalance: wallet.availableBalance,
+            totalEarnings: wallet.totalEarnings,
+            totalCommission: wallet.totalCommission,
+            pendingAmount: wallet.pendingAmount,
+          }
+        : null,
+      integrity: wallet?.integrity || null,
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('❌ Error fetching driver ledger:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
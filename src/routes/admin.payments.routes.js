@@ -0,0 +1,188 @@
+// src/routes/admin.payments.routes.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyAdminToken } from '../middlewares/adminAuth.js';
+import Wallet from '../models/Wallet.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import Trip from '../models/Trip.js';
+import { reconcilePendingPayments } from '../jobs/paymentReconciliation.js';
+import { refundTripPayment } from '../utils/tripPayments.js';
+import { refundTripToWallet, getWalletStatement } from '../utils/customerWallet.js';
+
+const router = express.Router();
+
+// GET - Wallet entries the webhook / reconciliation could not match
+router.get('/payments/flagged', verifyAdminToken, async (req, res) => {
+  try {
+    const flagged = await Wallet.aggregate([
+      { $unwind: '$transactions' },
+      { $match: { 'transactions.reconciliation.flagged': true } },
+      { $sort: { 'transactions.createdAt': -1 } },
+      { $limit: 200 },
+      { $project: { _id: 0, driverId: 1, transaction: '$transactions' } },
+    ]);
+
+    res.json({ success: true, count: flagged.length, flagged });
+  } catch (error) {
+    console.error('❌ Error fetching flagged payments:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// POST - Run reconciliation now instead of waiting for the cron
+router.post('/payments/reconcile', verifyAdminToken, async (req, res) => {
+  try {
+    console.log(`🧾 Manual payment reconciliation by ${req.admin?.email}`);
+    const summary = await reconcilePendingPayments();
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('❌ Error running payment reconciliation:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// GET - Recent webhook deliveries (optionally by status)
+router.get('/payments/webhooks', verifyAdminToken, async (req, res) => {
+  try {
+    const query = {};
+    if (['processing', 'processed', 'failed'].includes(req.query.status)) query.status = req.query.status;
+
+    const events = await WebhookEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .select('-payload')
+      .lean();
+
+    res.json({ success: true, events });
+  } catch (error) {
+    console.error('❌ Error fetching webhook events:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// GET - Online trip payments that need attention (?status=failed|expired|flagged|refunded)
+router.get('/payments/trips', verifyAdminToken, async (req, res) => {
+  try {
+    const { status = 'flagged' } = req.query;
+    if (status !== 'flagged' && !['created', 'captured', 'failed', 'expired', 'refunded', 'partially_refunded'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status' });
+    }
+
+    const query = status === 'flagged'
+      ? { 'onlinePayment.flagReason': { $ne: null } }
+      : { 'onlinePayment.status': status };
+
+    const trips = await Trip.find({ onlinePayment: { $ne: null }, ...query })
+      .sort({ 'onlinePayment.createdAt': -1 })
+      .limit(100)
+      .select('customerId assignedDriver fare finalFare status paymentCollected paymentMethod onlinePayment completedAt')
+      .populate('customerId', 'name phone')
+      .populate('assignedDriver', 'name phone')
+      .lean();
+
+    res.json({ success: true, count: trips.length, trips });
+  } catch (error) {
+    console.error('❌ Error fetching trip payments:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// POST - Refund (part of) a trip's online payment, e.g. a waived cancellation fee
+router.post('/payments/trips/:tripId/refund', verifyAdminToken, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { reason = 'admin' } = req.body;
+    const amount = req.body.amount != null ? Number(req.body.amount) : undefined;
+
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: 'Invalid tripId' });
+    }
+    if (amount !== undefined && !(amount > 0)) {
+      return res.status(400).json({ success: false, message: 'amount must be a positive number' });
+    }
+
+    const trip = await Trip.findById(tripId).lean();
+    if (!trip) {
+      return res.status(404).json({ success: false, message: 'Trip not found' });
+    }
+    if (!trip.onlinePayment?.paymentId) {
+      return res.status(400).json({ success: false, message: 'Trip has no online payment to refund' });
+    }
+
+    const refundable = Number((trip.onlinePayment.amount - (trip.onlinePayment.refundedAmount || 0)).toFixed(2));
+    if (refundable <= 0 || (amount !== undefined && amount > refundable)) {
+      return res.status(400).json({ success: false, message: `At most ₹${refundable} can still be refunded` });
+    }
+
+    const refund = await refundTripPayment({
+      trip,
+      amount,
+      reason,
+      source: 'admin',
+      createdBy: req.admin?.email || 'admin',
+    });
+
+    console.log(`↩️ Trip ${tripId} refund of ₹${refund.amount} by ${req.admin?.email}`);
+    res.json({ success: true, refund });
+  } catch (error) {
+    console.error('❌ Error refunding trip payment:', error);
+    res.status(500).json({ success: false, message: error.error?.description || error.message });
+  }
+});
+
+// POST - Credit (part of) a trip's fare to the rider's wallet (cancelled / disputed trips)
+router.post('/payments/trips/:tripId/wallet-refund', verifyAdminToken, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { reason } = req.body;
+    const amount = req.body.amount != null ? Number(req.body.amount) : undefined;
+
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: 'Invalid tripId' });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'reason is required (e.g. cancelled, disputed)' });
+    }
+    if (amount !== undefined && !(amount > 0)) {
+      return res.status(400).json({ success: false, message: 'amount must be a positive number' });
+    }
+
+    const trip = await Trip.findById(tripId).select('customerId fare finalFare status paymentCollected paymentMethod').lean();
+    if (!trip) {
+      return res.status(404).json({ success: false, message: 'Trip not found' });
+    }
+    let refund;
+    try {
+      refund = await refundTripToWallet({ trip, amount, reason, createdBy: req.admin?.email || 'admin' });
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+
+    console.log(`↩️ Trip ${tripId} wallet refund of ₹${refund.amount} by ${req.admin?.email}`);
+    res.json({ success: true, refund });
+  } catch (error) {
+    console.error('❌ Error refunding trip to wallet:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// GET - A rider's wallet statement
+router.get('/payments/customer-wallets/:customerId', verifyAdminToken, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(customerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid customerId' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const statement = await getWalletStatement(customerId, { page, limit });
+
+    res.json({ success: true, customerId, ...statement });
+  } catch (error) {
+    console.error('❌ Error fetching customer wallet:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,110 @@
+// src/routes/admin.payouts.routes.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyAdminToken } from '../middlewares/adminAuth.js';
+import Payout, { PAYOUT_STATUSES } from '../models/Payout.js';
+import { approvePayout, rejectPayout, payoutView } from '../utils/payouts.js';
+import { syncPayouts } from '../jobs/payoutSync.js';
+
+const router = express.Router();
+
+// GET - Approval queue (?status=requested by default, oldest first)
+router.get('/payouts', verifyAdminToken, async (req, res) => {
+  try {
+    const status = PAYOUT_STATUSES.includes(req.query.status) ? req.query.status : 'requested';
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const query = { status };
+    if (req.query.driverId && mongoose.Types.ObjectId.isValid(req.query.driverId)) {
+      query.driverId = req.query.driverId;
+    }
+
+    const [total, payouts] = await Promise.all([
+      Payout.countDocuments(query),
+      Payout.find(query)
+        .sort({ createdAt: status === 'requested' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('driverId', 'name phone')
+        .lean(),
+    ]);
+
+    res.json({
+      success: true,
+      payouts: payouts.map((p) => ({
+        ...payoutView(p),
+        driver: p.driverId,
+        provider: p.provider,
+        providerPayoutId: p.providerPayoutId,
+        reviewedBy: p.reviewedBy,
+        reviewedAt: p.reviewedAt,
+      })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('❌ Error fetching payouts:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// POST - Approve a requested payout and send it to the provider
+router.post('/payouts/:payoutId/approve', verifyAdminToken, async (req, res) => {
+  try {
+    const { payoutId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(payoutId)) {
+      return res.status(400).json({ success: false, message: 'Invalid payoutId' });
+    }
+
+    const payout = await approvePayout({ payoutId, adminEmail: req.admin?.email });
+    if (!payout) {
+      return res.status(400).json({ success: false, message: 'Only a requested payout can be approved' });
+    }
+
+    res.json({ success: true, message: `Payout ${payout.status}`, payout: payoutView(payout) });
+  } catch (error) {
+    console.error('❌ Error approving payout:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errorCode: error.errorCode });
+    }
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// POST - Reject a requested payout; the amount goes back to the driver
+router.post('/payouts/:payoutId/reject', verifyAdminToken, async (req, res) => {
+  try {
+    const { payoutId } = req.params;
+    const reason = req.body.reason?.trim();
+    if (!mongoose.Types.ObjectId.isValid(payoutId)) {
+      return res.status(400).json({ success: false, message: 'Invalid payoutId' });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'reason is required' });
+    }
+
+    const payout = await rejectPayout({ payoutId, adminEmail: req.admin?.email, reason });
+    if (!payout) {
+      return res.status(400).json({ success: false, message: 'Only a requested payout can be rejected' });
+    }
+
+    console.log(`🚫 Payout ${payoutId} rejected by ${req.admin?.email}: ${reason}`);
+    res.json({ success: true, message: 'Payout rejected', payout: payoutView(payout) });
+  } catch (error) {
+    console.error('❌ Error rejecting payout:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// POST - Poll the provider now instead of waiting for the cron
+router.post('/payouts/sync', verifyAdminToken, async (req, res) => {
+  try {
+    console.log(`🏦 Manual payout sync by ${req.admin?.email}`);
+    const summary = await syncPayouts();
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('❌ Error syncing payouts:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,14 @@
+// src/routes/admin.ratings.routes.js
+import express from 'express';
+import { verifyAdminToken } from '../middlewares/adminAuth.js';
+import { getLowRatedTrips, setRatingCommentVisibility } from '../controllers/ratingController.js';
+
+const router = express.Router();
+
+// GET - Low-rated trips (score <= maxScore), newest first
+router.get('/ratings/low', verifyAdminToken, getLowRatedTrips);
+
+// PATCH - Hide / restore an abusive comment
+router.patch('/ratings/:ratingId/comment', verifyAdminToken, setRatingCommentVisibility);
+
+export default router;
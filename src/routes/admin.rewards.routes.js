@@ -40,7 +40,7 @@ router.put('/rewards/settings', async (req, res) => {
     console.log('📥 PUT /api/admin/rewards/settings');
     console.log('📦 Request body:', JSON.stringify(req.body, null, 2));
 
-    const { distanceTiers, referralBonus } = req.body;
+    const { distanceTiers, referralBonus, driverReferralBonus } = req.body;
 
     if (distanceTiers && !Array.isArray(distanceTiers)) {
       return res.status(400).json({ success: false, error: 'distanceTiers must be an array' });
@@ -79,6 +79,7 @@ router.put('/rewards/settings', async (req, res) => {
       settings = await RewardSettings.create({
         distanceTiers: processedTiers,
         referralBonus: Number(referralBonus) || 50,
+        driverReferralBonus: Number(driverReferralBonus) || 100,
         updatedAt: new Date(),
         updatedBy: req.user?.email || 'admin',
       });
@@ -86,6 +87,7 @@ router.put('/rewards/settings', async (req, res) => {
       console.log('📝 Updating existing settings');
       if (distanceTiers) settings.distanceTiers = processedTiers;
       if (referralBonus !== undefined) settings.referralBonus = Number(referralBonus);
+      if (driverReferralBonus !== undefined) settings.driverReferralBonus = Number(driverReferralBonus);
       settings.updatedAt = new Date();
       settings.updatedBy = req.user?.email || 'admin';
       await settings.save();
@@ -0,0 +1,129 @@
+// src/routes/admin.surge.routes.js
+import express from 'express';
+import { verifyAdminToken } from '../middlewares/adminAuth.js';
+import SurgeZone from '../models/SurgeZone.js';
+import { SURGE } from '../config/pricingConfig.js';
+import { computeZoneSurge } from '../utils/surgeEngine.js';
+import { isValidGeohash } from '../utils/geohash.js';
+
+const router = express.Router();
+
+const zoneView = (zone) => ({
+  zoneId: zone.zoneId,
+  city: zone.city,
+  demand: zone.demand,
+  supply: zone.supply,
+  computedMultiplier: zone.multiplier,
+  effectiveMultiplier: zone.effectiveMultiplier(),
+  override: zone.hasActiveOverride() ? zone.override : null,
+  computedAt: zone.computedAt,
+});
+
+// GET - List zones (optionally by city / only surging)
+router.get('/surge/zones', verifyAdminToken, async (req, res) => {
+  try {
+    const { city, surgingOnly } = req.query;
+    const query = {};
+    if (city) query.city = city.toLowerCase();
+    if (surgingOnly === 'true') {
+      query.$or = [{ multiplier: { $gt: 1 } }, { 'override.multiplier': { $ne: null } }];
+    }
+
+    const zones = await SurgeZone.find(query).sort({ multiplier: -1 }).limit(500);
+
+    res.json({
+      success: true,
+      maxMultiplier: SURGE.MAX_MULTIPLIER,
+      zones: zones.map(zoneView),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching surge zones:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// GET - Single zone, recomputed from live data
+router.get('/surge/zones/:zoneId', verifyAdminToken, async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    if (!isValidGeohash(zoneId)) {
+      return res.status(400).json({ success: false, message: 'Invalid zoneId (geohash expected)' });
+    }
+
+    const zone = await computeZoneSurge(zoneId.toLowerCase());
+    res.json({ success: true, zone: zoneView(zone) });
+  } catch (error) {
+    console.error('❌ Error fetching surge zone:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// PUT - Override a zone's multiplier
+router.put('/surge/zones/:zoneId/override', verifyAdminToken, async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    const { multiplier, expiresInMinutes, reason, city } = req.body;
+
+    if (!isValidGeohash(zoneId)) {
+      return res.status(400).json({ success: false, message: 'Invalid zoneId (geohash expected)' });
+    }
+
+    const value = Number(multiplier);
+    if (!Number.isFinite(value) || value < 1 || value > SURGE.MAX_MULTIPLIER) {
+      return res.status(400).json({
+        success: false,
+        message: `multiplier must be between 1 and ${SURGE.MAX_MULTIPLIER}`,
+      });
+    }
+
+    const minutes = Number(expiresInMinutes);
+    const expiresAt = Number.isFinite(minutes) && minutes > 0
+      ? new Date(Date.now() + minutes * 60 * 1000)
+      : null;
+
+    const update = {
+      override: {
+        multiplier: value,
+        reason: reason || null,
+        setBy: req.admin?.email || 'admin',
+        expiresAt,
+      },
+    };
+    if (city) update.city = city.toLowerCase();
+
+    const zone = await SurgeZone.findOneAndUpdate(
+      { zoneId: zoneId.toLowerCase() },
+      { $set: update },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`📈 Surge override on ${zone.zoneId}: x${value} by ${update.override.setBy}`);
+    res.json({ success: true, message: 'Surge override saved', zone: zoneView(zone) });
+  } catch (error) {
+    console.error('❌ Error saving surge override:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// DELETE - Clear a zone override
+router.delete('/surge/zones/:zoneId/override', verifyAdminToken, async (req, res) => {
+  try {
+    const zone = await SurgeZone.findOneAndUpdate(
+      { zoneId: req.params.zoneId.toLowerCase() },
+      { $set: { override: { multiplier: null, reason: null, setBy: null, expiresAt: null } } },
+      { new: true }
+    );
+
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+
+    console.log(`📉 Surge override cleared on ${zone.zoneId}`);
+    res.json({ success: true, message: 'Surge override cleared', zone: zoneView(zone) });
+  } catch (error) {
+    console.error('❌ Error clearing surge override:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,135 @@
+// src/routes/admin.trips.routes.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyAdminToken } from '../middlewares/adminAuth.js';
+import Trip from '../models/Trip.js';
+import { getTripTimeline } from '../utils/tripTimeline.js';
+import { getTripRoute, routeToGeoJSON, routeToPolyline } from '../utils/tripTrail.js';
+import { overrideTripFare } from '../utils/fareAdjustment.js';
+import { FARE_ADJUSTMENT } from '../config/tripConfig.js';
+
+const router = express.Router();
+
+// GET - Everything that happened to a trip, oldest first (for disputes)
+router.get('/trip/:tripId/timeline', verifyAdminToken, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: 'Invalid tripId' });
+    }
+
+    const [trip, events] = await Promise.all([
+      Trip.findById(tripId)
+        .select('status type vehicleType fare finalFare fareAdjustment paymentMethod paymentCollected customerId assignedDriver createdAt acceptedAt startTime rideStartTime completedAt cancelledAt cancellationReason')
+        .populate('customerId', 'name phone')
+        .populate('assignedDriver', 'name phone vehicleNumber')
+        .lean(),
+      getTripTimeline(tripId),
+    ]);
+
+    if (!trip && !events.length) {
+      return res.status(404).json({ success: false, message: 'Trip not found' });
+    }
+
+    res.json({
+      success: true,
+      tripId,
+      // Trips older than the timeline only have these timestamps
+      trip,
+      events: events.map((e) => ({
+        eventId: e._id,
+        type: e.type,
+        at: e.at,
+        actor: e.actor,
+        actorId: e.actorId,
+        source: e.source,
+        payload: e.payload,
+      })),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching trip timeline:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// GET - Recorded GPS trail (?phase=ride|pickup|all, ?simplify=false for every stored point, ?format=geojson|polyline)
+router.get('/trip/:tripId/route', verifyAdminToken, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: 'Invalid tripId' });
+    }
+
+    const trip = await Trip.findById(tripId).select('status assignedDriver trail').lean();
+    if (!trip) {
+      return res.status(404).json({ success: false, message: 'Trip not found' });
+    }
+
+    const phases = ['pickup', 'ride'].includes(req.query.phase) ? [req.query.phase] : ['pickup', 'ride'];
+    const format = req.query.format === 'polyline' ? 'polyline' : 'geojson';
+    const route = await getTripRoute(trip, { phases, simplify: req.query.simplify !== 'false' });
+
+    res.json({
+      success: true,
+      tripId,
+      status: trip.status,
+      driverId: trip.assignedDriver || null,
+      lastPoint: trip.trail?.lastPoint || null,
+      format,
+      route: format === 'polyline' ? routeToPolyline(route) : routeToGeoJSON(route),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching trip route:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// POST - Set the final fare of a completed, unpaid trip (overrides completion repricing)
+router.post('/trip/:tripId/fare-override', verifyAdminToken, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const fare = Number(req.body.fare);
+    const reason = req.body.reason?.trim();
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+      return res.status(400).json({ success: false, message: 'Invalid tripId' });
+    }
+    if (!Number.isFinite(fare) || fare < 0) {
+      return res.status(400).json({ success: false, message: 'fare must be a non-negative number' });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'reason is required' });
+    }
+    if (reason.length > FARE_ADJUSTMENT.OVERRIDE_REASON_MAX_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `reason must be at most ${FARE_ADJUSTMENT.OVERRIDE_REASON_MAX_LENGTH} characters`,
+      });
+    }
+
+    const { trip, payment } = await overrideTripFare({
+      tripId,
+      fare: Math.round(fare * 100) / 100,
+      reason,
+      adminEmail: req.admin?.email,
+    });
+
+    res.json({
+      success: true,
+      message: 'Final fare updated',
+      tripId,
+      fare: trip.fare,
+      finalFare: trip.finalFare,
+      fareAdjustment: trip.fareAdjustment,
+      payment,
+    });
+  } catch (error) {
+    console.error('❌ Error overriding trip fare:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error',
+      ...(error.errorCode && { errorCode: error.errorCode }),
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,46 @@
+// src/routes/couponRoutes.js
+import express from 'express';
+import { protect } from '../middlewares/authMiddleware.js';
+import { evaluateCoupon } from '../utils/coupons.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/coupons/validate
+ * @desc    Preview a coupon against a quoted fare (nothing is claimed until trip creation)
+ * Body → { code, fare, city?, vehicleType? }
+ */
+router.post('/validate', protect, async (req, res) => {
+  try {
+    const { code, city, vehicleType } = req.body;
+    const fare = Number(req.body.fare);
+    if (!code || !Number.isFinite(fare) || fare <= 0) {
+      return res.status(400).json({ success: false, message: 'code and fare are required' });
+    }
+
+    const result = await evaluateCoupon({
+      code,
+      customerId: req.user._id,
+      fare,
+      city,
+      vehicleType: vehicleType ? String(vehicleType).trim().toLowerCase() : null,
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({ success: false, message: result.message, errorCode: result.errorCode });
+    }
+
+    res.json({
+      success: true,
+      code: result.coupon.code,
+      description: result.coupon.description,
+      discount: result.discount,
+      finalFare: Math.max(0, fare - result.discount),
+    });
+  } catch (error) {
+    console.error('❌ Error validating coupon:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,37 @@
+// src/routes/customerWalletRoutes.js
+import express from 'express';
+import { protect } from '../middlewares/authMiddleware.js';
+import {
+  getMyWallet,
+  createTopup,
+  verifyTopup,
+  getStatement,
+} from '../controllers/customerWalletController.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/customer-wallet
+ * @desc    Rider's prepaid balance and totals
+ */
+router.get('/', protect, getMyWallet);
+
+/**
+ * @route   POST /api/customer-wallet/topup/order
+ * @desc    Razorpay order for a wallet top-up
+ */
+router.post('/topup/order', protect, createTopup);
+
+/**
+ * @route   POST /api/customer-wallet/topup/verify
+ * @desc    Verify the checkout result and credit the wallet
+ */
+router.post('/topup/verify', protect, verifyTopup);
+
+/**
+ * @route   GET /api/customer-wallet/statement
+ * @desc    Wallet movements with running balances
+ */
+router.get('/statement', protect, getStatement);
+
+export default router;
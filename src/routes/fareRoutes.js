@@ -1,5 +1,6 @@
 import { Router } from 'express';
-import { createFare } from '../controllers/fareController.js';
+import { createFare, replayTripFare } from '../controllers/fareController.js';
+import { verifyAdminToken } from '../middlewares/adminAuth.js';
 import { apiProfiler } from '../middlewares/apiProfiler.js';
 
 const router = Router();
@@ -11,6 +12,9 @@ router.post(
   createFare
 );
 
+// GET /api/fares/replay/:tripId  ← finance audit (admin)
+router.get('/replay/:tripId', verifyAdminToken, replayTripFare);
+
 // health check
 router.get('/ping', (req, res) => res.json({ ok: true }));
 
@@ -4,6 +4,7 @@ import User from '../models/User.js';
 import Trip from '../models/Trip.js';
 import Wallet from '../models/Wallet.js';
 import { protect } from '../middlewares/authMiddleware.js';
+import { postCoinConversionEntry, openDriverLedger } from '../utils/ledger.js';
 import mongoose from 'mongoose';
 
 const router = express.Router();
@@ -120,13 +121,16 @@ router.get('/:userId', protect, async (req, res) => {
     }
 
     const user = await User.findById(userId).select(
-      'name phone totalCoinsCollected totalIncentiveEarned totalRidesCompleted wallet'
+      'name phone totalCoinsCollected totalIncentiveEarned totalRidesCompleted'
     );
 
     if (!user) {
       return res.status(404).json({ success: false, error: 'User not found' });
     }
 
+    // Cash lives in the driver Wallet (backed by the ledger), not on User
+    const wallet = await Wallet.findOne({ driverId: userId }).select('availableBalance').lean();
+
     // Get today's data
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -152,7 +156,7 @@ router.get('/:userId', protect, async (req, res) => {
         totalCoinsCollected: user.totalCoinsCollected || 0,
         totalIncentiveEarned: user.totalIncentiveEarned || 0.0,
         totalRidesCompleted: user.totalRidesCompleted || 0,
-        wallet: user.wallet || 0.0,
+        wallet: Number((wallet?.availableBalance || 0).toFixed(2)),
         // Today's data
         todayRidesCompleted,
         todayIncentiveEarned,
@@ -224,9 +228,11 @@ router.post('/withdraw-earnings', protect, async (req, res) => {
     const coinsToWithdraw = minimumCoins;
     const rupeeAmount = coinsToWithdraw * conversionRate;
 
+    // Carry the wallet's current counters into the ledger before they move
+    await openDriverLedger(userId);
+
     // Update user
     user.totalCoinsCollected = (user.totalCoinsCollected || 0) - coinsToWithdraw;
-    user.wallet = (user.wallet || 0) + rupeeAmount;
     await user.save({ session });
 
     // 🆕 ADD TRANSACTION TO DRIVER'S WALLET
@@ -261,13 +267,12 @@ router.post('/withdraw-earnings', protect, async (req, res) => {
       coinsWithdrawn: coinsToWithdraw,
       rupeeAmount,
       remainingCoins: user.totalCoinsCollected,
-      newWalletBalance: user.wallet,
       walletAvailableBalance: wallet.availableBalance
     });
 
     // Log transaction
     const Transactions = db.collection('coinTransactions');
-    await Transactions.insertOne({
+    const coinTransaction = await Transactions.insertOne({
       userId: new mongoose.Types.ObjectId(userId),
       type: 'withdrawal',
       coinsDeducted: coinsToWithdraw,
@@ -277,6 +282,9 @@ router.post('/withdraw-earnings', protect, async (req, res) => {
       status: 'completed'
     }, { session });
 
+    // Journalled in the same transaction: no ledger entry, no conversion
+    await postCoinConversionEntry(userId, rupeeAmount, coinsToWithdraw, coinTransaction.insertedId, { session });
+
     await session.commitTransaction();
 
     res.json({
@@ -286,7 +294,7 @@ router.post('/withdraw-earnings', protect, async (req, res) => {
         coinsWithdrawn: coinsToWithdraw,
         rupeeAmount,
         remainingCoins: user.totalCoinsCollected,
-        newWalletBalance: user.wallet,
+        newWalletBalance: Number(wallet.availableBalance.toFixed(2)),
         walletAvailableBalance: Number(wallet.availableBalance.toFixed(2))
       }
     });
@@ -341,163 +349,6 @@ router.get('/:userId/history', protect, async (req, res) => {
   }
 });
 
-// 🆕 POST /api/incentives/add-ride-incentive - Add per-ride incentive to wallet
-// ⚠️ NO AUTH REQUIRED - Called server-to-server from walletController
-router.post('/add-ride-incentive', async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    console.log('📥 Received add-ride-incentive request:', req.body);
-
-    const { userId, tripId } = req.body;
-
-    if (!userId) {
-      await session.abortTransaction();
-      return res.status(400).json({
-        success: false,
-        error: 'userId is required'
-      });
-    }
-
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      await session.abortTransaction();
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid user ID format'
-      });
-    }
-
-    // Get incentive settings
-    const db = mongoose.connection.db;
-    const IncentiveSettings = db.collection('incentiveSettings');
-    let settings = await IncentiveSettings.findOne({ type: 'global' });
-
-    if (!settings) {
-      console.log('⚠️ No settings found, using defaults');
-      settings = { perRideIncentive: 0.0, perRideCoins: 0 };
-    }
-
-    const perRideIncentive = settings.perRideIncentive || 0.0;
-    const perRideCoins = settings.perRideCoins || 0;
-
-    console.log('💰 Incentive settings:', { perRideIncentive, perRideCoins });
-
-    // Skip if both are zero
-    if (perRideIncentive === 0 && perRideCoins === 0) {
-      await session.abortTransaction();
-      console.log('ℹ️ No incentives configured, skipping');
-      return res.json({
-        success: true,
-        message: 'No incentives configured',
-        data: {
-          cashIncentive: 0,
-          coinsAwarded: 0
-        }
-      });
-    }
-
-    // Update user
-    const user = await User.findByIdAndUpdate(
-      userId,
-      {
-        $inc: {
-          totalIncentiveEarned: perRideIncentive,
-          totalCoinsCollected: perRideCoins,
-          totalRidesCompleted: 1,
-          wallet: perRideIncentive
-        }
-      },
-      { new: true, session }
-    );
-
-    if (!user) {
-      await session.abortTransaction();
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-
-    console.log('✅ User updated:', {
-      userId,
-      newWallet: user.wallet,
-      totalCoins: user.totalCoinsCollected
-    });
-
-    // Add to wallet page with transaction history
-    const wallet = await Wallet.findOneAndUpdate(
-      { driverId: userId },
-      {
-        $inc: {
-          availableBalance: perRideIncentive,
-          totalEarnings: perRideIncentive
-        },
-        $push: {
-          transactions: {
-            type: 'credit',
-            amount: Number(perRideIncentive.toFixed(2)),
-            tripId: tripId || null,
-            description: `Ride incentive - ₹${perRideIncentive.toFixed(2)}${perRideCoins > 0 ? ` + ${perRideCoins} coins` : ''}`,
-            status: 'completed',
-            createdAt: new Date()
-          }
-        },
-        $set: {
-          lastUpdated: new Date()
-        }
-      },
-      { 
-        new: true, 
-        upsert: true,
-        session 
-      }
-    );
-
-    console.log('✅ Wallet updated:', {
-      availableBalance: wallet.availableBalance,
-      totalEarnings: wallet.totalEarnings
-    });
-
-    await session.commitTransaction();
-
-    console.log('='.repeat(70));
-    console.log('💎 RIDE INCENTIVE ADDED SUCCESSFULLY');
-    console.log(`   User ID: ${userId}`);
-    console.log(`   Trip ID: ${tripId || 'N/A'}`);
-    console.log(`   Cash Incentive: ₹${perRideIncentive}`);
-    console.log(`   Coins Awarded: ${perRideCoins}`);
-    console.log(`   New Wallet Balance: ₹${user.wallet}`);
-    console.log(`   Wallet Available Balance: ₹${wallet.availableBalance}`);
-    console.log('='.repeat(70));
-
-    res.json({
-      success: true,
-      message: 'Ride incentive added successfully',
-      data: {
-        cashIncentive: perRideIncentive,
-        coinsAwarded: perRideCoins,
-        totalCoins: user.totalCoinsCollected,
-        totalIncentiveEarned: user.totalIncentiveEarned,
-        walletBalance: user.wallet,
-        walletAvailableBalance: Number(wallet.availableBalance.toFixed(2))
-      }
-    });
-
-  } catch (error) {
-    if (session.inTransaction()) {
-      await session.abortTransaction();
-    }
-    console.error('❌ Error adding ride incentive:', error);
-    console.error('Stack trace:', error.stack);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to add ride incentive',
-      details: error.message
-    });
-  } finally {
-    session.endSession();
-  }
-});
+// Per-ride incentives are awarded server-side only (utils/rideIncentives.js)
 
 export default router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 // src/routes/locationRoutes.js
 
 import express from 'express';
+import { optionalAuth } from '../middlewares/authMiddleware.js';
 import {
   updateDriverLocation,
   updateCustomerLocation,
@@ -12,9 +13,10 @@ const router = express.Router();
 
 /**
  * @route   POST /api/location/update/driver
- * @desc    Update live driver GPS location
+ * @desc    Update live driver GPS location; the trip trail only takes
+ *          points from a signed-in driver (or their socket)
  */
-router.post('/updateDriver', updateDriverLocation);
+router.post('/updateDriver', optionalAuth, updateDriverLocation);
 
 /**
  * @route   POST /api/location/update/customer
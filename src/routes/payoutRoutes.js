@@ -0,0 +1,42 @@
+// src/routes/payoutRoutes.js
+import express from 'express';
+import { protect } from '../middlewares/authMiddleware.js';
+import {
+  getPayoutMethods,
+  addPayoutMethod,
+  reverifyPayoutMethod,
+  setDefaultPayoutMethod,
+  removePayoutMethod,
+  getPayoutBalance,
+  createPayoutRequest,
+  getMyPayouts,
+  cancelMyPayout,
+} from '../controllers/payoutController.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET/POST /api/payouts/methods
+ * @desc    Driver's bank accounts / UPI IDs; new ones are verified on add
+ */
+router.get('/methods', protect, getPayoutMethods);
+router.post('/methods', protect, addPayoutMethod);
+router.post('/methods/:methodId/verify', protect, reverifyPayoutMethod);
+router.put('/methods/:methodId/default', protect, setDefaultPayoutMethod);
+router.delete('/methods/:methodId', protect, removePayoutMethod);
+
+/**
+ * @route   GET /api/payouts/balance
+ * @desc    Withdrawable balance, limits and today's usage
+ */
+router.get('/balance', protect, getPayoutBalance);
+
+/**
+ * @route   GET/POST /api/payouts
+ * @desc    Payout history / request a payout (held until an admin approves)
+ */
+router.get('/', protect, getMyPayouts);
+router.post('/', protect, createPayoutRequest);
+router.post('/:payoutId/cancel', protect, cancelMyPayout);
+
+export default router;
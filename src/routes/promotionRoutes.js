@@ -4,6 +4,7 @@ import multer from 'multer';
 import { CloudinaryStorage } from 'multer-storage-cloudinary';
 import cloudinary from '../utils/cloudinary.js';
 import { verifyAdminToken } from '../middlewares/adminAuth.js';
+import { optionalAuth } from '../middlewares/authMiddleware.js';
 import {
   uploadPromotion,
   getAllPromotions,
@@ -11,6 +12,8 @@ import {
   togglePromotionStatus,
   deletePromotion,
   updatePromotionOrder,
+  updatePromotionCampaign,
+  getPromotionStats,
   trackPromotionClick,
 } from '../controllers/promotionController.js';
 
@@ -53,12 +56,14 @@ router.post('/admin/promotions/upload', verifyAdminToken, upload.single('image')
 router.get('/admin/promotions', verifyAdminToken, getAllPromotions);
 router.put('/admin/promotions/:id/toggle', verifyAdminToken, togglePromotionStatus);
 router.put('/admin/promotions/:id/order', verifyAdminToken, updatePromotionOrder);
+router.put('/admin/promotions/:id/campaign', verifyAdminToken, updatePromotionCampaign);
+router.get('/admin/promotions/:id/stats', verifyAdminToken, getPromotionStats);
 router.delete('/admin/promotions/:id', verifyAdminToken, deletePromotion);
 
 // =====================================================
 // Customer Routes (Public)
 // =====================================================
-router.get('/promotions/active', getActivePromotions);
-router.post('/promotions/:id/click', trackPromotionClick);
+router.get('/promotions/active', optionalAuth, getActivePromotions);
+router.post('/promotions/:id/click', optionalAuth, trackPromotionClick);
 
 export default router;
\ No newline at end of file
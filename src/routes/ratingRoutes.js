@@ -0,0 +1,20 @@
+// src/routes/ratingRoutes.js
+import express from 'express';
+import { protect } from '../middlewares/authMiddleware.js';
+import { submitRating, getTripRatingStatus } from '../controllers/ratingController.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/ratings/trip/:tripId
+ * @desc    Caller's rating status for a trip (window, given, received)
+ */
+router.get('/trip/:tripId', protect, getTripRatingStatus);
+
+/**
+ * @route   POST /api/ratings/trip/:tripId
+ * @desc    Customer rates driver / driver rates customer (once per trip)
+ */
+router.post('/trip/:tripId', protect, submitRating);
+
+export default router;
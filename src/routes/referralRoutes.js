@@ -0,0 +1,14 @@
+// src/routes/referralRoutes.js
+import express from 'express';
+import { protect } from '../middlewares/authMiddleware.js';
+import { getMyReferral } from '../controllers/referralController.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/referrals/me
+ * @desc    Caller's referral code, bonus amounts and referral history
+ */
+router.get('/me', protect, getMyReferral);
+
+export default router;
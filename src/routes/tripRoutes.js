@@ -11,16 +11,35 @@ import {
   acceptTrip,
   getTripByIdWithPayment,
   rejectTrip,
+  markOfferSeen,
   completeTrip,
   cancelTrip,
+  getCancellationPreview,
   getTripById,
   goingToPickup,
+  markCustomerNoShow,
   startRide,
   getActiveRide,
   getDriverActiveTrip,
   completeRideWithVerification,
   confirmCashCollection,
 } from '../controllers/tripController.js';
+import {
+  bookScheduledTrip,
+  modifyScheduledTrip,
+  cancelScheduledTrip,
+  getScheduledTrips,
+  confirmScheduledTrip,
+  declineScheduledTrip,
+} from '../controllers/scheduledTripController.js';
+import {
+  createTripOrder,
+  verifyTripPayment,
+  getTripPaymentStatus,
+} from '../controllers/tripPaymentController.js';
+import { getTripRouteForReceipt } from '../controllers/tripRouteController.js';
+import { addTripStop, removeTripStop, arriveAtStop, departFromStop } from '../controllers/tripStopsController.js';
+import { protect } from '../middlewares/authMiddleware.js';
 const router = express.Router();
 
 Trip.schema.pre('findOneAndUpdate', function(next) {
@@ -145,20 +164,84 @@ router.get('/driver/active/:driverId', getDriverActiveTrip);
  */
 router.post('/long', createLongTrip);
 
+/**
+ * @route   POST /api/trip/scheduled
+ * @desc    Book a trip for a later pickup time
+ * @access  Private
+ */
+router.post('/scheduled', protect, bookScheduledTrip);
+
+/**
+ * @route   GET /api/trip/scheduled/customer/:customerId
+ * @desc    Customer's upcoming scheduled trips
+ * @access  Private
+ */
+router.get('/scheduled/customer/:customerId', protect, getScheduledTrips);
+
+/**
+ * @route   PATCH /api/trip/scheduled/:tripId
+ * @desc    Change pickup time or route of a scheduled trip
+ * @access  Private
+ */
+router.patch('/scheduled/:tripId', protect, modifyScheduledTrip);
+
+/**
+ * @route   POST /api/trip/scheduled/:tripId/cancel
+ * @desc    Customer cancels a scheduled trip
+ * @access  Private
+ */
+router.post('/scheduled/:tripId/cancel', protect, cancelScheduledTrip);
+
+/**
+ * @route   POST /api/trip/scheduled/:tripId/confirm
+ * @desc    Offered driver confirms a scheduled trip
+ * @access  Private
+ */
+router.post('/scheduled/:tripId/confirm', protect, confirmScheduledTrip);
+
+/**
+ * @route   POST /api/trip/scheduled/:tripId/decline
+ * @desc    Offered driver declines; next standby driver gets the offer
+ * @access  Private
+ */
+router.post('/scheduled/:tripId/decline', protect, declineScheduledTrip);
+
 /**
  * @route   POST /api/trip/:id/accept
- * @desc    Driver accepts the trip
+ * @desc    Driver (the signed-in user) accepts the trip
+ * @access  Private
  */
-router.post('/:id/accept', acceptTrip);
+router.post('/:id/accept', protect, acceptTrip);
 
 /**
  * @route   POST /api/trip/:id/reject
- * @desc    Driver rejects the trip
+ * @desc    Driver (the signed-in user) rejects the trip
+ * @access  Private
+ */
+router.post('/:id/reject', protect, rejectTrip);
+
+/**
+ * @route   POST /api/trip/:id/seen
+ * @desc    Driver app displayed the trip offer (offer log)
+ * @access  Private
  */
-router.post('/:id/reject', rejectTrip);
+router.post('/:id/seen', protect, markOfferSeen);
 
 router.post('/complete', completeTrip);
-router.post('/cancel', cancelTrip);
+
+/**
+ * @route   POST /api/trip/cancel
+ * @desc    Customer or assigned driver (the signed-in user) cancels a trip
+ * @access  Private
+ */
+router.post('/cancel', protect, cancelTrip);
+
+/**
+ * @route   GET /api/trip/:tripId/cancellation-fee?reason=
+ * @desc    Fee or strike cancelling now would bring the signed-in user, plus the allowed reasons
+ * @access  Private
+ */
+router.get('/:tripId/cancellation-fee', protect, getCancellationPreview);
 
 /**
  * @route   GET /api/trip/active/:customerId
@@ -173,9 +256,41 @@ router.get('/active/:customerId', getActiveRide);
 
 /**
  * @route   POST /api/trip/going-to-pickup
- * @desc    Driver marks going to pickup
+ * @desc    Assigned driver marks arrival at pickup (within PICKUP_WAIT.ARRIVAL_RADIUS_M)
+ * @access  Private (driver)
+ */
+router.post('/going-to-pickup', protect, goingToPickup);
+
+/**
+ * @route   POST /api/trip/no-show
+ * @desc    Driver reports a customer no-show after waiting at pickup
+ * @access  Private (driver)
+ */
+router.post('/no-show', protect, markCustomerNoShow);
+
+/**
+ * @route   POST /api/trip/:tripId/stops
+ * @desc    Rider adds a stop (reprices the trip)
+ */
+router.post('/:tripId/stops', protect, addTripStop);
+
+/**
+ * @route   DELETE /api/trip/:tripId/stops/:stopId
+ * @desc    Rider removes a stop not yet reached (reprices the trip)
+ */
+router.delete('/:tripId/stops/:stopId', protect, removeTripStop);
+
+/**
+ * @route   POST /api/trip/stop-arrived
+ * @desc    Driver reached the next stop
+ */
+router.post('/stop-arrived', protect, arriveAtStop);
+
+/**
+ * @route   POST /api/trip/stop-departed
+ * @desc    Driver left a stop
  */
-router.post('/going-to-pickup', goingToPickup);
+router.post('/stop-departed', protect, departFromStop);
 
 /**
  * @route   POST /api/trip/start-ride
@@ -195,6 +310,30 @@ router.post('/complete-ride', completeRideWithVerification);
  */
 router.post('/confirm-cash', confirmCashCollection);
 
+/**
+ * @route   POST /api/trip/:tripId/payment/order
+ * @desc    Razorpay order for paying a completed trip online
+ */
+router.post('/:tripId/payment/order', protect, createTripOrder);
+
+/**
+ * @route   POST /api/trip/:tripId/payment/verify
+ * @desc    Verify the Razorpay checkout result and mark the trip paid
+ */
+router.post('/:tripId/payment/verify', protect, verifyTripPayment);
+
+/**
+ * @route   GET /api/trip/:tripId/payment
+ * @desc    Payment status of a trip (online order, refunds)
+ */
+router.get('/:tripId/payment', protect, getTripPaymentStatus);
+
+/**
+ * @route   GET /api/trip/:tripId/route
+ * @desc    Driven route for the receipt (?format=geojson|polyline) with actual km, idle time, max speed
+ */
+router.get('/:tripId/route', protect, getTripRouteForReceipt);
+
 // ========================================
 // 🐛 DEBUG ENDPOINTS
 // ========================================
@@ -4,31 +4,20 @@ import { handleRazorpayWebhook, testWebhook } from '../controllers/webhookContro
 
 const router = express.Router();
 
+// ⚠️ Mounted in server.js BEFORE express.json(): the signature is computed
+// over the exact raw bytes, so the body must not be parsed first.
+const rawBody = [
+  express.raw({ type: '*/*', limit: '1mb' }),
+  (req, res, next) => {
+    req.rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    next();
+  },
+];
+
 // ✅ Razorpay webhook endpoint
-// IMPORTANT: This endpoint should NOT use bodyParser.json()
-// It needs raw body for signature verification
-router.post('/razorpay', express.raw({ type: 'application/json' }), (req, res, next) => {
-  // Convert raw buffer back to JSON for processing
-  if (req.body instanceof Buffer) {
-    req.body = JSON.parse(req.body.toString());
-  }
-  next();
-}, handleRazorpayWebhook);
+router.post('/razorpay', rawBody, handleRazorpayWebhook);
 
 // ✅ Test webhook endpoint (for development)
-router.post('/test', testWebhook);
+router.post('/test', rawBody, testWebhook);
 
 export default router;
-
-/* 
-HOW TO ADD TO MAIN SERVER FILE (server.js or app.js):
-
-import webhookRoutes from './routes/webhookRoutes.js';
-
-// Add BEFORE general bodyParser middleware
-app.use('/api/webhook', webhookRoutes);
-
-// Then add your general middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-*/
@@ -28,9 +28,34 @@ import incentiveRoutes from './routes/incentiveRoutes.js';
 import rewardsRoutes from './routes/rewards.routes.js';
 import adminRewardsRoutes from './routes/admin.rewards.routes.js';
 import promotionRoutes from './routes/promotionRoutes.js'; // ✅ ADD THIS LINE
+import adminSurgeRoutes from './routes/admin.surge.routes.js';
+import adminDispatchRoutes from './routes/admin.dispatch.routes.js';
+import ratingRoutes from './routes/ratingRoutes.js';
+import adminRatingsRoutes from './routes/admin.ratings.routes.js';
+import referralRoutes from './routes/referralRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import customerWalletRoutes from './routes/customerWalletRoutes.js';
+import adminCouponsRoutes from './routes/admin.coupons.routes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import adminPaymentsRoutes from './routes/admin.payments.routes.js';
+import adminLedgerRoutes from './routes/admin.ledger.routes.js';
+import payoutRoutes from './routes/payoutRoutes.js';
+import adminPayoutsRoutes from './routes/admin.payouts.routes.js';
+import adminTripsRoutes from './routes/admin.trips.routes.js';
+import adminCancellationsRoutes from './routes/admin.cancellations.routes.js';
+import { recalculateSurgeZones } from './utils/surgeEngine.js';
+import { runScheduledTripDispatcher } from './jobs/scheduledTripDispatcher.js';
+import { expireDispatchOffers } from './utils/tripDispatcher.js';
+import { tickPickupWaits } from './utils/pickupWait.js';
+import { reconcilePendingPayments } from './jobs/paymentReconciliation.js';
+import { syncPayouts } from './jobs/payoutSync.js';
 
 import standbyReassignCron from './cron/standbyReassignCron.js';
 import { initSocket } from './socket/socketHandler.js';
+import { attachSocketAdapter } from './socket/socketAdapter.js';
+import { startPresenceHeartbeat } from './socket/presence.js';
+import { startLeaderElection, leaderOnly } from './utils/leaderElection.js';
+import { startTripTimeline } from './utils/tripTimeline.js';
 
 dotenv.config();
 await connectDB();
@@ -41,6 +66,12 @@ const io = new Server(httpServer, {
   cors: { origin: "*" },
 });
 
+// 🔌 Multi-instance realtime: shared adapter, presence and a single job leader
+await attachSocketAdapter(io);
+startPresenceHeartbeat();
+await startLeaderElection();
+startTripTimeline();
+
 // middleware to attach io in every request
 app.use((req, res, next) => {
   req.io = io;
@@ -48,6 +79,8 @@ app.use((req, res, next) => {
 });
 app.use(cors());
 app.use(morgan('dev'));
+// ⚠️ Webhooks need the raw body for signature checks: mount before express.json()
+app.use('/api/webhook', webhookRoutes);
 app.use(express.json());
 app.use('/uploads', express.static('uploads'));
 
@@ -77,6 +110,20 @@ app.use('/api/incentives', incentiveRoutes);
 // ✅ Reward Routes
 app.use('/api/rewards', rewardsRoutes); // Customer reward routes
 app.use('/api/admin', adminRewardsRoutes); // Admin reward routes
+app.use('/api/admin', adminSurgeRoutes); // Admin surge zones
+app.use('/api/admin', adminDispatchRoutes); // Admin dispatch modes
+app.use('/api/ratings', ratingRoutes); // Post-trip ratings
+app.use('/api/admin', adminRatingsRoutes); // Admin rating moderation
+app.use('/api/referrals', referralRoutes); // Referral codes & payouts
+app.use('/api/coupons', couponRoutes); // Promo code preview
+app.use('/api/customer-wallet', customerWalletRoutes); // Rider prepaid wallet
+app.use('/api/admin', adminCouponsRoutes); // Admin coupon CRUD & stats
+app.use('/api/admin', adminPaymentsRoutes); // Payment reconciliation & webhooks
+app.use('/api/admin', adminLedgerRoutes); // Driver ledger & wallet integrity
+app.use('/api/payouts', payoutRoutes); // Driver bank / UPI payouts
+app.use('/api/admin', adminPayoutsRoutes); // Payout approval queue
+app.use('/api/admin', adminTripsRoutes); // Trip event timeline, GPS trail, fare override
+app.use('/api/admin', adminCancellationsRoutes); // Cancellation fee policies, driver strikes
 
 // ✅ Promotion Routes - ADD THIS LINE
 app.use('/api', promotionRoutes);
@@ -96,20 +143,94 @@ console.log('    PUT  /api/admin/rewards/settings');
 console.log('    GET  /api/admin/rewards/stats');
 console.log('    POST /api/admin/rewards/manual-award');
 console.log('');
+console.log('  Admin Surge Routes:');
+console.log('    GET    /api/admin/surge/zones');
+console.log('    GET    /api/admin/surge/zones/:zoneId');
+console.log('    PUT    /api/admin/surge/zones/:zoneId/override');
+console.log('    DELETE /api/admin/surge/zones/:zoneId/override');
+console.log('');
+console.log('  Admin Dispatch Routes:');
+console.log('    GET    /api/admin/dispatch/configs');
+console.log('    GET    /api/admin/dispatch/effective');
+console.log('    PUT    /api/admin/dispatch/configs');
+console.log('    DELETE /api/admin/dispatch/configs/:id');
+console.log('    GET    /api/admin/dispatch/trips/:tripId/offers');
+console.log('');
+console.log('  Rating Routes:');
+console.log('    GET    /api/ratings/trip/:tripId');
+console.log('    POST   /api/ratings/trip/:tripId');
+console.log('    GET    /api/admin/ratings/low');
+console.log('    PATCH  /api/admin/ratings/:ratingId/comment');
+console.log('    GET    /api/referrals/me');
+console.log('    POST   /api/coupons/validate');
+console.log('    GET    /api/admin/coupons');
+console.log('    POST   /api/admin/coupons');
+console.log('    PUT    /api/admin/coupons/:id');
+console.log('    DELETE /api/admin/coupons/:id');
+console.log('    GET    /api/admin/coupons/:id/stats');
+console.log('    POST   /api/webhook/razorpay');
+console.log('    GET    /api/admin/payments/flagged');
+console.log('    POST   /api/admin/payments/reconcile');
+console.log('    GET    /api/admin/payments/webhooks');
+console.log('    POST   /api/trip/:tripId/payment/order');
+console.log('    POST   /api/trip/:tripId/payment/verify');
+console.log('    GET    /api/trip/:tripId/payment');
+console.log('    GET    /api/admin/payments/trips');
+console.log('    POST   /api/admin/payments/trips/:tripId/refund');
+console.log('    POST   /api/admin/payments/trips/:tripId/wallet-refund');
+console.log('    GET    /api/admin/payments/customer-wallets/:customerId');
+console.log('    GET    /api/customer-wallet');
+console.log('    POST   /api/customer-wallet/topup/order');
+console.log('    POST   /api/customer-wallet/topup/verify');
+console.log('    GET    /api/customer-wallet/statement');
+console.log('    GET    /api/admin/ledger/integrity');
+console.log('    POST   /api/admin/ledger/backfill');
+console.log('    GET    /api/admin/ledger/drivers/:driverId');
+console.log('    GET    /api/payouts/methods');
+console.log('    POST   /api/payouts/methods');
+console.log('    POST   /api/payouts/methods/:methodId/verify');
+console.log('    PUT    /api/payouts/methods/:methodId/default');
+console.log('    DELETE /api/payouts/methods/:methodId');
+console.log('    GET    /api/payouts/balance');
+console.log('    GET    /api/payouts');
+console.log('    POST   /api/payouts');
+console.log('    POST   /api/payouts/:payoutId/cancel');
+console.log('    GET    /api/admin/payouts');
+console.log('    POST   /api/admin/payouts/:payoutId/approve');
+console.log('    POST   /api/admin/payouts/:payoutId/reject');
+console.log('    POST   /api/admin/payouts/sync');
+console.log('    GET    /api/admin/trip/:tripId/timeline');
+console.log('    GET    /api/trip/:tripId/route');
+console.log('    POST   /api/trip/no-show');
+console.log('    GET    /api/trip/:tripId/cancellation-fee');
+console.log('    POST   /api/trip/:tripId/stops');
+console.log('    DELETE /api/trip/:tripId/stops/:stopId');
+console.log('    POST   /api/trip/stop-arrived');
+console.log('    POST   /api/trip/stop-departed');
+console.log('    GET    /api/admin/trip/:tripId/route');
+console.log('    POST   /api/admin/trip/:tripId/fare-override');
+console.log('    GET    /api/admin/cancellation/policies');
+console.log('    GET    /api/admin/cancellation/effective');
+console.log('    PUT    /api/admin/cancellation/policies');
+console.log('    DELETE /api/admin/cancellation/policies/:id');
+console.log('    GET    /api/admin/cancellation/drivers/:driverId/strikes');
+console.log('');
 console.log('  Promotion Routes:');
 console.log('    POST /api/admin/promotions/upload');
 console.log('    GET  /api/admin/promotions');
 console.log('    GET  /api/promotions/active');
 console.log('    PUT  /api/admin/promotions/:id/toggle');
+console.log('    PUT  /api/admin/promotions/:id/campaign');
+console.log('    GET  /api/admin/promotions/:id/stats');
 console.log('    DELETE /api/admin/promotions/:id');
 console.log('    POST /api/promotions/:id/click\n');
 
-// ✅ Start Cron (every 2 minutes)
-setInterval(() => {
+// ✅ Start Cron (every 2 minutes, leader instance only)
+setInterval(leaderOnly(() => {
   standbyReassignCron().catch((err) =>
     console.error('❌ Unhandled cron error:', err)
   );
-}, 2 * 60 * 1000);
+}), 2 * 60 * 1000);
 
 // ✅ 404 Handler
 app.use((req, res) => {
@@ -125,8 +246,10 @@ app.use((err, req, res, _next) => {
   });
 });
 
+// Interval jobs below run on the leader instance only (utils/leaderElection.js)
+
 // Cleanup stuck drivers every 5 minutes
-cron.schedule('*/5 * * * *', async () => {
+cron.schedule('*/5 * * * *', leaderOnly(async () => {
   try {
     console.log('🔍 Running driver availability cleanup...');
     
@@ -169,9 +292,39 @@ cron.schedule('*/5 * * * *', async () => {
   } catch (error) {
     console.error('❌ Cleanup job error:', error);
   }
-});
+}));
+
+cron.schedule('*/5 * * * *', leaderOnly(cleanupStuckDrivers));
+
+// Recompute zone surge every minute
+cron.schedule('* * * * *', leaderOnly(recalculateSurgeZones));
+
+// Scheduled trips: reminders, driver pre-assignment, expiry
+cron.schedule('* * * * *', leaderOnly(runScheduledTripDispatcher));
 
-cron.schedule('*/5 * * * *', cleanupStuckDrivers);
+// Ranked dispatch: expire unanswered offers every 5 seconds
+cron.schedule('*/5 * * * * *', leaderOnly(expireDispatchOffers));
+
+// Pickup waiting: push the live timer to both apps every 15 seconds
+cron.schedule('*/15 * * * * *', leaderOnly(tickPickupWaits));
+
+// Razorpay: settle / fail / flag pending commission, trip and top-up orders every 15 minutes
+cron.schedule('*/15 * * * *', leaderOnly(async () => {
+  try {
+    await reconcilePendingPayments();
+  } catch (error) {
+    console.error('❌ Payment reconciliation error:', error);
+  }
+}));
+
+// Payouts: poll the provider for approved / processing payouts every 5 minutes
+cron.schedule('*/5 * * * *', leaderOnly(async () => {
+  try {
+    await syncPayouts();
+  } catch (error) {
+    console.error('❌ Payout sync error:', error);
+  }
+}));
 
 // ✅ Start Server
 const PORT = process.env.PORT || 5002;
@@ -0,0 +1,51 @@
+// src/socket/presence.js
+import SocketPresence from '../models/SocketPresence.js';
+import { REALTIME, INSTANCE_ID } from '../config/realtimeConfig.js';
+
+/**
+ * Socket presence kept in MongoDB instead of process memory, so any
+ * instance can tell who is connected and as what.
+ */
+
+const expiry = () => new Date(Date.now() + REALTIME.PRESENCE_TTL_SEC * 1000);
+
+/**
+ * Record (or re-label) a connected socket.
+ * @param {string|null} role - driver | customer, once the client registers
+ */
+export const markPresence = (socketId, userId, role = null) =>
+  SocketPresence.updateOne(
+    { socketId },
+    {
+      $set: { userId, instanceId: INSTANCE_ID, expiresAt: expiry(), ...(role && { role }) },
+      $setOnInsert: { connectedAt: new Date() },
+    },
+    { upsert: true }
+  );
+
+export const getPresence = (socketId) => SocketPresence.findOne({ socketId }).lean();
+
+/**
+ * Remove a socket's entry.
+ * @returns {Promise<Object|null>} the removed entry
+ */
+export const clearPresence = (socketId) => SocketPresence.findOneAndDelete({ socketId }).lean();
+
+/**
+ * Most recent socket a user still has open on any instance.
+ */
+export const findUserPresence = (userId) =>
+  SocketPresence.findOne({ userId }).sort({ connectedAt: -1 }).lean();
+
+/**
+ * Keep this instance's entries alive; runs on every instance.
+ */
+export const startPresenceHeartbeat = () => {
+  setInterval(async () => {
+    try {
+      await SocketPresence.updateMany({ instanceId: INSTANCE_ID }, { $set: { expiresAt: expiry() } });
+    } catch (err) {
+      console.error('❌ Presence heartbeat error:', err.message);
+    }
+  }, REALTIME.PRESENCE_HEARTBEAT_SEC * 1000);
+};
@@ -0,0 +1,61 @@
+// src/socket/socketAdapter.js
+import mongoose from 'mongoose';
+import { REALTIME, INSTANCE_ID } from '../config/realtimeConfig.js';
+
+/**
+ * Pick the Socket.IO adapter (SOCKET_ADAPTER env).
+ * `memory` keeps Socket.IO's built-in adapter — fine for tests and a single
+ * machine. `mongo` / `redis` fan room emits and fetchSockets() out to every
+ * instance, so `io.to(userRoom(id))` reaches a user on any machine.
+ * Backends are imported lazily; only the selected one must be installed.
+ */
+
+const attachMongoAdapter = async (io) => {
+  const { createAdapter } = await import('@socket.io/mongo-adapter');
+  const db = mongoose.connection.db;
+
+  const existing = await db.listCollections({ name: REALTIME.MONGO_COLLECTION }).toArray();
+  if (!existing.length) {
+    try {
+      await db.createCollection(REALTIME.MONGO_COLLECTION, {
+        capped: true,
+        size: REALTIME.MONGO_COLLECTION_SIZE_BYTES,
+      });
+    } catch (err) {
+      // Another instance created it first
+      if (err.codeName !== 'NamespaceExists') throw err;
+    }
+  }
+
+  io.adapter(createAdapter(db.collection(REALTIME.MONGO_COLLECTION)));
+};
+
+const attachRedisAdapter = async (io) => {
+  const { createClient } = await import('redis');
+  const { createAdapter } = await import('@socket.io/redis-adapter');
+
+  const pubClient = createClient({ url: REALTIME.REDIS_URL });
+  const subClient = pubClient.duplicate();
+  pubClient.on('error', (err) => console.error('❌ Redis pub client error:', err.message));
+  subClient.on('error', (err) => console.error('❌ Redis sub client error:', err.message));
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient));
+};
+
+export const attachSocketAdapter = async (io) => {
+  switch (REALTIME.ADAPTER) {
+    case 'mongo':
+      await attachMongoAdapter(io);
+      break;
+    case 'redis':
+      await attachRedisAdapter(io);
+      break;
+    case 'memory':
+      break;
+    default:
+      throw new Error(`❌ Unknown SOCKET_ADAPTER "${REALTIME.ADAPTER}" (memory | mongo | redis)`);
+  }
+
+  console.log(`🔌 Socket.IO adapter: ${REALTIME.ADAPTER} (instance ${INSTANCE_ID})`);
+};
@@ -0,0 +1,99 @@
+// src/socket/socketAuth.js
+import { resolveFirebaseUser } from '../middlewares/authMiddleware.js';
+
+/**
+ * Socket.IO authentication.
+ * The handshake carries the same Firebase ID token as the REST `protect`
+ * middleware (`auth: { token }` or an `Authorization: Bearer` header).
+ * The socket is bound to that user, joined to `user:<id>`, and any event
+ * whose payload names a different driver/customer/user is dropped.
+ */
+
+// Payload fields that identify the sender (never the other party, e.g. chat `toId`)
+const IDENTITY_FIELDS = ['driverId', 'customerId', 'userId', 'fromId'];
+
+/**
+ * Room joined by every socket of a user — emit here to reach all their devices.
+ */
+export const userRoom = (userId) => `user:${userId}`;
+
+const extractToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const header = handshake.headers?.authorization;
+  if (header && header.startsWith('Bearer ')) return header.split(' ')[1];
+
+  return null;
+};
+
+/**
+ * io.use() handshake middleware
+ */
+export const socketAuthMiddleware = async (socket, next) => {
+  const token = extractToken(socket.handshake);
+  if (!token) {
+    const err = new Error('No token provided');
+    err.data = { code: 'AUTH_REQUIRED' };
+    return next(err);
+  }
+
+  try {
+    const { user, error } = await resolveFirebaseUser(token);
+    if (error) {
+      const err = new Error(error);
+      err.data = { code: 'AUTH_FAILED' };
+      return next(err);
+    }
+
+    socket.data.user = {
+      id: user._id.toString(),
+      phone: user.phone,
+      firebaseUid: user.firebaseUid || null,
+      isDriver: !!user.isDriver,
+      role: user.role,
+    };
+    next();
+  } catch (error) {
+    console.error('❌ Socket auth error:', error.message);
+    const err = new Error('Token invalid or expired');
+    err.data = { code: 'AUTH_FAILED' };
+    next(err);
+  }
+};
+
+// Clients may still identify themselves by phone or Firebase UID
+const claimsSocketUser = (claimed, user) => {
+  const value = String(claimed);
+  if (value === user.id) return true;
+  if (user.firebaseUid && value === user.firebaseUid) return true;
+
+  const digits = value.replace(/[^0-9]/g, '');
+  return !!user.phone && digits.length >= 10 && digits.slice(-10) === String(user.phone).slice(-10);
+};
+
+/**
+ * Join the user's room and reject events that claim someone else's ID.
+ */
+export const bindSocketUser = (socket) => {
+  const { user } = socket.data;
+  socket.join(userRoom(user.id));
+
+  socket.use(([event, payload], next) => {
+    if (payload && typeof payload === 'object') {
+      const field = IDENTITY_FIELDS.find(
+        (key) => payload[key] != null && payload[key] !== '' && !claimsSocketUser(payload[key], user)
+      );
+
+      if (field) {
+        console.warn(`🚫 Socket ${socket.id} (user ${user.id}) sent ${event} as ${field}=${payload[field]}`);
+        socket.emit('auth:forbidden', {
+          event,
+          field,
+          message: `${field} does not match the authenticated user`,
+        });
+        return; // drop the event
+      }
+    }
+    next();
+  });
+};
@@ -14,13 +14,63 @@ import {
   createLongTrip,
 } from '../controllers/tripController.js';
 import { emitTripError } from '../utils/errorEmitter.js';
+import { acceptGuard, settleOffersOnAccept, isRankedDispatch } from '../utils/tripDispatcher.js';
+import { socketAuthMiddleware, bindSocketUser, userRoom } from './socketAuth.js';
+import { markPresence, clearPresence, findUserPresence } from './presence.js';
+import { isLeader } from '../utils/leaderElection.js';
+import { logOffered, logOfferEvent, getDeclinedDriverIds } from '../utils/offerLog.js';
+import { prepareTripPayment } from '../utils/tripPayments.js';
+import { collectWalletFare } from '../utils/customerWallet.js';
+import { transitionTrip, tryTransitionTrip } from '../utils/tripStateMachine.js';
+import { recordTripEvent, recordLocationMilestones } from '../utils/tripTimeline.js';
+import { recordTrailPoint } from '../utils/tripTrail.js';
+import { computeFareAdjustment, notifyFareAdjusted } from '../utils/fareAdjustment.js';
+import { endPickupWait, emitWaitingStatus, assertAtPickup } from '../utils/pickupWait.js';
+import { applyOutstandingFees } from '../utils/cancellationFees.js';
+import { closeStops, finalStop } from '../utils/tripStops.js';
+import { TRIP_STOPS } from '../config/tripConfig.js';
 const TRIP_TIMEOUT_MS = 60000; // 60 seconds
 const ChatMessage = mongoose.models.ChatMessage || ChatMessageModel;
 
 let io;
 
-const connectedDrivers = new Map();
-const connectedCustomers = new Map();
+
+/**
+ * Load a trip for a socket event and check the authenticated user is its
+ * assigned driver (or customer). Payload IDs are never trusted for this.
+ */
+const authorizeTripActor = async (socket, tripId, role = 'driver') => {
+  const trip = tripId && mongoose.isValidObjectId(tripId) ? await Trip.findById(tripId) : null;
+  if (!trip) return { error: 'Trip not found' };
+
+  const actor = socket.data.user.id;
+  const party = role === 'customer' ? trip.customerId : trip.assignedDriver;
+  if (!party || party.toString() !== actor) {
+    console.warn(`🚫 User ${actor} is not the ${role} of trip ${tripId}`);
+    return { error: `You are not the ${role} of this trip` };
+  }
+
+  return { trip, actor };
+};
+
+/**
+ * Like authorizeTripActor, for events either side of the trip may send
+ * (chat). `counterpart` is the other party's user ID, or null if none yet.
+ */
+const authorizeTripParty = async (socket, tripId) => {
+  const trip = tripId && mongoose.isValidObjectId(tripId) ? await Trip.findById(tripId).lean() : null;
+  if (!trip) return { error: 'Trip not found' };
+
+  const actor = socket.data.user.id;
+  const customerId = trip.customerId?.toString();
+  const driverId = trip.assignedDriver?.toString() || null;
+  if (actor !== customerId && actor !== driverId) {
+    console.warn(`🚫 User ${actor} is not a party to trip ${tripId}`);
+    return { error: 'You are not part of this trip' };
+  }
+
+  return { trip, actor, counterpart: actor === customerId ? driverId : customerId };
+};
 
 const DISTANCE_LIMITS = {
   short: 5000,
@@ -143,11 +193,81 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
+// AUTO-CLEANUP EXPIRED TRIPS - 60 second timeout (leader instance only)
+const sweepExpiredTrips = async () => {
+  if (!isLeader()) return;
+  try {
+    const now = new Date();
+    
+    // Find trips older than 60 seconds
+    const expiredTrips = await Trip.find({
+      status: 'requested',
+      createdAt: { $lt: new Date(now.getTime() - TRIP_TIMEOUT_MS) },
+      // Ranked dispatch times out only once its queue is used up
+      $or: [
+        { dispatch: null },
+        { 'dispatch.mode': 'broadcast' },
+        { 'dispatch.exhaustedAt': { $ne: null } }
+      ]
+    });
+
+    if (!expiredTrips.length) return;
+
+    console.log(`🧹 Found ${expiredTrips.length} expired trips (>60s old)`);
+
+    for (const trip of expiredTrips) {
+      const tripAge = Math.round((now - trip.createdAt) / 1000);
+      console.log(`   ⏰ Trip ${trip._id}: ${tripAge}s old - timing out`);
+
+      const timedOut = await tryTransitionTrip(trip._id, 'timeout', {
+        from: 'requested',
+        set: {
+          timeoutAt: new Date(),
+          timeoutReason: 'No driver accepted within 60 seconds'
+        },
+        reason: 'no_driver_accepted',
+      });
+      // Accepted or cancelled in the meantime
+      if (!timedOut) continue;
+      const { couponReleased } = timedOut;
+
+      io.to(userRoom(trip.customerId)).emit('trip:timeout', {
+        tripId: trip._id.toString(),
+        message: 'No drivers available right now. Please try again.',
+        reason: 'timeout',
+        duration: tripAge,
+        couponReleased: couponReleased?.code || null
+      });
+
+      const onlineDrivers = await User.find({
+        isDriver: true,
+        isOnline: true
+      }).select('_id').lean();
+
+      onlineDrivers.forEach(driver => {
+        io.to(userRoom(driver._id)).emit('trip:expired', {
+          tripId: trip._id.toString(),
+          message: 'This request has expired'
+        });
+      });
+    }
+  } catch (e) {
+    console.error('❌ Cleanup job error:', e);
+  }
+};
+
 export const initSocket = (ioInstance) => {
   io = ioInstance;
 
+  // 🔐 Firebase ID token required on handshake (same check as REST `protect`)
+  io.use(socketAuthMiddleware);
+
   io.on('connection', (socket) => {
-    console.log(`🟢 New connection: ${socket.id}`);
+    bindSocketUser(socket);
+    markPresence(socket.id, socket.data.user.id).catch((e) =>
+      console.error('❌ markPresence error:', e.message)
+    );
+    console.log(`🟢 New connection: ${socket.id} (user ${socket.data.user.id})`);
 
     // DRIVER STATUS UPDATE
 socket.on('updateDriverStatus', async (payload = {}) => {
@@ -225,7 +345,7 @@ socket.on('updateDriverStatus', async (payload = {}) => {
         }
 
         await User.findByIdAndUpdate(user._id, { $set: set }, { new: true });
-        connectedDrivers.set(socket.id, user._id.toString());
+        await markPresence(socket.id, user._id, 'driver');
 
         socket.emit('driver:statusUpdated', { ok: true, isOnline: !!isOnline });
         console.log(`📶 Driver ${user._id} is now ${isOnline ? 'online' : 'offline'}.`);
@@ -236,21 +356,14 @@ socket.on('updateDriverStatus', async (payload = {}) => {
     });
 
     // DRIVER RECONNECT WITH ACTIVE TRIP
-    socket.on('driver:reconnect_with_trip', async ({ driverId, tripId }) => {
+    socket.on('driver:reconnect_with_trip', async ({ tripId }) => {
       try {
-        console.log('🔄 DRIVER RECONNECTING WITH ACTIVE TRIP', driverId, tripId);
-
-        const driver = await User.findById(driverId).lean();
-        if (!driver) {
-          socket.emit('reconnect:failed', { message: 'Driver not found' });
-          return;
-        }
-
-        const trip = await Trip.findById(tripId).lean();
-        if (!trip) {
-          socket.emit('reconnect:failed', { message: 'Trip not found', shouldClearTrip: true });
+        const { trip, actor: driverId, error } = await authorizeTripActor(socket, tripId);
+        if (error) {
+          socket.emit('reconnect:failed', { message: error, shouldClearTrip: true });
           return;
         }
+        console.log('🔄 DRIVER RECONNECTING WITH ACTIVE TRIP', driverId, tripId);
 
         const activeStatuses = ['driver_assigned', 'driver_going_to_pickup', 'driver_at_pickup', 'ride_started'];
         if (!activeStatuses.includes(trip.status)) {
@@ -259,7 +372,7 @@ socket.on('updateDriverStatus', async (payload = {}) => {
         }
 
         await User.findByIdAndUpdate(driverId, { $set: { socketId: socket.id } });
-        connectedDrivers.set(socket.id, driverId.toString());
+        await markPresence(socket.id, driverId, 'driver');
 
         const customer = await User.findById(trip.customerId)
           .select('name phone photoUrl rating')
@@ -316,19 +429,13 @@ socket.on('updateDriverStatus', async (payload = {}) => {
           return;
         }
 
-        for (const [existingSocketId, existingCustomerId] of connectedCustomers.entries()) {
-          if (existingCustomerId === user._id.toString()) {
-            connectedCustomers.delete(existingSocketId);
-          }
-        }
-
         try {
           await User.findByIdAndUpdate(user._id, { $set: { socketId: socket.id } }, { new: true });
         } catch (dbError) {
           console.error('❌ Database update error:', dbError);
         }
 
-        connectedCustomers.set(socket.id, user._id.toString());
+        await markPresence(socket.id, user._id, 'customer');
 
         socket.emit('customer:registered', {
           success: true,
@@ -372,7 +479,7 @@ socket.on('updateDriverStatus', async (payload = {}) => {
           return;
         }
 
-        const req = { body: payload };
+        const req = { body: payload, source: 'socket' };
         const res = {
           status: (code) => ({
             json: (data) => {
@@ -396,17 +503,33 @@ socket.on('updateDriverStatus', async (payload = {}) => {
       }
     });
 
+    // 👀 Driver app displayed the trip offer (offer log)
+    socket.on('driver:offer_seen', async ({ tripId }) => {
+      try {
+        if (!mongoose.Types.ObjectId.isValid(tripId)) return;
+        await logOfferEvent(tripId, socket.data.user.id, 'seen', { source: 'socket' });
+      } catch (e) {
+        console.error('❌ driver:offer_seen error:', e);
+      }
+    });
+
     // ✅ COMPLETE FIX: DRIVER ACCEPT TRIP with proper rollback
-    socket.on('driver:accept_trip', async ({ tripId, driverId }) => {
+    socket.on('driver:accept_trip', async ({ tripId }) => {
+      const driverId = socket.data.user.id;
       try {
+        if (!socket.data.user.isDriver) {
+          socket.emit('trip:accept_failed', { message: 'Only drivers can accept trips', reason: 'not_a_driver' });
+          return;
+        }
+
         console.log('');
         console.log('='.repeat(70));
         console.log(`🚗 [SOCKET] Driver ${driverId} attempting to accept trip ${tripId}`);
         console.log('='.repeat(70));
 
-        if (!driverId || !tripId) {
+        if (!tripId) {
           socket.emit('trip:accept_failed', { 
-            message: 'Missing driverId or tripId', 
+            message: 'Missing tripId', 
             reason: 'invalid_request' 
           });
           return;
@@ -416,6 +539,7 @@ socket.on('updateDriverStatus', async (payload = {}) => {
         const driver = await User.findOneAndUpdate(
           {
             _id: driverId,
+            isDriver: true,
             // ✅ Only update if driver is truly available
             $and: [
               {
@@ -461,10 +585,12 @@ socket.on('updateDriverStatus', async (payload = {}) => {
         console.log(`   - currentTripId: ${tripId}`);
 
         // ✅ ATOMIC STEP 2: Reserve trip (check status + cancellation + assign in ONE operation)
-        const trip = await Trip.findOneAndUpdate(
-          { 
-            _id: tripId, 
-            status: 'requested',
+        const { generateOTP } = await import('../utils/otpGeneration.js');
+        const rideCode = generateOTP();
+
+        const accepted = await tryTransitionTrip(tripId, 'driver_assigned', {
+          from: 'requested',
+          where: {
             // ✅ Ensure no cancellation in progress
             $and: [
               {
@@ -478,18 +604,17 @@ socket.on('updateDriverStatus', async (payload = {}) => {
                   { cancelledBy: { $exists: false } },
                   { cancelledBy: null }
                 ]
-              }
+              },
+              // ✅ Ranked dispatch: only drivers holding a live offer
+              acceptGuard(driverId)
             ]
           },
-          {
-            $set: {
-              assignedDriver: driverId,
-              status: 'driver_assigned',
-              acceptedAt: new Date()
-            }
-          },
-          { new: true }
-        ).lean();
+          set: { assignedDriver: driverId, otp: rideCode },
+          actor: 'driver',
+          actorId: driverId,
+          source: 'socket',
+        });
+        const trip = accepted?.trip;
 
         // ❌ Trip already taken, cancelled, or not found - ROLLBACK DRIVER
         if (!trip) {
@@ -533,9 +658,11 @@ socket.on('updateDriverStatus', async (payload = {}) => {
             }
           });
           
-          await Trip.findByIdAndUpdate(tripId, {
-            $unset: { assignedDriver: 1 },
-            $set: { status: 'requested', acceptedAt: null }
+          await tryTransitionTrip(tripId, 'requested', {
+            from: 'driver_assigned',
+            where: { assignedDriver: driverId },
+            reason: 'customer_missing',
+            source: 'socket',
           });
           
           console.log(`✅ Rollback complete: driver + trip reset`);
@@ -547,67 +674,42 @@ socket.on('updateDriverStatus', async (payload = {}) => {
           return;
         }
 
-        // ✅ STEP 4: Generate OTP
-        const { generateOTP } = await import('../utils/otpGeneration.js');
-        const rideCode = generateOTP();
-        
-        await Trip.findByIdAndUpdate(tripId, { 
-          $set: { otp: rideCode } 
-        });
-
         console.log(`✅ OTP generated: ${rideCode}`);
 
-        // ✅ STEP 5: Find customer's socket
-        let customerSocketId = customer.socketId;
-        
-        if (!customerSocketId) {
-          const customerIdStr = trip.customerId.toString();
-          for (const [socketId, custId] of connectedCustomers.entries()) {
-            if (custId === customerIdStr) {
-              customerSocketId = socketId;
-              break;
-            }
-          }
-        }
-
-        // ✅ STEP 6: Notify customer
-        if (customerSocketId) {
-          const payloadToCustomer = {
-            tripId: tripId.toString(),
-            rideCode,
-            trip: {
-              pickup: {
-                lat: trip.pickup.coordinates[1],
-                lng: trip.pickup.coordinates[0],
-                address: trip.pickup.address || "Pickup Location",
-              },
-              drop: {
-                lat: trip.drop.coordinates[1],
-                lng: trip.drop.coordinates[0],
-                address: trip.drop.address || "Drop Location",
-              },
-              fare: trip.fare || 0
+        // ✅ STEP 5-6: Notify customer on every device (user room)
+        const payloadToCustomer = {
+          tripId: tripId.toString(),
+          rideCode,
+          trip: {
+            pickup: {
+              lat: trip.pickup.coordinates[1],
+              lng: trip.pickup.coordinates[0],
+              address: trip.pickup.address || "Pickup Location",
             },
-            driver: {
-              id: driver._id.toString(),
-              name: driver.name || 'Driver',
-              phone: driver.phone || null,
-              photoUrl: driver.photoUrl || null,
-              rating: driver.rating || 4.8,
-              vehicleBrand: driver.vehicleBrand || 'Vehicle',
-              vehicleNumber: driver.vehicleNumber || 'N/A',
-              location: driver.location ? {
-                lat: driver.location.coordinates[1],
-                lng: driver.location.coordinates[0],
-              } : null,
+            drop: {
+              lat: trip.drop.coordinates[1],
+              lng: trip.drop.coordinates[0],
+              address: trip.drop.address || "Drop Location",
             },
-          };
-          
-          io.to(customerSocketId).emit('trip:accepted', payloadToCustomer);
-          console.log(`✅ Customer notified via socket ${customerSocketId}`);
-        } else {
-          console.warn(`⚠️ Customer socket not found for ${customer.name}`);
-        }
+            fare: trip.fare || 0
+          },
+          driver: {
+            id: driver._id.toString(),
+            name: driver.name || 'Driver',
+            phone: driver.phone || null,
+            photoUrl: driver.photoUrl || null,
+            rating: driver.rating || 4.8,
+            vehicleBrand: driver.vehicleBrand || 'Vehicle',
+            vehicleNumber: driver.vehicleNumber || 'N/A',
+            location: driver.location ? {
+              lat: driver.location.coordinates[1],
+              lng: driver.location.coordinates[0],
+            } : null,
+          },
+        };
+        
+        io.to(userRoom(trip.customerId)).emit('trip:accepted', payloadToCustomer);
+        console.log(`✅ Customer ${customer.name} notified in room ${userRoom(trip.customerId)}`);
 
         // ✅ STEP 7: Confirm to driver
         const payloadToDriver = {
@@ -638,23 +740,21 @@ socket.on('updateDriverStatus', async (payload = {}) => {
         socket.emit('trip:confirmed_for_driver', payloadToDriver);
         console.log(`✅ Driver confirmed`);
 
-        // ✅ STEP 8: Notify other drivers
+        // ✅ STEP 8: Notify other drivers (ranked dispatch: only those still holding an offer)
+        const offeredDriverIds = await settleOffersOnAccept(trip, driverId);
         const otherDrivers = await User.find({
           isDriver: true,
           isOnline: true,
-          _id: { $ne: driverId },
-          socketId: { $exists: true, $ne: null }
-        }).select('socketId').lean();
+          _id: offeredDriverIds ? { $in: offeredDriverIds } : { $ne: driverId }
+        }).select('_id').lean();
 
         console.log(`📡 Notifying ${otherDrivers.length} other drivers`);
 
         otherDrivers.forEach(otherDriver => {
-          if (otherDriver.socketId) {
-            io.to(otherDriver.socketId).emit('trip:taken', {
-              tripId,
-              message: 'This trip has been accepted by another driver'
-            });
-          }
+          io.to(userRoom(otherDriver._id)).emit('trip:taken', {
+            tripId,
+            message: 'This trip has been accepted by another driver'
+          });
         });
 
         console.log('='.repeat(70));
@@ -685,9 +785,11 @@ socket.on('updateDriverStatus', async (payload = {}) => {
           if (tripId) {
             console.log(`🔄 Attempting emergency rollback for trip ${tripId}`);
             
-            await Trip.findByIdAndUpdate(tripId, {
-              $unset: { assignedDriver: 1, otp: 1 },
-              $set: { status: 'requested', acceptedAt: null }
+            await tryTransitionTrip(tripId, 'requested', {
+              from: 'driver_assigned',
+              where: { assignedDriver: driverId },
+              reason: 'accept_failed',
+              source: 'socket',
             });
             
             console.log(`✅ Emergency rollback: trip ${tripId} reset`);
@@ -706,44 +808,48 @@ socket.on('updateDriverStatus', async (payload = {}) => {
     });
 
     // DRIVER START RIDE
-    socket.on('driver:start_ride', async ({ tripId, driverId, otp, driverLat, driverLng }) => {
+    socket.on('driver:start_ride', async ({ tripId, otp, driverLat, driverLng }) => {
       try {
-        const trip = await Trip.findById(tripId);
-        if (!trip) {
-          socket.emit('trip:start_error', { message: 'Trip not found' });
+        const { trip, actor, error } = await authorizeTripActor(socket, tripId);
+        if (error) {
+          socket.emit('trip:start_error', { message: error });
           return;
         }
 
+        await recordTripEvent(trip._id, 'otp_attempt', {
+          actor: 'driver',
+          actorId: actor,
+          source: 'socket',
+          payload: { success: trip.otp === otp },
+        });
         if (trip.otp !== otp) {
           socket.emit('trip:start_error', { message: 'Invalid OTP. Please check the code.' });
           return;
         }
 
-        if (trip.status !== 'driver_assigned' && trip.status !== 'driver_at_pickup') {
+        const started = await tryTransitionTrip(tripId, 'ride_started', {
+          from: ['driver_assigned', 'driver_going_to_pickup', 'driver_at_pickup'],
+          where: { assignedDriver: actor, otp },
+          set: endPickupWait(trip),
+          actor: 'driver',
+          actorId: actor,
+          source: 'socket',
+        });
+        if (!started) {
           socket.emit('trip:start_error', { message: `Cannot start ride. Status is: ${trip.status}` });
           return;
         }
 
-        await Trip.findByIdAndUpdate(tripId, { $set: { status: 'ride_started', rideStartTime: new Date() } });
-
-        const customerIdStr = trip.customerId.toString();
-        let customerSocketId = null;
-        for (const [socketId, custId] of connectedCustomers.entries()) {
-          if (custId === customerIdStr) {
-            customerSocketId = socketId;
-            break;
-          }
-        }
+        const customerRoom = userRoom(trip.customerId);
 
         const rideStartedPayload = {
           tripId: tripId.toString(),
           message: 'Ride has started',
-          timestamp: new Date().toISOString()
+          timestamp: new Date().toISOString(),
+          pickupWait: started.trip.pickupWait || null
         };
 
-        if (customerSocketId) {
-          io.to(customerSocketId).emit('trip:ride_started', rideStartedPayload);
-        }
+        io.to(customerRoom).emit('trip:ride_started', rideStartedPayload);
 
         socket.emit('trip:ride_started', { tripId: tripId.toString(), message: 'Ride started successfully', timestamp: new Date().toISOString() });
 
@@ -757,74 +863,108 @@ socket.on('updateDriverStatus', async (payload = {}) => {
    // Find and replace the driver:complete_ride handler in socketHandler.js
 
     // ✅ UPDATED: DRIVER COMPLETE RIDE WITH DISCOUNT INFO
-    socket.on('driver:complete_ride', async ({ tripId, driverId, driverLat, driverLng }) => {
+    socket.on('driver:complete_ride', async ({ tripId, driverLat, driverLng }) => {
       try {
-        const trip = await Trip.findById(tripId);
-        if (!trip) {
-          socket.emit('trip:complete_error', { message: 'Trip not found' });
+        const { trip, actor, error } = await authorizeTripActor(socket, tripId);
+        if (error) {
+          socket.emit('trip:complete_error', { message: error });
           return;
         }
 
-        if (trip.status !== 'ride_started') {
+        if (!['ride_started', 'in_progress'].includes(trip.status)) {
           socket.emit('trip:complete_error', { message: 'Ride has not started yet' });
           return;
         }
 
-        const fare = trip.fare || trip.estimatedFare || 100;
+        // Geofence on the final stop, same as POST /api/trip/complete-ride
+        const lat = Number(driverLat);
+        const lng = Number(driverLng);
+        if (driverLat == null || driverLng == null || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+          socket.emit('trip:complete_error', { message: 'driverLat and driverLng are required' });
+          return;
+        }
+        const [endLng, endLat] = finalStop(trip).coordinates;
+        const distanceM = calculateDistance(lat, lng, endLat, endLng) * 1000;
+        if (distanceM > TRIP_STOPS.COMPLETION_RADIUS_M) {
+          socket.emit('trip:complete_error', {
+            message: `You are ${distanceM.toFixed(0)}m away from ${trip.stops?.length ? 'the final stop' : 'drop location'}. Please reach destination first.`,
+            distanceM: Math.round(distanceM)
+          });
+          return;
+        }
 
-        await Trip.findByIdAndUpdate(tripId, {
-          $set: {
-            status: 'completed',
-            rideStatus: 'completed',
-            rideEndTime: new Date(),
-            endTime: new Date(),
-            completedAt: new Date(),
-            finalFare: fare,
+        const { finalFare, fareAdjustment } = computeFareAdjustment(trip);
+
+        const completed = await tryTransitionTrip(tripId, 'completed', {
+          from: trip.status,
+          where: { assignedDriver: actor },
+          set: {
+            finalFare,
+            fareAdjustment,
+            ...closeStops(trip),
             paymentCollected: false,
             paymentCollectedAt: null
-          }
+          },
+          actor: 'driver',
+          actorId: actor,
+          source: 'socket',
         });
+        if (!completed) {
+          socket.emit('trip:complete_error', { message: 'Trip was updated elsewhere, please refresh' });
+          return;
+        }
+        const completedTrip = completed.trip;
+        await applyOutstandingFees(completedTrip);
+        const fare = completedTrip.finalFare || 0;
+        await notifyFareAdjusted(completedTrip);
+
+        // ✅ Wallet trips are charged now; Online trips get a Razorpay order.
+        // Either way the customer pays the platform and the driver moves on.
+        const walletPayment = completedTrip.paymentMethod === 'Wallet' ? await collectWalletFare(completedTrip) : null;
+        if (walletPayment?.fallback) completedTrip.paymentMethod = walletPayment.fallback;
+        const isPrepaid = completedTrip.paymentMethod !== 'Cash';
+        const payment = await prepareTripPayment(completedTrip);
         
-        await User.findByIdAndUpdate(driverId, {
+        await User.findByIdAndUpdate(actor, {
           $set: {
-            currentTripId: tripId,
-            isBusy: true,
+            currentTripId: isPrepaid ? null : tripId,
+            isBusy: !isPrepaid,
             canReceiveNewRequests: false,
-            awaitingCashCollection: true,
+            awaitingCashCollection: !isPrepaid,
             lastTripCompletedAt: new Date()
           }
         });
 
-        const customerIdStr = trip.customerId.toString();
-        let customerSocketId = null;
-        for (const [socketId, custId] of connectedCustomers.entries()) {
-          if (custId === customerIdStr) {
-            customerSocketId = socketId;
-            break;
-          }
-        }
+        const customerRoom = userRoom(trip.customerId);
 
         // ✅ UPDATED: Include discount info in completion payload
         const rideCompletedPayload = {
           tripId: tripId.toString(),
           fare,
+          estimatedFare: trip.fare,
           originalFare: trip.originalFare || null,
           discountApplied: trip.discountApplied || 0,
           coinsUsed: trip.coinsUsed || 0,
           message: 'Ride completed',
           timestamp: new Date().toISOString(),
-          awaitingPayment: true
+          awaitingPayment: !walletPayment?.charged,
+          paymentMethod: completedTrip.paymentMethod,
+          payment,
+          walletPayment
         };
 
-        if (customerSocketId) {
-          io.to(customerSocketId).emit('trip:completed', rideCompletedPayload);
-          console.log(`📢 Emitted trip:completed to customer with discount info`);
-        }
+        io.to(customerRoom).emit('trip:completed', rideCompletedPayload);
+        console.log(`📢 Emitted trip:completed to customer with discount info`);
 
         socket.emit('trip:completed', {
           ...rideCompletedPayload,
-          message: 'Ride completed. Please collect ₹' + fare.toFixed(2) + ' from customer.',
-          awaitingCashCollection: true
+          payment: undefined,
+          message: completedTrip.paymentMethod === 'Wallet'
+            ? 'Ride completed. ₹' + fare.toFixed(2) + ' paid from customer wallet.'
+            : completedTrip.paymentMethod === 'Online'
+              ? 'Ride completed. Customer will pay ₹' + fare.toFixed(2) + ' online.'
+              : 'Ride completed. Please collect ₹' + fare.toFixed(2) + ' from customer.',
+          awaitingCashCollection: !isPrepaid
         });
 
         console.log(`✅ Ride ${tripId} completed via socket`);
@@ -838,63 +978,68 @@ socket.on('updateDriverStatus', async (payload = {}) => {
         socket.emit('trip:complete_error', { message: 'Failed to complete ride: ' + e.message });
       }
     }); // DRIVER GOING TO PICKUP
-    socket.on('driver:going_to_pickup', async ({ tripId, driverId }) => {
+    socket.on('driver:going_to_pickup', async ({ tripId }) => {
       try {
-        await Trip.findByIdAndUpdate(tripId, { $set: { status: 'driver_going_to_pickup' } });
-        const trip = await Trip.findById(tripId).lean();
-        const customerIdStr = trip.customerId.toString();
-        let customerSocketId = null;
-        for (const [socketId, custId] of connectedCustomers.entries()) {
-          if (custId === customerIdStr) {
-            customerSocketId = socketId;
-            break;
-          }
-        }
-        if (customerSocketId) {
-          io.to(customerSocketId).emit('trip:driver_going_to_pickup', { tripId: tripId.toString(), message: 'Driver is on the way to pickup' });
+        const { actor, error } = await authorizeTripActor(socket, tripId);
+        if (error) {
+          socket.emit('trip:status_updated', { success: false, message: error });
+          return;
         }
+
+        const { trip } = await transitionTrip(tripId, 'driver_going_to_pickup', {
+          from: 'driver_assigned',
+          where: { assignedDriver: actor },
+          actor: 'driver',
+          actorId: actor,
+          source: 'socket',
+        });
+        const customerRoom = userRoom(trip.customerId);
+        io.to(customerRoom).emit('trip:driver_going_to_pickup', { tripId: tripId.toString(), message: 'Driver is on the way to pickup' });
         socket.emit('trip:status_updated', { success: true });
       } catch (e) {
         console.error('❌ driver:going_to_pickup error:', e);
+        socket.emit('trip:status_updated', { success: false, message: e.message });
       }
     });
 
     // DRIVER ARRIVED AT PICKUP
-    socket.on('trip:arrived_at_pickup', async ({ tripId, driverId }) => {
+    socket.on('trip:arrived_at_pickup', async ({ tripId, driverLat, driverLng }) => {
       try {
-        await Trip.findByIdAndUpdate(tripId, { $set: { status: 'driver_at_pickup' } });
-        const trip = await Trip.findById(tripId).lean();
-        const customerIdStr = trip.customerId.toString();
-        let customerSocketId = null;
-        for (const [socketId, custId] of connectedCustomers.entries()) {
-          if (custId === customerIdStr) {
-            customerSocketId = socketId;
-            break;
-          }
-        }
-        if (customerSocketId) {
-          io.to(customerSocketId).emit('trip:driver_arrived', { tripId: tripId.toString(), message: 'Driver has arrived at pickup location' });
+        const { trip: current, actor, error } = await authorizeTripActor(socket, tripId);
+        if (error) {
+          socket.emit('trip:status_updated', { success: false, message: error });
+          return;
         }
+        assertAtPickup(current, { driverLat, driverLng });
+
+        const { trip } = await transitionTrip(tripId, 'driver_at_pickup', {
+          from: ['driver_assigned', 'driver_going_to_pickup'],
+          where: { assignedDriver: actor },
+          actor: 'driver',
+          actorId: actor,
+          source: 'socket',
+        });
+        const customerRoom = userRoom(trip.customerId);
+        io.to(customerRoom).emit('trip:driver_arrived', { tripId: tripId.toString(), arrivedAt: trip.arrivedAt, message: 'Driver has arrived at pickup location' });
+        emitWaitingStatus(trip);
         socket.emit('trip:status_updated', { success: true });
       } catch (e) {
         console.error('❌ trip:arrived_at_pickup error:', e);
+        socket.emit('trip:status_updated', { success: false, message: e.message, errorCode: e.errorCode, distanceM: e.distanceM });
       }
     });
 
     // ✅ ENHANCED: DRIVER LOCATION UPDATE WITH SEQUENCE TRACKING
-socket.on('driver:location', async ({ tripId, driverId, latitude, longitude, sequence, timestamp }) => {
+socket.on('driver:location', async ({ tripId, latitude, longitude, sequence, timestamp, accuracy }) => {
       try {
-        if (!tripId || !driverId || !latitude || !longitude) {
+        if (!tripId || !latitude || !longitude) {
           console.warn('⚠️ Missing required location data');
           return;
         }
 
-        // ✅ Get current driver state
-        const driver = await User.findById(driverId).select('locationSequence').lean();
-        if (!driver) {
-          console.warn(`⚠️ Driver not found: ${driverId}`);
-          return;
-        }
+        // ✅ Only the trip's assigned driver may stream its location
+        const { trip, actor: driverId, error } = await authorizeTripActor(socket, tripId);
+        if (error) return;
 
         // ✅ ATOMIC UPDATE: Only if sequence is newer
 // âœ… ATOMIC UPDATE: Only if timestamp is newer
@@ -940,14 +1085,21 @@ if (!result && timestamp) {
 }
 
         // ✅ Calculate distance to destination
-        const trip = await Trip.findById(tripId).lean();
-        if (!trip) return;
-
         const dropLat = trip.drop.coordinates[1];
         const dropLng = trip.drop.coordinates[0];
         const distance = calculateDistance(latitude, longitude, dropLat, dropLng);
         const distanceInMeters = distance * 1000;
 
+        await recordLocationMilestones(trip, {
+          driverId,
+          latitude,
+          longitude,
+          distanceToPickupM: calculateDistance(latitude, longitude, trip.pickup.coordinates[1], trip.pickup.coordinates[0]) * 1000,
+          distanceToDropM: distanceInMeters,
+        });
+
+        await recordTrailPoint(trip, { driverId, latitude, longitude, timestamp, accuracy });
+
         // ✅ Update canReceiveNewRequests based on proximity
         if (distanceInMeters <= 500 && trip.status === 'ride_started') {
           await User.findByIdAndUpdate(driverId, { $set: { canReceiveNewRequests: true } });
@@ -956,26 +1108,17 @@ if (!result && timestamp) {
         }
 
         // ✅ Broadcast to customer
-        const customerIdStr = trip.customerId.toString();
-        let customerSocketId = null;
-        for (const [socketId, custId] of connectedCustomers.entries()) {
-          if (custId === customerIdStr) {
-            customerSocketId = socketId;
-            break;
-          }
-        }
+        const customerRoom = userRoom(trip.customerId);
 
-        if (customerSocketId) {
-          io.to(customerSocketId).emit('driver:locationUpdate', {
-            tripId: tripId.toString(),
-            driverId,
-            latitude,
-            longitude,
-            distanceToDestination: Math.round(distanceInMeters),
-            sequence: result?.locationSequence,
-            timestamp: result?.lastLocationUpdate || new Date().toISOString()
-          });
-        }
+        io.to(customerRoom).emit('driver:locationUpdate', {
+          tripId: tripId.toString(),
+          driverId,
+          latitude,
+          longitude,
+          distanceToDestination: Math.round(distanceInMeters),
+          sequence: result?.locationSequence,
+          timestamp: result?.lastLocationUpdate || new Date().toISOString()
+        });
 
       } catch (e) {
         console.error('❌ driver:location error:', e);
@@ -983,13 +1126,17 @@ if (!result && timestamp) {
     });
 
     // ✅ NEW: CUSTOMER LOCATION UPDATE WITH SEQUENCE TRACKING
-    socket.on('customer:location', async ({ tripId, customerId, latitude, longitude, sequence, timestamp }) => {
+    socket.on('customer:location', async ({ tripId, latitude, longitude, sequence, timestamp }) => {
       try {
-        if (!tripId || !customerId || !latitude || !longitude) {
+        if (!tripId || !latitude || !longitude) {
           console.warn('⚠️ Missing required location data');
           return;
         }
 
+        // ✅ Only the trip's customer may share their location with its driver
+        const { trip, actor: customerId, error } = await authorizeTripActor(socket, tripId, 'customer');
+        if (error) return;
+
         console.log(`📍 Customer ${customerId} location update (seq ${sequence || 'N/A'})`);
 
         // ✅ ATOMIC UPDATE: Only if sequence is newer
@@ -1036,20 +1183,16 @@ if (!result && timestamp) {
         console.log(`✅ Customer location updated (seq ${result?.locationSequence})`);
 
         // ✅ Broadcast to driver
-        const trip = await Trip.findById(tripId).lean();
-        if (trip && trip.assignedDriver) {
-          const driver = await User.findById(trip.assignedDriver).select('socketId').lean();
-          if (driver?.socketId) {
-            io.to(driver.socketId).emit('customer:locationUpdate', {
-              tripId: tripId.toString(),
-              customerId,
-              latitude,
-              longitude,
-              sequence: result?.locationSequence,
-              timestamp: result?.lastLocationUpdate || new Date().toISOString()
-            });
-            console.log(`📡 Customer location sent to driver ${trip.assignedDriver}`);
-          }
+        if (trip.assignedDriver) {
+          io.to(userRoom(trip.assignedDriver)).emit('customer:locationUpdate', {
+            tripId: tripId.toString(),
+            customerId,
+            latitude,
+            longitude,
+            sequence: result?.locationSequence,
+            timestamp: result?.lastLocationUpdate || new Date().toISOString()
+          });
+          console.log(`📡 Customer location sent to driver ${trip.assignedDriver}`);
         }
 
       } catch (e) {
@@ -1058,20 +1201,25 @@ if (!result && timestamp) {
     });
 
     // DRIVER HEARTBEAT
-    socket.on('driver:heartbeat', async ({ tripId, driverId, timestamp }) => {
+    socket.on('driver:heartbeat', async ({ tripId, timestamp }) => {
       try {
-        if (!tripId || !driverId) return;
-        await Trip.findByIdAndUpdate(tripId, { $set: { lastDriverHeartbeat: new Date(timestamp) } });
+        const { trip, error } = await authorizeTripActor(socket, tripId);
+        if (error) return;
+        await Trip.updateOne({ _id: trip._id }, { $set: { lastDriverHeartbeat: new Date(timestamp) } });
       } catch (e) {
         console.error('❌ driver:heartbeat error:', e);
       }
     });
 
     // CHAT: JOIN
-    socket.on('chat:join', (data) => {
+    socket.on('chat:join', async (data) => {
       try {
-        const { tripId, userId } = data;
-        if (!tripId) return;
+        const { tripId } = data;
+        const { actor: userId, error } = await authorizeTripParty(socket, tripId);
+        if (error) {
+          socket.emit('chat:error', { error });
+          return;
+        }
         const roomName = `chat_${tripId}`;
         socket.join(roomName);
         socket.to(roomName).emit('chat:user_joined', { userId, timestamp: new Date().toISOString() });
@@ -1083,9 +1231,10 @@ if (!result && timestamp) {
     // CHAT: LEAVE
     socket.on('chat:leave', (data) => {
       try {
-        const { tripId, userId } = data;
-        if (!tripId) return;
+        const { tripId } = data;
         const roomName = `chat_${tripId}`;
+        if (!socket.rooms.has(roomName)) return;
+        const userId = socket.data.user.id;
         socket.leave(roomName);
         socket.to(roomName).emit('chat:user_left', { userId, timestamp: new Date().toISOString() });
       } catch (error) {
@@ -1096,12 +1245,22 @@ if (!result && timestamp) {
     // CHAT: SEND MESSAGE
     socket.on('chat:send_message', async (data) => {
       try {
-        const { tripId, fromId, toId, message, timestamp } = data;
-        if (!tripId || !fromId || !toId || !message) {
+        const { tripId, toId, message, timestamp } = data;
+        if (!tripId || !toId || !message) {
           socket.emit('chat:error', { error: 'Missing required fields' });
           return;
         }
 
+        const { actor: fromId, counterpart, error } = await authorizeTripParty(socket, tripId);
+        if (error) {
+          socket.emit('chat:error', { error });
+          return;
+        }
+        if (!counterpart || String(toId) !== counterpart) {
+          socket.emit('chat:error', { error: 'Messages can only be sent to the other party of the trip' });
+          return;
+        }
+
         try {
           const chatMessage = new ChatMessage({
             tripId,
@@ -1130,20 +1289,11 @@ if (!result && timestamp) {
         socket.to(roomName).emit('chat:new_message', messageData);
         socket.emit('chat:message_sent', { success: true, timestamp: messageData.timestamp });
 
-        let recipientSocketId = null;
-        for (const [socketId, userId] of connectedCustomers.entries()) {
-          if (userId === toId) { recipientSocketId = socketId; break; }
-        }
-        if (!recipientSocketId) {
-          for (const [socketId, userId] of connectedDrivers.entries()) {
-            if (userId === toId) { recipientSocketId = socketId; break; }
-          }
-        }
-        if (recipientSocketId) {
-          io.to(recipientSocketId).emit('chat:receive_message', messageData);
-          io.to(recipientSocketId).emit('chat:new_message', messageData);
-          io.to(recipientSocketId).emit('chat:notification', { tripId, fromId, message: message.substring(0, 50), timestamp: messageData.timestamp });
-        }
+        // Recipient's devices that are not in the chat room yet
+        const recipient = io.to(userRoom(toId)).except(roomName);
+        recipient.emit('chat:receive_message', messageData);
+        recipient.emit('chat:new_message', messageData);
+        recipient.emit('chat:notification', { tripId, fromId, message: message.substring(0, 50), timestamp: messageData.timestamp });
 
       } catch (error) {
         console.error('❌ Error in chat:send_message:', error);
@@ -1154,9 +1304,11 @@ if (!result && timestamp) {
     // CHAT: TYPING
     socket.on('chat:typing', (data) => {
       try {
-        const { tripId, userId, isTyping } = data;
-        if (!tripId) return;
+        const { tripId, isTyping } = data;
         const roomName = `chat_${tripId}`;
+        // Only sockets that passed chat:join's trip check are in the room
+        if (!socket.rooms.has(roomName)) return;
+        const userId = socket.data.user.id;
         socket.to(roomName).emit('chat:typing_status', { userId, isTyping, timestamp: new Date().toISOString() });
       } catch (error) {
         console.error('❌ Error in chat:typing:', error);
@@ -1166,8 +1318,9 @@ if (!result && timestamp) {
     // CHAT: MARK READ
     socket.on('chat:mark_read', async (data) => {
       try {
-        const { tripId, userId } = data;
-        if (!tripId || !userId) return;
+        const { tripId } = data;
+        const { actor: userId, error } = await authorizeTripParty(socket, tripId);
+        if (error) return;
         await ChatMessage.updateMany({ tripId, receiverId: userId, read: false }, { $set: { read: true } });
         const roomName = `chat_${tripId}`;
         socket.to(roomName).emit('chat:messages_read', { userId, tripId, timestamp: new Date().toISOString() });
@@ -1177,10 +1330,9 @@ if (!result && timestamp) {
     });
 
     // CHAT: GET UNREAD
-    socket.on('chat:get_unread', async (data) => {
+    socket.on('chat:get_unread', async () => {
       try {
-        const { userId } = data;
-        if (!userId) return;
+        const userId = socket.data.user.id;
         const unreadCount = await ChatMessage.countDocuments({ receiverId: userId, read: false });
         socket.emit('chat:unread_count', { userId, count: unreadCount, timestamp: new Date().toISOString() });
       } catch (error) {
@@ -1198,7 +1350,7 @@ if (!result && timestamp) {
           return;
         }
         await User.findByIdAndUpdate(driverId, { $set: { isOnline: false, socketId: null, canReceiveNewRequests: false } });
-        connectedDrivers.delete(socket.id);
+        await clearPresence(socket.id);
         socket.disconnect(true);
       } catch (e) {
         console.error('❌ driver:go_offline error:', e);
@@ -1208,15 +1360,23 @@ if (!result && timestamp) {
     // DISCONNECT HANDLER
     socket.on('disconnect', async () => {
       try {
-        const driverId = connectedDrivers.get(socket.id);
-        const customerId = connectedCustomers.get(socket.id);
+        const presence = await clearPresence(socket.id);
+        const driverId = presence?.role === 'driver' ? presence.userId.toString() : null;
+        const customerId = presence?.role === 'customer' ? presence.userId.toString() : null;
+
+        // 📱 Another device of this user is still connected (any instance) - keep them online
+        const other = await findUserPresence(socket.data.user.id);
+        if (other) {
+          await User.updateOne(
+            { _id: socket.data.user.id, socketId: socket.id },
+            { $set: { socketId: other.socketId } }
+          );
+          return;
+        }
 
         if (driverId) {
           const driver = await User.findById(driverId).select('currentTripId isBusy isOnline name phone awaitingCashCollection').lean();
-          if (!driver) {
-            connectedDrivers.delete(socket.id);
-            return;
-          }
+          if (!driver) return;
 
           let hasRealActiveTrip = false;
 
@@ -1260,12 +1420,9 @@ if (!result && timestamp) {
               await User.updateOne({ _id: driverId }, { $set: { isBusy: false, currentTripId: null, awaitingCashCollection: false, isOnline: false } });
             }
           }
-
-          connectedDrivers.delete(socket.id);
         }
 
         if (customerId) {
-          connectedCustomers.delete(socket.id);
           await User.findByIdAndUpdate(customerId, { $set: { socketId: null, lastDisconnectedAt: new Date() } });
         }
 
@@ -1274,7 +1431,7 @@ if (!result && timestamp) {
       }
     });
     // TRIP RETRY REQUEST
-socket.on('trip:rerequest', async ({ tripId, customerId, vehicleType, retryAttempt }) => {
+socket.on('trip:rerequest', async ({ tripId, vehicleType, retryAttempt }) => {
   try {
     console.log('');
     console.log('🔄 ═══════════════════════════════════════════════');
@@ -1282,13 +1439,10 @@ socket.on('trip:rerequest', async ({ tripId, customerId, vehicleType, retryAttem
     console.log(`   Trip ID: ${tripId}`);
     console.log('🔄 ═══════════════════════════════════════════════');
 
-    if (!tripId) return;
-
-    const trip = await Trip.findById(tripId).lean();
-    
-    if (!trip) {
+    const { trip, actor: customerId, error } = await authorizeTripActor(socket, tripId, 'customer');
+    if (error) {
       socket.emit('trip:rerequest_failed', {
-        message: 'Trip not found',
+        message: error,
         shouldCancelSearch: true
       });
       return;
@@ -1299,7 +1453,17 @@ socket.on('trip:rerequest', async ({ tripId, customerId, vehicleType, retryAttem
       return;
     }
 
+    // Ranked dispatch drives its own offers
+    if (isRankedDispatch(trip) && !trip.dispatch.exhaustedAt) {
+      console.log(`ℹ️ Trip ${tripId} is in ${trip.dispatch.mode} dispatch - retry skipped`);
+      return;
+    }
+
+    // Never re-offer to drivers who already declined this trip
+    const declinedDrivers = await getDeclinedDriverIds(trip._id);
+
     const nearbyDrivers = await User.find({
+      _id: { $nin: declinedDrivers },
       isDriver: true,
       vehicleType: vehicleType,
       isOnline: true,
@@ -1346,6 +1510,7 @@ socket.on('trip:rerequest', async ({ tripId, customerId, vehicleType, retryAttem
     };
 
     broadcastToDrivers(nearbyDrivers, payload);
+    await logOffered(trip._id, nearbyDrivers.map((d) => d._id), trip.dispatch?.mode || 'broadcast', { source: 'socket' });
 
     console.log(`✅ Retry #${retryAttempt} broadcasted to ${nearbyDrivers.length} drivers`);
     console.log('');
@@ -1355,69 +1520,14 @@ socket.on('trip:rerequest', async ({ tripId, customerId, vehicleType, retryAttem
   }
 });
 
-    // AUTO-CLEANUP EXPIRED TRIPS
-  // AUTO-CLEANUP EXPIRED TRIPS - 60 second timeout
-setInterval(async () => {
-  try {
-    const now = new Date();
-    
-    // Find trips older than 60 seconds
-    const expiredTrips = await Trip.find({
-      status: 'requested',
-      createdAt: { $lt: new Date(now.getTime() - TRIP_TIMEOUT_MS) }
-    });
-
-    if (!expiredTrips.length) return;
-
-    console.log(`🧹 Found ${expiredTrips.length} expired trips (>60s old)`);
-
-    for (const trip of expiredTrips) {
-      const tripAge = Math.round((now - trip.createdAt) / 1000);
-      console.log(`   ⏰ Trip ${trip._id}: ${tripAge}s old - timing out`);
-
-      await Trip.findByIdAndUpdate(trip._id, { 
-        $set: { 
-          status: 'timeout',
-          timeoutAt: new Date(),
-          timeoutReason: 'No driver accepted within 60 seconds'
-        } 
-      });
-
-      const customer = await User.findById(trip.customerId).select('socketId').lean();
-      if (customer?.socketId) {
-        io.to(customer.socketId).emit('trip:timeout', {
-          tripId: trip._id.toString(),
-          message: 'No drivers available right now. Please try again.',
-          reason: 'timeout',
-          duration: tripAge
-        });
-      }
-
-      const onlineDrivers = await User.find({
-        isDriver: true,
-        isOnline: true,
-        socketId: { $exists: true, $ne: null }
-      }).select('socketId').lean();
-
-      onlineDrivers.forEach(driver => {
-        if (driver.socketId) {
-          io.to(driver.socketId).emit('trip:expired', {
-            tripId: trip._id.toString(),
-            message: 'This request has expired'
-          });
-        }
-      });
-    }
-  } catch (e) {
-    console.error('❌ Cleanup job error:', e);
-  }
-}, 10000); // Check every 10 seconds
-
-    console.log('⏰ Trip cleanup job started');
-    startNotificationRetryJob();
-    startStaleTripCleanup();
-    console.log('🚀 Socket.IO initialized');
   });
+
+  // ⏰ Background jobs: started once per instance, run on the leader only
+  setInterval(sweepExpiredTrips, 10000); // Check every 10 seconds
+  console.log('⏰ Trip cleanup job started');
+  startNotificationRetryJob();
+  startStaleTripCleanup();
+  console.log('🚀 Socket.IO initialized');
 };
 
-export { io, connectedDrivers, connectedCustomers };
\ No newline at end of file
+export { io };
\ No newline at end of file
@@ -0,0 +1,182 @@
+// src/utils/cancellationFees.js
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import Wallet from '../models/Wallet.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { chargeFeeFromWallet } from './customerWallet.js';
+import { postCancellationCompensationEntry } from './ledger.js';
+import { recordTripPayment } from './tripTimeline.js';
+import { getOrCreateWallet } from '../controllers/walletController.js';
+
+/**
+ * Fees on trips that end without a ride (customer no-show, cancellation).
+ * The rider pays from their wallet when it covers the fee; otherwise the fee
+ * goes to User.outstandingFees and is added to their next completed ride.
+ * The driver's share is credited at once either way.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const compensateDriver = async (trip, driverId, amount) => {
+  await getOrCreateWallet(driverId);
+  const wallet = await Wallet.findOneAndUpdate(
+    {
+      driverId,
+      transactions: { $not: { $elemMatch: { tripId: trip._id, type: 'credit' } } },
+    },
+    {
+      $inc: { totalEarnings: amount, availableBalance: amount },
+      $push: {
+        transactions: {
+          type: 'credit',
+          amount,
+          tripId: trip._id,
+          description: `Compensation: ${trip.cancellationReason === 'customer_no_show' ? 'customer no-show' : 'trip cancelled'}`,
+          status: 'completed',
+          createdAt: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+  if (wallet) await postCancellationCompensationEntry(driverId, amount, trip._id);
+  return !!wallet;
+};
+
+/**
+ * Charge a fee on a cancelled trip, once.
+ * @param {Object} trip - the cancelled trip
+ * @param {Object} fee
+ * @param {number} fee.amount - ₹ charged to the rider
+ * @param {string} fee.reason - customer_no_show | ...
+ * @param {number} [fee.driverCompensation] - ₹ credited to the assigned driver
+ * @returns {Promise<Object|null>} the stored cancellationFee, null if one was already applied
+ */
+export const applyCancellationFee = async (trip, { amount, reason, driverCompensation = 0 }) => {
+  const fee = {
+    amount: round2(amount),
+    reason,
+    driverCompensation: round2(Math.min(driverCompensation, amount)),
+    status: 'pending',
+    at: new Date(),
+  };
+
+  const claimed = await Trip.updateOne(
+    { _id: trip._id, status: 'cancelled', cancellationFee: null },
+    { $set: { cancellationFee: fee } }
+  );
+  if (claimed.modifiedCount === 0) return null;
+
+  const customerId = trip.customerId?._id || trip.customerId;
+  const driverId = trip.assignedDriver?._id || trip.assignedDriver;
+
+  if (fee.amount > 0) {
+    let charge;
+    try {
+      charge = await chargeFeeFromWallet({ trip, amount: fee.amount, reason });
+    } catch (err) {
+      console.error(`❌ Wallet fee charge failed for trip ${trip._id}:`, err.message);
+      charge = { charged: false, reason: 'charge_error' };
+    }
+
+    if (charge.charged) {
+      fee.status = 'charged_wallet';
+    } else {
+      await User.updateOne(
+        { _id: customerId, 'outstandingFees.tripId': { $ne: trip._id } },
+        { $push: { outstandingFees: { tripId: trip._id, amount: fee.amount, reason, at: fee.at } } }
+      );
+      fee.status = 'carried';
+    }
+  } else {
+    fee.status = 'waived';
+  }
+
+  if (fee.driverCompensation > 0 && driverId) {
+    try {
+      await compensateDriver(trip, driverId, fee.driverCompensation);
+    } catch (err) {
+      console.error(`❌ Driver compensation failed for trip ${trip._id}:`, err.message);
+    }
+  }
+
+  await Trip.updateOne({ _id: trip._id }, { $set: { 'cancellationFee.status': fee.status } });
+  await recordTripPayment(trip, {
+    method: fee.status === 'charged_wallet' ? 'wallet' : 'next_fare',
+    status: `fee_${fee.status}`,
+    amount: fee.amount,
+    reason,
+    driverCompensation: fee.driverCompensation,
+  });
+
+  console.log(`🧾 Trip ${trip._id} ${reason} fee ₹${fee.amount}: ${fee.status} (driver gets ₹${fee.driverCompensation})`);
+  return fee;
+};
+
+/**
+ * Add the rider's outstanding fees to a just-completed ride, before it is
+ * paid. Updates `trip` (finalFare, carriedFees) in place and returns it.
+ * The carried amount is all platform's — see calculateFareBreakdown.
+ */
+export const applyOutstandingFees = async (trip) => {
+  const customerId = trip.customerId?._id || trip.customerId;
+  const customer = await User.findById(customerId).select('outstandingFees').lean();
+  const fees = (customer?.outstandingFees || []).filter((f) => String(f.tripId) !== String(trip._id));
+  if (!fees.length) return trip;
+
+  const amount = round2(fees.reduce((sum, f) => sum + f.amount, 0));
+  const tripIds = fees.map((f) => f.tripId);
+
+  const updated = await Trip.findOneAndUpdate(
+    {
+      _id: trip._id,
+      status: 'completed',
+      paymentCollected: { $ne: true },
+      'carriedFees.amount': { $in: [0, null] },
+    },
+    { $inc: { finalFare: amount }, $set: { carriedFees: { amount, tripIds } } },
+    { new: true }
+  ).lean();
+  if (!updated) return trip;
+
+  await User.updateOne({ _id: customerId }, { $pull: { outstandingFees: { tripId: { $in: tripIds } } } });
+  await Trip.updateMany(
+    { _id: { $in: tripIds }, 'cancellationFee.status': 'carried' },
+    { $set: { 'cancellationFee.status': 'collected', 'cancellationFee.collectedOnTrip': trip._id } }
+  );
+
+  trip.finalFare = updated.finalFare;
+  trip.carriedFees = updated.carriedFees;
+  console.log(`🧾 Trip ${trip._id}: ₹${amount} earlier fees added (${tripIds.length} trip(s))`);
+  return trip;
+};
+
+/**
+ * trip:cancelled payload addition for the rider and driver.
+ */
+export const feeView = (fee) =>
+  fee
+    ? {
+        amount: fee.amount,
+        reason: fee.reason,
+        status: fee.status,
+        driverCompensation: fee.driverCompensation,
+        addedToNextRide: fee.status === 'carried',
+      }
+    : null;
+
+/**
+ * Tell the rider a fee was charged or carried.
+ */
+export const notifyCancellationFee = (trip, fee) => {
+  if (!io || !fee || !(fee.amount > 0)) return;
+  const customerId = trip.customerId?._id || trip.customerId;
+  io.to(userRoom(customerId)).emit('trip:cancellation_fee', {
+    tripId: String(trip._id),
+    ...feeView(fee),
+    message: fee.status === 'charged_wallet'
+      ? `₹${fee.amount} fee paid from your wallet`
+      : `₹${fee.amount} fee will be added to your next ride`,
+  });
+};
@@ -0,0 +1,300 @@
+// src/utils/cancellationPolicy.js
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import Wallet from '../models/Wallet.js';
+import CancellationPolicy from '../models/CancellationPolicy.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { CANCELLATION_POLICY } from '../config/tripConfig.js';
+import { calculateDistanceInMeters } from './distanceCalculator.js';
+import { getTripRoute } from './tripTrail.js';
+import { recordTripEvent } from './tripTimeline.js';
+import { applyCancellationFee } from './cancellationFees.js';
+import { postCancellationPenaltyEntry } from './ledger.js';
+import { getOrCreateWallet } from '../controllers/walletController.js';
+
+/**
+ * Cancellation policy.
+ * Cancelling between accept and ride start is free inside the grace period
+ * (for the customer, only while the driver hasn't yet travelled
+ * MIN_DRIVER_TRAVEL_M toward pickup) or with an excused reason that trip
+ * data backs up. Otherwise a
+ * customer pays a base fee plus a per-km charge for the driver's travel,
+ * shared with the driver (utils/cancellationFees.js), and a driver gets a
+ * strike; strikes past FREE_STRIKES in the window add a penalty to the
+ * commission they owe. A reason blaming the other party that can't be
+ * checked is flagged for review but doesn't change the outcome.
+ */
+
+const PICKUP_STATES = ['driver_assigned', 'driver_going_to_pickup', 'driver_at_pickup'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export const isCancellationReason = (by, reason) =>
+  (CANCELLATION_POLICY.REASONS[by] || []).includes(reason);
+
+/**
+ * Most specific active CancellationPolicy for city + vehicle, merged over CANCELLATION_POLICY.
+ */
+export const resolveCancellationPolicy = async (city, vehicleType) => {
+  const cityKey = city ? city.toLowerCase() : null;
+  const candidates = await CancellationPolicy.find({
+    isActive: true,
+    city: { $in: [cityKey, null] },
+    vehicleType: { $in: [vehicleType || null, null] },
+  }).lean();
+
+  // city+vehicle > city > vehicle > global
+  const specificity = (c) => (c.city ? 2 : 0) + (c.vehicleType ? 1 : 0);
+  const match = candidates.sort((a, b) => specificity(b) - specificity(a))[0] || {};
+
+  return {
+    graceSec: match.graceSec ?? CANCELLATION_POLICY.GRACE_SEC,
+    minDriverTravelM: match.minDriverTravelM ?? CANCELLATION_POLICY.MIN_DRIVER_TRAVEL_M,
+    customerBaseFee: match.customerBaseFee ?? CANCELLATION_POLICY.CUSTOMER_BASE_FEE,
+    customerPerKmFee: match.customerPerKmFee ?? CANCELLATION_POLICY.CUSTOMER_PER_KM_FEE,
+    customerMaxFee: match.customerMaxFee ?? CANCELLATION_POLICY.CUSTOMER_MAX_FEE,
+    driverSharePercent: match.driverSharePercent ?? CANCELLATION_POLICY.DRIVER_SHARE_PERCENT,
+    driverPenaltyFee: match.driverPenaltyFee ?? CANCELLATION_POLICY.DRIVER_PENALTY_FEE,
+    freeStrikes: match.freeStrikes ?? CANCELLATION_POLICY.FREE_STRIKES,
+    strikeWindowDays: match.strikeWindowDays ?? CANCELLATION_POLICY.STRIKE_WINDOW_DAYS,
+    policyId: match._id || null,
+  };
+};
+
+/**
+ * How much closer to pickup the driver got since accepting, from the
+ * pickup leg of the GPS trail (utils/tripTrail.js).
+ * @returns {Promise<{ travelledM: number, source: 'trail'|'none' }>}
+ */
+export const driverTravelTowardPickup = async (trip) => {
+  const pickup = trip.pickup?.coordinates;
+  if (!pickup) return { travelledM: 0, source: 'none' };
+
+  const route = await getTripRoute(trip, { phases: ['pickup'], simplify: false });
+  const points = route.phases.pickup;
+  if (points.length < 2) return { travelledM: 0, source: 'none' };
+
+  const [firstLng, firstLat] = points[0];
+  const [lastLng, lastLat] = points[points.length - 1];
+  const closed = calculateDistanceInMeters([firstLng, firstLat], pickup) -
+    calculateDistanceInMeters([lastLng, lastLat], pickup);
+  return { travelledM: Math.max(0, Math.round(closed)), source: 'trail' };
+};
+
+/**
+ * The policy itself. Pure.
+ * @param {Object} input
+ * @param {'customer'|'driver'} input.by
+ * @param {string} input.reason - from CANCELLATION_POLICY.REASONS[by]
+ * @param {string} input.status - trip status before the cancel
+ * @param {number} input.sinceAcceptSec
+ * @param {number} input.travelledM - driver's progress toward pickup
+ * @param {Object} input.policy - resolveCancellationPolicy() result
+ * @returns {{ outcome: string, waivedBecause: string|null, fee: number, driverCompensation: number, needsReview: boolean }}
+ */
+export const decideCancellation = ({ by, reason, status, sinceAcceptSec, travelledM, policy }) => {
+  const needsReview = CANCELLATION_POLICY.REVIEW_REASONS[by].includes(reason);
+  const free = (waivedBecause) => ({ outcome: 'free', waivedBecause, fee: 0, driverCompensation: 0, needsReview: false });
+
+  if (!PICKUP_STATES.includes(status)) {
+    return free(['scheduled', 'requested'].includes(status) ? 'not_accepted' : 'on_trip');
+  }
+
+  const driverMoving = travelledM >= policy.minDriverTravelM;
+  const excused = CANCELLATION_POLICY.EXCUSED_REASONS[by].includes(reason) &&
+    !(reason === 'driver_not_moving' && driverMoving);
+  if (excused) return free('excused_reason');
+
+  const inGrace = sinceAcceptSec < policy.graceSec;
+
+  if (by === 'driver') {
+    if (inGrace) return free('grace_period');
+    return { outcome: 'driver_strike', waivedBecause: null, fee: 0, driverCompensation: 0, needsReview };
+  }
+
+  if (inGrace && !driverMoving && status !== 'driver_at_pickup') return free('grace_period');
+
+  const fee = Math.round(Math.min(
+    policy.customerMaxFee,
+    policy.customerBaseFee + (policy.customerPerKmFee * travelledM) / 1000
+  ));
+  if (fee <= 0) return free('no_fee');
+  return {
+    outcome: 'customer_fee',
+    waivedBecause: null,
+    fee,
+    driverCompensation: round2((fee * policy.driverSharePercent) / 100),
+    needsReview,
+  };
+};
+
+const recentStrikes = async (driverId, windowDays, at, excludeTripId) => {
+  const since = new Date(at.getTime() - windowDays * 24 * 60 * 60 * 1000);
+  const driver = await User.findById(driverId).select('cancellationStrikes').lean();
+  return (driver?.cancellationStrikes || []).filter(
+    (s) => new Date(s.at) >= since && String(s.tripId) !== String(excludeTripId)
+  ).length;
+};
+
+/**
+ * What cancelling `trip` now would cost. Read-only; used for the preview
+ * and, with the trip as it was before the cancel, for the real thing.
+ * @param {Object} trip - with status, acceptedAt, pickup, city, vehicleType, assignedDriver
+ * @param {Object} params
+ * @param {'customer'|'driver'} params.by
+ * @param {string} params.reason
+ * @param {Date} [params.at]
+ * @returns {Promise<Object>} the decision, in Trip.cancellationDecision shape
+ */
+export const evaluateCancellation = async (trip, { by, reason, at = new Date() }) => {
+  const policy = await resolveCancellationPolicy(trip.city, trip.vehicleType);
+  const sinceAcceptSec = trip.acceptedAt
+    ? Math.max(0, Math.floor((at - new Date(trip.acceptedAt)) / 1000))
+    : 0;
+  const travel = PICKUP_STATES.includes(trip.status)
+    ? await driverTravelTowardPickup(trip)
+    : { travelledM: 0, source: 'none' };
+
+  const decision = {
+    by,
+    reason,
+    ...decideCancellation({ by, reason, status: trip.status, sinceAcceptSec, travelledM: travel.travelledM, policy }),
+    sinceAcceptSec,
+    driverTravelM: travel.travelledM,
+    driverTravelSource: travel.source,
+    driverPenalty: 0,
+    strikesInWindow: 0,
+    policyId: policy.policyId,
+  };
+
+  if (decision.outcome === 'driver_strike') {
+    const driverId = trip.assignedDriver?._id || trip.assignedDriver;
+    const earlier = await recentStrikes(driverId, policy.strikeWindowDays, at, trip._id);
+    decision.strikesInWindow = earlier + 1;
+    decision.driverPenalty = earlier >= policy.freeStrikes ? policy.driverPenaltyFee : 0;
+  }
+
+  return decision;
+};
+
+const chargeDriverPenalty = async (trip, driverId, amount) => {
+  await getOrCreateWallet(driverId);
+  const wallet = await Wallet.findOneAndUpdate(
+    {
+      driverId,
+      transactions: { $not: { $elemMatch: { tripId: trip._id, type: 'commission' } } },
+    },
+    {
+      $inc: { pendingAmount: amount },
+      $push: {
+        transactions: {
+          type: 'commission',
+          amount,
+          tripId: trip._id,
+          description: 'Cancellation penalty',
+          status: 'completed',
+          createdAt: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+  if (wallet) await postCancellationPenaltyEntry(driverId, amount, trip._id);
+  return !!wallet;
+};
+
+const applyDriverStrike = async (trip, decision) => {
+  const driverId = trip.assignedDriver?._id || trip.assignedDriver;
+  const strike = { tripId: trip._id, reason: decision.reason, penalty: decision.driverPenalty, at: new Date() };
+
+  const pushed = await User.updateOne(
+    { _id: driverId, 'cancellationStrikes.tripId': { $ne: trip._id } },
+    { $push: { cancellationStrikes: strike } }
+  );
+  if (pushed.modifiedCount === 0) return null;
+
+  if (strike.penalty > 0) {
+    try {
+      await chargeDriverPenalty(trip, driverId, strike.penalty);
+    } catch (err) {
+      console.error(`❌ Driver penalty failed for trip ${trip._id}:`, err.message);
+    }
+  }
+
+  if (io) {
+    io.to(userRoom(driverId)).emit('driver:cancellation_strike', {
+      tripId: String(trip._id),
+      reason: decision.reason,
+      strikesInWindow: decision.strikesInWindow,
+      penalty: strike.penalty,
+      message: strike.penalty > 0
+        ? `₹${strike.penalty} cancellation penalty added to your dues`
+        : 'Cancellation strike recorded',
+    });
+  }
+
+  console.log(`⚠️ Driver ${driverId} cancellation strike #${decision.strikesInWindow} on trip ${trip._id} (penalty ₹${strike.penalty})`);
+  return strike;
+};
+
+/**
+ * Apply a decision to a trip that has just been cancelled, once.
+ * @param {Object} trip - the cancelled trip
+ * @param {Object} decision - evaluateCancellation() result
+ * @returns {Promise<{ fee: Object|null, strike: Object|null }>}
+ */
+export const applyCancellationDecision = async (trip, decision) => {
+  const claimed = await Trip.updateOne(
+    { _id: trip._id, status: 'cancelled', cancellationDecision: null },
+    { $set: { cancellationDecision: decision } }
+  );
+  if (claimed.modifiedCount === 0) return { fee: null, strike: null };
+
+  await recordTripEvent(trip._id, 'cancellation_assessed', {
+    actor: 'system',
+    payload: {
+      by: decision.by,
+      reason: decision.reason,
+      outcome: decision.outcome,
+      waivedBecause: decision.waivedBecause,
+      sinceAcceptSec: decision.sinceAcceptSec,
+      driverTravelM: decision.driverTravelM,
+      fee: decision.fee,
+      driverPenalty: decision.driverPenalty,
+      needsReview: decision.needsReview,
+    },
+  });
+
+  if (decision.needsReview) {
+    console.warn(`🔎 Trip ${trip._id} cancelled by ${decision.by} with '${decision.reason}' - flagged for review (${decision.outcome})`);
+  }
+
+  let fee = null;
+  let strike = null;
+  if (decision.outcome === 'customer_fee') {
+    fee = await applyCancellationFee(trip, {
+      amount: decision.fee,
+      reason: 'customer_cancelled',
+      driverCompensation: decision.driverCompensation,
+    });
+  } else if (decision.outcome === 'driver_strike') {
+    strike = await applyDriverStrike(trip, decision);
+  }
+  return { fee, strike };
+};
+
+/**
+ * Response / preview view of a decision.
+ */
+export const decisionView = (decision) => ({
+  outcome: decision.outcome,
+  reason: decision.reason,
+  waivedBecause: decision.waivedBecause,
+  fee: decision.fee,
+  driverPenalty: decision.driverPenalty,
+  strikesInWindow: decision.strikesInWindow,
+  sinceAcceptSec: decision.sinceAcceptSec,
+  driverTravelM: decision.driverTravelM,
+  needsReview: decision.needsReview,
+});
@@ -0,0 +1,176 @@
+// src/utils/commissionPayments.js
+import Wallet from '../models/Wallet.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { RECONCILIATION } from '../config/paymentConfig.js';
+import { postCommissionPaymentEntry } from './ledger.js';
+
+/**
+ * Driver commission payments via Razorpay.
+ * createRazorpayOrder books a `pending` debit per order; the verify API, the
+ * webhook and the reconciliation job all settle it through here, so a
+ * payment is booked exactly once whichever path sees it first.
+ */
+
+const PAYMENT_METHODS = ['upi', 'card', 'netbanking', 'wallet'];
+
+const toRupees = (paisa) => paisa / 100;
+
+const flagTransaction = async (driverId, transactionId, reason, source) => {
+  await Wallet.updateOne(
+    { driverId, 'transactions._id': transactionId },
+    {
+      $set: {
+        'transactions.$.reconciliation': { flagged: true, reason, source, checkedAt: new Date() },
+      },
+    }
+  );
+  console.warn(`🚩 Wallet txn ${transactionId} (driver ${driverId}) flagged: ${reason}`);
+};
+
+// Orders booked before in-place settlement have both a pending placeholder and a completed entry
+const supersedePlaceholder = (driverId, orderId) =>
+  Wallet.updateOne(
+    { driverId, transactions: { $elemMatch: { razorpayOrderId: orderId, status: 'pending' } } },
+    { $set: { 'transactions.$.status': 'superseded' } }
+  );
+
+const notifyDriver = (driverId, wallet, paymentId) => {
+  if (!io) return;
+  io.to(userRoom(driverId)).emit('wallet:updated', {
+    pendingAmount: Number((wallet.pendingAmount || 0).toFixed(2)),
+    message: 'Commission payment successful',
+    paymentId,
+  });
+};
+
+/**
+ * Book a captured Razorpay payment against the driver's pending commission.
+ * @param {Object} params
+ * @param {string} params.driverId
+ * @param {string} params.orderId
+ * @param {Object} params.payment - Razorpay payment entity (amount in paise)
+ * @param {string} params.source - verify_api | webhook | reconciliation
+ * @returns {Promise<{ status: 'settled'|'already_settled'|'mismatch', reason?: string, wallet?: Object }>}
+ */
+export const settleCommissionPayment = async ({ driverId, orderId, payment, source }) => {
+  const paymentId = payment.id;
+  const amount = toRupees(payment.amount);
+
+  const booked = await Wallet.exists({
+    driverId,
+    transactions: { $elemMatch: { razorpayPaymentId: paymentId, status: 'completed' } },
+  });
+  if (booked) {
+    await supersedePlaceholder(driverId, orderId);
+    return { status: 'already_settled' };
+  }
+
+  const wallet = await Wallet.findOne({ driverId }).lean();
+  if (!wallet) return { status: 'mismatch', reason: 'wallet_not_found' };
+
+  const placeholder = wallet.transactions.find(
+    (t) => t.razorpayOrderId === orderId && t.status === 'pending'
+  );
+
+  let mismatch = null;
+  if (placeholder && Math.abs(placeholder.amount - amount) > RECONCILIATION.AMOUNT_TOLERANCE) {
+    mismatch = `amount_mismatch: order ₹${placeholder.amount}, captured ₹${amount}`;
+  } else if (amount > wallet.pendingAmount + RECONCILIATION.AMOUNT_TOLERANCE) {
+    mismatch = `exceeds_pending: captured ₹${amount}, pending ₹${wallet.pendingAmount.toFixed(2)}`;
+  }
+
+  if (mismatch) {
+    if (placeholder) {
+      await flagTransaction(driverId, placeholder._id, mismatch, source);
+    } else {
+      // Nothing to attach the flag to: record the payment itself for review
+      await Wallet.updateOne(
+        { driverId, 'transactions.razorpayPaymentId': { $ne: paymentId } },
+        {
+          $push: {
+            transactions: {
+              type: 'debit',
+              amount,
+              description: `Unmatched Razorpay payment ${paymentId}`,
+              razorpayPaymentId: paymentId,
+              razorpayOrderId: orderId,
+              status: 'pending',
+              reconciliation: { flagged: true, reason: mismatch, source, checkedAt: new Date() },
+              createdAt: new Date(),
+            },
+          },
+        }
+      );
+      console.warn(`🚩 Unmatched payment ${paymentId} (driver ${driverId}): ${mismatch}`);
+    }
+    return { status: 'mismatch', reason: mismatch };
+  }
+
+  const method = PAYMENT_METHODS.includes(payment.method) ? payment.method : 'unknown';
+  const description = `Commission paid via ${payment.method?.toUpperCase() || 'Razorpay'} (${paymentId.substring(0, 15)}...)`;
+  const reconciliation = { flagged: false, reason: null, source, checkedAt: new Date() };
+
+  const updated = placeholder
+    ? await Wallet.findOneAndUpdate(
+        { driverId, transactions: { $elemMatch: { _id: placeholder._id, status: 'pending' } } },
+        {
+          $inc: { pendingAmount: -amount },
+          $set: {
+            'transactions.$.status': 'completed',
+            'transactions.$.razorpayPaymentId': paymentId,
+            'transactions.$.paymentMethod': method,
+            'transactions.$.description': description,
+            'transactions.$.reconciliation': reconciliation,
+          },
+        },
+        { new: true }
+      )
+    : await Wallet.findOneAndUpdate(
+        { driverId, 'transactions.razorpayPaymentId': { $ne: paymentId } },
+        {
+          $inc: { pendingAmount: -amount },
+          $push: {
+            transactions: {
+              type: 'debit',
+              amount: Number(amount.toFixed(2)),
+              description,
+              razorpayPaymentId: paymentId,
+              razorpayOrderId: orderId,
+              status: 'completed',
+              paymentMethod: method,
+              reconciliation,
+              createdAt: new Date(),
+            },
+          },
+        },
+        { new: true }
+      );
+
+  // Another path settled it between our read and write
+  if (!updated) return { status: 'already_settled' };
+
+  await postCommissionPaymentEntry(driverId, amount, paymentId);
+
+  console.log(`💳 Commission payment ${paymentId} settled via ${source}: ₹${amount} (driver ${driverId})`);
+  if (source !== 'verify_api') notifyDriver(driverId, updated, paymentId); // verify API replies itself
+  return { status: 'settled', wallet: updated };
+};
+
+/**
+ * Mark an order's pending debit as failed.
+ * @returns {Promise<boolean>} false if nothing was pending for that order
+ */
+export const failCommissionOrder = async ({ driverId, orderId, reason, source }) => {
+  const result = await Wallet.updateOne(
+    { driverId, transactions: { $elemMatch: { razorpayOrderId: orderId, status: 'pending' } } },
+    {
+      $set: {
+        'transactions.$.status': 'failed',
+        'transactions.$.description': `Payment failed: ${reason}`,
+        'transactions.$.reconciliation': { flagged: false, reason, source, checkedAt: new Date() },
+      },
+    }
+  );
+  return result.modifiedCount > 0;
+};
@@ -0,0 +1,139 @@
+// src/utils/coupons.js
+import Trip from '../models/Trip.js';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+
+/**
+ * Coupon engine.
+ * evaluateCoupon() checks a code against the quoted fare and trip scope,
+ * redeemCoupon() claims one use for a trip, releaseCoupon() gives it back
+ * when the trip is cancelled or times out.
+ */
+
+export const normalizeCouponCode = (code) =>
+  typeof code === 'string' && code.trim() ? code.trim().toUpperCase() : null;
+
+const fail = (errorCode, message) => ({ valid: false, errorCode, message });
+
+/**
+ * Discount a coupon gives on a fare (never more than the fare itself).
+ */
+export const computeCouponDiscount = (coupon, fare) => {
+  let discount = coupon.discountType === 'percent'
+    ? (fare * coupon.discountValue) / 100
+    : coupon.discountValue;
+
+  if (coupon.maxDiscount != null) discount = Math.min(discount, coupon.maxDiscount);
+  return Math.round(Math.min(discount, fare));
+};
+
+/**
+ * Check a code for this customer and trip.
+ * @returns {Promise<{ valid: boolean, errorCode?: string, message?: string, coupon?: Object, discount?: number }>}
+ */
+export const evaluateCoupon = async ({ code, customerId, fare, city = null, vehicleType = null }) => {
+  const couponCode = normalizeCouponCode(code);
+  if (!couponCode) return fail('COUPON_NOT_FOUND', 'Coupon code is required');
+
+  const coupon = await Coupon.findOne({ code: couponCode }).lean();
+  if (!coupon) return fail('COUPON_NOT_FOUND', 'Invalid coupon code');
+  if (!coupon.isActive) return fail('COUPON_INACTIVE', 'This coupon is no longer active');
+
+  const now = new Date();
+  if (coupon.validFrom && coupon.validFrom > now) {
+    return fail('COUPON_NOT_STARTED', 'This coupon is not valid yet');
+  }
+  if (coupon.validUntil && coupon.validUntil < now) {
+    return fail('COUPON_EXPIRED', 'This coupon has expired');
+  }
+
+  if (coupon.cities.length && !coupon.cities.includes(String(city || '').toLowerCase())) {
+    return fail('COUPON_CITY_NOT_ELIGIBLE', 'This coupon is not valid in your city');
+  }
+  if (coupon.vehicleTypes.length && !coupon.vehicleTypes.includes(vehicleType)) {
+    return fail('COUPON_VEHICLE_NOT_ELIGIBLE', `This coupon is not valid for ${vehicleType}`);
+  }
+  if (fare < coupon.minFare) {
+    return fail('COUPON_MIN_FARE', `Minimum fare for this coupon is ₹${coupon.minFare}`);
+  }
+
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    return fail('COUPON_USAGE_LIMIT', 'This coupon has been fully redeemed');
+  }
+
+  const userUses = await CouponRedemption.countDocuments({
+    couponId: coupon._id,
+    customerId,
+    status: 'applied',
+  });
+  if (userUses >= coupon.perUserLimit) {
+    return fail('COUPON_USER_LIMIT', 'You have already used this coupon');
+  }
+
+  if (coupon.firstRideOnly && (await Trip.exists({ customerId, status: 'completed' }))) {
+    return fail('COUPON_FIRST_RIDE_ONLY', 'This coupon is only valid on your first ride');
+  }
+
+  return { valid: true, coupon, discount: computeCouponDiscount(coupon, fare) };
+};
+
+/**
+ * Claim one use of an evaluated coupon for a trip.
+ * The global limit is enforced atomically; the per-user limit is re-checked
+ * after the insert so two parallel requests can't both get through.
+ */
+export const redeemCoupon = async ({ coupon, customerId, tripId, fare, discount }) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) return fail('COUPON_USAGE_LIMIT', 'This coupon has been fully redeemed');
+
+  const redemption = await CouponRedemption.create({
+    couponId: coupon._id,
+    code: coupon.code,
+    customerId,
+    tripId,
+    originalFare: fare,
+    discountAmount: discount,
+  });
+
+  const userUses = await CouponRedemption.countDocuments({
+    couponId: coupon._id,
+    customerId,
+    status: 'applied',
+  });
+  if (userUses > coupon.perUserLimit) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+    return fail('COUPON_USER_LIMIT', 'You have already used this coupon');
+  }
+
+  console.log(`🎟️ Coupon ${coupon.code} redeemed on trip ${tripId}: -₹${discount}`);
+  return { valid: true, redemption };
+};
+
+/**
+ * Give back the coupon used on a trip (cancelled / timed out / creation failed).
+ * @returns {Promise<Object|null>} the released redemption, or null if none
+ */
+export const releaseCoupon = async (tripId, reason = 'cancelled') => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { tripId, status: 'applied' },
+    { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } },
+    { new: true }
+  ).lean();
+  if (!redemption) return null;
+
+  await Coupon.updateOne(
+    { _id: redemption.couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  console.log(`🎟️ Coupon ${redemption.code} released from trip ${tripId} (${reason})`);
+  return redemption;
+};
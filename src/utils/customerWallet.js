@@ -0,0 +1,451 @@
+// src/utils/customerWallet.js
+import Trip from '../models/Trip.js';
+import CustomerWallet from '../models/CustomerWallet.js';
+import CustomerWalletTransaction from '../models/CustomerWalletTransaction.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { CUSTOMER_WALLET, RECONCILIATION } from '../config/paymentConfig.js';
+import { getRazorpay } from './razorpayClient.js';
+import { bookPrepaidTripFare, tripPayableAmount, reverseDriverCredit } from './tripPayments.js';
+import { recordTripPayment } from './tripTimeline.js';
+
+/**
+ * Rider prepaid wallet.
+ * Razorpay top-ups credit it, `Wallet`-paid trips are debited at
+ * completion, and cancelled / disputed trips are refunded into it. Every
+ * movement is a CustomerWalletTransaction with a unique `reference` and the
+ * balance after it, so the statement reads like a bank passbook.
+ */
+
+const toPaisa = (rupees) => Math.round(rupees * 100);
+const toRupees = (paisa) => paisa / 100;
+const round2 = (n) => Number(Number(n).toFixed(2));
+
+const COUNTERS = {
+  topup: 'totalTopups',
+  ride_payment: 'totalSpent',
+  cancellation_fee: 'totalSpent',
+  refund: 'totalRefunded',
+};
+
+const notifyBalance = (customerId, transaction, message) => {
+  if (!io) return;
+  io.to(userRoom(customerId)).emit('customer_wallet:updated', {
+    balance: transaction.balanceAfter,
+    transaction: {
+      id: transaction._id,
+      type: transaction.type,
+      category: transaction.category,
+      amount: transaction.amount,
+      tripId: transaction.tripId,
+    },
+    message,
+  });
+};
+
+export const getCustomerWallet = (customerId) =>
+  CustomerWallet.findOneAndUpdate(
+    { customerId },
+    { $setOnInsert: { customerId } },
+    { upsert: true, new: true }
+  ).lean();
+
+/**
+ * Can the rider pay `amount` from the wallet right now?
+ */
+export const checkWalletBalance = async (customerId, amount) => {
+  const wallet = await CustomerWallet.findOne({ customerId }).select('balance').lean();
+  const balance = round2(wallet?.balance || 0);
+  const required = round2(amount);
+  return {
+    sufficient: balance >= required,
+    balance,
+    required,
+    shortfall: Math.max(0, round2(required - balance)),
+  };
+};
+
+/**
+ * Move the balance once per `reference`.
+ * The transaction is written first (pending) so a retry with the same
+ * reference finds it instead of moving money twice. A reference whose last
+ * attempt failed (e.g. insufficient balance) is reclaimed and tried again.
+ * @returns {Promise<{ status: 'completed'|'duplicate'|'insufficient_balance', transaction: Object }>}
+ */
+const applyMovement = async ({ customerId, type, category, amount, reference, ...fields }) => {
+  const value = round2(amount);
+  let transaction;
+  try {
+    transaction = await CustomerWalletTransaction.create({
+      customerId,
+      type,
+      category,
+      amount: value,
+      reference,
+      status: 'pending',
+      ...fields,
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    // Same reclaim as settleWalletTopup: failed → pending, then retry
+    const reclaimed = await CustomerWalletTransaction.findOneAndUpdate(
+      { reference, status: 'failed' },
+      { $set: { amount: value, status: 'pending', failureReason: null, ...fields } },
+      { new: true }
+    ).lean();
+    if (!reclaimed) {
+      return { status: 'duplicate', transaction: await CustomerWalletTransaction.findOne({ reference }).lean() };
+    }
+    transaction = reclaimed;
+  }
+
+  return completeMovement(transaction);
+};
+
+// Apply a pending transaction to the balance
+const completeMovement = async (transaction) => {
+  const { customerId, type, category, amount } = transaction;
+  const isCredit = type === 'credit';
+
+  const $inc = { balance: isCredit ? amount : -amount };
+  if (COUNTERS[category]) $inc[COUNTERS[category]] = amount;
+
+  const wallet = await CustomerWallet.findOneAndUpdate(
+    isCredit ? { customerId } : { customerId, balance: { $gte: amount } },
+    { $inc },
+    { new: true, upsert: isCredit }
+  ).lean();
+
+  if (!wallet) {
+    const failed = await CustomerWalletTransaction.findByIdAndUpdate(
+      transaction._id,
+      { $set: { status: 'failed', failureReason: 'insufficient_balance' } },
+      { new: true }
+    ).lean();
+    return { status: 'insufficient_balance', transaction: failed };
+  }
+
+  const completed = await CustomerWalletTransaction.findByIdAndUpdate(
+    transaction._id,
+    { $set: { status: 'completed', balanceAfter: round2(wallet.balance), completedAt: new Date() } },
+    { new: true }
+  ).lean();
+  return { status: 'completed', transaction: completed };
+};
+
+// ─────────────────────────── Top-ups ───────────────────────────
+
+/**
+ * Razorpay order for a top-up; books a pending credit for it.
+ * @returns {Promise<{ orderId: string, amount: number, currency: string, keyId: string }>}
+ */
+export const createTopupOrder = async (customerId, amount) => {
+  const razorpay = getRazorpay();
+  if (!razorpay) throw new Error('Payment service temporarily unavailable');
+
+  const order = await razorpay.orders.create({
+    amount: toPaisa(amount),
+    currency: 'INR',
+    receipt: `topup_${String(customerId).slice(-10)}_${Date.now().toString().slice(-8)}`,
+    notes: { customerId: String(customerId), purpose: 'wallet_topup' },
+    payment_capture: 1,
+  });
+
+  await CustomerWalletTransaction.create({
+    customerId,
+    type: 'credit',
+    category: 'topup',
+    amount: round2(amount),
+    reference: `topup:${order.id}`,
+    status: 'pending',
+    description: 'Wallet top-up',
+    razorpayOrderId: order.id,
+  });
+
+  console.log(`🧾 Wallet top-up order ${order.id}: ₹${amount} for customer ${customerId}`);
+  return { orderId: order.id, amount: round2(amount), currency: 'INR', keyId: process.env.RAZORPAY_KEY_ID };
+};
+
+/**
+ * Credit a captured top-up payment. Shared by the verify API, the webhook
+ * and the reconciliation job.
+ * @param {Object} params
+ * @param {Object} params.payment - Razorpay payment entity (amount in paise)
+ * @param {string} params.source - verify_api | webhook | reconciliation
+ * @returns {Promise<{ status: 'settled'|'already_settled'|'mismatch', reason?: string, transaction?: Object }>}
+ */
+export const settleWalletTopup = async ({ payment, source }) => {
+  const pending = await CustomerWalletTransaction.findOne({
+    razorpayOrderId: payment.order_id,
+    category: 'topup',
+  }).lean();
+  if (!pending) return { status: 'mismatch', reason: 'order_not_found' };
+
+  if (pending.razorpayPaymentId === payment.id) return { status: 'already_settled', transaction: pending };
+  if (pending.razorpayPaymentId || pending.status === 'completed') {
+    const reason = `second_payment: ${payment.id} after ${pending.razorpayPaymentId}`;
+    await CustomerWalletTransaction.updateOne({ _id: pending._id }, { $set: { flagReason: reason } });
+    console.warn(`🚩 Top-up ${payment.order_id} flagged: ${reason}`);
+    return { status: 'mismatch', reason };
+  }
+
+  const amount = toRupees(payment.amount);
+  if (Math.abs(amount - pending.amount) > RECONCILIATION.AMOUNT_TOLERANCE) {
+    const reason = `amount_mismatch: order ₹${pending.amount}, captured ₹${amount}`;
+    await CustomerWalletTransaction.updateOne({ _id: pending._id }, { $set: { flagReason: reason } });
+    console.warn(`🚩 Top-up ${payment.order_id} flagged: ${reason}`);
+    return { status: 'mismatch', reason };
+  }
+
+  // Claim the top-up for this payment (a failed attempt before a retry is fine)
+  const claimed = await CustomerWalletTransaction.findOneAndUpdate(
+    { _id: pending._id, razorpayPaymentId: null, status: { $in: ['pending', 'failed'] } },
+    {
+      $set: {
+        razorpayPaymentId: payment.id,
+        status: 'pending',
+        failureReason: null,
+        description: `Wallet top-up via ${payment.method?.toUpperCase() || 'Razorpay'}`,
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!claimed) return { status: 'already_settled' };
+
+  const { transaction } = await completeMovement(claimed);
+  console.log(`💰 Wallet top-up ${payment.id} settled via ${source}: ₹${amount} → balance ₹${transaction.balanceAfter}`);
+  notifyBalance(claimed.customerId, transaction, `₹${amount.toFixed(2)} added to your wallet`);
+  return { status: 'settled', transaction };
+};
+
+/**
+ * A top-up payment attempt failed; the order stays usable for a retry.
+ * @returns {Promise<boolean>}
+ */
+export const failWalletTopup = async ({ payment, source }) => {
+  const reason = payment.error_description || 'unknown error';
+  const result = await CustomerWalletTransaction.updateOne(
+    { razorpayOrderId: payment.order_id, category: 'topup', status: 'pending', razorpayPaymentId: null },
+    { $set: { status: 'failed', failureReason: `${reason} (${source})` } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  if (io && payment.notes?.customerId) {
+    io.to(userRoom(payment.notes.customerId)).emit('customer_wallet:topup_failed', {
+      orderId: payment.order_id,
+      error: reason,
+      message: 'Top-up failed. Please try again.',
+    });
+  }
+  return true;
+};
+
+// ─────────────────────────── Trips ───────────────────────────
+
+/**
+ * Pay a completed `Wallet` trip from the rider's balance.
+ * @returns {Promise<{ charged: boolean, reason?: string, balance?: number, fareBreakdown?: Object, coinReward?: Object }>}
+ */
+export const chargeTripFromWallet = async (trip) => {
+  const amount = tripPayableAmount(trip);
+  const customerId = trip.customerId?._id || trip.customerId;
+
+  const debit = await applyMovement({
+    customerId,
+    type: 'debit',
+    category: 'ride_payment',
+    amount,
+    reference: `ride:${trip._id}`,
+    tripId: trip._id,
+    description: `Ride payment to ${trip.drop?.address?.substring(0, 30) || 'destination'}`,
+  });
+
+  if (debit.status === 'insufficient_balance') {
+    return { charged: false, reason: 'insufficient_balance' };
+  }
+  if (debit.status === 'duplicate' && debit.transaction?.status !== 'completed') {
+    return { charged: false, reason: `debit_${debit.transaction?.status || 'missing'}` };
+  }
+
+  const claimed = await Trip.findOneAndUpdate(
+    { _id: trip._id, paymentCollected: { $ne: true } },
+    { $set: { paymentCollected: true, paymentCollectedAt: new Date(), paymentMethod: 'Wallet' } },
+    { new: true }
+  ).lean();
+
+  if (!claimed) {
+    // Already paid some other way (or a retry of this same charge)
+    if (debit.status === 'completed') {
+      await refundTripToWallet({ trip, amount, reason: 'duplicate_payment', clawBack: false });
+    }
+    return { charged: false, reason: 'trip_already_paid' };
+  }
+
+  const followUps = await bookPrepaidTripFare(claimed, { channel: 'wallet' });
+  console.log(`👛 Trip ${trip._id} paid from wallet: ₹${amount} → balance ₹${debit.transaction.balanceAfter}`);
+  await recordTripPayment(trip, { method: 'wallet', status: 'charged', amount });
+  notifyBalance(customerId, debit.transaction, `₹${amount.toFixed(2)} paid from your wallet`);
+
+  return { charged: true, balance: debit.transaction.balanceAfter, ...followUps };
+};
+
+/**
+ * Ride-completion hook for `Wallet` trips: charge the wallet, or switch the
+ * trip to Cash when the balance no longer covers the fare. Never throws.
+ * @returns {Promise<{ charged: boolean, reason?: string, balance?: number, fallback?: string }>}
+ */
+export const collectWalletFare = async (trip) => {
+  let result;
+  try {
+    result = await chargeTripFromWallet(trip);
+  } catch (err) {
+    console.error(`❌ Wallet charge failed for trip ${trip._id}:`, err.message);
+    result = { charged: false, reason: 'charge_error' };
+  }
+  if (result.charged || result.reason === 'trip_already_paid') return result;
+
+  await Trip.updateOne(
+    { _id: trip._id, paymentCollected: { $ne: true } },
+    { $set: { paymentMethod: 'Cash' } }
+  );
+  console.log(`⚠️ Trip ${trip._id}: wallet not charged (${result.reason}), falling back to cash`);
+  await recordTripPayment(trip, { method: 'wallet', status: 'failed', reason: result.reason, fallback: 'cash' });
+  return { ...result, fallback: 'Cash' };
+};
+
+/**
+ * Credit (part of) a trip's fare back to the rider's wallet — a cancelled
+ * trip, a dispute, or a charge that should not have happened.
+ * @param {Object} params
+ * @param {Object} params.trip
+ * @param {number} [params.amount] - ₹, defaults to everything not yet refunded
+ * @param {string} params.reason - cancelled | disputed | duplicate_payment | ...
+ * @param {boolean} [params.clawBack=true] - take the refund back from the
+ *   driver's earning (false for money that never reached the driver)
+ * @returns {Promise<Object>} the refund transaction
+ */
+export const refundTripToWallet = async ({ trip, amount, reason, createdBy = null, clawBack = true }) => {
+  const customerId = trip.customerId?._id || trip.customerId;
+  const movements = await CustomerWalletTransaction.find({
+    tripId: trip._id,
+    category: { $in: ['ride_payment', 'refund'] },
+    status: 'completed',
+  })
+    .select('category amount')
+    .lean();
+
+  const sum = (category) => round2(movements.filter((t) => t.category === category).reduce((s, t) => s + t.amount, 0));
+  const previous = movements.filter((t) => t.category === 'refund');
+
+  // Never more than the rider actually paid for the trip (wallet or otherwise)
+  const paid = Math.max(sum('ride_payment'), trip.paymentCollected ? tripPayableAmount(trip) : 0);
+  const refundable = round2(paid - sum('refund'));
+  const value = round2(amount ?? refundable);
+
+  if (!(value > 0) || value - refundable > RECONCILIATION.AMOUNT_TOLERANCE) {
+    throw new Error(`Refund amount must be between ₹0 and ₹${refundable}`);
+  }
+
+  // Two refunds racing for the same slot collide on the reference
+  const { status, transaction } = await applyMovement({
+    customerId,
+    type: 'credit',
+    category: 'refund',
+    amount: value,
+    reference: `refund:${trip._id}:${previous.length + 1}`,
+    tripId: trip._id,
+    description: `Refund (${reason}) for trip ${String(trip._id).slice(-6)}`,
+    createdBy,
+  });
+  if (status === 'duplicate') throw new Error('Another refund for this trip was just made, please retry');
+
+  console.log(`↩️ Wallet refund ₹${value} for trip ${trip._id} (${reason})`);
+  if (clawBack) {
+    await reverseDriverCredit(trip, {
+      amount: value,
+      channel: 'wallet',
+      refundReference: String(transaction._id),
+      reason,
+    });
+  }
+  await recordTripPayment(trip, { method: 'wallet', status: 'refunded', amount: value, reason });
+  notifyBalance(customerId, transaction, `₹${value.toFixed(2)} refunded to your wallet`);
+  return transaction;
+};
+
+/**
+ * Take a no-show / cancellation fee from the rider's wallet.
+ * @returns {Promise<{ charged: boolean, reason?: string, balance?: number }>}
+ */
+export const chargeFeeFromWallet = async ({ trip, amount, reason }) => {
+  const customerId = trip.customerId?._id || trip.customerId;
+  const { status, transaction } = await applyMovement({
+    customerId,
+    type: 'debit',
+    category: 'cancellation_fee',
+    amount,
+    reference: `fee:${trip._id}`,
+    tripId: trip._id,
+    description: `${reason === 'customer_no_show' ? 'No-show' : 'Cancellation'} fee for trip ${String(trip._id).slice(-6)}`,
+  });
+
+  if (status === 'insufficient_balance') return { charged: false, reason: 'insufficient_balance' };
+  if (status === 'duplicate') {
+    return transaction?.status === 'completed'
+      ? { charged: true, balance: transaction.balanceAfter }
+      : { charged: false, reason: `debit_${transaction?.status || 'missing'}` };
+  }
+
+  console.log(`👛 Fee ₹${round2(amount)} for trip ${trip._id} taken from wallet (${reason})`);
+  notifyBalance(customerId, transaction, `₹${round2(amount).toFixed(2)} ${reason === 'customer_no_show' ? 'no-show' : 'cancellation'} fee paid from your wallet`);
+  return { charged: true, balance: transaction.balanceAfter };
+};
+
+// ─────────────────────────── Statement ───────────────────────────
+
+/**
+ * Completed movements with running balances, newest first.
+ */
+export const getWalletStatement = async (customerId, { from, to, page = 1, limit = 20 } = {}) => {
+  const query = { customerId, status: 'completed' };
+  if (from || to) {
+    query.completedAt = {};
+    if (from) query.completedAt.$gte = from;
+    if (to) query.completedAt.$lte = to;
+  }
+
+  const [wallet, transactions, total] = await Promise.all([
+    getCustomerWallet(customerId),
+    CustomerWalletTransaction.find(query)
+      .sort({ completedAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CustomerWalletTransaction.countDocuments(query),
+  ]);
+
+  const oldest = transactions[transactions.length - 1];
+  return {
+    balance: round2(wallet.balance),
+    page,
+    total,
+    openingBalance: oldest
+      ? round2(oldest.balanceAfter + (oldest.type === 'credit' ? -oldest.amount : oldest.amount))
+      : null,
+    closingBalance: transactions[0]?.balanceAfter ?? null,
+    transactions: transactions.map((t) => ({
+      id: t._id,
+      type: t.type,
+      category: t.category,
+      amount: t.amount,
+      balanceAfter: t.balanceAfter,
+      description: t.description,
+      tripId: t.tripId,
+      razorpayPaymentId: t.razorpayPaymentId,
+      createdAt: t.createdAt,
+      completedAt: t.completedAt,
+    })),
+    limits: CUSTOMER_WALLET,
+  };
+};
@@ -1,4 +1,5 @@
 import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
 import { sendToCustomer } from './fcmSender.js';
 
 /**
@@ -17,9 +18,9 @@ const emitTripError = ({ socket, customer, tripId, message }) => {
     console.log(`❗ trip:error emitted to socket (${socket.id})`, payload);
   }
 
-  if (customer?.socketId) {
-    io.to(customer.socketId).emit('trip:error', payload);
-    console.log(`❗ trip:error emitted to customer socket (${customer.socketId})`, payload);
+  if (customer?._id) {
+    io.to(userRoom(customer._id)).emit('trip:error', payload);
+    console.log(`❗ trip:error emitted to customer room (${customer._id})`, payload);
   }
 
   if (customer?.fcmToken) {
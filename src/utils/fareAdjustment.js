@@ -0,0 +1,224 @@
+// src/utils/fareAdjustment.js
+import Trip from '../models/Trip.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { FARE_ADJUSTMENT } from '../config/tripConfig.js';
+import { recordTripEvent } from './tripTimeline.js';
+import { prepareTripPayment } from './tripPayments.js';
+import { straightLineKm } from './tripStops.js';
+
+/**
+ * Final fare at ride completion.
+ * The quoted fare stands while the recorded ride — GPS trail km
+ * (utils/tripTrail.js) and start → end minutes — stays within
+ * ±TOLERANCE_PERCENT of the booking estimate. Distance or time outside the
+ * band is charged (or credited) in full at the rate's perKm / perMin and the
+ * multipliers the quote was priced with. Discounts already taken off `fare`
+ * are kept. Long trips are fixed-price and never repriced. Pickup waiting
+ * and the rider's earlier unpaid fees are added on top.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const adjustmentError = (statusCode, errorCode, message) =>
+  Object.assign(new Error(message), { statusCode, errorCode });
+
+// Same multipliers calcFare applied to the quote
+const quoteMultiplier = (trip) => {
+  const breakdown = trip.fareBreakdown || {};
+  const rate = trip.pricing?.rate || {};
+  let multiplier = Number(breakdown.surgeMultiplier) || 1;
+  if (breakdown.peakHour) multiplier *= rate.peakMultiplier || 1.10;
+  if (breakdown.nightHour) multiplier *= rate.nightMultiplier || 1.33;
+  return multiplier;
+};
+
+// Trail km, unless GPS gaps make it shorter than the straight line (through every stop)
+const actualDistance = (trip, estimatedKm) => {
+  const trail = trip.trail || {};
+  const trailKm = (trail.distanceM || 0) / 1000;
+  const straightKm = straightLineKm(trip);
+
+  const trusted = (trail.points || 0) >= FARE_ADJUSTMENT.MIN_TRAIL_POINTS &&
+    trailKm > 0 &&
+    trailKm >= straightKm * FARE_ADJUSTMENT.MIN_TRAIL_COVERAGE;
+
+  return trusted
+    ? { distanceKm: round2(trailKm), distanceSource: 'trail' }
+    : { distanceKm: estimatedKm, distanceSource: 'estimate' };
+};
+
+const outsideBand = (actual, estimated) =>
+  estimated > 0 && (Math.abs(actual - estimated) / estimated) * 100 > FARE_ADJUSTMENT.TOLERANCE_PERCENT;
+
+const repriceRide = (trip, at) => {
+  const quoted = Number(trip.fare) || 0;
+  const estimatedKm = Number(trip.distance ?? trip.pricing?.inputs?.distanceKm) || 0;
+  const estimatedMin = Number(trip.duration ?? trip.pricing?.inputs?.durationMin) || 0;
+
+  const base = {
+    estimated: { distanceKm: estimatedKm, durationMin: round2(estimatedMin), fare: quoted },
+    tolerancePercent: FARE_ADJUSTMENT.TOLERANCE_PERCENT,
+    computedFare: quoted,
+    computedAt: at,
+  };
+  const skipped = (reason) => ({ finalFare: quoted, fareAdjustment: { ...base, status: 'skipped', reason } });
+
+  if (trip.type === 'long') return skipped('long_trip_fixed_price');
+  if (!quoted) return skipped('no_fare');
+  if (!estimatedKm) return skipped('no_estimate');
+
+  const perKm = trip.fareBreakdown?.perKm ?? trip.pricing?.rate?.perKm;
+  const perMin = trip.fareBreakdown?.perMin ?? trip.pricing?.rate?.perMin ?? 0;
+  if (perKm == null) return skipped('no_rate');
+
+  const startedAt = trip.rideStartTime || trip.startTime;
+  const durationMin = startedAt ? round2((at - new Date(startedAt)) / 60000) : estimatedMin;
+  const actual = { ...actualDistance(trip, estimatedKm), durationMin };
+  const multiplier = round2(quoteMultiplier(trip));
+
+  const distanceCharge = outsideBand(actual.distanceKm, estimatedKm)
+    ? round2((actual.distanceKm - estimatedKm) * perKm * multiplier)
+    : 0;
+  const timeCharge = outsideBand(durationMin, estimatedMin)
+    ? round2((durationMin - estimatedMin) * perMin * multiplier)
+    : 0;
+
+  // Never above the cap; never below the minimum fare unless the quote already was
+  const cap = quoted * (1 + FARE_ADJUSTMENT.MAX_INCREASE_PERCENT / 100);
+  const floor = Math.min(quoted, Number(trip.pricing?.rate?.minFare) || 0);
+  const computedFare = Math.round(Math.min(cap, Math.max(floor, quoted + distanceCharge + timeCharge)));
+
+  return {
+    finalFare: computedFare,
+    fareAdjustment: {
+      ...base,
+      status: computedFare === quoted ? 'unchanged' : 'repriced',
+      actual,
+      perKm,
+      perMin,
+      multiplier,
+      distanceCharge,
+      timeCharge,
+      computedFare,
+    },
+  };
+};
+
+/**
+ * Final fare of a trip that is being completed: the repriced ride plus the
+ * pickup waiting charge (utils/pickupWait.js). Pure — the caller writes the
+ * result with the `completed` transition.
+ * @param {Object} trip - trip in ride_started / in_progress
+ * @param {Object} [options]
+ * @param {Date} [options.at] - completion time
+ * @returns {{ finalFare: number, fareAdjustment: Object }}
+ */
+export const computeFareAdjustment = (trip, { at = new Date() } = {}) => {
+  const { finalFare, fareAdjustment } = repriceRide(trip, at);
+  const waitingCharge = Number(trip.pickupWait?.charge) || 0;
+  return {
+    finalFare: round2(finalFare + waitingCharge),
+    fareAdjustment: { ...fareAdjustment, waitingCharge },
+  };
+};
+
+/**
+ * trip:fare_adjusted to the customer and driver, before anything is charged.
+ * Only sent when the final fare differs from the quote.
+ */
+export const notifyFareAdjusted = async (trip, extra = {}) => {
+  const adjustment = trip.fareAdjustment;
+  if (!adjustment) return;
+  const estimatedFare = adjustment.estimated?.fare ?? trip.fare;
+  if (adjustment.status !== 'overridden' && trip.finalFare === estimatedFare) return;
+
+  const payload = {
+    tripId: String(trip._id),
+    estimatedFare,
+    finalFare: trip.finalFare,
+    difference: round2((trip.finalFare || 0) - (estimatedFare || 0)),
+    status: adjustment.status,
+    estimated: adjustment.estimated,
+    actual: adjustment.actual,
+    distanceCharge: adjustment.distanceCharge,
+    timeCharge: adjustment.timeCharge,
+    waitingCharge: adjustment.waitingCharge || 0,
+    carriedFees: trip.carriedFees?.amount || 0,
+    override: adjustment.override ? { reason: adjustment.override.reason, at: adjustment.override.at } : null,
+    ...extra,
+  };
+
+  await recordTripEvent(trip._id, 'fare_adjusted', {
+    actor: adjustment.status === 'overridden' ? 'admin' : 'system',
+    actorId: adjustment.override?.by || null,
+    payload: {
+      status: adjustment.status,
+      estimatedFare: payload.estimatedFare,
+      finalFare: payload.finalFare,
+      distanceCharge: payload.distanceCharge,
+      timeCharge: payload.timeCharge,
+      waitingCharge: payload.waitingCharge,
+      carriedFees: payload.carriedFees,
+      reason: adjustment.override?.reason,
+    },
+  });
+
+  if (!io) return;
+  const rooms = [trip.customerId?._id || trip.customerId, trip.assignedDriver?._id || trip.assignedDriver]
+    .filter(Boolean)
+    .map(String);
+  for (const id of rooms) io.to(userRoom(id)).emit('trip:fare_adjusted', payload);
+  console.log(`💱 Trip ${trip._id} fare ${adjustment.status}: ₹${payload.estimatedFare} → ₹${payload.finalFare}`);
+};
+
+/**
+ * Admin sets the final fare of a completed, unpaid trip. An open online
+ * payment order is replaced with one for the new amount.
+ * @param {Object} params
+ * @param {string} params.tripId
+ * @param {number} params.fare
+ * @param {string} params.reason
+ * @param {string} params.adminEmail
+ * @returns {Promise<{ trip: Object, payment: Object|null }>}
+ * @throws {Error} with statusCode / errorCode: TRIP_NOT_FOUND, TRIP_NOT_COMPLETED,
+ *   ALREADY_PAID (money has moved — use a refund), TRIP_STATE_CHANGED
+ */
+export const overrideTripFare = async ({ tripId, fare, reason, adminEmail }) => {
+  const trip = await Trip.findById(tripId).lean();
+  if (!trip) throw adjustmentError(404, 'TRIP_NOT_FOUND', 'Trip not found');
+  if (trip.status !== 'completed') {
+    throw adjustmentError(409, 'TRIP_NOT_COMPLETED', 'Only a completed trip can have its fare overridden');
+  }
+  if (trip.paymentCollected) {
+    throw adjustmentError(409, 'ALREADY_PAID', 'Payment already collected for this trip; issue a refund instead');
+  }
+
+  const previousFare = Number(trip.finalFare ?? trip.fare) || 0;
+  const now = new Date();
+  const fareAdjustment = {
+    // Trips completed before repricing have no computed adjustment
+    ...(trip.fareAdjustment || {
+      estimated: { fare: trip.fare },
+      computedFare: previousFare,
+      computedAt: trip.completedAt || null,
+    }),
+    status: 'overridden',
+    override: { fare, previousFare, reason, by: adminEmail || null, at: now },
+  };
+
+  const updated = await Trip.findOneAndUpdate(
+    { _id: tripId, status: 'completed', paymentCollected: { $ne: true }, finalFare: trip.finalFare },
+    { $set: { finalFare: fare, fareAdjustment } },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    throw adjustmentError(409, 'TRIP_STATE_CHANGED', 'Trip changed while updating, please retry');
+  }
+
+  console.log(`🛠️ Trip ${tripId} fare overridden by ${adminEmail}: ₹${previousFare} → ₹${fare} (${reason})`);
+
+  const payment = await prepareTripPayment(updated);
+  await notifyFareAdjusted(updated, { payment });
+  return { trip: updated, payment };
+};
@@ -2,7 +2,41 @@
  * Go India Fare Calculation (Smart Competitive + DB-Aware + Time-Based + Night Surge v6)
  * Fully synced with MongoDB rate schema.
  * Automatically falls back to internal config if DB data missing.
+ *
+ * Deterministic: the same rate + inputs (including startTime) always give the
+ * same fare. Every result carries `pricing` (rule version + inputs) so a fare
+ * can be replayed later.
  */
+import { DEFAULT_DISCOUNT_POLICY, PRICING_ENGINE_VERSION } from "../config/pricingConfig.js";
+import { TRIP_STOPS } from "../config/tripConfig.js";
+
+const roundOff = (num) => Math.round(num / 5) * 5;
+
+// ✅ Rate-level discount policy merged over the default one
+export function resolveDiscountPolicy(rate) {
+  const custom = rate?.discountPolicy?.toObject?.() || rate?.discountPolicy || {};
+  const overrides = Object.fromEntries(
+    Object.entries(custom).filter(([, v]) => v !== undefined && v !== null)
+  );
+  if (Object.keys(overrides).length === 0) return { ...DEFAULT_DISCOUNT_POLICY };
+  return {
+    ...DEFAULT_DISCOUNT_POLICY,
+    ...overrides,
+    version: overrides.version || `${DEFAULT_DISCOUNT_POLICY.version}+rate`,
+  };
+}
+
+// ✅ Rate-level manualSurge acts as a floor under the zone surge
+function resolveSurge(rate, surge) {
+  return Math.max(Number(rate.manualSurge) || 1, Number(surge) || 1);
+}
+
+// ✅ Pricing-relevant copy of the rate, stored with the quote for replay
+function snapshotRate(rate) {
+  const plain = rate?.toObject?.() || { ...rate };
+  const { _id, __v, createdAt, updatedAt, ...fields } = plain;
+  return { rateId: _id ? _id.toString() : null, ...fields };
+}
 
 export function calcFare({
   rate,
@@ -12,6 +46,7 @@ export function calcFare({
   returnTrip = true,
   surge = 1,
   weight = 0,
+  stops = 0,
   competitorFare = null,
   startTime = null,
   dropTime = null,
@@ -19,10 +54,28 @@ export function calcFare({
   if (!rate) throw new Error("Rate document missing.");
 
   const category = rate.category;
+  const policy = resolveDiscountPolicy(rate);
+  const pricing = {
+    engineVersion: PRICING_ENGINE_VERSION,
+    ruleVersion: policy.version,
+    rate: snapshotRate(rate),
+    inputs: {
+      distanceKm, durationMin, tripDays, returnTrip, surge, weight, stops,
+      competitorFare,
+      startTime: startTime || new Date().toISOString(), // pins peak/night for replay
+      dropTime,
+    },
+  };
+
+  if (category === "long") {
+    return { ...calcLongFare({ rate, distanceKm, durationMin, tripDays, returnTrip, surge }), pricing };
+  }
+  if (category === "parcel") {
+    return { ...calcParcelFare({ rate, distanceKm, durationMin, weight, surge }), pricing };
+  }
   if (category !== "short") throw new Error(`Unsupported category: ${category}`);
 
   const vehicle = rate.vehicleType?.toLowerCase?.() || "bike";
-  const roundOff = (num) => Math.round(num / 5) * 5;
 
   // ✅ Internal fallback config
   const internal = {
@@ -50,17 +103,21 @@ const platformFee =
   distanceKm <= 10 ? 10 :     // 5–10 km → ₹10
   15;                         // >10 km  → ₹15
 
+  // --- Intermediate stops (distance/duration already cover every leg) ---
+  const perStopFee = rate.perStopFee ?? TRIP_STOPS.PER_STOP_FEE;
+  const stopFee = stops * perStopFee;
+
   // --- Base Fare Calculation ---
   const chargeableDistance = Math.max(0, distanceKm - baseDistance);
   let baseFareTotal =
-    baseFare + chargeableDistance * perKm + platformFee + durationMin * perMin;
+    baseFare + chargeableDistance * perKm + platformFee + durationMin * perMin + stopFee;
 
   // --- Surge Multiplier ---
-  const surgeMultiplier = rate.manualSurge ?? surge ?? 1;
+  const surgeMultiplier = resolveSurge(rate, surge);
   baseFareTotal *= surgeMultiplier;
 
   // --- Time Analysis ---
-  const hour = new Date(startTime || new Date()).getHours();
+  const hour = new Date(pricing.inputs.startTime).getHours();
   const peakHour = (hour >= 7 && hour < 10) || (hour >= 17 && hour < 21);
   const nightHour = hour >= 22 || hour < 6;
 
@@ -92,31 +149,37 @@ if (nightHour) {
 }
 
 
-// --- Discount Logic ---
+// --- Discount Logic (policy-driven, no randomness) ---
 let discountApplied = 0;
 let finalFare = baseFareTotal;
+const isShortHop = distanceKm <= policy.shortTripKm;
 
 if (competitorFare) {
-  // Make it 10–15 ₹ cheaper regardless of distance
   discountApplied = peakHour
-    ? Math.floor(Math.random() * 6) + 5   // ₹5–₹10 cheaper during peak
-    : Math.floor(Math.random() * 6) + 10; // ₹10–₹15 cheaper off-peak
+    ? policy.competitorPeakDiscount
+    : policy.competitorOffPeakDiscount;
 
-  // If short distance (<3 km), add extra ₹5 discount to match ratio
-  if (distanceKm <= 3) discountApplied += 5;
+  if (isShortHop) discountApplied += policy.shortTripExtraDiscount;
 
-  if (durationPerKm > 5) discountApplied = Math.max(discountApplied - 3, 5);
+  if (durationPerKm > 5) {
+    discountApplied = Math.max(
+      discountApplied - policy.slowTrafficReduction,
+      policy.minCompetitorDiscount
+    );
+  }
   finalFare = competitorFare - discountApplied;
 } else {
-  // No competitorFare given — simulate similar 10–15 % cheaper pricing
-  const fallbackDiscount = Math.floor(Math.random() * 6) + 10;
-  const distanceBoost = distanceKm <= 3 ? 1.05 : 1.0; // add ~5 % more discount on short trips
-  finalFare = (baseFareTotal - fallbackDiscount) * 0.85 * distanceBoost;
-  discountApplied = fallbackDiscount;
+  // No competitorFare given — flat + percentage off our own fare
+  const distanceBoost = isShortHop ? 1 + policy.shortTripBoostPercent / 100 : 1.0;
+  finalFare =
+    (baseFareTotal - policy.fallbackFlatDiscount) *
+    (1 - policy.fallbackPercent / 100) *
+    distanceBoost;
+  discountApplied = policy.fallbackFlatDiscount;
 }
 
   // --- Add Rider-Friendly Flat Adjustment ---
-  finalFare += 20;
+  finalFare += policy.riderAdjustment;
 
   // --- GST, Platform & Rounding ---
   const gstAmount = (finalFare * gstPercent) / 100;
@@ -139,6 +202,8 @@ if (competitorFare) {
       perKm,
       perMin,
       platformFee,
+      stops,
+      stopFee,
       surgeMultiplier,
       tripDuration: `${Math.round(tripDuration)} mins`,
       peakHour,
@@ -149,5 +214,149 @@ if (competitorFare) {
       platformEarning: roundOff(platformCut),
       driverEarning: roundOff(driverGets),
     },
+    pricing,
+  };
+}
+
+/**
+ * Long trip (intercity, state-wide rate).
+ * Fuel is charged per km (both legs on a return trip); the driver allowance is
+ * day1DriverFee + subsequentDayDriverFee for every extra day. One-way trips
+ * add halfDayReturnFee for the driver's empty return.
+ */
+function calcLongFare({ rate, distanceKm: km, durationMin, tripDays, returnTrip, surge }) {
+  const distanceKm = Number(km) || 0;
+  const vehicle = rate.vehicleType?.toLowerCase?.() || "car";
+
+  // ✅ Internal fallback config
+  const internal = {
+    car: { fuelPerKm: 15, day1DriverFee: 1500, subsequentDayDriverFee: 900, halfDayReturnFee: 750 },
+    premium: { fuelPerKm: 18, day1DriverFee: 1800, subsequentDayDriverFee: 1000, halfDayReturnFee: 850 },
+    xl: { fuelPerKm: 20, day1DriverFee: 2000, subsequentDayDriverFee: 1100, halfDayReturnFee: 900 },
+  };
+  const fallback = internal[vehicle] || internal.car;
+
+  const fuelPerKm = rate.fuelPerKm ?? fallback.fuelPerKm;
+  const day1DriverFee = rate.day1DriverFee ?? fallback.day1DriverFee;
+  const subsequentDayDriverFee = rate.subsequentDayDriverFee ?? fallback.subsequentDayDriverFee;
+  const halfDayReturnFee = rate.halfDayReturnFee ?? fallback.halfDayReturnFee;
+  const platformCommission = (rate.platformFeePercent ?? 10) / 100;
+  const gstPercent = rate.gstPercent ?? 0;
+
+  const days = Math.max(1, Math.ceil(Number(tripDays) || 1));
+  const isReturn = returnTrip === true || returnTrip === "true";
+
+  // --- Fuel & driver allowance ---
+  const billableKm = distanceKm * (isReturn ? 2 : 1);
+  const fuelCost = billableKm * fuelPerKm;
+  const driverAllowance = day1DriverFee + (days - 1) * subsequentDayDriverFee;
+  const returnFee = isReturn ? 0 : halfDayReturnFee;
+
+  const surgeMultiplier = resolveSurge(rate, surge);
+  const fare = (fuelCost + driverAllowance + returnFee) * surgeMultiplier;
+
+  // --- GST, Platform & Rounding ---
+  const gstAmount = (fare * gstPercent) / 100;
+  const platformCut = fare * platformCommission;
+  const total = Math.max(roundOff(fare + gstAmount), rate.minFare ?? 0);
+  const driverGets = total - platformCut;
+
+  console.log(
+    `🛣️ Long trip | ${distanceKm} km x${isReturn ? 2 : 1} | ${days} day(s) | ${vehicle} | ₹${total}`
+  );
+
+  return {
+    success: true,
+    type: "long",
+    vehicleType: vehicle,
+    total,
+    remarks: `Calculated (${days} day${days > 1 ? "s" : ""}, ${isReturn ? "return" : "one-way"}).`,
+    breakdown: {
+      baseFare: driverAllowance,
+      perKm: fuelPerKm,
+      perMin: 0,
+      platformFee: 0,
+      surgeMultiplier,
+      tripDuration: `${Math.round(durationMin)} mins`,
+      peakHour: false,
+      nightHour: false,
+      discountApplied: 0,
+      platformCommissionPercent: platformCommission * 100,
+      gstAmount: roundOff(gstAmount),
+      platformEarning: roundOff(platformCut),
+      driverEarning: roundOff(driverGets),
+      tripDays: days,
+      returnTrip: isReturn,
+      billableKm: Math.round(billableKm * 10) / 10,
+      fuelCost: roundOff(fuelCost),
+      driverAllowance,
+      returnFee,
+    },
+  };
+}
+
+/**
+ * Parcel delivery.
+ * Pickup charge + per-km charge + flat platformFee; weight above
+ * weightRates.baseKg adds baseCharge plus perExtraKg for every extra kg.
+ */
+function calcParcelFare({ rate, distanceKm: km, durationMin, weight, surge }) {
+  const distanceKm = Number(km) || 0;
+  const vehicle = rate.vehicleType?.toLowerCase?.() || "bike";
+
+  const baseFare = rate.baseFare ?? 25;
+  const perKm = rate.perKm ?? 7;
+  const platformFee = rate.platformFee ?? 15;
+  const maxWeightKg = rate.maxWeightKg ?? 10;
+  const baseKg = rate.weightRates?.baseKg ?? 5;
+  const baseCharge = rate.weightRates?.baseCharge ?? 40;
+  const perExtraKg = rate.weightRates?.perExtraKg ?? 5;
+  const platformCommission = (rate.platformFeePercent ?? 10) / 100;
+  const gstPercent = rate.gstPercent ?? 0;
+
+  const w = Number(weight) || 0;
+  if (w > maxWeightKg) {
+    throw new Error(`Parcel weight exceeds limit (${maxWeightKg} kg max)`);
+  }
+
+  // --- Distance & weight ---
+  const distanceCharge = distanceKm * perKm;
+  const weightCharge = w > baseKg ? baseCharge + Math.ceil(w - baseKg) * perExtraKg : 0;
+
+  const surgeMultiplier = resolveSurge(rate, surge);
+  const fare = (baseFare + distanceCharge + weightCharge + platformFee) * surgeMultiplier;
+
+  // --- GST, Platform & Rounding ---
+  const gstAmount = (fare * gstPercent) / 100;
+  const platformCut = fare * platformCommission;
+  const total = Math.max(roundOff(fare + gstAmount), rate.minFare ?? 0);
+  const driverGets = total - platformCut;
+
+  console.log(`📦 Parcel | ${distanceKm} km | ${w} kg | ${vehicle} | ₹${total}`);
+
+  return {
+    success: true,
+    type: "parcel",
+    vehicleType: vehicle,
+    total,
+    remarks: `Calculated (${w} kg, ${maxWeightKg} kg max).`,
+    breakdown: {
+      baseFare,
+      perKm,
+      perMin: 0,
+      platformFee,
+      surgeMultiplier,
+      tripDuration: `${Math.round(durationMin)} mins`,
+      peakHour: false,
+      nightHour: false,
+      discountApplied: 0,
+      platformCommissionPercent: platformCommission * 100,
+      gstAmount: roundOff(gstAmount),
+      platformEarning: roundOff(platformCut),
+      driverEarning: roundOff(driverGets),
+      weightKg: w,
+      distanceCharge: roundOff(distanceCharge),
+      weightCharge,
+    },
   };
 }
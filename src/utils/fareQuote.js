@@ -0,0 +1,137 @@
+// src/utils/fareQuote.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { FARE_QUOTE } from '../config/tripConfig.js';
+import { calculateDistanceInMeters } from './distanceCalculator.js';
+
+/**
+ * Signed fare quotes.
+ * POST /api/fares/calc issues a quote that binds route, vehicle and the calcFare
+ * result; trip creation only accepts a valid quote and takes the fare from it.
+ */
+
+const getQuoteSecret = () => {
+  const secret = process.env.FARE_QUOTE_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('FARE_QUOTE_SECRET (or JWT_SECRET) not defined in environment variables');
+  }
+  return secret;
+};
+
+// Same reading of a weight as calcParcelFare (utils/fareCalc.js)
+export const parcelWeightKg = (weight) => Number(weight) || 0;
+
+/**
+ * Issue a signed, expiring quote ID.
+ * @param {Object} params
+ * @param {string} params.category - short | parcel | long
+ * @param {string} params.vehicleType
+ * @param {[number, number]} params.pickup - [lng, lat]
+ * @param {[number, number]} params.drop - [lng, lat]
+ * @param {Object} params.fare - calcFare() result
+ * @param {Object} [params.extras] - tripDays, returnTrip, weight, stops, distanceKm, durationMin, ...
+ * @returns {{ quoteId: string, expiresAt: Date }}
+ */
+export const issueFareQuote = ({ category, vehicleType, pickup, drop, fare, extras = {} }) => {
+  const payload = {
+    qid: crypto.randomUUID(),
+    category,
+    vehicleType,
+    pickup,
+    drop,
+    total: fare.total,
+    breakdown: fare.breakdown,
+    ...extras,
+  };
+
+  const quoteId = jwt.sign(payload, getQuoteSecret(), {
+    expiresIn: FARE_QUOTE.TTL_SECONDS,
+  });
+
+  return {
+    quoteId,
+    expiresAt: new Date(Date.now() + FARE_QUOTE.TTL_SECONDS * 1000),
+  };
+};
+
+/**
+ * Verify a quote against the trip being created.
+ * @param {string} quoteId
+ * @param {Object} binding - category, vehicleType, pickup, drop, for multi-stop trips stops ([lng, lat][])
+ *   and for parcels the declared weight (kg)
+ * @returns {{ valid: true, quote: Object } | { valid: false, errorCode: string, message: string }}
+ */
+export const verifyFareQuote = (quoteId, { category, vehicleType, pickup, drop, stops = [], weight }) => {
+  if (!quoteId || typeof quoteId !== 'string') {
+    return {
+      valid: false,
+      errorCode: 'QUOTE_REQUIRED',
+      message: 'A fare quote is required. Call /api/fares/calc first.',
+    };
+  }
+
+  let quote;
+  try {
+    quote = jwt.verify(quoteId, getQuoteSecret());
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return {
+        valid: false,
+        errorCode: 'QUOTE_EXPIRED',
+        message: 'Fare quote has expired. Please refresh the fare.',
+      };
+    }
+    if (err.message === 'invalid signature') {
+      return {
+        valid: false,
+        errorCode: 'QUOTE_TAMPERED',
+        message: 'Fare quote signature is invalid.',
+      };
+    }
+    return {
+      valid: false,
+      errorCode: 'QUOTE_INVALID',
+      message: 'Fare quote is malformed.',
+    };
+  }
+
+  if (quote.category !== category || quote.vehicleType !== vehicleType) {
+    return {
+      valid: false,
+      errorCode: 'QUOTE_MISMATCH',
+      message: `Fare quote was issued for ${quote.category}/${quote.vehicleType}, not ${category}/${vehicleType}.`,
+    };
+  }
+
+  const pickupDrift = calculateDistanceInMeters(quote.pickup, pickup);
+  const dropDrift = calculateDistanceInMeters(quote.drop, drop);
+  if (pickupDrift > FARE_QUOTE.LOCATION_TOLERANCE_M || dropDrift > FARE_QUOTE.LOCATION_TOLERANCE_M) {
+    return {
+      valid: false,
+      errorCode: 'QUOTE_MISMATCH',
+      message: 'Pickup or drop differs from the quoted route. Please refresh the fare.',
+    };
+  }
+
+  const quotedStops = quote.stops || [];
+  const stopsMoved = quotedStops.length !== stops.length ||
+    quotedStops.some((s, i) => calculateDistanceInMeters(s, stops[i]) > FARE_QUOTE.LOCATION_TOLERANCE_M);
+  if (stopsMoved) {
+    return {
+      valid: false,
+      errorCode: 'QUOTE_MISMATCH',
+      message: 'Stops differ from the quoted route. Please refresh the fare.',
+    };
+  }
+
+  // Parcels are priced by weight band
+  if (category === 'parcel' && parcelWeightKg(weight) !== parcelWeightKg(quote.weight)) {
+    return {
+      valid: false,
+      errorCode: 'QUOTE_MISMATCH',
+      message: `Parcel weight differs from the quoted ${parcelWeightKg(quote.weight)} kg. Please refresh the fare.`,
+    };
+  }
+
+  return { valid: true, quote };
+};
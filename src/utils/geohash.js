@@ -0,0 +1,74 @@
+// src/utils/geohash.js
+// Minimal geohash encode/decode (no dependency) used to bucket locations into zones.
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Encode a lat/lng into a geohash string.
+ * Precision 5 ≈ 4.9 km × 4.9 km, precision 6 ≈ 1.2 km × 0.6 km.
+ */
+export const encodeGeohash = (lat, lng, precision = 5) => {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bit = 0;
+  let ch = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    if (value >= mid) {
+      ch = (ch << 1) | 1;
+      range[0] = mid;
+    } else {
+      ch = ch << 1;
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bit === 5) {
+      hash += BASE32[ch];
+      bit = 0;
+      ch = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Bounding box of a geohash cell.
+ * @returns {{ minLat: number, maxLat: number, minLng: number, maxLng: number }}
+ */
+export const decodeGeohashBounds = (hash) => {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const c of hash.toLowerCase()) {
+    const idx = BASE32.indexOf(c);
+    if (idx === -1) throw new Error(`Invalid geohash: ${hash}`);
+
+    for (let n = 4; n >= 0; n--) {
+      const bitN = (idx >> n) & 1;
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if (bitN === 1) range[0] = mid;
+      else range[1] = mid;
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    minLat: latRange[0],
+    maxLat: latRange[1],
+    minLng: lngRange[0],
+    maxLng: lngRange[1],
+  };
+};
+
+export const isValidGeohash = (hash) =>
+  typeof hash === 'string' && hash.length > 0 && [...hash.toLowerCase()].every((c) => BASE32.includes(c));
@@ -6,8 +6,9 @@ dotenv.config();
 /**
  * Fetch live route data (distance + duration) from Google Maps API
  * and adjust it dynamically by vehicle type.
+ * `waypoints` ({ lat, lng }[]) are visited in order; totals cover every leg.
  */
-export async function getGoogleRouteDuration(origin, destination, vehicleType = "car") {
+export async function getGoogleRouteDuration(origin, destination, vehicleType = "car", waypoints = []) {
   const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
 
   if (!GOOGLE_API_KEY) {
@@ -30,7 +31,10 @@ export async function getGoogleRouteDuration(origin, destination, vehicleType =
   };
   const mode = modeMap[vehicleType] || "driving";
 
-  const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${origin.lat},${origin.lng}&destination=${destination.lat},${destination.lng}&mode=${mode}&departure_time=now&key=${GOOGLE_API_KEY}`;
+  const via = waypoints.length
+    ? `&waypoints=${waypoints.map((w) => `${w.lat},${w.lng}`).join("|")}`
+    : "";
+  const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${origin.lat},${origin.lng}&destination=${destination.lat},${destination.lng}${via}&mode=${mode}&departure_time=now&key=${GOOGLE_API_KEY}`;
 
   try {
     const res = await axios.get(url);
@@ -40,10 +44,12 @@ export async function getGoogleRouteDuration(origin, destination, vehicleType =
       return null;
     }
 
-    const leg = res.data.routes[0].legs[0];
-    const baseDuration = leg.duration_in_traffic
-      ? leg.duration_in_traffic.value
-      : leg.duration.value;
+    const legs = res.data.routes[0].legs;
+    const distanceM = legs.reduce((sum, leg) => sum + leg.distance.value, 0);
+    const baseDuration = legs.reduce(
+      (sum, leg) => sum + (leg.duration_in_traffic ? leg.duration_in_traffic.value : leg.duration.value),
+      0
+    );
 
     // 🧭 Vehicle-type adjustment multipliers
     const vehicleAdjust = {
@@ -57,13 +63,13 @@ export async function getGoogleRouteDuration(origin, destination, vehicleType =
     const adjustedDurationSec = baseDuration * (vehicleAdjust[vehicleType] || 1.0);
 
     console.log(
-      `✅ Google Route (${vehicleType}): ${(leg.distance.value / 1000).toFixed(2)} km | ${Math.round(
+      `✅ Google Route (${vehicleType}): ${(distanceM / 1000).toFixed(2)} km | ${Math.round(
         adjustedDurationSec / 60
-      )} mins`
+      )} mins${legs.length > 1 ? ` | ${legs.length} legs` : ""}`
     );
 
     return {
-      distanceKm: leg.distance.value / 1000,
+      distanceKm: distanceM / 1000,
       durationSec: adjustedDurationSec,
     };
   } catch (err) {
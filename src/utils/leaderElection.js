@@ -0,0 +1,63 @@
+// src/utils/leaderElection.js
+import LeaderLease from '../models/LeaderLease.js';
+import { REALTIME, INSTANCE_ID } from '../config/realtimeConfig.js';
+
+/**
+ * Leader election over a Mongo lease.
+ * Every instance tries to take or renew the `jobs` lease every
+ * LEADER_RENEW_SEC; the holder runs the interval jobs (sweepers, crons),
+ * the others skip them. A crashed leader is replaced once its lease expires.
+ */
+
+const LEASE_NAME = 'jobs';
+let leader = false;
+
+export const isLeader = () => leader;
+
+const setLeader = (value) => {
+  if (value !== leader) {
+    console.log(value
+      ? `👑 Instance ${INSTANCE_ID} is now the job leader`
+      : `🪑 Instance ${INSTANCE_ID} is no longer the job leader`);
+  }
+  leader = value;
+};
+
+const renewLease = async () => {
+  const now = new Date();
+  try {
+    const lease = await LeaderLease.findOneAndUpdate(
+      {
+        _id: LEASE_NAME,
+        $or: [{ holder: INSTANCE_ID }, { expiresAt: { $lt: now } }],
+      },
+      {
+        $set: {
+          holder: INSTANCE_ID,
+          expiresAt: new Date(now.getTime() + REALTIME.LEADER_LEASE_SEC * 1000),
+          renewedAt: now,
+        },
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    setLeader(lease?.holder === INSTANCE_ID);
+  } catch (err) {
+    // Duplicate key: another instance holds a live lease
+    if (err.code !== 11000) console.error('❌ Leader lease error:', err.message);
+    setLeader(false);
+  }
+};
+
+export const startLeaderElection = async () => {
+  await renewLease();
+  setInterval(renewLease, REALTIME.LEADER_RENEW_SEC * 1000);
+};
+
+/**
+ * Wrap a job so it only runs on the leader instance.
+ */
+export const leaderOnly = (job) => async (...args) => {
+  if (!leader) return;
+  return job(...args);
+};
@@ -0,0 +1,569 @@
+// src/utils/ledger.js
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Wallet from '../models/Wallet.js';
+
+/**
+ * Double-entry ledger underneath driver wallets.
+ *
+ * Every money movement that touches a driver is journalled once here
+ * (idempotent on `reference`). Wallet counters stay as a fast cache; the
+ * ledger is the source of truth and checkWalletIntegrity() flags wallets
+ * whose counters have drifted from it.
+ *
+ * Driver accounts (tagged with driverId):
+ *   driver_earnings        credit-normal  → availableBalance (credits = earnings)
+ *   driver_commission_due  debit-normal   → pendingAmount (cash-trip commission owed)
+ *   platform_commission    credit-normal  → totalCommission
+ *   cash_collected_by_driver debit-normal → earnings the driver already holds in cash
+ *   payout_clearing        credit-normal  → payouts on their way to the bank
+ * Counter accounts (platform side):
+ *   gateway_clearing, customer_wallets, incentive_expense, referral_expense,
+ *   coin_conversion_expense, cancellation_fees, payout_bank, opening_balance_equity
+ *
+ * withdrawableBalance = availableBalance − cash held − commission owed.
+ */
+
+export const ACCOUNTS = {
+  DRIVER_EARNINGS: 'driver_earnings',
+  DRIVER_COMMISSION_DUE: 'driver_commission_due',
+  PLATFORM_COMMISSION: 'platform_commission',
+  CASH_COLLECTED_BY_DRIVER: 'cash_collected_by_driver',
+  GATEWAY_CLEARING: 'gateway_clearing',
+  CUSTOMER_WALLETS: 'customer_wallets',
+  INCENTIVE_EXPENSE: 'incentive_expense',
+  REFERRAL_EXPENSE: 'referral_expense',
+  COIN_CONVERSION_EXPENSE: 'coin_conversion_expense',
+  CANCELLATION_FEES: 'cancellation_fees',
+  PAYOUT_CLEARING: 'payout_clearing',
+  PAYOUT_BANK: 'payout_bank',
+  OPENING_BALANCE_EQUITY: 'opening_balance_equity',
+};
+
+// Credits to driver_earnings from these entry types are not "earnings"
+const NON_EARNING_TYPES = ['coin_conversion', 'payout', 'payout_reversal'];
+
+const TOLERANCE_PAISE = 1;
+
+export const toPaise = (rupees) => Math.round((Number(rupees) || 0) * 100);
+const toRupees = (paise) => Number((paise / 100).toFixed(2));
+
+const debit = (account, amount, driverId = null) => ({ account, driverId, debit: amount, credit: 0 });
+const credit = (account, amount, driverId = null) => ({ account, driverId, debit: 0, credit: amount });
+
+const openingReference = (driverId) => `opening:${driverId}`;
+
+/**
+ * Append one journal entry. Posting the same reference twice is a no-op,
+ * except inside a `session`: there the duplicate key error is thrown so the
+ * caller's transaction aborts with it.
+ * @returns {Promise<{ entry: Object, duplicate: boolean }>}
+ */
+export const postLedgerEntry = async ({ reference, type, driverId, tripId = null, description = '', lines, source = null, session = null }) => {
+  try {
+    const [entry] = await LedgerEntry.create([{
+      reference,
+      type,
+      driverId,
+      tripId,
+      description,
+      source,
+      lines: lines.filter((l) => l.debit > 0 || l.credit > 0),
+    }], { session });
+    return { entry, duplicate: false };
+  } catch (err) {
+    if (err.code === 11000 && !session) {
+      return { entry: await LedgerEntry.findOne({ reference }).lean(), duplicate: true };
+    }
+    throw err;
+  }
+};
+
+/**
+ * Sum a driver's ledger lines into wallet-shaped balances (paise).
+ */
+const foldBalances = (rows) => {
+  const totals = { earnings: 0, available: 0, commission: 0, pending: 0, cashHeld: 0 };
+
+  for (const { account, type, debit: dr, credit: cr } of rows) {
+    if (account === ACCOUNTS.DRIVER_EARNINGS) {
+      totals.available += cr - dr;
+      if (!NON_EARNING_TYPES.includes(type)) totals.earnings += cr;
+    } else if (account === ACCOUNTS.PLATFORM_COMMISSION) {
+      totals.commission += cr - dr;
+    } else if (account === ACCOUNTS.DRIVER_COMMISSION_DUE) {
+      totals.pending += dr - cr;
+    } else if (account === ACCOUNTS.CASH_COLLECTED_BY_DRIVER) {
+      totals.cashHeld += dr - cr;
+    }
+  }
+  return totals;
+};
+
+const balanceView = (totals) => ({
+  totalEarnings: toRupees(totals.earnings),
+  totalCommission: toRupees(totals.commission),
+  pendingAmount: toRupees(Math.max(0, totals.pending)),
+  availableBalance: toRupees(totals.available),
+  withdrawableBalance: toRupees(Math.max(0, totals.available - totals.cashHeld - Math.max(0, totals.pending))),
+});
+
+const aggregateDriverLines = (match) => [
+  { $match: match },
+  { $unwind: '$lines' },
+  { $match: { 'lines.driverId': match['lines.driverId'] ?? { $ne: null } } },
+  {
+    $group: {
+      _id: { driverId: '$lines.driverId', account: '$lines.account', type: '$type' },
+      debit: { $sum: '$lines.debit' },
+      credit: { $sum: '$lines.credit' },
+    },
+  },
+];
+
+const driverTotals = async (driverId) => {
+  const id = new mongoose.Types.ObjectId(String(driverId));
+  const rows = await LedgerEntry.aggregate(aggregateDriverLines({ 'lines.driverId': id }));
+  return foldBalances(rows.map((r) => ({ ...r._id, debit: r.debit, credit: r.credit })));
+};
+
+/**
+ * Start a driver's ledger from the wallet counters as they stand, less
+ * whatever has already been journalled. Runs once per driver.
+ */
+export const openDriverLedger = async (driverId) => {
+  if (await LedgerEntry.exists({ reference: openingReference(driverId) })) return false;
+
+  const wallet = await Wallet.findOne({ driverId }).lean();
+  const ledger = await driverTotals(driverId);
+
+  const dEarnings = toPaise(wallet?.totalEarnings) - ledger.earnings;
+  const dAvailable = toPaise(wallet?.availableBalance) - ledger.available;
+  const dCommission = toPaise(wallet?.totalCommission) - ledger.commission;
+  const dPending = toPaise(wallet?.pendingAmount) - ledger.pending;
+  // Cash-trip earnings (processCashCollection) are already in the driver's hands
+  const cashEarned = (wallet?.transactions || [])
+    .filter((t) => t.type === 'credit' && t.status === 'completed' && t.description?.startsWith('Trip earning from'))
+    .reduce((sum, t) => sum + toPaise(t.amount), 0);
+  const dCashHeld = cashEarned - ledger.cashHeld;
+
+  const lines = [];
+  if (dEarnings > 0) lines.push(credit(ACCOUNTS.DRIVER_EARNINGS, dEarnings, driverId));
+
+  // Balance not explained by earnings: withdrawn (below) or coin conversions (above)
+  const carry = dAvailable - Math.max(dEarnings, 0);
+  if (carry < 0) lines.push(debit(ACCOUNTS.DRIVER_EARNINGS, -carry, driverId));
+
+  if (dCommission > 0) lines.push(credit(ACCOUNTS.PLATFORM_COMMISSION, dCommission, driverId));
+  if (dCommission < 0) lines.push(debit(ACCOUNTS.PLATFORM_COMMISSION, -dCommission, driverId));
+  if (dPending > 0) lines.push(debit(ACCOUNTS.DRIVER_COMMISSION_DUE, dPending, driverId));
+  if (dPending < 0) lines.push(credit(ACCOUNTS.DRIVER_COMMISSION_DUE, -dPending, driverId));
+  if (dCashHeld > 0) lines.push(debit(ACCOUNTS.CASH_COLLECTED_BY_DRIVER, dCashHeld, driverId));
+
+  const net = lines.reduce((sum, l) => sum + l.credit - l.debit, 0);
+  if (net > 0) lines.push(debit(ACCOUNTS.OPENING_BALANCE_EQUITY, net));
+  if (net < 0) lines.push(credit(ACCOUNTS.OPENING_BALANCE_EQUITY, -net));
+
+  const { duplicate } = await postLedgerEntry({
+    reference: openingReference(driverId),
+    type: 'opening_balance',
+    driverId,
+    description: 'Opening balance carried over from wallet counters',
+    lines,
+    source: 'migration',
+  });
+  if (duplicate) return false;
+
+  if (carry > 0) {
+    await postLedgerEntry({
+      reference: `${openingReference(driverId)}:carry`,
+      type: 'coin_conversion',
+      driverId,
+      description: 'Opening balance from earlier coin withdrawals',
+      lines: [
+        debit(ACCOUNTS.OPENING_BALANCE_EQUITY, carry),
+        credit(ACCOUNTS.DRIVER_EARNINGS, carry, driverId),
+      ],
+      source: 'migration',
+    });
+  }
+
+  console.log(`📒 Ledger opened for driver ${driverId}`);
+  return true;
+};
+
+/**
+ * Wallet balances derived from the ledger (₹).
+ */
+export const getDriverLedgerBalances = async (driverId) => {
+  await openDriverLedger(driverId);
+  return balanceView(await driverTotals(driverId));
+};
+
+// Domain postings run after the counters have moved. A failed post is logged
+// and left for checkWalletIntegrity() to surface; it never fails the caller.
+const safePost = async (entry) => {
+  try {
+    const result = await postLedgerEntry(entry);
+    await openDriverLedger(entry.driverId);
+    return result.entry;
+  } catch (err) {
+    console.error(`⚠️ Ledger post ${entry.reference} failed:`, err.message);
+    return null;
+  }
+};
+
+// With a session the entry joins the caller's transaction and any failure
+// (duplicate reference included) throws and aborts it. Call openDriverLedger()
+// before moving the counters so the opening balance excludes this movement.
+const post = async (entry, session) => {
+  if (!session) return safePost(entry);
+  const { entry: posted } = await postLedgerEntry({ ...entry, session });
+  return posted;
+};
+
+/**
+ * Cash trip: the driver holds the whole fare and owes the commission.
+ */
+export const postCashTripEntry = (trip, fareBreakdown) => {
+  const driverId = trip.assignedDriver?._id || trip.assignedDriver;
+  const earning = toPaise(fareBreakdown.driverEarning);
+  const commission = toPaise(fareBreakdown.commission);
+
+  return safePost({
+    reference: `trip:${trip._id}:cash`,
+    type: 'trip_cash',
+    driverId,
+    tripId: trip._id,
+    description: `Cash trip fare ₹${fareBreakdown.tripFare}`,
+    lines: [
+      debit(ACCOUNTS.CASH_COLLECTED_BY_DRIVER, earning, driverId),
+      credit(ACCOUNTS.DRIVER_EARNINGS, earning, driverId),
+      debit(ACCOUNTS.DRIVER_COMMISSION_DUE, commission, driverId),
+      credit(ACCOUNTS.PLATFORM_COMMISSION, commission, driverId),
+    ],
+  });
+};
+
+/**
+ * Prepaid trip (online or rider wallet): the platform holds the fare, so the
+ * commission is kept at source and nothing is owed.
+ */
+export const postPrepaidTripEntry = (trip, fareBreakdown, channel, paymentId = null) => {
+  const driverId = trip.assignedDriver?._id || trip.assignedDriver;
+  const earning = toPaise(fareBreakdown.driverEarning);
+  const commission = toPaise(fareBreakdown.commission);
+
+  return safePost({
+    reference: `trip:${trip._id}:prepaid`,
+    type: 'trip_prepaid',
+    driverId,
+    tripId: trip._id,
+    description: `Trip fare ₹${fareBreakdown.tripFare} paid ${channel}${paymentId ? ` (${paymentId})` : ''}`,
+    lines: [
+      debit(channel === 'wallet' ? ACCOUNTS.CUSTOMER_WALLETS : ACCOUNTS.GATEWAY_CLEARING, earning + commission),
+      credit(ACCOUNTS.DRIVER_EARNINGS, earning, driverId),
+      credit(ACCOUNTS.PLATFORM_COMMISSION, commission, driverId),
+    ],
+  });
+};
+
+/**
+ * Driver paid owed cash-trip commission through Razorpay.
+ */
+export const postCommissionPaymentEntry = (driverId, amount, paymentId) => {
+  const paise = toPaise(amount);
+  return safePost({
+    reference: `commission_payment:${paymentId}`,
+    type: 'commission_payment',
+    driverId,
+    description: `Commission paid (${paymentId})`,
+    lines: [
+      debit(ACCOUNTS.GATEWAY_CLEARING, paise),
+      credit(ACCOUNTS.DRIVER_COMMISSION_DUE, paise, driverId),
+    ],
+  });
+};
+
+/**
+ * Per-ride cash incentive. Always tied to a trip, one per trip.
+ */
+export const postIncentiveEntry = (driverId, amount, tripId, { session = null } = {}) => {
+  const paise = toPaise(amount);
+  return post({
+    reference: `incentive:${tripId}`,
+    type: 'incentive',
+    driverId,
+    tripId,
+    description: `Ride incentive ₹${toRupees(paise)}`,
+    lines: [
+      debit(ACCOUNTS.INCENTIVE_EXPENSE, paise),
+      credit(ACCOUNTS.DRIVER_EARNINGS, paise, driverId),
+    ],
+  }, session);
+};
+
+export const postReferralBonusEntry = (driverId, amount, referralId, tripId = null) => {
+  const paise = toPaise(amount);
+  return safePost({
+    reference: `referral:${referralId}`,
+    type: 'referral_bonus',
+    driverId,
+    tripId,
+    description: 'Driver referral bonus',
+    lines: [
+      debit(ACCOUNTS.REFERRAL_EXPENSE, paise),
+      credit(ACCOUNTS.DRIVER_EARNINGS, paise, driverId),
+    ],
+  });
+};
+
+/**
+ * Driver's share of a no-show / cancellation fee. Paid out of the fees the
+ * platform collects, whether or not the rider has paid theirs yet.
+ */
+export const postCancellationCompensationEntry = (driverId, amount, tripId) => {
+  const paise = toPaise(amount);
+  return safePost({
+    reference: `cancellation_compensation:${tripId}`,
+    type: 'cancellation_compensation',
+    driverId,
+    tripId,
+    description: `Cancellation compensation ₹${toRupees(paise)}`,
+    lines: [
+      debit(ACCOUNTS.CANCELLATION_FEES, paise),
+      credit(ACCOUNTS.DRIVER_EARNINGS, paise, driverId),
+    ],
+  });
+};
+
+/**
+ * Driver cancelled past the policy's free strikes: the penalty is owed like
+ * cash-trip commission and settled the same way.
+ */
+export const postCancellationPenaltyEntry = (driverId, amount, tripId) => {
+  const paise = toPaise(amount);
+  return safePost({
+    reference: `cancellation_penalty:${tripId}`,
+    type: 'cancellation_penalty',
+    driverId,
+    tripId,
+    description: `Cancellation penalty ₹${toRupees(paise)}`,
+    lines: [
+      debit(ACCOUNTS.DRIVER_COMMISSION_DUE, paise, driverId),
+      credit(ACCOUNTS.CANCELLATION_FEES, paise),
+    ],
+  });
+};
+
+/**
+ * Incentive coins converted to wallet cash (/api/incentives/withdraw-earnings).
+ */
+export const postCoinConversionEntry = (driverId, amount, coins, conversionId, { session = null } = {}) => {
+  const paise = toPaise(amount);
+  return post({
+    reference: `coin_conversion:${conversionId}`,
+    type: 'coin_conversion',
+    driverId,
+    description: `${coins} coins converted to ₹${toRupees(paise)}`,
+    lines: [
+      debit(ACCOUNTS.COIN_CONVERSION_EXPENSE, paise),
+      credit(ACCOUNTS.DRIVER_EARNINGS, paise, driverId),
+    ],
+  }, session);
+};
+
+/**
+ * Payout requested: move the amount out of the driver's balance into
+ * payout_clearing. Throws — the payout must not go ahead without it.
+ */
+export const postPayoutHoldEntry = async (payout) => {
+  const paise = toPaise(payout.amount);
+  await openDriverLedger(payout.driverId);
+  const { entry } = await postLedgerEntry({
+    reference: `payout:${payout._id}`,
+    type: 'payout',
+    driverId: payout.driverId,
+    description: `Payout requested ₹${toRupees(paise)}`,
+    lines: [
+      debit(ACCOUNTS.DRIVER_EARNINGS, paise, payout.driverId),
+      credit(ACCOUNTS.PAYOUT_CLEARING, paise, payout.driverId),
+    ],
+  });
+  return entry;
+};
+
+export const postPayoutPaidEntry = (payout) => {
+  const paise = toPaise(payout.amount);
+  return safePost({
+    reference: `payout:${payout._id}:paid`,
+    type: 'payout',
+    driverId: payout.driverId,
+    description: `Payout sent${payout.utr ? ` (UTR ${payout.utr})` : ''}`,
+    lines: [
+      debit(ACCOUNTS.PAYOUT_CLEARING, paise, payout.driverId),
+      credit(ACCOUNTS.PAYOUT_BANK, paise),
+    ],
+    source: payout.provider,
+  });
+};
+
+/**
+ * Payout failed, rejected or cancelled: give the held amount back.
+ */
+export const postPayoutReversalEntry = (payout, reason) => {
+  const paise = toPaise(payout.amount);
+  return safePost({
+    reference: `payout:${payout._id}:reversal`,
+    type: 'payout_reversal',
+    driverId: payout.driverId,
+    description: `Payout reversed: ${reason}`,
+    lines: [
+      debit(ACCOUNTS.PAYOUT_CLEARING, paise, payout.driverId),
+      credit(ACCOUNTS.DRIVER_EARNINGS, paise, payout.driverId),
+    ],
+  });
+};
+
+/**
+ * A booked trip fare was refunded to the rider (gateway or rider wallet):
+ * claw back the driver's earning and the platform's commission in the same
+ * proportion, up to what the trip booked. Trips with no fare entry (never
+ * paid, or a duplicate payment) post nothing. Throws — the wallet counters
+ * only move once this is journalled.
+ * @param {Object} trip
+ * @param {Object} params
+ * @param {number} params.amount - ₹ refunded
+ * @param {string} params.channel - online | wallet (where the refund went)
+ * @param {string} params.refundReference - unique per refund
+ * @returns {Promise<{ driverId: Object, earning: number, commission: number, duplicate: boolean }|null>} ₹
+ */
+export const postTripRefundEntry = async (trip, { amount, channel, refundReference, reason }) => {
+  const booked = await LedgerEntry.findOne({
+    reference: { $in: [`trip:${trip._id}:prepaid`, `trip:${trip._id}:cash`] },
+  }).lean();
+  if (!booked) return null;
+
+  const { driverId } = booked;
+  const sumLines = (entries, account, side) => entries
+    .flatMap((e) => e.lines)
+    .filter((l) => l.account === account)
+    .reduce((sum, l) => sum + l[side], 0);
+
+  const earning = sumLines([booked], ACCOUNTS.DRIVER_EARNINGS, 'credit');
+  const commission = sumLines([booked], ACCOUNTS.PLATFORM_COMMISSION, 'credit');
+  if (!(earning + commission > 0)) return null;
+
+  const previous = await LedgerEntry.find({
+    tripId: trip._id,
+    type: 'adjustment',
+    reference: new RegExp(`^refund:${trip._id}:`),
+  }).lean();
+  const share = Math.min(1, toPaise(amount) / (earning + commission));
+  const earningBack = Math.max(0, Math.min(
+    Math.round(earning * share),
+    earning - sumLines(previous, ACCOUNTS.DRIVER_EARNINGS, 'debit')
+  ));
+  const commissionBack = Math.max(0, Math.min(
+    Math.round(commission * share),
+    commission - sumLines(previous, ACCOUNTS.PLATFORM_COMMISSION, 'debit')
+  ));
+  if (!(earningBack + commissionBack > 0)) return null;
+
+  await openDriverLedger(driverId);
+  const { duplicate } = await postLedgerEntry({
+    reference: `refund:${trip._id}:${refundReference}`,
+    type: 'adjustment',
+    driverId,
+    tripId: trip._id,
+    description: `Fare refund ₹${toRupees(toPaise(amount))} to rider (${reason})`,
+    lines: [
+      debit(ACCOUNTS.DRIVER_EARNINGS, earningBack, driverId),
+      debit(ACCOUNTS.PLATFORM_COMMISSION, commissionBack, driverId),
+      credit(channel === 'wallet' ? ACCOUNTS.CUSTOMER_WALLETS : ACCOUNTS.GATEWAY_CLEARING, earningBack + commissionBack),
+    ],
+  });
+
+  return { driverId, earning: toRupees(earningBack), commission: toRupees(commissionBack), duplicate };
+};
+
+/**
+ * Compare wallet counters with the ledger and flag the ones that disagree.
+ * @param {Object} [options]
+ * @param {string} [options.driverId] - check a single wallet
+ * @returns {Promise<{ checked: number, flagged: Array, unbalancedEntries: Array }>}
+ */
+export const checkWalletIntegrity = async ({ driverId = null } = {}) => {
+  const walletQuery = driverId ? { driverId } : {};
+  const lineMatch = driverId
+    ? { 'lines.driverId': new mongoose.Types.ObjectId(String(driverId)) }
+    : {};
+
+  const rows = await LedgerEntry.aggregate(aggregateDriverLines(lineMatch));
+  const byDriver = new Map();
+  for (const r of rows) {
+    const key = String(r._id.driverId);
+    if (!byDriver.has(key)) byDriver.set(key, []);
+    byDriver.get(key).push({ ...r._id, debit: r.debit, credit: r.credit });
+  }
+
+  const opened = new Set(
+    (await LedgerEntry.find({ type: 'opening_balance', ...(driverId ? { driverId } : {}) }).select('driverId').lean())
+      .map((e) => String(e.driverId))
+  );
+
+  const flagged = [];
+  let checked = 0;
+  const now = new Date();
+
+  for await (const wallet of Wallet.find(walletQuery).select('-transactions').lean().cursor()) {
+    checked++;
+    const key = String(wallet.driverId);
+    const ledger = foldBalances(byDriver.get(key) || []);
+
+    const diffs = [];
+    // Never opened: counters can't be compared yet (POST /api/admin/ledger/backfill)
+    const compare = !opened.has(key) ? [] : [
+      ['availableBalance', wallet.availableBalance, ledger.available],
+      ['totalEarnings', wallet.totalEarnings, ledger.earnings],
+      ['totalCommission', wallet.totalCommission, ledger.commission],
+      ['pendingAmount', wallet.pendingAmount, Math.max(0, ledger.pending)],
+    ];
+    // `balance` is a legacy mirror that nothing writes; only check it once it's been set
+    if (wallet.balance && compare.length) compare.push(['balance', wallet.balance, ledger.available]);
+
+    if (!opened.has(key)) diffs.push({ field: 'ledger', reason: 'ledger_not_opened' });
+    for (const [field, cached, ledgerPaise] of compare) {
+      if (Math.abs(toPaise(cached) - ledgerPaise) > TOLERANCE_PAISE) {
+        diffs.push({ field, cached: toRupees(toPaise(cached)), ledger: toRupees(ledgerPaise) });
+      }
+    }
+
+    await Wallet.updateOne(
+      { _id: wallet._id },
+      { $set: { integrity: { flagged: diffs.length > 0, diffs, checkedAt: now } } },
+      { timestamps: false }
+    );
+
+    if (diffs.length) {
+      flagged.push({ driverId: wallet.driverId, diffs });
+      console.warn(`🚩 Wallet ${key} disagrees with ledger: ${diffs.map((d) => d.field).join(', ')}`);
+    }
+  }
+
+  // Entries are validated on insert; this catches anything written around the model
+  const unbalancedEntries = await LedgerEntry.aggregate([
+    ...(driverId ? [{ $match: lineMatch }] : []),
+    {
+      $project: {
+        reference: 1,
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' },
+      },
+    },
+    { $match: { $expr: { $ne: ['$debit', '$credit'] } } },
+    { $limit: 100 },
+  ]);
+
+  return { checked, flagged, unbalancedEntries };
+};
@@ -2,12 +2,15 @@
 import Trip from '../models/Trip.js';
 import User from '../models/User.js';
 import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { isLeader } from './leaderElection.js';
 
 /**
- * Retry failed notifications - runs every 30 seconds
+ * Retry failed notifications - runs every 30 seconds (leader instance only)
  */
 export const startNotificationRetryJob = () => {
   setInterval(async () => {
+    if (!isLeader()) return;
     try {
       // Find trips where customer wasn't notified
       const unnotifiedTrips = await Trip.find({
@@ -24,13 +27,6 @@ export const startNotificationRetryJob = () => {
       console.log(`🔄 Retrying notifications for ${unnotifiedTrips.length} trip(s)...`);
 
       for (const trip of unnotifiedTrips) {
-        const customer = await User.findById(trip.customerId).select('socketId').lean();
-        
-        if (!customer?.socketId) {
-          console.warn(`⚠️ Customer ${trip.customerId} has no socketId, skipping...`);
-          continue;
-        }
-
         const driver = await User.findById(trip.assignedDriver)
           .select('name phone photoUrl rating vehicleBrand vehicleNumber location')
           .lean();
@@ -67,7 +63,7 @@ export const startNotificationRetryJob = () => {
           },
         };
 
-        io.to(customer.socketId).emit('trip:accepted', payload);
+        io.to(userRoom(trip.customerId)).emit('trip:accepted', payload);
         
         await Trip.findByIdAndUpdate(trip._id, {
           $inc: { notificationRetries: 1 },
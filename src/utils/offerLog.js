@@ -0,0 +1,179 @@
+// src/utils/offerLog.js
+import mongoose from 'mongoose';
+import TripOffer from '../models/TripOffer.js';
+import User from '../models/User.js';
+import { DRIVER_RATES } from '../config/tripConfig.js';
+import { recordTripEvent } from './tripTimeline.js';
+
+/**
+ * Per-trip offer log + rolling driver rates.
+ * Every dispatch path records `offered`; drivers' answers move the entry to
+ * seen / rejected / timed_out / accepted, and a driver cancelling after
+ * accepting marks it `cancelled`.
+ */
+
+const OPEN = ['offered', 'seen'];
+
+// Which status an event may move an entry from
+const ALLOWED_FROM = {
+  seen: ['offered'],
+  rejected: OPEN,
+  timed_out: OPEN,
+  accepted: OPEN,
+  withdrawn: OPEN,
+  cancelled: ['accepted'],
+};
+
+// Outcomes that change a driver's rates
+const RATED = ['rejected', 'timed_out', 'accepted', 'cancelled'];
+
+// Offer events that go on the trip timeline (accept / cancel come from the state machine)
+const TIMELINE_EVENT = {
+  seen: 'offer_seen',
+  rejected: 'rejected',
+  timed_out: 'offer_timed_out',
+};
+
+const toId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Record that a trip was offered to these drivers.
+ */
+export const logOffered = async (tripId, driverIds, mode = 'broadcast', { source = 'job' } = {}) => {
+  if (!driverIds?.length) return;
+  const now = new Date();
+
+  await recordTripEvent(tripId, mode === 'broadcast' ? 'broadcast' : 'offered', {
+    source,
+    payload: { mode, driverIds: driverIds.map(String), count: driverIds.length },
+    at: now,
+  });
+
+  try {
+    await TripOffer.bulkWrite(
+      driverIds.map((driverId) => ({
+        updateOne: {
+          filter: { tripId: toId(tripId), driverId: toId(driverId) },
+          update: {
+            $setOnInsert: { mode, status: 'offered', offeredAt: now },
+            $push: { events: { type: 'offered', at: now } },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  } catch (err) {
+    console.error('❌ logOffered error:', err.message);
+  }
+};
+
+/**
+ * Move one driver's offer entry to a new state.
+ * @returns {Promise<boolean>} false when the transition was not allowed
+ */
+export const logOfferEvent = async (tripId, driverId, type, { reason = null, source = 'rest' } = {}) => {
+  const now = new Date();
+  const filter = { tripId: toId(tripId), driverId: toId(driverId) };
+
+  try {
+    // Entries created before the offer log existed (or standby offers) start here
+    if (type !== 'cancelled') {
+      await TripOffer.updateOne(
+        filter,
+        { $setOnInsert: { status: 'offered', offeredAt: now, events: [{ type: 'offered', at: now }] } },
+        { upsert: true }
+      );
+    }
+
+    const $set = { status: type };
+    if (type === 'seen') $set.seenAt = now;
+    else $set.respondedAt = now;
+    if (type === 'rejected') {
+      $set.rejectReason = reason ? String(reason).slice(0, DRIVER_RATES.REJECT_REASON_MAX_LENGTH) : null;
+    }
+
+    const result = await TripOffer.updateOne(
+      { ...filter, status: { $in: ALLOWED_FROM[type] } },
+      { $set, $push: { events: { type, at: now, reason: $set.rejectReason || null } } }
+    );
+
+    if (result.modifiedCount === 0) return false;
+    if (TIMELINE_EVENT[type]) {
+      await recordTripEvent(tripId, TIMELINE_EVENT[type], {
+        actor: type === 'timed_out' ? 'system' : 'driver',
+        actorId: type === 'timed_out' ? null : driverId,
+        source: type === 'timed_out' ? 'job' : source,
+        payload: { driverId: String(driverId), ...($set.rejectReason && { reason: $set.rejectReason }) },
+        at: now,
+      });
+    }
+    if (RATED.includes(type)) await refreshDriverRates(driverId);
+    return true;
+  } catch (err) {
+    console.error(`❌ logOfferEvent(${type}) error:`, err.message);
+    return false;
+  }
+};
+
+/**
+ * Close every still-open offer on a trip (another driver accepted, the
+ * customer cancelled, or nobody answered).
+ */
+export const closeOpenOffers = async (tripId, type, { exceptDriverId = null } = {}) => {
+  const filter = { tripId: toId(tripId), status: { $in: OPEN } };
+  if (exceptDriverId) filter.driverId = { $ne: toId(exceptDriverId) };
+
+  try {
+    const affected = RATED.includes(type) ? await TripOffer.distinct('driverId', filter) : [];
+    const now = new Date();
+    await TripOffer.updateMany(filter, {
+      $set: { status: type, respondedAt: now },
+      $push: { events: { type, at: now } },
+    });
+    for (const driverId of affected) await refreshDriverRates(driverId);
+  } catch (err) {
+    console.error(`❌ closeOpenOffers(${type}) error:`, err.message);
+  }
+};
+
+/**
+ * Drivers who turned this trip down — never offer it to them again.
+ */
+export const getDeclinedDriverIds = (tripId) =>
+  TripOffer.distinct('driverId', { tripId: toId(tripId), status: 'rejected' });
+
+/**
+ * Recompute rolling rates from the driver's last WINDOW_OFFERS answered offers.
+ * acceptance   = (accepted + later cancelled) / answered
+ * cancellation = cancelled / (accepted + cancelled)
+ */
+export const refreshDriverRates = async (driverId) => {
+  const since = new Date(Date.now() - DRIVER_RATES.WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const recent = await TripOffer.find({
+    driverId: toId(driverId),
+    status: { $in: RATED },
+    offeredAt: { $gte: since },
+  })
+    .sort({ offeredAt: -1 })
+    .limit(DRIVER_RATES.WINDOW_OFFERS)
+    .select('status')
+    .lean();
+
+  const count = (s) => recent.filter((o) => o.status === s).length;
+  const accepted = count('accepted');
+  const cancelled = count('cancelled');
+  const taken = accepted + cancelled;
+
+  const round = (n) => Math.round(n * 1000) / 1000;
+  const stats = {
+    acceptanceRate: recent.length ? round(taken / recent.length) : null,
+    cancellationRate: taken ? round(cancelled / taken) : null,
+    rateSampleSize: recent.length,
+    ratesUpdatedAt: new Date(),
+  };
+
+  await User.updateOne({ _id: driverId }, { $set: stats });
+  return stats;
+};
@@ -0,0 +1,74 @@
+// src/utils/payoutProviders/fakeProvider.js
+import crypto from 'crypto';
+
+/**
+ * Local payout provider for development and tests — no money moves.
+ * Outcomes are driven by the destination so every path can be exercised:
+ *   verification fails:  UPI starting `fail`, account number ending `0000`
+ *   payout fails:        UPI starting `payoutfail`, account number ending `1111`
+ * Payouts report `processing` when created and settle on the next status
+ * poll. State is in memory, so payouts created before a restart come back
+ * as not found.
+ */
+
+const UPI_PATTERN = /^[\w.-]{2,}@[a-z]{2,}$/i;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+const payouts = new Map(); // reference → { id, willFail, status, utr, failureReason }
+
+const fakeId = (prefix) => `${prefix}_fake_${crypto.randomBytes(7).toString('hex')}`;
+
+const willFail = (method) =>
+  (method.type === 'upi' && method.upiId?.startsWith('payoutfail')) ||
+  (method.type === 'bank' && method.accountNumber?.endsWith('1111'));
+
+const view = (p) => ({
+  status: p.status,
+  providerPayoutId: p.id,
+  utr: p.utr || undefined,
+  failureReason: p.failureReason || undefined,
+});
+
+export default {
+  name: 'fake',
+
+  async verifyMethod(method) {
+    if (method.type === 'upi') {
+      if (!UPI_PATTERN.test(method.upiId || '')) return { status: 'failed', failureReason: 'Invalid UPI ID' };
+      if (method.upiId.startsWith('fail')) return { status: 'failed', failureReason: 'VPA not found' };
+    } else {
+      if (!IFSC_PATTERN.test(method.ifsc || '')) return { status: 'failed', failureReason: 'Invalid IFSC' };
+      if (!/^\d{9,18}$/.test(method.accountNumber || '')) return { status: 'failed', failureReason: 'Invalid account number' };
+      if (method.accountNumber.endsWith('0000')) return { status: 'failed', failureReason: 'Account does not exist' };
+    }
+
+    return {
+      status: 'verified',
+      reference: fakeId('fav'),
+      nameAtBank: method.accountHolderName.toUpperCase(),
+    };
+  },
+
+  async createPayout(payout, method) {
+    if (!payouts.has(payout.reference)) {
+      payouts.set(payout.reference, { id: fakeId('pout'), willFail: willFail(method), status: 'processing' });
+    }
+    return view(payouts.get(payout.reference));
+  },
+
+  async getPayoutStatus(providerPayoutId) {
+    const p = [...payouts.values()].find((entry) => entry.id === providerPayoutId);
+    if (!p) return { status: 'failed', providerPayoutId, failureReason: 'Payout not found at provider' };
+
+    if (p.status === 'processing') {
+      if (p.willFail) {
+        p.status = 'failed';
+        p.failureReason = 'Beneficiary bank declined the transfer';
+      } else {
+        p.status = 'paid';
+        p.utr = `FAKE${Date.now()}`;
+      }
+    }
+    return view(p);
+  },
+};
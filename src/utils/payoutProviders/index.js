@@ -0,0 +1,46 @@
+// src/utils/payoutProviders/index.js
+import { DRIVER_PAYOUT } from '../../config/paymentConfig.js';
+import fakeProvider from './fakeProvider.js';
+
+/**
+ * Payout providers move money from the platform to a driver's bank / UPI.
+ * utils/payouts.js only talks to this interface, so a real provider
+ * (RazorpayX, Cashfree, ...) is one registerPayoutProvider() call away.
+ *
+ * @typedef {Object} PayoutProviderResult
+ * @property {'processing'|'paid'|'failed'} status
+ * @property {string} [providerPayoutId]
+ * @property {string} [utr] - bank reference once paid
+ * @property {string} [failureReason]
+ *
+ * @typedef {Object} PayoutProvider
+ * @property {string} name
+ * @property {(method: Object) => Promise<{ status: 'verified'|'failed', reference?: string, nameAtBank?: string, failureReason?: string }>} verifyMethod
+ *   Penny drop / VPA lookup. `method` includes the full account number.
+ * @property {(payout: Object, method: Object) => Promise<PayoutProviderResult>} createPayout
+ *   Must be idempotent on `payout.reference`: the sync job retries it.
+ * @property {(providerPayoutId: string) => Promise<PayoutProviderResult>} getPayoutStatus
+ */
+
+const providers = new Map([[fakeProvider.name, fakeProvider]]);
+
+export const registerPayoutProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * The configured provider (DRIVER_PAYOUT.PROVIDER), or null if none is
+ * configured, it is unknown, or it is the fake one in production.
+ * @returns {PayoutProvider|null}
+ */
+export const getPayoutProvider = () => {
+  if (!DRIVER_PAYOUT.PROVIDER) return null;
+  if (DRIVER_PAYOUT.PROVIDER === fakeProvider.name && process.env.NODE_ENV === 'production') {
+    console.error('🔥 The fake payout provider cannot be used in production');
+    return null;
+  }
+
+  const provider = providers.get(DRIVER_PAYOUT.PROVIDER) || null;
+  if (!provider) console.error(`🔥 Unknown payout provider: ${DRIVER_PAYOUT.PROVIDER}`);
+  return provider;
+};
@@ -0,0 +1,309 @@
+// src/utils/payouts.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Payout, { OPEN_PAYOUT_STATUSES } from '../models/Payout.js';
+import PayoutMethod from '../models/PayoutMethod.js';
+import Wallet from '../models/Wallet.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { DRIVER_PAYOUT } from '../config/paymentConfig.js';
+import { getPayoutProvider } from './payoutProviders/index.js';
+import {
+  getDriverLedgerBalances,
+  postPayoutHoldEntry,
+  postPayoutPaidEntry,
+  postPayoutReversalEntry,
+} from './ledger.js';
+
+/**
+ * Driver payouts to bank / UPI.
+ * A request holds the amount in the ledger straight away; an admin approves
+ * it, the payout provider sends it, and the provider's final answer (via
+ * dispatch or the sync job) moves it to `paid` — or to `failed`, which
+ * reverses the hold. Every status change is a conditional update, so only
+ * one path can finish a payout.
+ */
+
+const payoutError = (statusCode, errorCode, message) =>
+  Object.assign(new Error(message), { statusCode, errorCode });
+
+export const maskMethod = (method) => ({
+  type: method.type,
+  label: method.type === 'upi'
+    ? `UPI ${method.upiId.replace(/^(.{2}).*(@.*)$/, '$1***$2')}`
+    : `${method.ifsc} ••••${method.accountNumberLast4}`,
+  accountHolderName: method.accountHolderName,
+});
+
+export const payoutView = (payout) => ({
+  payoutId: payout._id,
+  amount: payout.amount,
+  status: payout.status,
+  method: payout.method,
+  utr: payout.utr,
+  failureReason: payout.failureReason,
+  rejectionReason: payout.rejectionReason,
+  requestedAt: payout.createdAt,
+  paidAt: payout.paidAt,
+  history: payout.history,
+});
+
+const notify = (payout) => {
+  if (!io) return;
+  io.to(userRoom(payout.driverId)).emit('payout:updated', payoutView(payout));
+};
+
+const startOfToday = () => {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Move a payout between statuses if it is still in one of `from`.
+ * @param {Object} filter - e.g. { _id } or { _id, driverId }
+ * @returns {Promise<Object|null>} the updated payout, or null if another path got there first
+ */
+const transition = (filter, from, to, { set = {}, by = null, note = null } = {}) =>
+  Payout.findOneAndUpdate(
+    { ...filter, status: { $in: from } },
+    {
+      $set: { ...set, status: to, open: OPEN_PAYOUT_STATUSES.includes(to) },
+      $push: { history: { status: to, at: new Date(), by, note } },
+    },
+    { new: true }
+  );
+
+const reverseHold = async (payout, reason) => {
+  await postPayoutReversalEntry(payout, reason);
+  await Wallet.updateOne({ driverId: payout.driverId }, { $inc: { availableBalance: payout.amount } });
+  await Payout.updateOne({ _id: payout._id }, { $set: { reversedAt: new Date() } });
+  console.log(`↩️ Payout ${payout._id} reversed: ₹${payout.amount} back to driver ${payout.driverId}`);
+};
+
+/**
+ * Run a method through the provider's verification (penny drop / VPA lookup).
+ */
+export const verifyPayoutMethod = async (methodId) => {
+  const method = await PayoutMethod.findById(methodId).select('+accountNumber');
+  const provider = getPayoutProvider();
+  if (!provider) throw payoutError(503, 'SERVICE_UNAVAILABLE', 'Payout service temporarily unavailable');
+
+  const result = await provider.verifyMethod(method.toObject());
+  method.status = result.status === 'verified' ? 'verified' : 'failed';
+  method.verification = {
+    provider: provider.name,
+    reference: result.reference || null,
+    nameAtBank: result.nameAtBank || null,
+    failureReason: result.failureReason || null,
+    verifiedAt: result.status === 'verified' ? new Date() : null,
+  };
+  await method.save();
+  return method;
+};
+
+/**
+ * What a driver can withdraw right now.
+ */
+export const getPayoutEligibility = async (driverId) => {
+  const [balances, todayAgg, openPayout] = await Promise.all([
+    getDriverLedgerBalances(driverId),
+    Payout.aggregate([
+      {
+        $match: {
+          driverId: new mongoose.Types.ObjectId(String(driverId)),
+          createdAt: { $gte: startOfToday() },
+          status: { $nin: ['failed', 'rejected', 'cancelled'] },
+        },
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } },
+    ]),
+    Payout.findOne({ driverId, open: true }).lean(),
+  ]);
+
+  const requestedToday = todayAgg[0]?.total || 0;
+  const dailyRemaining = Math.max(0, DRIVER_PAYOUT.DAILY_CAP - requestedToday);
+
+  return {
+    withdrawableBalance: balances.withdrawableBalance,
+    requestedToday,
+    dailyRemaining,
+    maxRequestable: Math.min(balances.withdrawableBalance, dailyRemaining, DRIVER_PAYOUT.MAX_AMOUNT),
+    limits: {
+      minAmount: DRIVER_PAYOUT.MIN_AMOUNT,
+      maxAmount: DRIVER_PAYOUT.MAX_AMOUNT,
+      dailyCap: DRIVER_PAYOUT.DAILY_CAP,
+    },
+    openPayout: openPayout ? payoutView(openPayout) : null,
+  };
+};
+
+/**
+ * Driver asks to withdraw `amount` (₹) to a verified method (default if omitted).
+ * Throws errors carrying statusCode / errorCode for the controller.
+ */
+export const requestPayout = async ({ driverId, amount, payoutMethodId = null }) => {
+  if (!Number.isFinite(amount) || amount < DRIVER_PAYOUT.MIN_AMOUNT || amount > DRIVER_PAYOUT.MAX_AMOUNT) {
+    throw payoutError(400, 'INVALID_AMOUNT',
+      `Payout amount must be between ₹${DRIVER_PAYOUT.MIN_AMOUNT} and ₹${DRIVER_PAYOUT.MAX_AMOUNT}`);
+  }
+  amount = Number(amount.toFixed(2));
+  if (!getPayoutProvider()) throw payoutError(503, 'SERVICE_UNAVAILABLE', 'Payout service temporarily unavailable');
+
+  const method = await PayoutMethod.findOne({
+    driverId,
+    removedAt: null,
+    ...(payoutMethodId ? { _id: payoutMethodId } : { isDefault: true }),
+  }).lean();
+  if (!method) throw payoutError(400, 'NO_PAYOUT_METHOD', 'Add a bank account or UPI ID first');
+  if (method.status !== 'verified') {
+    throw payoutError(400, 'METHOD_NOT_VERIFIED', 'This payout method is not verified');
+  }
+
+  const eligibility = await getPayoutEligibility(driverId);
+  if (eligibility.openPayout) {
+    throw payoutError(409, 'PAYOUT_IN_PROGRESS', 'You already have a payout in progress');
+  }
+  if (amount > eligibility.dailyRemaining) {
+    throw payoutError(400, 'DAILY_CAP_EXCEEDED',
+      `Daily payout limit is ₹${DRIVER_PAYOUT.DAILY_CAP}; ₹${eligibility.dailyRemaining.toFixed(2)} left today`);
+  }
+  if (amount > eligibility.withdrawableBalance) {
+    throw payoutError(400, 'INSUFFICIENT_BALANCE',
+      `Withdrawable balance is ₹${eligibility.withdrawableBalance.toFixed(2)}`);
+  }
+
+  let payout;
+  try {
+    payout = await Payout.create({
+      driverId,
+      payoutMethodId: method._id,
+      method: maskMethod(method),
+      amount,
+      reference: `po_${crypto.randomBytes(10).toString('hex')}`,
+      history: [{ status: 'requested', by: 'driver' }],
+    });
+  } catch (err) {
+    // Partial unique index on { driverId, open }: a parallel request won
+    if (err.code === 11000) throw payoutError(409, 'PAYOUT_IN_PROGRESS', 'You already have a payout in progress');
+    throw err;
+  }
+
+  try {
+    await postPayoutHoldEntry(payout);
+  } catch (err) {
+    await transition({ _id: payout._id }, ['requested'], 'failed', {
+      set: { failureReason: 'ledger_hold_failed', failedAt: new Date() },
+      note: err.message,
+    });
+    throw err;
+  }
+  await Wallet.updateOne({ driverId }, { $inc: { availableBalance: -amount } });
+
+  console.log(`🏦 Payout ${payout._id} requested: ₹${amount} by driver ${driverId} → ${payout.method.label}`);
+  notify(payout);
+  return payout;
+};
+
+export const cancelPayout = async ({ driverId, payoutId }) => {
+  const payout = await transition({ _id: payoutId, driverId }, ['requested'], 'cancelled', { by: 'driver' });
+  if (!payout) return null;
+
+  await reverseHold(payout, 'cancelled by driver');
+  notify(payout);
+  return payout;
+};
+
+export const rejectPayout = async ({ payoutId, adminEmail, reason }) => {
+  const payout = await transition({ _id: payoutId }, ['requested'], 'rejected', {
+    set: { reviewedBy: adminEmail, reviewedAt: new Date(), rejectionReason: reason },
+    by: adminEmail,
+    note: reason,
+  });
+  if (!payout) return null;
+
+  await reverseHold(payout, `rejected: ${reason}`);
+  notify(payout);
+  return payout;
+};
+
+/**
+ * Apply a provider answer to a payout that is approved / processing.
+ */
+export const applyProviderResult = async (payout, result, by = 'provider') => {
+  if (result.status === 'paid') {
+    const paid = await transition({ _id: payout._id }, ['approved', 'processing'], 'paid', {
+      set: { providerPayoutId: result.providerPayoutId || payout.providerPayoutId, utr: result.utr || null, paidAt: new Date() },
+      by,
+    });
+    if (!paid) return payout;
+    await postPayoutPaidEntry(paid);
+    console.log(`✅ Payout ${paid._id} paid: ₹${paid.amount} (UTR ${paid.utr || 'n/a'})`);
+    notify(paid);
+    return paid;
+  }
+
+  if (result.status === 'failed') {
+    const failed = await transition({ _id: payout._id }, ['approved', 'processing'], 'failed', {
+      set: { failureReason: result.failureReason || 'unknown', failedAt: new Date() },
+      by,
+      note: result.failureReason,
+    });
+    if (!failed) return payout;
+    await reverseHold(failed, `failed: ${failed.failureReason}`);
+    notify(failed);
+    return failed;
+  }
+
+  // Still processing: remember the provider's ID for polling
+  if (result.providerPayoutId && !payout.providerPayoutId) {
+    return Payout.findByIdAndUpdate(payout._id, { $set: { providerPayoutId: result.providerPayoutId } }, { new: true });
+  }
+  return payout;
+};
+
+/**
+ * Hand an approved / processing payout to the provider. Safe to repeat —
+ * providers are idempotent on `payout.reference`.
+ */
+export const dispatchPayout = async (payout, by = 'provider') => {
+  const provider = getPayoutProvider();
+  if (!provider) return payout;
+
+  if (payout.status === 'approved') {
+    const processing = await transition({ _id: payout._id }, ['approved'], 'processing', {
+      set: { provider: provider.name, processingAt: new Date() },
+      by,
+    });
+    if (!processing) return payout;
+    payout = processing;
+    notify(payout);
+  }
+
+  const method = await PayoutMethod.findById(payout.payoutMethodId).select('+accountNumber').lean();
+  if (!method) {
+    return applyProviderResult(payout, { status: 'failed', failureReason: 'Payout method no longer exists' }, by);
+  }
+
+  try {
+    const result = await provider.createPayout(payout.toObject?.() || payout, method);
+    return applyProviderResult(payout, result, by);
+  } catch (err) {
+    // Left in `processing`; the sync job retries with the same reference
+    console.error(`⚠️ Payout ${payout._id} dispatch failed:`, err.message);
+    return payout;
+  }
+};
+
+export const approvePayout = async ({ payoutId, adminEmail }) => {
+  if (!getPayoutProvider()) throw payoutError(503, 'SERVICE_UNAVAILABLE', 'Payout service temporarily unavailable');
+
+  const approved = await transition({ _id: payoutId }, ['requested'], 'approved', {
+    set: { reviewedBy: adminEmail, reviewedAt: new Date() },
+    by: adminEmail,
+  });
+  if (!approved) return null;
+
+  console.log(`🏦 Payout ${approved._id} approved by ${adminEmail}`);
+  return dispatchPayout(approved, adminEmail);
+};
@@ -0,0 +1,132 @@
+// src/utils/pickupWait.js
+import Trip from '../models/Trip.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { PICKUP_WAIT } from '../config/tripConfig.js';
+import { calculateDistanceInMeters } from './distanceCalculator.js';
+
+/**
+ * Waiting at pickup.
+ * The clock starts at `arrivedAt` (set by the driver_at_pickup transition).
+ * After the free window every started minute costs `perMin`; the total is
+ * settled into `pickupWait` when the ride starts and added to the final fare.
+ * Past `noShowAfterMin` the driver may report a customer no-show.
+ * Terms come from the rate card the trip was quoted with (pricing.rate),
+ * falling back to PICKUP_WAIT.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export const waitingTerms = (trip) => {
+  const rate = trip.pricing?.rate || {};
+  const feePercent = PICKUP_WAIT.NO_SHOW_DRIVER_SHARE_PERCENT;
+  const noShowFee = rate.noShowFee ?? PICKUP_WAIT.NO_SHOW_FEE;
+  return {
+    freeMin: rate.freeWaitingMin ?? PICKUP_WAIT.FREE_MIN,
+    perMin: rate.waitingPerMin ?? PICKUP_WAIT.PER_MIN,
+    noShowAfterMin: rate.noShowAfterMin ?? PICKUP_WAIT.NO_SHOW_AFTER_MIN,
+    noShowFee,
+    noShowDriverShare: round2((noShowFee * feePercent) / 100),
+  };
+};
+
+/**
+ * Live waiting numbers for a trip at pickup.
+ * @param {Object} trip - with arrivedAt and pricing
+ * @param {Date} [now]
+ */
+export const waitingStatus = (trip, now = new Date()) => {
+  const terms = waitingTerms(trip);
+  const arrivedAt = trip.arrivedAt ? new Date(trip.arrivedAt) : null;
+  const waitedSec = arrivedAt ? Math.max(0, Math.floor((now - arrivedAt) / 1000)) : 0;
+  const chargeableMin = Math.max(0, Math.ceil(waitedSec / 60 - terms.freeMin));
+  const noShowAvailableAt = arrivedAt ? new Date(arrivedAt.getTime() + terms.noShowAfterMin * 60000) : null;
+
+  return {
+    tripId: String(trip._id),
+    arrivedAt,
+    waitedSec,
+    freeMin: terms.freeMin,
+    freeRemainingSec: Math.max(0, terms.freeMin * 60 - waitedSec),
+    perMin: terms.perMin,
+    chargeableMin,
+    charge: round2(chargeableMin * terms.perMin),
+    noShowAvailableAt,
+    canReportNoShow: !!noShowAvailableAt && now >= noShowAvailableAt,
+    noShowFee: terms.noShowFee,
+    serverTime: now,
+  };
+};
+
+/**
+ * Geofence for arriving at pickup and reporting a no-show.
+ * @returns {number} the driver's distance from pickup in metres
+ * @throws {Error} LOCATION_REQUIRED, TOO_FAR_FROM_PICKUP (with statusCode)
+ */
+export const assertAtPickup = (trip, { driverLat, driverLng }) => {
+  const lat = Number(driverLat);
+  const lng = Number(driverLng);
+  if (driverLat == null || driverLng == null || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+    throw Object.assign(new Error('driverLat and driverLng are required'), {
+      statusCode: 400,
+      errorCode: 'LOCATION_REQUIRED',
+    });
+  }
+
+  const distanceM = Math.round(calculateDistanceInMeters([lng, lat], trip.pickup.coordinates));
+  if (distanceM > PICKUP_WAIT.ARRIVAL_RADIUS_M) {
+    throw Object.assign(new Error(`You are ${distanceM}m away from the pickup location`), {
+      statusCode: 400,
+      errorCode: 'TOO_FAR_FROM_PICKUP',
+      distanceM,
+    });
+  }
+  return distanceM;
+};
+
+/**
+ * `set` for the ride_started (or no-show cancel) transition: freezes the
+ * waiting charge. Empty when the driver never marked arrival.
+ */
+export const endPickupWait = (trip, at = new Date()) => {
+  if (!trip.arrivedAt) return {};
+  const status = waitingStatus(trip, at);
+  return {
+    pickupWait: {
+      waitedSec: status.waitedSec,
+      freeMin: status.freeMin,
+      perMin: status.perMin,
+      chargeableMin: status.chargeableMin,
+      charge: status.charge,
+      endedAt: at,
+    },
+  };
+};
+
+/**
+ * trip:waiting_timer to the customer and driver. Apps run the clock
+ * locally from arrivedAt / serverTime; this keeps them in sync.
+ */
+export const emitWaitingStatus = (trip, now = new Date()) => {
+  if (!io) return;
+  const status = waitingStatus(trip, now);
+  const rooms = [trip.customerId?._id || trip.customerId, trip.assignedDriver?._id || trip.assignedDriver]
+    .filter(Boolean)
+    .map(String);
+  for (const id of rooms) io.to(userRoom(id)).emit('trip:waiting_timer', status);
+};
+
+/**
+ * Push the timer for every trip waiting at pickup (leader job, every 15 s).
+ */
+export const tickPickupWaits = async () => {
+  try {
+    const trips = await Trip.find({ status: 'driver_at_pickup', arrivedAt: { $ne: null } })
+      .select('customerId assignedDriver arrivedAt pricing.rate')
+      .lean();
+    const now = new Date();
+    for (const trip of trips) emitWaitingStatus(trip, now);
+  } catch (error) {
+    console.error('❌ Pickup wait ticker error:', error);
+  }
+};
@@ -0,0 +1,49 @@
+// src/utils/razorpayClient.js
+import crypto from 'crypto';
+import Razorpay from 'razorpay';
+import { RAZORPAY } from '../config/paymentConfig.js';
+
+let client;
+
+/**
+ * Shared Razorpay SDK instance, or null when credentials are missing.
+ */
+export const getRazorpay = () => {
+  if (client !== undefined) return client;
+
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+
+  if (!keyId || !keySecret) {
+    console.error('🔥 RAZORPAY CREDENTIALS MISSING');
+    console.error('Please set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET in .env');
+    client = null;
+    return client;
+  }
+
+  if (!keyId.startsWith('rzp_test_') && !keyId.startsWith('rzp_live_')) {
+    console.warn('⚠️  Warning: Razorpay Key ID format incorrect');
+  }
+
+  client = new Razorpay({ key_id: keyId, key_secret: keySecret });
+
+  if (RAZORPAY.API_BASE) {
+    client.api.rq.defaults.baseURL = RAZORPAY.API_BASE;
+    console.log(`🧪 Razorpay API base overridden: ${RAZORPAY.API_BASE}`);
+  }
+
+  console.log('✅ Razorpay initialized:', keyId.substring(0, 12) + '...');
+  return client;
+};
+
+/**
+ * HMAC-SHA256 of the exact bytes Razorpay sent, compared in constant time.
+ */
+export const verifyWebhookSignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const a = Buffer.from(expected, 'utf8');
+  const b = Buffer.from(String(signature), 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
@@ -0,0 +1,207 @@
+// src/utils/referrals.js
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Trip from '../models/Trip.js';
+import Reward from '../models/Reward.js';
+import Wallet from '../models/Wallet.js';
+import Referral from '../models/Referral.js';
+import RewardSettings from '../models/RewardSettings.js';
+import { REFERRAL } from '../config/referralConfig.js';
+import { postReferralBonusEntry } from './ledger.js';
+
+/**
+ * Referral program.
+ * Every user gets a code; a new user who signs up with one (firebaseSync) is
+ * attributed to the referrer. When the referee's first paid trip is cash-
+ * collected, the referrer is paid: coins for customer referrals, ₹ into the
+ * Wallet for driver-refers-driver.
+ */
+
+const randomCode = () => {
+  const bytes = crypto.randomBytes(REFERRAL.CODE_LENGTH);
+  let code = REFERRAL.CODE_PREFIX;
+  for (const byte of bytes) {
+    code += REFERRAL.CODE_ALPHABET[byte % REFERRAL.CODE_ALPHABET.length];
+  }
+  return code;
+};
+
+export const normalizeReferralCode = (code) =>
+  typeof code === 'string' ? code.trim().toUpperCase() : null;
+
+/**
+ * Give the user a referral code if they don't have one yet.
+ * @returns {Promise<string>}
+ */
+export const ensureReferralCode = async (user) => {
+  if (user.referralCode) return user.referralCode;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = randomCode();
+    try {
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, referralCode: { $in: [null, undefined] } },
+        { $set: { referralCode: code } },
+        { new: true }
+      ).select('referralCode').lean();
+
+      if (updated) return updated.referralCode;
+
+      // Set concurrently by another request
+      const current = await User.findById(user._id).select('referralCode').lean();
+      return current?.referralCode || null;
+    } catch (err) {
+      if (err.code !== 11000) throw err; // code collision → retry
+    }
+  }
+  throw new Error('Could not generate a unique referral code');
+};
+
+const samePhonePrefix = (a, b) => {
+  const len = REFERRAL.PHONE_PREFIX_LENGTH;
+  const pa = String(a || '').replace(/[^0-9]/g, '').slice(-10);
+  const pb = String(b || '').replace(/[^0-9]/g, '').slice(-10);
+  return pa.length === 10 && pb.length === 10 && pa.slice(0, len) === pb.slice(0, len);
+};
+
+/**
+ * Attribute a new signup to the owner of `code`.
+ * Abuse checks: self-referral, same device, same phone prefix.
+ * A rejected attempt is stored too, so repeated tries are visible.
+ * @returns {Promise<{ attributed: boolean, reason?: string, referral?: Object }>}
+ */
+export const attributeReferral = async ({ referee, code, deviceId = null }) => {
+  const referralCode = normalizeReferralCode(code);
+  if (!referralCode) return { attributed: false, reason: 'no_code' };
+
+  if (referee.referredBy || (await Referral.exists({ refereeId: referee._id }))) {
+    return { attributed: false, reason: 'already_referred' };
+  }
+
+  const referrer = await User.findOne({ referralCode }).select('phone isDriver signupDeviceId').lean();
+  if (!referrer) return { attributed: false, reason: 'invalid_code' };
+
+  const type = referee.isDriver ? 'driver' : 'customer';
+  if (type === 'driver' && !referrer.isDriver) {
+    return { attributed: false, reason: 'driver_code_required' };
+  }
+
+  let rejectReason = null;
+  if (String(referrer._id) === String(referee._id) || referrer.phone === referee.phone) {
+    rejectReason = 'self_referral';
+  } else if (
+    deviceId &&
+    (referrer.signupDeviceId === deviceId ||
+      (await Referral.countDocuments({ refereeDeviceId: deviceId })) >= REFERRAL.MAX_REFERRALS_PER_DEVICE)
+  ) {
+    rejectReason = 'same_device';
+  } else if (samePhonePrefix(referrer.phone, referee.phone)) {
+    rejectReason = 'same_phone_prefix';
+  }
+
+  const referral = await Referral.create({
+    referrerId: referrer._id,
+    refereeId: referee._id,
+    code: referralCode,
+    type,
+    status: rejectReason ? 'rejected' : 'pending',
+    rejectReason,
+    refereeDeviceId: deviceId,
+  });
+
+  if (rejectReason) {
+    console.log(`🚫 Referral ${referralCode} → ${referee._id} rejected (${rejectReason})`);
+    return { attributed: false, reason: rejectReason };
+  }
+
+  await User.updateOne({ _id: referee._id }, { $set: { referredBy: referrer._id } });
+  console.log(`🤝 ${type} referral: ${referrer._id} referred ${referee._id}`);
+  return { attributed: true, referral };
+};
+
+const payCustomerReferral = async (referral, settings, trip) => {
+  const coins = settings?.referralBonus ?? 50;
+
+  await User.updateOne({ _id: referral.referrerId }, { $inc: { coins } });
+  await Reward.create({
+    customerId: referral.referrerId,
+    tripId: trip._id,
+    referralId: referral._id,
+    coins,
+    type: 'earned',
+    description: 'Referral bonus: your friend completed their first ride',
+    createdAt: new Date(),
+  });
+  return coins;
+};
+
+const payDriverReferral = async (referral, settings, trip) => {
+  const amount = settings?.driverReferralBonus ?? 100;
+
+  await Wallet.findOneAndUpdate(
+    { driverId: referral.referrerId },
+    {
+      $inc: { totalEarnings: amount, availableBalance: amount },
+      $push: {
+        transactions: {
+          type: 'credit',
+          amount,
+          tripId: trip._id,
+          description: 'Referral bonus: referred driver completed first paid trip',
+          status: 'completed',
+          createdAt: new Date(),
+        },
+      },
+    },
+    { upsert: true, new: true }
+  );
+  await postReferralBonusEntry(referral.referrerId, amount, referral._id, trip._id);
+  return amount;
+};
+
+/**
+ * Pay pending referrals whose referee just finished their first paid trip.
+ * Called after cash collection; safe to call more than once per trip.
+ */
+export const processReferralPayouts = async (tripId) => {
+  const trip = await Trip.findById(tripId).select('customerId assignedDriver paymentCollected').lean();
+  if (!trip?.paymentCollected) return [];
+
+  const settings = await RewardSettings.findOne().lean();
+  const paid = [];
+
+  // Customer referrals qualify on a trip the referee rode, driver ones on a trip they drove
+  const candidates = [
+    { refereeId: trip.customerId, type: 'customer' },
+    { refereeId: trip.assignedDriver, type: 'driver' },
+  ].filter((c) => c.refereeId);
+
+  for (const { refereeId, type } of candidates) {
+    // Claim atomically so two instances can't both pay
+    const referral = await Referral.findOneAndUpdate(
+      { refereeId, type, status: 'pending' },
+      { $set: { status: 'paid', paidAt: new Date(), qualifyingTripId: trip._id } },
+      { new: true }
+    );
+    if (!referral) continue;
+
+    try {
+      const bonus = referral.type === 'driver'
+        ? await payDriverReferral(referral, settings, trip)
+        : await payCustomerReferral(referral, settings, trip);
+
+      await Referral.updateOne({ _id: referral._id }, { $set: { bonus } });
+      console.log(`🎉 Referral ${referral._id} paid: ${bonus} ${referral.type === 'driver' ? '₹' : 'coins'} → ${referral.referrerId}`);
+      paid.push({ referralId: referral._id, type: referral.type, bonus });
+    } catch (err) {
+      // Release the claim so the next paid trip can retry
+      await Referral.updateOne(
+        { _id: referral._id },
+        { $set: { status: 'pending', paidAt: null, qualifyingTripId: null } }
+      );
+      console.error(`❌ Referral payout failed for ${referral._id}:`, err.message);
+    }
+  }
+
+  return paid;
+};
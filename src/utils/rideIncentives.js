@@ -0,0 +1,115 @@
+// src/utils/rideIncentives.js
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Trip from '../models/Trip.js';
+import Wallet from '../models/Wallet.js';
+import { postIncentiveEntry, openDriverLedger } from './ledger.js';
+
+/**
+ * Per-ride driver incentive (cash to the driver Wallet, coins on User).
+ * Server-side only: the cash is withdrawable, so it is only ever awarded for
+ * a completed trip the driver actually drove, and at most once per trip
+ * (Trip.incentiveAwardedAt, claimed inside the same transaction).
+ */
+
+const incentiveError = (statusCode, errorCode, message) =>
+  Object.assign(new Error(message), { statusCode, errorCode });
+
+const getIncentiveSettings = async () => {
+  const settings = await mongoose.connection.db.collection('incentiveSettings').findOne({ type: 'global' });
+  return {
+    perRideIncentive: settings?.perRideIncentive || 0.0,
+    perRideCoins: settings?.perRideCoins || 0,
+  };
+};
+
+/**
+ * @param {string|ObjectId} driverId
+ * @param {string|ObjectId} tripId - completed trip assigned to `driverId`
+ * @returns {Promise<{ cashIncentive: number, coinsAwarded: number, totalCoins?: number, totalIncentiveEarned?: number, walletAvailableBalance?: number }>}
+ */
+export const awardRideIncentive = async (driverId, tripId) => {
+  if (!mongoose.Types.ObjectId.isValid(driverId) || !mongoose.Types.ObjectId.isValid(tripId)) {
+    throw incentiveError(400, 'INVALID_REQUEST', 'Valid driverId and tripId are required');
+  }
+
+  const { perRideIncentive, perRideCoins } = await getIncentiveSettings();
+  if (perRideIncentive === 0 && perRideCoins === 0) {
+    return { cashIncentive: 0, coinsAwarded: 0 };
+  }
+
+  // Carry the wallet's current counters into the ledger before they move
+  if (perRideIncentive > 0) await openDriverLedger(driverId);
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+
+    const trip = await Trip.findOneAndUpdate(
+      { _id: tripId, status: 'completed', assignedDriver: driverId, incentiveAwardedAt: null },
+      { $set: { incentiveAwardedAt: new Date() } },
+      { new: true, session }
+    ).select('_id');
+    if (!trip) {
+      const exists = await Trip.exists({ _id: tripId, status: 'completed', assignedDriver: driverId }).session(session);
+      throw exists
+        ? incentiveError(409, 'ALREADY_AWARDED', 'Ride incentive already added for this trip')
+        : incentiveError(404, 'TRIP_NOT_ELIGIBLE', 'No completed trip by this driver');
+    }
+
+    const user = await User.findByIdAndUpdate(
+      driverId,
+      {
+        $inc: {
+          totalIncentiveEarned: perRideIncentive,
+          totalCoinsCollected: perRideCoins,
+          totalRidesCompleted: 1,
+        },
+      },
+      { new: true, session }
+    );
+    if (!user) throw incentiveError(404, 'USER_NOT_FOUND', 'User not found');
+
+    const wallet = await Wallet.findOneAndUpdate(
+      { driverId },
+      {
+        $inc: {
+          availableBalance: perRideIncentive,
+          totalEarnings: perRideIncentive,
+        },
+        $push: {
+          transactions: {
+            type: 'credit',
+            amount: Number(perRideIncentive.toFixed(2)),
+            tripId: trip._id,
+            description: `Ride incentive - ₹${perRideIncentive.toFixed(2)}${perRideCoins > 0 ? ` + ${perRideCoins} coins` : ''}`,
+            status: 'completed',
+            createdAt: new Date(),
+          },
+        },
+        $set: { lastUpdated: new Date() },
+      },
+      { new: true, upsert: true, session }
+    );
+
+    // Journalled in the same transaction, keyed on the trip
+    if (perRideIncentive > 0) await postIncentiveEntry(driverId, perRideIncentive, trip._id, { session });
+
+    await session.commitTransaction();
+
+    console.log(`💎 Ride incentive for trip ${tripId}: ₹${perRideIncentive} + ${perRideCoins} coins → driver ${driverId}`);
+    return {
+      cashIncentive: perRideIncentive,
+      coinsAwarded: perRideCoins,
+      totalCoins: user.totalCoinsCollected,
+      totalIncentiveEarned: user.totalIncentiveEarned,
+      walletAvailableBalance: Number(wallet.availableBalance.toFixed(2)),
+    };
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    if (err.code === 11000) throw incentiveError(409, 'ALREADY_AWARDED', 'Ride incentive already added for this trip');
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
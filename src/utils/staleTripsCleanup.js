@@ -1,13 +1,16 @@
 // src/utils/staleTripsCleanup.js
 import Trip from '../models/Trip.js';
 import User from '../models/User.js';
+import { isLeader } from './leaderElection.js';
+import { tryTransitionTrip } from './tripStateMachine.js';
 
 /**
  * Release trips that have been stuck without progress for too long
- * Runs every 2 minutes
+ * Runs every 2 minutes (leader instance only)
  */
 export const startStaleTripCleanup = () => {
   setInterval(async () => {
+    if (!isLeader()) return;
     try {
       const now = new Date();
       const fiveMinutesAgo = new Date(now - 5 * 60 * 1000);
@@ -17,6 +20,15 @@ export const startStaleTripCleanup = () => {
       const staleTrips = await Trip.find({
         status: { $in: ['driver_assigned', 'ride_started'] },
         assignedDriver: { $exists: true, $ne: null },
+        // Pre-assigned scheduled trips are idle until their pickup time
+        $and: [
+          {
+            $or: [
+              { tripTime: null },
+              { tripTime: { $lt: fiveMinutesAgo } },
+            ],
+          },
+        ],
         $or: [
           // No heartbeat received yet and accepted >5 mins ago
           {
@@ -35,23 +47,27 @@ export const startStaleTripCleanup = () => {
       console.log(`🧹 Found ${staleTrips.length} stale trip(s) to release...`);
 
       for (const trip of staleTrips) {
-        // Release the driver
-        if (trip.assignedDriver) {
-          await User.findByIdAndUpdate(trip.assignedDriver, {
-            $set: {
-              currentTripId: null,
-              isBusy: false,
-              canReceiveNewRequests: false,
-            },
-          });
-          console.log(`✅ Released driver ${trip.assignedDriver} from stale trip ${trip._id}`);
-        }
+        // Mark trip as timeout, unless a heartbeat or status change came in meanwhile
+        const timedOut = await tryTransitionTrip(trip._id, 'timeout', {
+          from: trip.status,
+          where: {
+            assignedDriver: trip.assignedDriver,
+            lastDriverHeartbeat: trip.lastDriverHeartbeat ?? null,
+          },
+          unset: { assignedDriver: 1 },
+          reason: 'stale_no_heartbeat',
+        });
+        if (!timedOut) continue;
 
-        // Mark trip as timeout
-        await Trip.findByIdAndUpdate(trip._id, {
-          $set: { status: 'timeout' },
-          $unset: { assignedDriver: 1 },
+        // Release the driver
+        await User.findByIdAndUpdate(trip.assignedDriver, {
+          $set: {
+            currentTripId: null,
+            isBusy: false,
+            canReceiveNewRequests: false,
+          },
         });
+        console.log(`✅ Released driver ${trip.assignedDriver} from stale trip ${trip._id}`);
 
         console.log(`⏰ Trip ${trip._id} marked as stale and released`);
       }
@@ -0,0 +1,146 @@
+// src/utils/surgeEngine.js
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import SurgeZone from '../models/SurgeZone.js';
+import { SURGE } from '../config/pricingConfig.js';
+import { encodeGeohash, decodeGeohashBounds } from './geohash.js';
+
+/**
+ * Zone-based surge.
+ * Each city is bucketed into geohash cells; a cell's multiplier grows with the
+ * ratio of open `requested` trips to online, non-busy drivers inside it and is
+ * capped at SURGE.MAX_MULTIPLIER. Admin overrides on SurgeZone win until expiry.
+ */
+
+const cellPolygon = (zoneId) => {
+  const { minLat, maxLat, minLng, maxLng } = decodeGeohashBounds(zoneId);
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat],
+    ]],
+  };
+};
+
+const clampMultiplier = (value) =>
+  Math.min(Math.max(Number(value) || 1, 1), SURGE.MAX_MULTIPLIER);
+
+/**
+ * Demand/supply → multiplier, rounded to 0.05.
+ */
+export const surgeFromRatio = (demand, supply) => {
+  if (demand === 0) return 1;
+  if (supply === 0) return SURGE.MAX_MULTIPLIER;
+
+  const ratio = demand / supply;
+  if (ratio <= SURGE.RATIO_THRESHOLD) return 1;
+
+  const raw = 1 + (ratio - SURGE.RATIO_THRESHOLD) * SURGE.STEP_PER_RATIO;
+  return clampMultiplier(Math.round(raw * 20) / 20);
+};
+
+export const zoneIdFor = (lat, lng) =>
+  encodeGeohash(Number(lat), Number(lng), SURGE.GEOHASH_PRECISION);
+
+const countSupply = (zoneId) =>
+  User.countDocuments({
+    isDriver: true,
+    isOnline: true,
+    isBusy: { $ne: true },
+    location: { $geoWithin: { $geometry: cellPolygon(zoneId) } },
+  });
+
+const countDemand = (zoneId) =>
+  Trip.countDocuments({
+    status: 'requested',
+    createdAt: { $gte: new Date(Date.now() - SURGE.DEMAND_WINDOW_MIN * 60 * 1000) },
+    'pickup.coordinates': { $geoWithin: { $geometry: cellPolygon(zoneId) } },
+  });
+
+const saveZoneReading = (zoneId, { city, demand, supply }) => {
+  const multiplier = surgeFromRatio(demand, supply);
+  const update = { demand, supply, multiplier, computedAt: new Date() };
+  if (city) update.city = city.toLowerCase();
+
+  return SurgeZone.findOneAndUpdate(
+    { zoneId },
+    { $set: update },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Recompute one zone from live data and persist it.
+ */
+export const computeZoneSurge = async (zoneId, city = null) => {
+  const [demand, supply] = await Promise.all([countDemand(zoneId), countSupply(zoneId)]);
+  return saveZoneReading(zoneId, { city, demand, supply });
+};
+
+/**
+ * Surge for a pickup point. Uses the stored reading while fresh,
+ * otherwise recomputes the zone on the spot.
+ * @returns {{ zoneId: string, multiplier: number, source: 'override'|'computed', demand: number, supply: number }}
+ */
+export const getZoneSurge = async ({ lat, lng, city = null }) => {
+  const zoneId = zoneIdFor(lat, lng);
+
+  let zone = await SurgeZone.findOne({ zoneId });
+  const stale =
+    !zone?.computedAt ||
+    Date.now() - zone.computedAt.getTime() > SURGE.ZONE_TTL_SECONDS * 1000;
+
+  if (stale && !zone?.hasActiveOverride()) {
+    zone = await computeZoneSurge(zoneId, city);
+  }
+
+  const override = zone.hasActiveOverride();
+  return {
+    zoneId,
+    multiplier: clampMultiplier(zone.effectiveMultiplier()),
+    source: override ? 'override' : 'computed',
+    demand: zone.demand,
+    supply: zone.supply,
+  };
+};
+
+/**
+ * Periodic sweep: recompute every zone with fresh demand plus every zone
+ * still surging, so multipliers decay once demand clears.
+ */
+export const recalculateSurgeZones = async () => {
+  try {
+    const since = new Date(Date.now() - SURGE.DEMAND_WINDOW_MIN * 60 * 1000);
+    const openTrips = await Trip.find({ status: 'requested', createdAt: { $gte: since } })
+      .select('pickup.coordinates')
+      .lean();
+
+    const demandByZone = new Map();
+    for (const trip of openTrips) {
+      const [lng, lat] = trip.pickup?.coordinates || [];
+      if (lat == null || lng == null) continue;
+      const zoneId = zoneIdFor(lat, lng);
+      demandByZone.set(zoneId, (demandByZone.get(zoneId) || 0) + 1);
+    }
+
+    const surging = await SurgeZone.find({ multiplier: { $gt: 1 } }).select('zoneId').lean();
+    for (const { zoneId } of surging) {
+      if (!demandByZone.has(zoneId)) demandByZone.set(zoneId, 0);
+    }
+
+    for (const [zoneId, demand] of demandByZone) {
+      const supply = await countSupply(zoneId);
+      await saveZoneReading(zoneId, { demand, supply });
+    }
+
+    if (demandByZone.size > 0) {
+      console.log(`📈 Surge recalculated for ${demandByZone.size} zone(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Surge recalculation error:', error);
+  }
+};
@@ -1,6 +1,7 @@
 // src/utils/tripBroadcaster.js
 import { sendToDriver } from '../utils/fcmSender.js';
 import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
 
 /**
  * Broadcast trip request to drivers via socket or FCM.
@@ -74,9 +75,11 @@ const broadcastToDrivers = (drivers, tripPayload) => {
     console.log(`   FCM Token: ${driver.fcmToken ? 'YES' : 'NO'}`);
     console.log(`   Fare being sent: ${payloadForSocket.fare} (${typeof payloadForSocket.fare})`);
 
+    // ✅ Always to the driver's room (any instance/device); FCM when no socket is connected
+    io.to(userRoom(driver._id)).emit('trip:request', payloadForSocket);
+    io.to(userRoom(driver._id)).emit('tripRequest', payloadForSocket); // legacy
+
     if (socketId) {
-      io.to(socketId).emit('trip:request', payloadForSocket);
-      io.to(socketId).emit('tripRequest', payloadForSocket); // legacy
       console.log(`   ✅ Sent via SOCKET`);
       console.log(`      Event: trip:request`);
       console.log(`      Fare: ${payloadForSocket.fare}`);
@@ -87,7 +90,7 @@ const broadcastToDrivers = (drivers, tripPayload) => {
       console.log(`      Fare (string): "${fcmPayload.fare}"`);
       notified++;
     } else {
-      console.log(`   ❌ No socket or FCM token - SKIPPED`);
+      console.log(`   ⚠️ No socket or FCM token - room emit only`);
     }
   });
 
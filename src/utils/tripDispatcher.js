@@ -0,0 +1,329 @@
+// src/utils/tripDispatcher.js
+import mongoose from 'mongoose';
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import DispatchConfig from '../models/DispatchConfig.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { DISPATCH } from '../config/tripConfig.js';
+import { broadcastToDrivers } from './tripBroadcaster.js';
+import { calculateDistanceInMeters } from './distanceCalculator.js';
+import { logOffered, logOfferEvent, closeOpenOffers, getDeclinedDriverIds } from './offerLog.js';
+
+/**
+ * Driver dispatch.
+ * `broadcast` keeps the old behaviour (every nearby driver at once).
+ * `sequential` / `wave` rank the candidates and offer the trip to one driver
+ * (or waveSize drivers) at a time; every offer and its outcome is kept in
+ * trip.dispatch.offers so the ranking can be tuned.
+ * Every mode also writes the per-driver offer log (utils/offerLog.js).
+ */
+
+const RANKED_MODES = ['sequential', 'wave'];
+
+export const isRankedDispatch = (trip) => RANKED_MODES.includes(trip?.dispatch?.mode);
+
+/**
+ * Most specific active DispatchConfig for city + vehicle, merged over DISPATCH.
+ */
+export const resolveDispatchConfig = async (city, vehicleType) => {
+  const cityKey = city ? city.toLowerCase() : null;
+  const candidates = await DispatchConfig.find({
+    isActive: true,
+    city: { $in: [cityKey, null] },
+    vehicleType: { $in: [vehicleType || null, null] },
+  }).lean();
+
+  // city+vehicle > city > vehicle > global
+  const specificity = (c) => (c.city ? 2 : 0) + (c.vehicleType ? 1 : 0);
+  const match = candidates.sort((a, b) => specificity(b) - specificity(a))[0];
+
+  return {
+    mode: match?.mode || DISPATCH.MODE,
+    waveSize: match?.mode === 'sequential' ? 1 : match?.waveSize || DISPATCH.WAVE_SIZE,
+    offerTimeoutSec: match?.offerTimeoutSec || DISPATCH.OFFER_TIMEOUT_SEC,
+    maxOffers: match?.maxOffers || DISPATCH.MAX_OFFERS,
+    weights: { ...DISPATCH.WEIGHTS, ...(match?.weights || {}) },
+    configId: match?._id || null,
+  };
+};
+
+/**
+ * Score drivers 0..1 on distance, rating, idle time and acceptance rate.
+ * @returns {Array<{ driver: Object, score: number, distanceM: number }>} best first
+ */
+export const rankDrivers = (drivers, pickupCoords, weights, maxDistanceM) => {
+  const now = Date.now();
+
+  return drivers
+    .map((driver) => {
+      const distanceM = driver.location?.coordinates
+        ? calculateDistanceInMeters(driver.location.coordinates, pickupCoords)
+        : maxDistanceM;
+
+      const lastActive = driver.lastTripCompletedAt || driver.lastTripAcceptedAt;
+      const idleMin = lastActive ? (now - new Date(lastActive).getTime()) / 60000 : DISPATCH.IDLE_CAP_MIN;
+
+      const parts = {
+        distance: 1 - Math.min(distanceM / maxDistanceM, 1),
+        rating: Math.max(0, ((driver.rating ?? 4.8) - 1) / 4),
+        idle: Math.min(idleMin, DISPATCH.IDLE_CAP_MIN) / DISPATCH.IDLE_CAP_MIN,
+        acceptance: driver.acceptanceRate ?? DISPATCH.DEFAULT_ACCEPTANCE_RATE,
+      };
+
+      const score =
+        weights.distance * parts.distance +
+        weights.rating * parts.rating +
+        weights.idle * parts.idle +
+        weights.acceptance * parts.acceptance;
+
+      return { driver, score: Math.round(score * 1000) / 1000, distanceM: Math.round(distanceM) };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+// ✅ Offer payload rebuilt from the trip (same shape createShortTrip broadcasts)
+const buildOfferPayload = (trip) => ({
+  tripId: trip._id.toString(),
+  type: trip.type,
+  vehicleType: trip.vehicleType,
+  customerId: trip.customerId.toString(),
+  pickup: {
+    lat: trip.pickup.coordinates[1],
+    lng: trip.pickup.coordinates[0],
+    address: trip.pickup.address || 'Pickup Location',
+  },
+  drop: {
+    lat: trip.drop.coordinates[1],
+    lng: trip.drop.coordinates[0],
+    address: trip.drop.address || 'Drop Location',
+  },
+  fare: trip.fare,
+  parcelDetails: trip.parcelDetails,
+  discountApplied: (trip.discountApplied || 0) > 0,
+});
+
+/**
+ * Send a new trip to drivers according to the city/vehicle dispatch mode.
+ * @returns {Promise<{ mode: string, offered: number }>}
+ */
+export const dispatchTrip = async (trip, drivers, payload, { maxDistanceM } = {}) => {
+  const config = await resolveDispatchConfig(trip.city, trip.vehicleType);
+
+  if (!RANKED_MODES.includes(config.mode)) {
+    await Trip.updateOne({ _id: trip._id }, { $set: { dispatch: { mode: 'broadcast' } } });
+    broadcastToDrivers(drivers, payload);
+    await logOffered(trip._id, drivers.map((d) => d._id), 'broadcast');
+    return { mode: 'broadcast', offered: drivers.length };
+  }
+
+  const ranked = rankDrivers(drivers, trip.pickup.coordinates, config.weights, maxDistanceM || 5000)
+    .slice(0, config.maxOffers);
+
+  await Trip.updateOne(
+    { _id: trip._id },
+    {
+      $set: {
+        dispatch: {
+          mode: config.mode,
+          waveSize: config.waveSize,
+          offerTimeoutSec: config.offerTimeoutSec,
+          weights: config.weights,
+          queue: ranked.map((r) => ({ driverId: r.driver._id, score: r.score, distanceM: r.distanceM })),
+          nextIndex: 0,
+          wave: 0,
+          offers: [],
+          exhaustedAt: ranked.length ? null : new Date(),
+        },
+      },
+    }
+  );
+
+  console.log(`🎯 ${config.mode} dispatch for trip ${trip._id}: ${ranked.length} ranked driver(s)`);
+  const offered = await offerNextWave(trip._id);
+  return { mode: config.mode, offered };
+};
+
+/**
+ * Offer the trip to the next wave of still-available ranked drivers.
+ * @returns {Promise<number>} drivers offered in this wave
+ */
+export const offerNextWave = async (tripId) => {
+  const trip = await Trip.findById(tripId).lean();
+  if (!trip || trip.status !== 'requested' || !isRankedDispatch(trip)) return 0;
+
+  const { dispatch } = trip;
+  const declined = (await getDeclinedDriverIds(tripId)).map(String);
+  const wave = [];
+  let index = dispatch.nextIndex;
+
+  while (wave.length < dispatch.waveSize && index < dispatch.queue.length) {
+    const entry = dispatch.queue[index];
+    index += 1;
+    if (declined.includes(String(entry.driverId))) continue;
+
+    const driver = await User.findOne({
+      _id: entry.driverId,
+      isOnline: true,
+      isBusy: { $ne: true },
+      $or: [{ currentTripId: null }, { currentTripId: { $exists: false } }],
+    })
+      .select('name vehicleType socketId fcmToken')
+      .lean();
+
+    if (driver) wave.push({ driver, entry, rank: index });
+  }
+
+  if (!wave.length) {
+    await Trip.updateOne(
+      { _id: tripId, status: 'requested' },
+      { $set: { 'dispatch.nextIndex': index, 'dispatch.exhaustedAt': new Date() } }
+    );
+    console.log(`⚠️ Dispatch queue exhausted for trip ${tripId}`);
+    return 0;
+  }
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + dispatch.offerTimeoutSec * 1000);
+  const waveNo = dispatch.wave + 1;
+
+  const updated = await Trip.updateOne(
+    { _id: tripId, status: 'requested', 'dispatch.nextIndex': dispatch.nextIndex },
+    {
+      $set: { 'dispatch.nextIndex': index, 'dispatch.wave': waveNo },
+      $push: {
+        'dispatch.offers': {
+          $each: wave.map(({ driver, entry, rank }) => ({
+            driverId: driver._id,
+            wave: waveNo,
+            rank,
+            score: entry.score,
+            distanceM: entry.distanceM,
+            offeredAt: now,
+            expiresAt,
+            outcome: 'pending',
+          })),
+        },
+      },
+    }
+  );
+
+  // Someone else advanced the queue first
+  if (updated.modifiedCount === 0) return 0;
+
+  broadcastToDrivers(
+    wave.map((w) => w.driver),
+    { ...buildOfferPayload(trip), offerExpiresAt: expiresAt, wave: waveNo }
+  );
+  await logOffered(tripId, wave.map((w) => w.driver._id), dispatch.mode);
+
+  console.log(`📨 Trip ${tripId} wave ${waveNo} → ${wave.length} driver(s), expires ${expiresAt.toISOString()}`);
+  return wave.length;
+};
+
+/**
+ * Driver answered (or ignored) an offer. Moves to the next wave once
+ * nobody in the current wave still holds a pending offer.
+ * The offer log entry is written by the caller (it knows the reason).
+ */
+export const recordOfferOutcome = async (tripId, driverId, outcome) => {
+  const result = await Trip.updateOne(
+    { _id: tripId, status: 'requested' },
+    {
+      $set: {
+        'dispatch.offers.$[offer].outcome': outcome,
+        'dispatch.offers.$[offer].respondedAt': new Date(),
+      },
+    },
+    {
+      arrayFilters: [
+        { 'offer.driverId': new mongoose.Types.ObjectId(String(driverId)), 'offer.outcome': 'pending' },
+      ],
+    }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  const stillPending = await Trip.exists({
+    _id: tripId,
+    dispatch: { $ne: null },
+    'dispatch.offers': { $elemMatch: { outcome: 'pending' } },
+  });
+  if (!stillPending) await offerNextWave(tripId);
+  return true;
+};
+
+/**
+ * Mongo filter fragment: in ranked mode only a driver holding a pending
+ * offer may accept. Add it to the trip filter's $and.
+ */
+export const acceptGuard = (driverId) => ({
+  $or: [
+    { dispatch: null },
+    { 'dispatch.mode': 'broadcast' },
+    {
+      'dispatch.offers': {
+        $elemMatch: { driverId: new mongoose.Types.ObjectId(String(driverId)), outcome: 'pending' },
+      },
+    },
+  ],
+});
+
+/**
+ * After an accept: mark the winning offer, withdraw the rest.
+ * @returns {Promise<string[]|null>} drivers to send `trip:taken` to, or null in broadcast mode
+ */
+export const settleOffersOnAccept = async (trip, driverId) => {
+  await logOfferEvent(trip._id, driverId, 'accepted');
+  await closeOpenOffers(trip._id, 'withdrawn', { exceptDriverId: driverId });
+
+  if (!isRankedDispatch(trip)) return null;
+
+  const now = new Date();
+  const winner = String(driverId);
+  const offers = trip.dispatch.offers.map((offer) => {
+    if (offer.outcome !== 'pending') return offer;
+    return {
+      ...offer,
+      outcome: String(offer.driverId) === winner ? 'accepted' : 'withdrawn',
+      respondedAt: now,
+    };
+  });
+
+  await Trip.updateOne({ _id: trip._id }, { $set: { 'dispatch.offers': offers } });
+
+  return trip.dispatch.offers
+    .filter((o) => o.outcome === 'pending' && String(o.driverId) !== winner)
+    .map((o) => String(o.driverId));
+};
+
+/**
+ * Expire timed-out offers and move those trips on. Runs every few seconds.
+ */
+export const expireDispatchOffers = async () => {
+  try {
+    const now = new Date();
+    const trips = await Trip.find({
+      status: 'requested',
+      'dispatch.offers': { $elemMatch: { outcome: 'pending', expiresAt: { $lte: now } } },
+    })
+      .select('dispatch.offers')
+      .lean();
+
+    for (const trip of trips) {
+      const expired = trip.dispatch.offers.filter(
+        (o) => o.outcome === 'pending' && new Date(o.expiresAt) <= now
+      );
+
+      for (const offer of expired) {
+        io.to(userRoom(offer.driverId)).emit('trip:offer_expired', {
+          tripId: trip._id.toString(),
+          message: 'This request has expired',
+        });
+        await logOfferEvent(trip._id, offer.driverId, 'timed_out');
+        await recordOfferOutcome(trip._id, offer.driverId, 'timeout');
+      }
+    }
+  } catch (error) {
+    console.error('❌ Dispatch offer expiry error:', error);
+  }
+};
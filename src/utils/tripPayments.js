@@ -0,0 +1,483 @@
+// src/utils/tripPayments.js
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import Wallet from '../models/Wallet.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { RECONCILIATION } from '../config/paymentConfig.js';
+import { getRazorpay } from './razorpayClient.js';
+import { getDistance } from './distanceCalculator.js';
+import { processReferralPayouts } from './referrals.js';
+import { postPrepaidTripEntry, postTripRefundEntry } from './ledger.js';
+import { recordTripPayment } from './tripTimeline.js';
+import { calculateFareBreakdown, addRideIncentive, getOrCreateWallet } from '../controllers/walletController.js';
+import { awardCoinsToCustomer } from '../controllers/tripController.js';
+
+/**
+ * Online (UPI / card) trip fares via Razorpay.
+ * A Razorpay order is created when an `Online` trip completes; the verify
+ * API, the webhook and the reconciliation job all settle the captured
+ * payment through settleTripPayment, which does what cash collection does
+ * (driver wallet, coins, referrals, incentive) exactly once per trip.
+ * A payment that arrives for an already-paid trip is refunded.
+ */
+
+const PAYMENT_METHODS = ['upi', 'card', 'netbanking', 'wallet'];
+
+const toPaisa = (rupees) => Math.round(rupees * 100);
+const toRupees = (paisa) => paisa / 100;
+
+export const tripPayableAmount = (trip) => Number(trip.finalFare || trip.fare || 0);
+
+const notify = (userId, event, payload) => {
+  if (!io || !userId) return;
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+/**
+ * Create (or reuse) the Razorpay order for a completed trip.
+ * @returns {Promise<{ orderId: string, amount: number, currency: string, keyId: string, reused: boolean }>}
+ */
+export const createTripPaymentOrder = async (trip) => {
+  const razorpay = getRazorpay();
+  if (!razorpay) throw new Error('Payment service temporarily unavailable');
+
+  if (trip.paymentCollected) throw new Error('Payment already collected for this trip');
+
+  const amount = tripPayableAmount(trip);
+  if (amount <= 0) throw new Error('Invalid trip fare amount');
+
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const open = trip.onlinePayment;
+  if (open?.orderId && open.status === 'created' && Math.abs(open.amount - amount) <= RECONCILIATION.AMOUNT_TOLERANCE) {
+    return { orderId: open.orderId, amount, currency: 'INR', keyId, reused: true };
+  }
+
+  const order = await razorpay.orders.create({
+    amount: toPaisa(amount),
+    currency: 'INR',
+    receipt: `trip_${String(trip._id).slice(-12)}_${Date.now().toString().slice(-8)}`,
+    notes: {
+      tripId: String(trip._id),
+      customerId: String(trip.customerId?._id || trip.customerId),
+      driverId: String(trip.assignedDriver?._id || trip.assignedDriver || ''),
+      purpose: 'trip_fare',
+    },
+    payment_capture: 1,
+  });
+
+  const updated = await Trip.updateOne(
+    { _id: trip._id, paymentCollected: { $ne: true } },
+    {
+      $set: {
+        paymentMethod: 'Online',
+        onlinePayment: {
+          orderId: order.id,
+          amount,
+          status: 'created',
+          refundedAmount: 0,
+          refunds: [],
+          createdAt: new Date(),
+        },
+      },
+    }
+  );
+  if (updated.matchedCount === 0) throw new Error('Payment already collected for this trip');
+
+  console.log(`🧾 Trip ${trip._id} payment order ${order.id} created: ₹${amount}`);
+  await recordTripPayment(trip, { method: 'online', status: 'order_created', amount, orderId: order.id });
+  return { orderId: order.id, amount, currency: 'INR', keyId, reused: false };
+};
+
+/**
+ * Order for the trip:completed payload of an `Online` trip. Never throws:
+ * the customer can ask for a new order later (POST /api/trip/:tripId/payment/order).
+ */
+export const prepareTripPayment = async (trip) => {
+  if (trip.paymentMethod !== 'Online') return null;
+  try {
+    return await createTripPaymentOrder(trip);
+  } catch (err) {
+    console.error(`⚠️ Could not create payment order for trip ${trip._id}:`, err.error?.description || err.message);
+    return null;
+  }
+};
+
+// Driver keeps the earning; the commission never reaches their hands, so it is booked and settled at once
+const creditDriverWallet = async (trip, fareBreakdown, channel, paymentId) => {
+  await getOrCreateWallet(trip.assignedDriver);
+  const now = new Date();
+
+  return Wallet.findOneAndUpdate(
+    {
+      driverId: trip.assignedDriver,
+      transactions: { $not: { $elemMatch: { tripId: trip._id, type: 'credit' } } },
+    },
+    {
+      $inc: {
+        totalEarnings: fareBreakdown.driverEarning,
+        totalCommission: fareBreakdown.commission,
+        availableBalance: fareBreakdown.driverEarning,
+      },
+      $push: {
+        transactions: {
+          $each: [
+            {
+              type: 'credit',
+              amount: fareBreakdown.driverEarning,
+              tripId: trip._id,
+              description: `Trip earning (paid ${channel}) from ${trip.pickup?.address?.substring(0, 30) || 'customer'}`,
+              razorpayPaymentId: paymentId || undefined,
+              status: 'completed',
+              createdAt: now,
+            },
+            {
+              type: 'commission',
+              amount: fareBreakdown.commission,
+              tripId: trip._id,
+              description: `Platform commission (${fareBreakdown.commissionPercentage}%)`,
+              status: 'completed',
+              createdAt: now,
+            },
+            {
+              type: 'debit',
+              amount: fareBreakdown.commission,
+              tripId: trip._id,
+              description: `Commission deducted from ${channel} payment`,
+              status: 'completed',
+              createdAt: now,
+            },
+          ],
+        },
+      },
+    },
+    { new: true }
+  );
+};
+
+// Coins, referral payouts and the driver incentive — the same follow-ups as confirmCashCollection
+const runPaidTripFollowUps = async (trip) => {
+  let coinReward = null;
+  try {
+    const distance = trip.pickup?.coordinates && trip.drop?.coordinates
+      ? getDistance(trip.pickup.coordinates[1], trip.pickup.coordinates[0], trip.drop.coordinates[1], trip.drop.coordinates[0])
+      : null;
+    coinReward = await awardCoinsToCustomer(trip.customerId, trip._id, distance);
+  } catch (err) {
+    console.error('⚠️ Coin award failed (non-critical):', err.message);
+  }
+
+  let referralPayouts = [];
+  try {
+    referralPayouts = await processReferralPayouts(trip._id);
+  } catch (err) {
+    console.error('⚠️ Referral payout failed (non-critical):', err.message);
+  }
+
+  addRideIncentive(trip.assignedDriver, trip._id).catch((err) =>
+    console.error('⚠️ Error adding driver incentive:', err)
+  );
+
+  return {
+    coinReward: coinReward?.awarded
+      ? { coinsAwarded: coinReward.coinsAwarded, totalCoins: coinReward.totalCoins, tier: coinReward.tier }
+      : null,
+    referralPayouts,
+  };
+};
+
+/**
+ * Everything cash collection does once a trip is paid without the driver
+ * holding the money (online or customer wallet): credit the driver, free
+ * them, award coins / referrals / incentive.
+ * Call only after claiming `paymentCollected` on the trip.
+ * @param {Object} trip - the claimed trip (lean)
+ * @param {Object} params
+ * @param {string} params.channel - online | wallet
+ * @param {string} [params.paymentId] - Razorpay payment ID for online payments
+ */
+export const bookPrepaidTripFare = async (trip, { channel, paymentId = null }) => {
+  const amount = tripPayableAmount(trip);
+  const fareBreakdown = calculateFareBreakdown(amount, trip.carriedFees?.amount);
+
+  let wallet = null;
+  try {
+    wallet = await creditDriverWallet(trip, fareBreakdown, channel, paymentId);
+    if (wallet) await postPrepaidTripEntry(trip, fareBreakdown, channel, paymentId);
+  } catch (err) {
+    console.error(`❌ Driver credit failed for trip ${trip._id}:`, err.message);
+    if (trip.onlinePayment) {
+      await Trip.updateOne({ _id: trip._id }, { $set: { 'onlinePayment.flagReason': `driver_credit_failed: ${err.message}` } });
+    }
+  }
+
+  // Free the driver if they were still held on this trip
+  await User.updateOne(
+    { _id: trip.assignedDriver, currentTripId: trip._id },
+    { $set: { currentTripId: null, isBusy: false, awaitingCashCollection: false } }
+  );
+
+  const followUps = await runPaidTripFollowUps(trip);
+
+  notify(trip.assignedDriver, 'wallet:updated', {
+    tripId: String(trip._id),
+    fareBreakdown,
+    message: `Customer paid ₹${amount.toFixed(2)} ${channel === 'wallet' ? 'from their wallet' : 'online'}`,
+    ...(wallet && {
+      wallet: {
+        totalEarnings: Number((wallet.totalEarnings || 0).toFixed(2)),
+        pendingAmount: Number((wallet.pendingAmount || 0).toFixed(2)),
+        availableBalance: Number((wallet.availableBalance || 0).toFixed(2)),
+      },
+    }),
+  });
+
+  return { fareBreakdown, ...followUps };
+};
+
+/**
+ * Book a captured Razorpay payment as the trip's fare.
+ * @param {Object} params
+ * @param {string} params.tripId
+ * @param {Object} params.payment - Razorpay payment entity (amount in paise)
+ * @param {string} params.source - verify_api | webhook | reconciliation
+ * @returns {Promise<{ status: 'settled'|'already_settled'|'refunded'|'mismatch', reason?: string, trip?: Object, fareBreakdown?: Object, coinReward?: Object, referralPayouts?: Array }>}
+ */
+export const settleTripPayment = async ({ tripId, payment, source }) => {
+  const trip = await Trip.findById(tripId).lean();
+  if (!trip) return { status: 'mismatch', reason: 'trip_not_found' };
+
+  if (trip.onlinePayment?.paymentId === payment.id) return { status: 'already_settled' };
+
+  if (trip.paymentCollected) {
+    if (trip.onlinePayment?.refunds?.some((r) => r.paymentId === payment.id)) {
+      return { status: 'refunded', reason: 'already_refunded' };
+    }
+    // Paid in cash or by another payment first: give this one back
+    await refundTripPayment({ trip, paymentId: payment.id, amount: toRupees(payment.amount), reason: 'duplicate_payment', source });
+    return { status: 'refunded', reason: 'trip_already_paid' };
+  }
+
+  if (trip.status !== 'completed') return { status: 'mismatch', reason: `trip_${trip.status}` };
+
+  const amount = toRupees(payment.amount);
+  const payable = tripPayableAmount(trip);
+  if (Math.abs(amount - payable) > RECONCILIATION.AMOUNT_TOLERANCE) {
+    const reason = `amount_mismatch: fare ₹${payable}, captured ₹${amount}`;
+    await Trip.updateOne({ _id: trip._id }, { $set: { 'onlinePayment.flagReason': reason } });
+    console.warn(`🚩 Trip ${trip._id} payment ${payment.id} flagged: ${reason}`);
+    return { status: 'mismatch', reason };
+  }
+
+  const now = new Date();
+  const claimed = await Trip.findOneAndUpdate(
+    { _id: trip._id, paymentCollected: { $ne: true } },
+    {
+      $set: {
+        paymentCollected: true,
+        paymentCollectedAt: now,
+        paymentMethod: 'Online',
+        'onlinePayment.orderId': payment.order_id,
+        'onlinePayment.amount': amount,
+        'onlinePayment.status': 'captured',
+        'onlinePayment.paymentId': payment.id,
+        'onlinePayment.method': PAYMENT_METHODS.includes(payment.method) ? payment.method : 'unknown',
+        'onlinePayment.capturedAt': now,
+        'onlinePayment.source': source,
+        'onlinePayment.failureReason': null,
+      },
+    },
+    { new: true }
+  ).lean();
+
+  // Another path settled the trip between our read and write
+  if (!claimed) return settleTripPayment({ tripId, payment, source });
+
+  const { fareBreakdown, ...followUps } = await bookPrepaidTripFare(claimed, { channel: 'online', paymentId: payment.id });
+
+  console.log(`💳 Trip ${trip._id} paid online via ${source}: ₹${amount} (${payment.id})`);
+  await recordTripPayment(claimed, { method: 'online', status: 'captured', amount, paymentId: payment.id, source });
+
+  notify(claimed.customerId, 'trip:payment_completed', {
+    tripId: String(trip._id),
+    paymentId: payment.id,
+    amount,
+    coinReward: followUps.coinReward,
+    message: 'Payment received. Thank you for riding with us!',
+  });
+
+  return { status: 'settled', trip: claimed, fareBreakdown, ...followUps };
+};
+
+/**
+ * A payment attempt on the trip's current order failed. The customer can
+ * retry on the same order or pay the driver in cash.
+ * @returns {Promise<boolean>}
+ */
+export const markTripPaymentFailed = async ({ tripId, payment, source }) => {
+  const reason = payment.error_description || 'unknown error';
+  const result = await Trip.updateOne(
+    {
+      _id: tripId,
+      paymentCollected: { $ne: true },
+      'onlinePayment.orderId': payment.order_id,
+      'onlinePayment.status': { $in: ['created', 'failed'] },
+    },
+    { $set: { 'onlinePayment.status': 'failed', 'onlinePayment.failureReason': reason, 'onlinePayment.source': source } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  await recordTripPayment({ _id: tripId }, {
+    method: 'online',
+    status: 'failed',
+    amount: toRupees(payment.amount || 0),
+    paymentId: payment.id,
+    reason,
+    source,
+  });
+
+  const trip = await Trip.findById(tripId).select('customerId assignedDriver').lean();
+  notify(trip?.customerId, 'trip:payment_failed', {
+    tripId: String(tripId),
+    orderId: payment.order_id,
+    error: reason,
+    message: 'Payment failed. Please try again or pay the driver in cash.',
+  });
+  notify(trip?.assignedDriver, 'trip:payment_failed', {
+    tripId: String(tripId),
+    message: 'Customer\'s online payment failed. Please collect cash if they choose to pay that way.',
+  });
+  return true;
+};
+
+/**
+ * A refund of the booked fare comes out of the trip's earnings: the driver
+ * gives back their share and the platform its commission, in proportion to
+ * the refund. An already-withdrawn earning leaves the balance negative and
+ * is recovered from the driver's next trips. Journalled first, so a repeat
+ * of the same refund moves nothing.
+ * @returns {Promise<{ earning: number, commission: number }|null>} ₹ clawed back
+ */
+export const reverseDriverCredit = async (trip, { amount, channel, refundReference, reason }) => {
+  const reversal = await postTripRefundEntry(trip, { amount, channel, refundReference, reason });
+  if (!reversal || reversal.duplicate) return null;
+
+  const { driverId, earning, commission } = reversal;
+  const wallet = await Wallet.findOneAndUpdate(
+    { driverId },
+    {
+      $inc: { availableBalance: -earning, totalCommission: -commission },
+      $push: {
+        transactions: {
+          type: 'debit',
+          amount: earning,
+          tripId: trip._id,
+          description: `Fare refunded to customer (${reason})`,
+          status: 'completed',
+          createdAt: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+
+  console.log(`↩️ Trip ${trip._id}: clawed back ₹${earning} from driver ${driverId}, ₹${commission} commission`);
+  notify(driverId, 'wallet:updated', {
+    tripId: String(trip._id),
+    message: `₹${earning.toFixed(2)} deducted: the customer was refunded for this trip`,
+    ...(wallet && {
+      wallet: {
+        totalEarnings: Number((wallet.totalEarnings || 0).toFixed(2)),
+        pendingAmount: Number((wallet.pendingAmount || 0).toFixed(2)),
+        availableBalance: Number((wallet.availableBalance || 0).toFixed(2)),
+      },
+    }),
+  });
+
+  return { earning, commission };
+};
+
+/**
+ * Refund (part of) a trip's online payment, e.g. a duplicate payment or a
+ * waived cancellation fee. Refunds of the settled fare are clawed back from
+ * the driver (reverseDriverCredit).
+ * @param {Object} params
+ * @param {Object} params.trip
+ * @param {string} [params.paymentId] - defaults to the trip's settled payment
+ * @param {number} [params.amount] - ₹, defaults to everything not yet refunded
+ * @returns {Promise<Object>} the refund entry stored on the trip
+ */
+export const refundTripPayment = async ({ trip, paymentId, amount, reason, source, createdBy = null }) => {
+  const razorpay = getRazorpay();
+  if (!razorpay) throw new Error('Payment service temporarily unavailable');
+
+  const settledPaymentId = trip.onlinePayment?.paymentId;
+  const targetPaymentId = paymentId || settledPaymentId;
+  if (!targetPaymentId) throw new Error('No online payment to refund');
+
+  const isSettled = targetPaymentId === settledPaymentId;
+  const refundable = isSettled
+    ? Number(((trip.onlinePayment.amount || 0) - (trip.onlinePayment.refundedAmount || 0)).toFixed(2))
+    : amount;
+  const refundAmount = Number((amount ?? refundable).toFixed(2));
+
+  if (!(refundAmount > 0) || refundAmount - refundable > RECONCILIATION.AMOUNT_TOLERANCE) {
+    throw new Error(`Refund amount must be between ₹0 and ₹${refundable}`);
+  }
+
+  const refund = await razorpay.payments.refund(targetPaymentId, {
+    amount: toPaisa(refundAmount),
+    notes: { tripId: String(trip._id), reason },
+  });
+
+  const entry = {
+    refundId: refund.id,
+    paymentId: targetPaymentId,
+    amount: refundAmount,
+    reason,
+    status: refund.status,
+    source,
+    createdBy,
+    createdAt: new Date(),
+  };
+
+  const update = { $push: { 'onlinePayment.refunds': entry } };
+  if (isSettled) {
+    const refunded = Number(((trip.onlinePayment.refundedAmount || 0) + refundAmount).toFixed(2));
+    update.$set = {
+      'onlinePayment.refundedAmount': refunded,
+      'onlinePayment.status': refunded >= trip.onlinePayment.amount - RECONCILIATION.AMOUNT_TOLERANCE
+        ? 'refunded'
+        : 'partially_refunded',
+    };
+  }
+  await Trip.updateOne({ _id: trip._id, onlinePayment: { $ne: null } }, update);
+
+  console.log(`↩️ Refund ${refund.id} for trip ${trip._id}: ₹${refundAmount} (${reason})`);
+  if (isSettled) {
+    entry.driverClawback = await reverseDriverCredit(trip, {
+      amount: refundAmount,
+      channel: 'online',
+      refundReference: refund.id,
+      reason,
+    });
+  }
+  await recordTripPayment(trip, {
+    method: 'online',
+    status: 'refunded',
+    amount: refundAmount,
+    paymentId: targetPaymentId,
+    refundId: refund.id,
+    reason,
+    source,
+  });
+  notify(trip.customerId, 'trip:payment_refunded', {
+    tripId: String(trip._id),
+    refundId: refund.id,
+    amount: refundAmount,
+    reason,
+    message: `₹${refundAmount.toFixed(2)} will be refunded to your original payment method`,
+  });
+
+  return entry;
+};
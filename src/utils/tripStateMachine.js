@@ -0,0 +1,225 @@
+// src/utils/tripStateMachine.js
+import { EventEmitter } from 'events';
+import Trip from '../models/Trip.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { releaseCoupon } from './coupons.js';
+import { closeOpenOffers } from './offerLog.js';
+
+/**
+ * The only way a trip changes `status`. REST controllers, socket handlers
+ * and jobs all call transitionTrip(), which
+ *   1. checks the move is legal for the actor (TRANSITIONS + guards),
+ *   2. writes it with compare-and-set on the status it just read, together
+ *      with the fields every entry into that state needs (timestamps,
+ *      `rideStatus` mirror, driver release),
+ *   3. runs the shared side effects (offers / coupon on cancel & timeout),
+ *   4. emits one canonical `trip:state_changed` — to the customer and
+ *      driver rooms and on `tripEvents` for in-process listeners.
+ *
+ *   scheduled → requested → driver_assigned → driver_going_to_pickup → driver_at_pickup → ride_started → completed
+ *   - a scheduled trip can be assigned directly; an assigned one can go back to requested
+ *   - any state before ride_started → cancelled | timeout; after it only support cancels
+ */
+
+export const TRIP_STATES = [
+  'scheduled',
+  'requested',
+  'driver_assigned',
+  'driver_going_to_pickup',
+  'driver_at_pickup',
+  'ride_started',
+  'in_progress', // legacy alias of ride_started
+  'completed',
+  'cancelled',
+  'timeout',
+];
+
+const ASSIGNED = ['driver_assigned', 'driver_going_to_pickup', 'driver_at_pickup'];
+const ON_TRIP = ['ride_started', 'in_progress'];
+export const ACTIVE_TRIP_STATES = [...ASSIGNED, ...ON_TRIP];
+export const FINAL_TRIP_STATES = ['completed', 'cancelled', 'timeout'];
+
+const TRANSITIONS = {
+  scheduled: ['requested', 'driver_assigned', 'cancelled', 'timeout'],
+  requested: ['driver_assigned', 'cancelled', 'timeout'],
+  driver_assigned: ['driver_going_to_pickup', 'driver_at_pickup', 'ride_started', 'requested', 'completed', 'cancelled', 'timeout'],
+  driver_going_to_pickup: ['driver_at_pickup', 'ride_started', 'requested', 'completed', 'cancelled', 'timeout'],
+  driver_at_pickup: ['ride_started', 'requested', 'completed', 'cancelled', 'timeout'],
+  ride_started: ['completed', 'cancelled', 'timeout'],
+  in_progress: ['completed', 'cancelled', 'timeout'],
+  completed: [],
+  cancelled: [],
+  timeout: [],
+};
+
+// rideStatus is kept only as a mirror of status for older app builds
+const RIDE_STATUS = {
+  driver_assigned: 'driver_assigned',
+  driver_going_to_pickup: 'going_to_pickup',
+  driver_at_pickup: 'arrived_at_pickup',
+  ride_started: 'ride_started',
+  completed: 'completed',
+};
+
+export const tripEvents = new EventEmitter();
+
+const stateError = (statusCode, errorCode, message) =>
+  Object.assign(new Error(message), { statusCode, errorCode, isTripStateError: true });
+
+/**
+ * Guards beyond the transition table. Throws if `actor` may not make the move.
+ */
+const assertAllowed = (from, to, { actor, set }) => {
+  if (!TRIP_STATES.includes(to)) {
+    throw stateError(400, 'UNKNOWN_TRIP_STATE', `Unknown trip state '${to}'`);
+  }
+  if (!TRANSITIONS[from]?.includes(to)) {
+    throw stateError(409, 'ILLEGAL_TRIP_TRANSITION', `Trip cannot go from '${from}' to '${to}'`);
+  }
+  // Skipping the ride itself is an admin override
+  if (to === 'completed' && !ON_TRIP.includes(from) && actor !== 'admin') {
+    throw stateError(409, 'ILLEGAL_TRIP_TRANSITION', 'Ride must be started before completion');
+  }
+  if (to === 'cancelled' && ON_TRIP.includes(from) && actor !== 'admin') {
+    throw stateError(409, 'ILLEGAL_TRIP_TRANSITION', 'A ride in progress can only be cancelled by support');
+  }
+  if (to === 'timeout' && !['system', 'admin'].includes(actor)) {
+    throw stateError(409, 'ILLEGAL_TRIP_TRANSITION', 'Only the system can time out a trip');
+  }
+  if (to === 'driver_assigned' && !set.assignedDriver) {
+    throw stateError(400, 'DRIVER_REQUIRED', 'assignedDriver is required to assign a trip');
+  }
+};
+
+// Fields every entry into a state writes; callers' `set` wins
+const entryFields = (to, now) => {
+  const fields = RIDE_STATUS[to] ? { rideStatus: RIDE_STATUS[to] } : {};
+  switch (to) {
+    case 'requested':
+      return { acceptedAt: null, arrivedAt: null, rideStatus: 'driver_assigned' };
+    case 'driver_assigned':
+      return { ...fields, acceptedAt: now };
+    case 'driver_at_pickup':
+      return { ...fields, arrivedAt: now };
+    case 'ride_started':
+      return { ...fields, rideStartTime: now, startTime: now };
+    case 'completed':
+      return { ...fields, completedAt: now, rideEndTime: now, endTime: now };
+    case 'cancelled':
+      return { cancelledAt: now };
+    default:
+      return fields;
+  }
+};
+
+// Back to `requested`: the driver is no longer on it
+const RELEASE_UNSET = { assignedDriver: 1, otp: 1 };
+
+const runSideEffects = async (trip, to) => {
+  const effects = { couponReleased: null };
+  if (to !== 'cancelled' && to !== 'timeout') return effects;
+
+  await closeOpenOffers(trip._id, to === 'timeout' ? 'timed_out' : 'withdrawn');
+  try {
+    effects.couponReleased = await releaseCoupon(trip._id, to === 'timeout' ? 'timeout' : 'cancelled');
+  } catch (err) {
+    console.error(`⚠️ Coupon release failed for trip ${trip._id}:`, err.message);
+  }
+  return effects;
+};
+
+const publish = (event, previousDriver) => {
+  tripEvents.emit('transition', event);
+  if (!io) return;
+
+  const rooms = new Set([event.customerId, event.driverId, previousDriver].filter(Boolean).map(String));
+  for (const id of rooms) io.to(userRoom(id)).emit('trip:state_changed', event);
+};
+
+/**
+ * Move a trip to `to`.
+ * @param {string} tripId
+ * @param {string} to - target status
+ * @param {Object} [options]
+ * @param {string|string[]} [options.from] - states the caller expects the trip to be in
+ * @param {Object} [options.where] - extra conditions for the write (e.g. the assigned driver)
+ * @param {Object} [options.set] - fields to write with the move
+ * @param {Object} [options.unset]
+ * @param {string} [options.actor] - customer | driver | admin | system
+ * @param {string} [options.actorId]
+ * @param {string} [options.reason]
+ * @param {string} [options.source] - rest | socket | job (defaults by actor)
+ * @param {*} [options.populate] - passed to Query#populate for the returned trip
+ * @returns {Promise<{ trip: Object, from: string, to: string, couponReleased: Object|null }>}
+ * @throws {Error} with statusCode / errorCode: TRIP_NOT_FOUND, ILLEGAL_TRIP_TRANSITION,
+ *   TRIP_STATE_CHANGED (lost the compare-and-set or `where` didn't match), ...
+ */
+export const transitionTrip = async (tripId, to, options = {}) => {
+  const {
+    from = null,
+    where = {},
+    set = {},
+    unset = {},
+    actor = 'system',
+    actorId = null,
+    reason = null,
+    source = actor === 'system' ? 'job' : 'rest',
+    populate = null,
+  } = options;
+
+  const current = await Trip.findById(tripId).select('status assignedDriver customerId').lean();
+  if (!current) throw stateError(404, 'TRIP_NOT_FOUND', 'Trip not found');
+
+  const expected = from ? [].concat(from) : null;
+  if (expected && !expected.includes(current.status)) {
+    throw stateError(409, 'TRIP_STATE_CHANGED', `Trip is '${current.status}', expected '${expected.join("' or '")}'`);
+  }
+  assertAllowed(current.status, to, { actor, set });
+
+  const now = new Date();
+  const update = { $set: { ...entryFields(to, now), ...set, status: to } };
+  const unsetFields = { ...(to === 'requested' ? RELEASE_UNSET : {}), ...unset };
+  if (Object.keys(unsetFields).length) update.$unset = unsetFields;
+
+  let query = Trip.findOneAndUpdate({ ...where, _id: tripId, status: current.status }, update, { new: true });
+  if (populate) query = query.populate(populate);
+  const trip = await query;
+
+  if (!trip) {
+    throw stateError(409, 'TRIP_STATE_CHANGED', 'Trip changed while updating, please retry');
+  }
+
+  const effects = await runSideEffects(trip, to);
+
+  const driverId = trip.assignedDriver?._id || trip.assignedDriver || null;
+  publish({
+    tripId: String(trip._id),
+    from: current.status,
+    to,
+    status: trip.status,
+    rideStatus: trip.rideStatus,
+    customerId: String(trip.customerId?._id || trip.customerId),
+    driverId: driverId ? String(driverId) : null,
+    actor,
+    actorId: actorId ? String(actorId) : null,
+    reason,
+    source,
+    at: now.toISOString(),
+  }, current.assignedDriver);
+
+  console.log(`🔀 Trip ${trip._id}: ${current.status} → ${to} (${actor}${reason ? `: ${reason}` : ''})`);
+  return { trip, from: current.status, to, ...effects };
+};
+
+/**
+ * transitionTrip() for jobs and races where losing is fine: resolves to
+ * null instead of throwing when the move is illegal or someone else won.
+ */
+export const tryTransitionTrip = (tripId, to, options) =>
+  transitionTrip(tripId, to, options).catch((err) => {
+    if (err.isTripStateError) return null;
+    throw err;
+  });
+
+export const canTransition = (from, to) => !!TRANSITIONS[from]?.includes(to);
@@ -0,0 +1,367 @@
+// src/utils/tripStops.js
+import mongoose from 'mongoose';
+import Trip from '../models/Trip.js';
+import { io } from '../socket/socketHandler.js';
+import { userRoom } from '../socket/socketAuth.js';
+import { TRIP_STOPS } from '../config/tripConfig.js';
+import { VEHICLE_TIME_FACTOR } from '../config/pricingConfig.js';
+import { calcFare } from './fareCalc.js';
+import { calculateDistanceInMeters } from './distanceCalculator.js';
+import { getGoogleRouteDuration } from './getGoogleRouteDuration.js';
+import { recordTripEvent } from './tripTimeline.js';
+
+/**
+ * Multi-stop short trips.
+ * The route is pickup → stops (in order) → drop; `drop` is always the final
+ * stop. Until the trip ends the rider may add or remove stops still ahead;
+ * every edit re-routes all legs and reprices with the original quote's rate
+ * snapshot, surge and start time, keeping any discount already taken. During
+ * the ride the driver marks arrival at (geofenced) and departure from each
+ * stop in order.
+ */
+
+const EDITABLE_STATES = [
+  'requested', 'driver_assigned', 'driver_going_to_pickup', 'driver_at_pickup', 'ride_started', 'in_progress',
+];
+const RIDE_STATES = ['ride_started', 'in_progress'];
+
+const stopError = (statusCode, errorCode, message, extra = {}) =>
+  Object.assign(new Error(message), { statusCode, errorCode, ...extra });
+
+const toLatLng = ([lng, lat]) => ({ lat, lng });
+const plain = (stop) => stop?.toObject?.() || { ...stop };
+
+/**
+ * One rider-supplied stop: { coordinates: [lng, lat], address } or { lat, lng, address }.
+ * @throws {Error} 400 INVALID_STOP
+ */
+export const parseStop = (input) => {
+  const [lng, lat] = Array.isArray(input?.coordinates)
+    ? input.coordinates.map(Number)
+    : [Number(input?.lng), Number(input?.lat)];
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw stopError(400, 'INVALID_STOP', 'Each stop needs valid coordinates');
+  }
+  return {
+    type: 'Point',
+    coordinates: [lng, lat],
+    address: typeof input.address === 'string' ? input.address.slice(0, TRIP_STOPS.ADDRESS_MAX_LENGTH) : undefined,
+  };
+};
+
+/**
+ * Stops given at booking.
+ * @throws {Error} 400 INVALID_STOP / TOO_MANY_STOPS
+ */
+export const normalizeStops = (input) => {
+  if (input == null) return [];
+  if (!Array.isArray(input)) throw stopError(400, 'INVALID_STOP', 'stops must be a list');
+  if (input.length > TRIP_STOPS.MAX_STOPS) {
+    throw stopError(400, 'TOO_MANY_STOPS', `At most ${TRIP_STOPS.MAX_STOPS} stops are allowed`);
+  }
+  return input.map(parseStop);
+};
+
+// [lng, lat] per stop, for fare quote binding
+export const stopCoordinates = (stops = []) => stops.map((s) => s.coordinates);
+
+/**
+ * Stops for app payloads.
+ */
+export const stopsView = (trip) =>
+  (trip.stops || []).map((s, index) => ({
+    stopId: String(s._id),
+    index,
+    lat: s.coordinates[1],
+    lng: s.coordinates[0],
+    address: s.address || null,
+    status: s.status,
+    arrivedAt: s.arrivedAt || null,
+    departedAt: s.departedAt || null,
+  }));
+
+/**
+ * Where the trip ends — the completion geofence point.
+ */
+export const finalStop = (trip) => trip.drop;
+
+/**
+ * Straight-line km over the legs driven: pickup → stops reached → drop.
+ */
+export const straightLineKm = (trip) => {
+  const points = [
+    trip.pickup?.coordinates,
+    ...(trip.stops || []).filter((s) => ['arrived', 'departed'].includes(s.status)).map((s) => s.coordinates),
+    trip.drop?.coordinates,
+  ];
+  if (points.some((p) => !p)) return 0;
+  let metres = 0;
+  for (let i = 1; i < points.length; i += 1) metres += calculateDistanceInMeters(points[i - 1], points[i]);
+  return metres / 1000;
+};
+
+/**
+ * `set` for the completed transition: stops reached but not left are
+ * closed, stops never reached are skipped. Empty for single-drop trips.
+ */
+export const closeStops = (trip, at = new Date()) => {
+  if (!trip.stops?.length) return {};
+  return {
+    stops: trip.stops.map((s) => {
+      const stop = plain(s);
+      if (stop.status === 'arrived') return { ...stop, status: 'departed', departedAt: at };
+      if (stop.status === 'pending') return { ...stop, status: 'skipped' };
+      return stop;
+    }),
+  };
+};
+
+const emitToParties = (trip, event, payload) => {
+  if (!io) return;
+  const rooms = [trip.customerId?._id || trip.customerId, trip.assignedDriver?._id || trip.assignedDriver]
+    .filter(Boolean)
+    .map(String);
+  for (const id of rooms) io.to(userRoom(id)).emit(event, payload);
+};
+
+// Road distance / duration through every stop, as the quote measured it
+const routeThroughStops = async (trip, stops) => {
+  const route = await getGoogleRouteDuration(
+    toLatLng(trip.pickup.coordinates),
+    toLatLng(trip.drop.coordinates),
+    'car',
+    stops.map((s) => toLatLng(s.coordinates))
+  );
+  if (!route) throw stopError(503, 'ROUTE_UNAVAILABLE', 'Could not route the stops right now, please try again');
+  return {
+    distanceKm: route.distanceKm,
+    durationMin: (route.durationSec / 60) * (VEHICLE_TIME_FACTOR[trip.vehicleType] || 1.0),
+  };
+};
+
+// Same rate, surge and start time as the booking quote; the discount stays
+const repriceRoute = (trip, stopCount, route) => {
+  const { rate, inputs } = trip.pricing || {};
+  if (!rate || !inputs) {
+    throw stopError(409, 'NO_PRICING', 'This trip has no stored quote and cannot be repriced');
+  }
+
+  const startMs = new Date(inputs.startTime).getTime();
+  const result = calcFare({
+    rate,
+    ...inputs,
+    distanceKm: route.distanceKm,
+    durationMin: route.durationMin,
+    stops: stopCount,
+    dropTime: new Date(startMs + route.durationMin * 60000).toISOString(),
+  });
+
+  const discount = Math.max(0, (trip.originalFare ?? trip.fare ?? 0) - (trip.fare ?? 0));
+  return {
+    fare: Math.max(0, result.total - discount),
+    originalFare: result.total,
+    fareBreakdown: result.breakdown,
+    pricing: { ...result.pricing, rate, quotedTotal: result.total },
+  };
+};
+
+/**
+ * Rider adds or removes a stop. Stops already reached can't be touched.
+ * @param {string} tripId
+ * @param {Object} params
+ * @param {string} params.customerId
+ * @param {Object} [params.add] - stop to add (see parseStop)
+ * @param {number} [params.position] - index to insert at; default before the drop
+ * @param {string} [params.removeStopId]
+ * @returns {Promise<{ trip: Object, change: Object, previousFare: number }>}
+ * @throws {Error} with statusCode / errorCode: TRIP_NOT_FOUND, NOT_AUTHORIZED,
+ *   STOPS_NOT_SUPPORTED, TRIP_NOT_EDITABLE, TOO_MANY_STOPS, INVALID_POSITION,
+ *   STOP_NOT_FOUND, STOP_ALREADY_REACHED, ROUTE_UNAVAILABLE, NO_PRICING, TRIP_STATE_CHANGED
+ */
+export const updateTripStops = async (tripId, { customerId, add = null, position = null, removeStopId = null }) => {
+  const trip = await Trip.findById(tripId).lean();
+  if (!trip) throw stopError(404, 'TRIP_NOT_FOUND', 'Trip not found');
+  if (String(trip.customerId) !== String(customerId)) throw stopError(403, 'NOT_AUTHORIZED', 'Not authorized');
+  if (trip.type !== 'short') throw stopError(400, 'STOPS_NOT_SUPPORTED', 'Stops are only available on short trips');
+  if (!EDITABLE_STATES.includes(trip.status)) {
+    throw stopError(409, 'TRIP_NOT_EDITABLE', `Stops can't be changed on a ${trip.status} trip`);
+  }
+
+  const stops = (trip.stops || []).map(plain);
+  // Everything up to the last reached stop is history
+  const firstEditable = stops.reduce((first, s, i) => (s.status === 'pending' ? first : i + 1), 0);
+  let change;
+
+  if (add) {
+    if (stops.length >= TRIP_STOPS.MAX_STOPS) {
+      throw stopError(400, 'TOO_MANY_STOPS', `At most ${TRIP_STOPS.MAX_STOPS} stops are allowed`);
+    }
+    const at = position == null ? stops.length : Number(position);
+    if (!Number.isInteger(at) || at < firstEditable || at > stops.length) {
+      throw stopError(400, 'INVALID_POSITION', `position must be between ${firstEditable} and ${stops.length}`);
+    }
+    const stop = {
+      ...parseStop(add),
+      _id: new mongoose.Types.ObjectId(),
+      status: 'pending',
+      arrivedAt: null,
+      departedAt: null,
+      addedAt: new Date(),
+    };
+    stops.splice(at, 0, stop);
+    change = { action: 'added', stopId: String(stop._id), index: at, address: stop.address || null };
+  } else {
+    const index = stops.findIndex((s) => String(s._id) === String(removeStopId));
+    if (index === -1) throw stopError(404, 'STOP_NOT_FOUND', 'Stop not found');
+    if (stops[index].status !== 'pending') {
+      throw stopError(409, 'STOP_ALREADY_REACHED', 'A stop the driver has reached cannot be removed');
+    }
+    const [removed] = stops.splice(index, 1);
+    change = { action: 'removed', stopId: String(removed._id), index, address: removed.address || null };
+  }
+
+  const route = await routeThroughStops(trip, stops);
+  const priced = repriceRoute(trip, stops.length, route);
+
+  // Compare-and-set on the version: two edits can't price over each other
+  const version = trip.stopsVersion || 0;
+  const updated = await Trip.findOneAndUpdate(
+    { _id: trip._id, status: { $in: EDITABLE_STATES }, stopsVersion: version || { $in: [0, null] } },
+    {
+      $set: {
+        stops,
+        distance: route.distanceKm,
+        duration: route.durationMin,
+        ...priced,
+      },
+      $inc: { stopsVersion: 1 },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    throw stopError(409, 'TRIP_STATE_CHANGED', 'Trip changed while updating stops, please retry');
+  }
+
+  await recordTripEvent(trip._id, 'stops_updated', {
+    actor: 'customer',
+    actorId: customerId,
+    payload: {
+      ...change,
+      stopCount: stops.length,
+      previousFare: trip.fare,
+      fare: updated.fare,
+      distanceKm: Number(route.distanceKm.toFixed(2)),
+      durationMin: Math.round(route.durationMin),
+    },
+  });
+
+  emitToParties(updated, 'trip:stops_updated', {
+    tripId: String(trip._id),
+    change,
+    stops: stopsView(updated),
+    previousFare: trip.fare,
+    fare: updated.fare,
+    distanceKm: Number(route.distanceKm.toFixed(2)),
+    durationMin: Math.round(route.durationMin),
+  });
+
+  console.log(`🛑 Trip ${trip._id} stop ${change.action} (${stops.length} stop(s)): ₹${trip.fare} → ₹${updated.fare}`);
+  return { trip: updated, change, previousFare: trip.fare };
+};
+
+// Trip in progress, driven by this driver, with the given stop
+const loadRideStop = async (tripId, driverId, stopId) => {
+  const trip = await Trip.findById(tripId).lean();
+  if (!trip) throw stopError(404, 'TRIP_NOT_FOUND', 'Trip not found');
+  if (String(trip.assignedDriver) !== String(driverId)) throw stopError(403, 'NOT_AUTHORIZED', 'Not authorized');
+  if (!RIDE_STATES.includes(trip.status)) {
+    throw stopError(409, 'RIDE_NOT_STARTED', 'Ride must be started before reaching stops');
+  }
+
+  const index = (trip.stops || []).findIndex((s) => String(s._id) === String(stopId));
+  if (index === -1) throw stopError(404, 'STOP_NOT_FOUND', 'Stop not found');
+  return { trip, index, stop: trip.stops[index] };
+};
+
+// Write a stop status change; null when another request got there first
+const advanceStop = (trip, stop, from, set) =>
+  Trip.findOneAndUpdate(
+    {
+      _id: trip._id,
+      status: { $in: RIDE_STATES },
+      assignedDriver: trip.assignedDriver,
+      stops: { $elemMatch: { _id: stop._id, status: from } },
+    },
+    { $set: Object.fromEntries(Object.entries(set).map(([k, v]) => [`stops.$.${k}`, v])) },
+    { new: true }
+  ).lean();
+
+/**
+ * Driver reached a stop. Stops are reached in order, within ARRIVAL_RADIUS_M.
+ * @returns {Promise<{ trip: Object, stop: Object }>}
+ * @throws {Error} TRIP_NOT_FOUND, NOT_AUTHORIZED, RIDE_NOT_STARTED, STOP_NOT_FOUND,
+ *   STOP_OUT_OF_ORDER, STOP_ALREADY_REACHED, LOCATION_REQUIRED, TOO_FAR_FROM_STOP, TRIP_STATE_CHANGED
+ */
+export const markStopArrived = async (tripId, { driverId, stopId, driverLat, driverLng }) => {
+  const { trip, index, stop } = await loadRideStop(tripId, driverId, stopId);
+
+  if (stop.status !== 'pending') throw stopError(409, 'STOP_ALREADY_REACHED', 'Stop already reached');
+  const next = trip.stops.findIndex((s) => s.status === 'pending' || s.status === 'arrived');
+  if (index !== next) throw stopError(409, 'STOP_OUT_OF_ORDER', 'Finish the previous stop first');
+
+  const lat = Number(driverLat);
+  const lng = Number(driverLng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    throw stopError(400, 'LOCATION_REQUIRED', 'driverLat and driverLng are required');
+  }
+  const distanceM = Math.round(calculateDistanceInMeters([lng, lat], stop.coordinates));
+  if (distanceM > TRIP_STOPS.ARRIVAL_RADIUS_M) {
+    throw stopError(400, 'TOO_FAR_FROM_STOP', `You are ${distanceM}m away from the stop`, { distanceM });
+  }
+
+  const now = new Date();
+  const updated = await advanceStop(trip, stop, 'pending', { status: 'arrived', arrivedAt: now });
+  if (!updated) throw stopError(409, 'TRIP_STATE_CHANGED', 'Trip changed, please refresh');
+
+  const view = stopsView(updated)[index];
+  await recordTripEvent(trip._id, 'stop_arrived', {
+    actor: 'driver',
+    actorId: driverId,
+    payload: { stopId: view.stopId, index, address: view.address, distanceM },
+    at: now,
+  });
+  emitToParties(updated, 'trip:stop_arrived', { tripId: String(trip._id), stop: view, stops: stopsView(updated) });
+
+  return { trip: updated, stop: view };
+};
+
+/**
+ * Driver left a stop they had reached.
+ * @returns {Promise<{ trip: Object, stop: Object }>}
+ * @throws {Error} TRIP_NOT_FOUND, NOT_AUTHORIZED, RIDE_NOT_STARTED, STOP_NOT_FOUND,
+ *   STOP_NOT_REACHED, TRIP_STATE_CHANGED
+ */
+export const markStopDeparted = async (tripId, { driverId, stopId }) => {
+  const { trip, index, stop } = await loadRideStop(tripId, driverId, stopId);
+  if (stop.status !== 'arrived') throw stopError(409, 'STOP_NOT_REACHED', 'Mark the stop reached first');
+
+  const now = new Date();
+  const updated = await advanceStop(trip, stop, 'arrived', { status: 'departed', departedAt: now });
+  if (!updated) throw stopError(409, 'TRIP_STATE_CHANGED', 'Trip changed, please refresh');
+
+  const view = stopsView(updated)[index];
+  await recordTripEvent(trip._id, 'stop_departed', {
+    actor: 'driver',
+    actorId: driverId,
+    payload: {
+      stopId: view.stopId,
+      index,
+      address: view.address,
+      waitedSec: Math.round((now - new Date(stop.arrivedAt)) / 1000),
+    },
+    at: now,
+  });
+  emitToParties(updated, 'trip:stop_departed', { tripId: String(trip._id), stop: view, stops: stopsView(updated) });
+
+  return { trip: updated, stop: view };
+};
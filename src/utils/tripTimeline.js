@@ -0,0 +1,131 @@
+// src/utils/tripTimeline.js
+import TripEvent from '../models/TripEvent.js';
+import { tripEvents } from './tripStateMachine.js';
+import { TRIP_TIMELINE } from '../config/tripConfig.js';
+
+/**
+ * Per-trip audit timeline (models/TripEvent.js).
+ * Status changes are recorded from the state machine's `transition` event;
+ * everything else (offers, OTP attempts, payments, ...) where it happens.
+ * Recording never throws — a lost timeline entry must not fail the ride.
+ */
+
+const TRANSITION_EVENT = {
+  driver_going_to_pickup: 'going_to_pickup',
+  driver_at_pickup: 'arrived',
+  ride_started: 'started',
+  completed: 'completed',
+  cancelled: 'cancelled',
+  timeout: 'timed_out',
+};
+
+const transitionEventType = ({ from, to, actor }) => {
+  if (to === 'driver_assigned') return actor === 'admin' ? 'assigned' : 'accepted';
+  if (to === 'requested') return from === 'scheduled' ? 'requested' : 'released';
+  return TRANSITION_EVENT[to] || null;
+};
+
+/**
+ * Append one event to a trip's timeline.
+ * @param {string} tripId
+ * @param {string} type - one of TRIP_EVENT_TYPES
+ * @param {Object} [options]
+ * @param {string} [options.actor] - customer | driver | admin | system
+ * @param {string} [options.actorId]
+ * @param {string} [options.source] - rest | socket | job | webhook
+ * @param {Object} [options.payload]
+ * @param {string} [options.key] - makes the event once-per-trip
+ * @returns {Promise<Object|null>} null if it was a duplicate or could not be stored
+ */
+export const recordTripEvent = async (
+  tripId,
+  type,
+  { actor = 'system', actorId = null, source = null, payload = {}, key, at } = {}
+) => {
+  try {
+    return await TripEvent.create({
+      tripId,
+      type,
+      actor,
+      actorId: actorId ? String(actorId) : null,
+      source,
+      payload,
+      key,
+      at: at || new Date(),
+    });
+  } catch (err) {
+    if (err.code !== 11000) {
+      console.error(`❌ recordTripEvent(${type}) failed for trip ${tripId}:`, err.message);
+    }
+    return null;
+  }
+};
+
+/**
+ * Location milestones: driver close to pickup (before the ride) and close
+ * to drop (during it). Each is recorded once per trip.
+ */
+export const recordLocationMilestones = async (trip, { driverId, latitude, longitude, distanceToPickupM, distanceToDropM }) => {
+  const milestones = [];
+  if (['driver_assigned', 'driver_going_to_pickup'].includes(trip.status) && distanceToPickupM <= TRIP_TIMELINE.NEAR_PICKUP_M) {
+    milestones.push({ milestone: 'near_pickup', distanceM: Math.round(distanceToPickupM) });
+  }
+  if (['ride_started', 'in_progress'].includes(trip.status) && distanceToDropM <= TRIP_TIMELINE.NEAR_DROP_M) {
+    milestones.push({ milestone: 'near_drop', distanceM: Math.round(distanceToDropM) });
+  }
+
+  for (const m of milestones) {
+    await recordTripEvent(trip._id, 'location_milestone', {
+      actor: 'driver',
+      actorId: driverId,
+      source: 'socket',
+      payload: { ...m, latitude, longitude },
+      key: `location:${m.milestone}`,
+    });
+  }
+};
+
+// settleTripPayment & co. name their caller verify_api | webhook | reconciliation
+const PAYMENT_SOURCE = { verify_api: 'rest', webhook: 'webhook', reconciliation: 'job' };
+
+/**
+ * Timeline entry for money moving on a trip (cash, wallet or online).
+ * @param {Object} trip
+ * @param {Object} details - { method, status, amount, paymentId?, reason?, source? }
+ */
+export const recordTripPayment = (trip, { source, ...details }) =>
+  recordTripEvent(trip._id, 'payment', {
+    source: PAYMENT_SOURCE[source] || source || null,
+    payload: details,
+  });
+
+/**
+ * Oldest first.
+ */
+export const getTripTimeline = (tripId) =>
+  TripEvent.find({ tripId }).sort({ at: 1, _id: 1 }).lean();
+
+let started = false;
+
+/**
+ * Record every state-machine transition. Each instance records its own.
+ */
+export const startTripTimeline = () => {
+  if (started) return;
+  started = true;
+
+  tripEvents.on('transition', (event) => {
+    const type = transitionEventType(event);
+    if (!type) return;
+
+    recordTripEvent(event.tripId, type, {
+      actor: event.actor,
+      actorId: event.actorId,
+      source: event.source,
+      payload: { from: event.from, to: event.to, reason: event.reason, driverId: event.driverId },
+      at: new Date(event.at),
+    });
+  });
+
+  console.log('🧾 Trip timeline recording started');
+};
@@ -0,0 +1,249 @@
+// src/utils/tripTrail.js
+import Trip from '../models/Trip.js';
+import TripTrail from '../models/TripTrail.js';
+import { TRIP_TRAIL } from '../config/tripConfig.js';
+import { calculateDistanceInMeters } from './distanceCalculator.js';
+
+/**
+ * Per-trip GPS breadcrumb trail.
+ * Every driver location update during a trip (socket or REST) goes through
+ * recordTrailPoint(): inaccurate, out-of-order and impossible fixes are
+ * dropped, near-duplicates skipped, and the rest appended to chunked
+ * TripTrail documents. Ride metrics (actual km, idle time, max speed) are
+ * kept on Trip.trail as points arrive, so reading them needs no points.
+ */
+
+const PICKUP_PHASE = ['driver_assigned', 'driver_going_to_pickup', 'driver_at_pickup'];
+const RIDE_PHASE = ['ride_started', 'in_progress'];
+
+const round = (n, digits = 1) => Number(n.toFixed(digits));
+
+const isCoordinate = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) &&
+  Math.abs(lat) <= 90 && Math.abs(lng) <= 180 &&
+  !(lat === 0 && lng === 0);
+
+const countRejected = (tripId) =>
+  Trip.updateOne({ _id: tripId }, { $inc: { 'trail.rejected': 1 } });
+
+/**
+ * Store one driver location fix on the trip's trail. Never throws.
+ * @param {Object} trip - trip with status, assignedDriver and trail
+ * @param {Object} fix
+ * @param {string} fix.driverId
+ * @param {number} fix.latitude
+ * @param {number} fix.longitude
+ * @param {string|number} [fix.timestamp] - client time of the fix
+ * @param {number} [fix.accuracy] - metres, as reported by the phone
+ * @returns {Promise<{ stored: boolean, reason?: string }>}
+ */
+export const recordTrailPoint = async (trip, { driverId, latitude, longitude, timestamp, accuracy }) => {
+  try {
+    const phase = RIDE_PHASE.includes(trip.status) ? 'ride' : PICKUP_PHASE.includes(trip.status) ? 'pickup' : null;
+    if (!phase) return { stored: false, reason: 'not_in_trip' };
+    if (String(trip.assignedDriver?._id || trip.assignedDriver) !== String(driverId)) {
+      return { stored: false, reason: 'not_assigned_driver' };
+    }
+
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (!isCoordinate(lat, lng)) return { stored: false, reason: 'invalid_coordinates' };
+
+    if (accuracy != null && Number(accuracy) > TRIP_TRAIL.MAX_ACCURACY_M) {
+      await countRejected(trip._id);
+      return { stored: false, reason: 'inaccurate' };
+    }
+
+    const now = Date.now();
+    let at = timestamp ? new Date(timestamp).getTime() : now;
+    if (!Number.isFinite(at) || at > now + TRIP_TRAIL.MAX_CLOCK_SKEW_SEC * 1000) at = now;
+
+    const last = trip.trail?.lastPoint || null;
+    let distanceM = 0;
+    let dtSec = 0;
+    let speedKmh = 0;
+
+    if (last) {
+      dtSec = (at - new Date(last.at).getTime()) / 1000;
+      if (dtSec <= 0) return { stored: false, reason: 'out_of_order' };
+
+      distanceM = calculateDistanceInMeters([last.lng, last.lat], [lng, lat]);
+      speedKmh = (distanceM / dtSec) * 3.6;
+      if (speedKmh > TRIP_TRAIL.MAX_SPEED_KMH) {
+        await countRejected(trip._id);
+        return { stored: false, reason: 'jump' };
+      }
+      if (last.phase === phase && distanceM < TRIP_TRAIL.MIN_DISTANCE_M && dtSec < TRIP_TRAIL.KEEPALIVE_SEC) {
+        return { stored: false, reason: 'stationary' };
+      }
+    }
+
+    const update = {
+      $set: { 'trail.lastPoint': { lng, lat, at: new Date(at), phase } },
+      $inc: { 'trail.points': 1 },
+    };
+    // Ride metrics only count movement between two ride points
+    if (phase === 'ride' && last?.phase === 'ride') {
+      update.$inc['trail.distanceM'] = round(distanceM);
+      if (speedKmh < TRIP_TRAIL.IDLE_SPEED_KMH) update.$inc['trail.idleSec'] = round(dtSec);
+      update.$max = { 'trail.maxSpeedKmh': round(speedKmh) };
+    }
+
+    // Compare-and-set on the last point: two racing updates can't both count the same stretch
+    const claimed = await Trip.updateOne(
+      { _id: trip._id, status: trip.status, 'trail.lastPoint.at': last ? last.at : null },
+      update
+    );
+    if (claimed.modifiedCount === 0) return { stored: false, reason: 'concurrent_update' };
+
+    await TripTrail.updateOne(
+      { tripId: trip._id, phase, count: { $lt: TRIP_TRAIL.CHUNK_SIZE } },
+      {
+        $push: { points: [lng, lat, at] },
+        $inc: { count: 1 },
+        $min: { firstAt: new Date(at) },
+        $max: { lastAt: new Date(at) },
+        $setOnInsert: { driverId },
+      },
+      { upsert: true }
+    );
+
+    return { stored: true };
+  } catch (err) {
+    console.error(`❌ Trail point for trip ${trip._id} failed:`, err.message);
+    return { stored: false, reason: 'error' };
+  }
+};
+
+/**
+ * Ride metrics from Trip.trail.
+ */
+export const trailMetrics = (trip) => ({
+  distanceKm: round((trip.trail?.distanceM || 0) / 1000, 2),
+  idleMin: round((trip.trail?.idleSec || 0) / 60),
+  maxSpeedKmh: round(trip.trail?.maxSpeedKmh || 0),
+  points: trip.trail?.points || 0,
+  rejectedPoints: trip.trail?.rejected || 0,
+});
+
+// Distance (m) from p to segment a-b, all in local metres
+const segmentDistance = ([px, py], [ax, ay], [bx, by]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+/**
+ * Douglas-Peucker on [lng, lat, ...] points, tolerance in metres.
+ */
+export const simplifyPoints = (points, toleranceM = TRIP_TRAIL.SIMPLIFY_TOLERANCE_M) => {
+  const n = points.length;
+  if (n < 3 || !(toleranceM > 0)) return points;
+
+  // Equirectangular projection is plenty at city scale
+  const mPerDegLat = 111320;
+  const mPerDegLng = 111320 * Math.cos((points[0][1] * Math.PI) / 180);
+  const xy = points.map(([lng, lat]) => [lng * mPerDegLng, lat * mPerDegLat]);
+
+  const keep = new Uint8Array(n);
+  keep[0] = 1;
+  keep[n - 1] = 1;
+  const stack = [[0, n - 1]];
+
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i += 1) {
+      const d = segmentDistance(xy[i], xy[first], xy[last]);
+      if (d > maxDistance) {
+        maxDistance = d;
+        index = i;
+      }
+    }
+    if (maxDistance > toleranceM) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+const encodeSigned = (value) => {
+  let n = value < 0 ? ~(value << 1) : value << 1;
+  let out = '';
+  while (n >= 0x20) {
+    out += String.fromCharCode((0x20 | (n & 0x1f)) + 63);
+    n >>= 5;
+  }
+  return out + String.fromCharCode(n + 63);
+};
+
+/**
+ * Google encoded polyline (precision 5) of [lng, lat, ...] points.
+ */
+export const encodePolyline = (points) => {
+  let prevLat = 0;
+  let prevLng = 0;
+  let out = '';
+  for (const [lng, lat] of points) {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    out += encodeSigned(latE5 - prevLat) + encodeSigned(lngE5 - prevLng);
+    prevLat = latE5;
+    prevLng = lngE5;
+  }
+  return out;
+};
+
+/**
+ * The stored trail of a trip, per phase, oldest point first.
+ * @param {Object} trip
+ * @param {Object} [options]
+ * @param {string[]} [options.phases] - pickup and/or ride
+ * @param {boolean} [options.simplify]
+ * @returns {Promise<{ tripId, phases: Object<string, Array<[number, number, number]>>, metrics: Object }>}
+ */
+export const getTripRoute = async (trip, { phases = ['ride'], simplify = true } = {}) => {
+  const chunks = await TripTrail.find({ tripId: trip._id, phase: { $in: phases } })
+    .select('phase points')
+    .lean();
+
+  const byPhase = Object.fromEntries(phases.map((p) => [p, []]));
+  for (const chunk of chunks) byPhase[chunk.phase].push(...chunk.points);
+
+  for (const phase of phases) {
+    byPhase[phase].sort((a, b) => a[2] - b[2]);
+    if (simplify) byPhase[phase] = simplifyPoints(byPhase[phase]);
+  }
+
+  return { tripId: trip._id, phases: byPhase, metrics: trailMetrics(trip) };
+};
+
+/**
+ * GeoJSON FeatureCollection: one LineString per phase, point times in
+ * `properties.times` (epoch ms).
+ */
+export const routeToGeoJSON = (route) => ({
+  type: 'FeatureCollection',
+  properties: { tripId: String(route.tripId), ...route.metrics },
+  features: Object.entries(route.phases).map(([phase, points]) => ({
+    type: 'Feature',
+    properties: { phase, pointCount: points.length, times: points.map((p) => p[2]) },
+    geometry: { type: 'LineString', coordinates: points.map(([lng, lat]) => [lng, lat]) },
+  })),
+});
+
+/**
+ * { tripId, metrics, polylines: { ride: '...', pickup: '...' } }
+ */
+export const routeToPolyline = (route) => ({
+  tripId: route.tripId,
+  metrics: route.metrics,
+  polylines: Object.fromEntries(
+    Object.entries(route.phases).map(([phase, points]) => [phase, encodePolyline(points)])
+  ),
+});